@@ -16,29 +16,48 @@ if (result.error) {
 
 // Now import everything else (after env vars are loaded)
 import express from "express";
+import mongoose from "mongoose";
 import cors from "cors";
-import rateLimit from "express-rate-limit";
 import { createServer } from "http";
 import { WebSocketServer } from "ws";
 import { connectDatabase } from "./config/database.js";
 
 // Import routes
 import healthRouter from "./routes/health.js";
+import publicShareRouter from "./routes/publicShare.js";
 import transcriptionRouter from "./routes/transcription.js";
+import meetingsRouter from "./routes/meetings.js";
+import actionItemsRouter from "./routes/actionItems.js";
+import searchRouter from "./routes/search.js";
+import retentionRouter from "./routes/retention.js";
+import redactionRouter from "./routes/redaction.js";
+import usageRouter from "./routes/usage.js";
+import workspacesRouter from "./routes/workspaces.js";
+import apiTokensRouter from "./routes/apiTokens.js";
 import summaryRouter from "./routes/summary.js";
 import voiceRouter from "./routes/voice.js";
 import twinRouter from "./routes/assistant.js";
 import recallRouter from "./routes/recall.js";
 import recallDesktopRouter from "./routes/recallDesktop.js";
 import webhookRouter from "./routes/webhookController.js";
+import webhookEventsRouter from "./routes/webhookEvents.js";
+import { verifyAuth, requireScope, authenticateUpgrade } from "./middleware/auth.js";
+import { rateLimit } from "./middleware/rateLimit.js";
+import { verifyWebhookSignature } from "./middleware/webhookSignature.js";
 
 // Import services and models
 import recallService from "./services/recallService.js";
 import recallDesktopService from "./services/recallDesktopService.js";
 import aiService from "./services/aiService.js";
 import elevenlabsService from "./services/elevenlabsService.js";
-import Meeting from "./models/Meeting.js";
-import mongoose from "mongoose";
+import transcriptService from "./services/transcriptService.js";
+import desktopMeetingService from "./services/desktopMeetingService.js";
+import meetingLifecycleService from "./services/meetingLifecycleService.js";
+import participantService from "./services/participantService.js";
+import retentionService from "./services/retentionService.js";
+import realtimeService from "./services/realtimeService.js";
+import webhookEventService from "./services/webhookEventService.js";
+import searchService from "./services/searchService.js";
 
 // Validate service configurations
 console.log("\n📋 Service Configuration Status:");
@@ -67,8 +86,31 @@ console.log(
 );
 console.log("");
 
-// Connect to MongoDB
-connectDatabase();
+// Connect to MongoDB, then finish webhook events that weren't processed, restore live bots
+// and uploads from before the last restart (closing out those that ended meanwhile), update
+// the search indexes and start the retention purge job
+connectDatabase().then(async () => {
+  try {
+    await webhookEventService.processPending();
+  } catch (error) {
+    console.error("❌ Failed to process pending webhook events:", error.message);
+  }
+
+  try {
+    await recallService.restore();
+    await recallDesktopService.restore();
+  } catch (error) {
+    console.error("❌ Failed to restore bot/upload registry:", error.message);
+  }
+
+  try {
+    await searchService.prepareIndexes();
+  } catch (error) {
+    console.error("❌ Failed to update search indexes:", error.message);
+  }
+
+  retentionService.start();
+});
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -78,7 +120,19 @@ app.set('trust proxy', 1);
 
 // Create HTTP server for WebSocket support
 const server = createServer(app);
-const wss = new WebSocketServer({ server });
+const wss = new WebSocketServer({
+  server,
+  // Only accept connections with a valid Clerk session; the user is bound to the socket
+  verifyClient: ({ req }, done) => {
+    authenticateUpgrade(req).then((userId) => {
+      if (!userId) {
+        return done(false, 401, "Unauthorized");
+      }
+      req.userId = userId;
+      done(true);
+    });
+  },
+});
 
 // Middleware
 app.use(
@@ -88,16 +142,17 @@ app.use(
   })
 );
 
-app.use(express.json({ limit: "10mb" }));
+app.use(express.json({
+  limit: "10mb",
+  // Webhook signatures are computed over the exact bytes Recall.ai sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith("/api/webhooks/")) {
+      req.rawBody = buf;
+    }
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-});
-app.use(limiter);
-
 // Request logging middleware
 app.use((req, res, next) => {
   console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
@@ -115,6 +170,15 @@ app.get("/", (req, res) => {
       recallDesktop: "/api/recall-desktop",
       webhooks: "/api/webhooks/recall",
       webhooksDesktop: "/api/webhooks/recall-desktop",
+      webhookEvents: "/api/webhook-events",
+      meetings: "/api/meetings",
+      actionItems: "/api/action-items",
+      search: "/api/search",
+      retention: "/api/retention",
+      redaction: "/api/redaction",
+      usage: "/api/usage",
+      workspaces: "/api/workspaces",
+      tokens: "/api/tokens",
       transcription: "/api/transcription",
       summary: "/api/summary",
       voice: "/api/voice",
@@ -123,27 +187,61 @@ app.get("/", (req, res) => {
   });
 });
 
-// Routes
+// Routes - everything except health checks, public share links and Recall.ai webhooks needs
+// a Clerk session or a personal access token with the scope for that area.
+// Rate limits are per user and weighted by route (see middleware/rateLimit.js); public share
+// links are limited per IP, and webhooks are exempt but must carry a valid signature
 app.use("/api/health", healthRouter);
-app.use("/api/transcription", transcriptionRouter);
-app.use("/api/summary", summaryRouter);
-app.use("/api/voice", voiceRouter);
-app.use("/api/twin", twinRouter);
-app.use("/api/recall", recallRouter);
-app.use("/api/recall-desktop", recallDesktopRouter);
-app.use("/api/webhooks", webhookRouter);
-
-// Store WebSocket metadata for each connection
-// Maps WebSocket client -> { clientId, userId, botId }
-const wsClients = new Map();
-
-// WebSocket connection handling
-wss.on("connection", (ws) => {
-  console.log("🔌 New WebSocket connection established");
-
-  // Initialize client metadata
-  const clientId = Math.random().toString(36).substring(7);
-  wsClients.set(ws, { clientId, userId: null, botId: null });
+app.use("/api/public", rateLimit, publicShareRouter);
+app.use("/api/webhooks", verifyWebhookSignature, webhookRouter);
+app.use("/api/tokens", verifyAuth, rateLimit, apiTokensRouter);
+app.use("/api/meetings", verifyAuth, requireScope("meetings"), rateLimit, meetingsRouter);
+app.use("/api/action-items", verifyAuth, requireScope("meetings"), rateLimit, actionItemsRouter);
+app.use("/api/search", verifyAuth, requireScope("meetings"), rateLimit, searchRouter);
+app.use("/api/retention", verifyAuth, requireScope("settings"), rateLimit, retentionRouter);
+app.use("/api/redaction", verifyAuth, requireScope("settings"), rateLimit, redactionRouter);
+app.use("/api/usage", verifyAuth, requireScope("settings"), rateLimit, usageRouter);
+app.use("/api/workspaces", verifyAuth, requireScope("workspaces"), rateLimit, workspacesRouter);
+app.use("/api/transcription", verifyAuth, requireScope("meetings"), rateLimit, transcriptionRouter);
+app.use("/api/summary", verifyAuth, requireScope("meetings"), rateLimit, summaryRouter);
+app.use("/api/voice", verifyAuth, requireScope("voice"), rateLimit, voiceRouter);
+app.use("/api/twin", verifyAuth, requireScope("bots"), rateLimit, twinRouter);
+app.use("/api/recall", verifyAuth, requireScope("bots"), rateLimit, recallRouter);
+app.use("/api/recall-desktop", verifyAuth, requireScope("bots"), rateLimit, recallDesktopRouter);
+app.use("/api/webhook-events", verifyAuth, requireScope("bots"), rateLimit, webhookEventsRouter);
+
+// Find the meeting for a bot or desktop session, so its events also reach the
+// meeting channel (null when the database can't tell us)
+const meetingIdFor = async (botId, userId) => {
+  if (mongoose.connection.readyState !== 1) {
+    return null;
+  }
+
+  try {
+    return await transcriptService.resolveMeetingId(botId, userId);
+  } catch (error) {
+    console.warn(`⚠️ Failed to resolve meeting for ${botId}:`, error.message);
+    return null;
+  }
+};
+
+// What meeting subscribers see of a live transcript: its text as stored, redacted by
+// the owner's policy (the original only goes to the owner's channel)
+const redactLive = async (meetingId, userId, transcript) => {
+  try {
+    return await transcriptService.redactLive(meetingId, userId, transcript);
+  } catch (error) {
+    console.warn(`⚠️ Failed to redact live transcript for meeting ${meetingId}:`, error.message);
+    return null;
+  }
+};
+
+// WebSocket connection handling (req.userId was verified during the handshake)
+// Each connection starts subscribed to its user's channel
+wss.on("connection", (ws, req) => {
+  console.log(`🔌 New WebSocket connection established for user ${req.userId}`);
+
+  const connection = realtimeService.register(ws, req.userId);
 
   ws.on("message", async (message) => {
     try {
@@ -154,41 +252,70 @@ wss.on("connection", (ws) => {
       // Handle different message types
       switch (data.type) {
         case "register_user": {
-          // Register userId with this WebSocket connection
-          const { userId } = data;
-
-          if (!userId) {
+          // The connection is already bound to the session's user - a client
+          // can't switch it to another userId
+          if (data.userId && data.userId !== connection.userId) {
             ws.send(
               JSON.stringify({
                 type: "error",
-                message: "userId is required",
+                message: "This connection is signed in as a different user",
               })
             );
             return;
           }
 
-          const metadata = wsClients.get(ws);
-          metadata.userId = userId;
-
           ws.send(
             JSON.stringify({
               type: "registered",
-              userId: userId,
+              userId: connection.userId,
             })
           );
+          break;
+        }
+
+        case "subscribe": {
+          // { channel: "user" } or { channel: "meeting", meetingId }
+          const channel = await realtimeService.subscribe(ws, data);
 
-          console.log(`✅ User ${userId} registered on WebSocket`);
+          ws.send(
+            JSON.stringify({
+              type: "subscribed",
+              channel,
+            })
+          );
+          break;
+        }
+
+        case "unsubscribe": {
+          const channel = realtimeService.unsubscribe(ws, data);
+
+          ws.send(
+            JSON.stringify({
+              type: "unsubscribed",
+              channel,
+            })
+          );
           break;
         }
 
         case "bot_status_request": {
-          const { botId, userId } = data;
+          const { botId } = data;
+          const { userId } = connection;
 
-          // Get bot by botId or userId
+          // Get bot by botId (if the user owns it) or the user's active bot
           let bot = null;
           if (botId) {
+            if ((await recallService.getBotOwner(botId)) !== userId) {
+              ws.send(
+                JSON.stringify({
+                  type: "error",
+                  message: "You do not have access to this bot",
+                })
+              );
+              return;
+            }
             bot = await recallService.getBotStatus(botId);
-          } else if (userId) {
+          } else {
             const userBot = recallService.getBotByUserId(userId);
             if (userBot) {
               bot = await recallService.getBotStatus(userBot.botId);
@@ -223,9 +350,8 @@ wss.on("connection", (ws) => {
   });
 
   ws.on("close", () => {
-    const metadata = wsClients.get(ws);
-    wsClients.delete(ws);
-    console.log(`🔌 WebSocket connection closed for user ${metadata?.userId || 'unknown'}`);
+    realtimeService.unregister(ws);
+    console.log(`🔌 WebSocket connection closed for user ${connection.userId}`);
   });
 
   ws.on("error", (error) => {
@@ -233,99 +359,96 @@ wss.on("connection", (ws) => {
   });
 });
 
-// Recall.ai service event handlers - broadcast bot events to all connected clients
-recallService.on("bot-created", ({ botId, userId, status }) => {
-  console.log(`📡 Broadcasting bot-created event for bot ${botId}`);
-  wss.clients.forEach((client) => {
-    if (client.readyState === 1) {
-      const metadata = wsClients.get(client);
-      // Send to the user who owns this bot
-      if (metadata) {
-        client.send(
-          JSON.stringify({
-            type: "bot_created",
-            data: {
-              botId,
-              userId,
-              status,
-            },
-          })
-        );
-      }
-    }
-  });
+// Recall.ai service event handlers - publish bot events to the owner and the meeting
+recallService.on("bot-created", async ({ botId, userId, status }) => {
+  console.log(`📡 Publishing bot-created event for bot ${botId}`);
+  realtimeService.publishEvent(
+    { userId, meetingId: await meetingIdFor(botId, userId) },
+    "bot_created",
+    { botId, userId, status }
+  );
 });
 
-recallService.on("bot-left", ({ botId, userId }) => {
-  console.log(`📡 Broadcasting bot-left event for bot ${botId}`);
-  wss.clients.forEach((client) => {
-    if (client.readyState === 1) {
-      const metadata = wsClients.get(client);
-      if (metadata) {
-        client.send(
-          JSON.stringify({
-            type: "bot_left",
-            data: {
-              botId,
-              userId,
-            },
-          })
-        );
-      }
+recallService.on("bot-left", async ({ botId, userId, reason }) => {
+  // Resolve the meeting before it is closed out
+  const meetingId = await meetingIdFor(botId, userId);
+
+  // Close out the meeting (left, call_ended, done, fatal, ...)
+  meetingLifecycleService.endMeetingForBot(botId, { reason });
+
+  console.log(`📡 Publishing bot-left event for bot ${botId}`);
+  realtimeService.publishEvent({ userId, meetingId }, "bot_left", { botId, userId, reason });
+});
+
+// Typed bot events (waiting room, admitted, kicked, failed, participants, recording ready) -
+// publish them to the owner and the meeting
+recallService.on("bot-event", async ({ userId, ...event }) => {
+  realtimeService.publishEvent(
+    { userId, meetingId: await meetingIdFor(event.botId, userId) },
+    "bot_event",
+    event
+  );
+});
+
+// Recall.ai participant events - keep the meeting roster up to date
+recallService.on("participant", async ({ botId, userId, ...event }) => {
+  try {
+    const meetingId = await transcriptService.resolveMeetingId(botId, userId);
+    if (meetingId) {
+      await participantService.recordEvent(meetingId, userId, event);
     }
-  });
+  } catch (dbError) {
+    console.warn("⚠️ Failed to save participant event:", dbError.message);
+  }
 });
 
-// Recall.ai transcript event handler - save to DB and broadcast to frontend
+// Recall.ai transcript event handler - save to DB and publish to the frontend
 recallService.on("transcript", async (transcript) => {
-  const { botId, userId, speaker, text, isFinal, timestamp, confidence } = transcript;
+  const { botId, userId, speaker, text, isFinal, timestamp, confidence, words, startOffset, endOffset } = transcript;
 
   console.log(`📝 Transcript - Bot: ${botId}, Speaker: ${speaker}, Text: "${text}"`);
 
-  // Save final transcripts to database
-  if (isFinal && mongoose.connection.readyState === 1) {
+  // Queue final transcripts for batched storage (webhook segments are stored before they're emitted)
+  if (isFinal && !transcript.stored) {
     try {
-      // Find the meeting associated with this bot
-      const meeting = await Meeting.findOne({ botId, userId, status: { $ne: 'ended' } });
-
-      if (meeting) {
-        meeting.transcriptions.push({
-          speaker: speaker || 'Unknown',
-          text: text,
-          confidence: confidence || 1.0,
-          timestamp: timestamp || new Date(),
-        });
-        await meeting.save();
-        console.log(`💾 Saved transcript to meeting ${meeting._id}`);
-      }
+      await transcriptService.append({
+        botId,
+        userId,
+        speaker,
+        text,
+        confidence,
+        timestamp,
+        words,
+        startOffset,
+        endOffset,
+      });
     } catch (dbError) {
       console.warn("⚠️ Failed to save transcript to DB:", dbError.message);
     }
   }
 
-  // Broadcast to connected WebSocket clients for this user
-  wss.clients.forEach((client) => {
-    if (client.readyState === 1) {
-      const metadata = wsClients.get(client);
-
-      // Send to the user who owns this bot
-      if (metadata?.userId === userId) {
-        client.send(
-          JSON.stringify({
-            type: "transcription",
-            data: {
-              speaker: speaker,
-              text: text,
-              isFinal: isFinal,
-              timestamp: timestamp,
-              confidence: confidence,
-              botId: botId,
-            },
-          })
-        );
-      }
-    }
-  });
+  // Publish to the user's channel, and the redacted text to the meeting's channel
+  // (which gets nothing if the text couldn't be redacted)
+  const meetingId = await meetingIdFor(botId, userId);
+  const redacted = meetingId && (await redactLive(meetingId, userId, { text, words }));
+  const data = {
+    speaker,
+    text,
+    isFinal,
+    timestamp,
+    startOffset,
+    endOffset,
+    words,
+    confidence,
+    botId,
+    meetingId,
+  };
+  realtimeService.publishEvent(
+    { userId, meetingId: redacted ? meetingId : null },
+    "transcription",
+    data,
+    { ...data, ...redacted }
+  );
 });
 
 // Error handling middleware
@@ -356,97 +479,85 @@ server.listen(PORT, () => {
   console.log(`🌍 Environment: ${process.env.NODE_ENV || "development"}`);
 });
 
-// Desktop SDK service event handlers - broadcast session events to connected clients
-recallDesktopService.on("session-created", ({ sessionId, userId }) => {
-  console.log(`📡 Broadcasting session-created event for session ${sessionId}`);
-  wss.clients.forEach((client) => {
-    if (client.readyState === 1) {
-      const metadata = wsClients.get(client);
-      if (metadata) {
-        client.send(
-          JSON.stringify({
-            type: "session_created",
-            data: {
-              sessionId,
-              userId,
-            },
-          })
-        );
-      }
-    }
-  });
+// Desktop SDK service event handlers - publish session events to the owner and the meeting
+recallDesktopService.on("session-created", async ({ sessionId, userId }) => {
+  console.log(`📡 Publishing session-created event for session ${sessionId}`);
+  realtimeService.publishEvent(
+    { userId, meetingId: await meetingIdFor(sessionId, userId) },
+    "session_created",
+    { sessionId, userId }
+  );
 });
 
-recallDesktopService.on("session-stopped", ({ sessionId, userId }) => {
-  console.log(`📡 Broadcasting session-stopped event for session ${sessionId}`);
-  wss.clients.forEach((client) => {
-    if (client.readyState === 1) {
-      const metadata = wsClients.get(client);
-      if (metadata) {
-        client.send(
-          JSON.stringify({
-            type: "session_stopped",
-            data: {
-              sessionId,
-              userId,
-            },
-          })
-        );
-      }
-    }
-  });
+recallDesktopService.on("session-stopped", async ({ sessionId, userId }) => {
+  console.log(`📡 Publishing session-stopped event for session ${sessionId}`);
+  realtimeService.publishEvent(
+    { userId, meetingId: await meetingIdFor(sessionId, userId) },
+    "session_stopped",
+    { sessionId, userId }
+  );
+});
+
+// Desktop SDK upload results - persist the finished recording as a meeting
+recallDesktopService.on("upload-complete", (upload) => {
+  desktopMeetingService.handleUploadComplete(upload);
 });
 
-// Desktop SDK transcript event handler - save to DB and broadcast to frontend
+recallDesktopService.on("upload-failed", (upload) => {
+  desktopMeetingService.handleUploadFailed(upload);
+});
+
+recallDesktopService.on("upload-canceled", ({ uploadId }) => {
+  meetingLifecycleService.endMeetingForBot(uploadId, { status: "canceled", reason: "canceled" });
+});
+
+// Desktop SDK transcript event handler - save to DB and publish to the frontend
 recallDesktopService.on("transcript", async (transcript) => {
-  const { sessionId, userId, speaker, text, isFinal, timestamp, confidence } = transcript;
+  const { sessionId, userId, speaker, text, isFinal, timestamp, confidence, words, startOffset, endOffset } = transcript;
 
   console.log(`📝 Desktop Transcript - Session: ${sessionId}, Speaker: ${speaker}, Text: "${text}"`);
 
-  // Save final transcripts to database
-  if (isFinal && mongoose.connection.readyState === 1) {
+  // Queue final transcripts for batched storage (sessionId is stored as the meeting's botId)
+  if (isFinal) {
     try {
-      // Find the meeting associated with this session (sessionId stored in botId field)
-      const meeting = await Meeting.findOne({ botId: sessionId, userId, status: { $ne: 'ended' } });
-
-      if (meeting) {
-        meeting.transcriptions.push({
-          speaker: speaker || 'Unknown',
-          text: text,
-          confidence: confidence || 1.0,
-          timestamp: timestamp || new Date(),
-        });
-        await meeting.save();
-        console.log(`💾 Saved desktop transcript to meeting ${meeting._id}`);
-      }
+      await transcriptService.append({
+        botId: sessionId,
+        userId,
+        speaker,
+        text,
+        confidence,
+        timestamp,
+        words,
+        startOffset,
+        endOffset,
+      });
     } catch (dbError) {
       console.warn("⚠️ Failed to save desktop transcript to DB:", dbError.message);
     }
   }
 
-  // Broadcast to connected WebSocket clients for this user
-  wss.clients.forEach((client) => {
-    if (client.readyState === 1) {
-      const metadata = wsClients.get(client);
-
-      // Send to the user who owns this session
-      if (metadata?.userId === userId) {
-        client.send(
-          JSON.stringify({
-            type: "transcription",
-            data: {
-              speaker: speaker,
-              text: text,
-              isFinal: isFinal,
-              timestamp: timestamp,
-              confidence: confidence,
-              sessionId: sessionId,
-            },
-          })
-        );
-      }
-    }
-  });
+  // Publish to the user's channel, and the redacted text to the meeting's channel
+  // (which gets nothing if the text couldn't be redacted)
+  const meetingId = await meetingIdFor(sessionId, userId);
+  const redacted = meetingId && (await redactLive(meetingId, userId, { text, words }));
+  const data = {
+    speaker,
+    text,
+    isFinal,
+    timestamp,
+    startOffset,
+    endOffset,
+    words,
+    confidence,
+    sessionId,
+    meetingId,
+  };
+  realtimeService.publishEvent(
+    { userId, meetingId: redacted ? meetingId : null },
+    "transcription",
+    data,
+    { ...data, ...redacted }
+  );
 });
 
 // Graceful shutdown
@@ -457,6 +568,9 @@ process.on("SIGTERM", async () => {
   await recallService.cleanup();
   await recallDesktopService.cleanup();
 
+  // Write any transcript segments still waiting in memory
+  await transcriptService.flushAll();
+
   server.close(() => {
     console.log("HTTP server closed");
   });
@@ -1,13 +1,132 @@
-import { clerkClient, requireAuth } from '@clerk/express';
+import mongoose from 'mongoose';
+import { clerkClient, clerkMiddleware, getAuth, verifyToken } from '@clerk/express';
+import apiTokenService from '../services/apiTokenService.js';
 
-// Middleware to verify Clerk authentication
-export const verifyAuth = requireAuth();
+const clerk = clerkMiddleware();
+
+// Token from an `Authorization: Bearer <token>` header
+const bearerToken = (req) => {
+  const header = req.headers.authorization;
+  return header?.startsWith('Bearer ') ? header.slice(7) : null;
+};
+
+// Middleware to verify authentication - accepts a Clerk session from the
+// `Authorization: Bearer <token>` header (or the session cookie), or a personal
+// access token (`Bearer etk_...`), and answers 401 JSON instead of redirecting.
+// The user ID is attached as req.userId; requests made with a personal access
+// token also get the token as req.apiToken (see requireScope)
+export const verifyAuth = [
+  async (req, res, next) => {
+    const token = bearerToken(req);
+    if (!apiTokenService.isApiToken(token)) {
+      return clerk(req, res, next);
+    }
+
+    try {
+      if (mongoose.connection.readyState !== 1) {
+        return res.status(503).json({ error: 'Database not connected' });
+      }
+
+      const apiToken = await apiTokenService.authenticate(token);
+      if (!apiToken) {
+        return res.status(401).json({ error: 'Invalid, expired or revoked API token' });
+      }
+
+      req.apiToken = apiToken;
+      req.userId = apiToken.userId;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  },
+  (req, res, next) => {
+    if (req.apiToken) {
+      return next();
+    }
+
+    const userId = getRequestUserId(req);
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    req.userId = userId;
+    next();
+  },
+];
+
+// Resolve the user for a WebSocket handshake. Browsers can't set headers on a
+// WebSocket, so the Clerk session token (or a personal access token with
+// meetings:read) is read from ?token=... and then from an Authorization header.
+// Resolves to null when the token is missing or invalid
+export const authenticateUpgrade = async (req) => {
+  const token = new URL(req.url, 'http://localhost').searchParams.get('token') || bearerToken(req);
+
+  if (!token) {
+    return null;
+  }
+
+  try {
+    if (apiTokenService.isApiToken(token)) {
+      const apiToken = mongoose.connection.readyState === 1 ? await apiTokenService.authenticate(token) : null;
+      // Live events carry transcripts, so the token must be allowed to read meetings
+      return apiToken && !apiTokenService.missingScope(apiToken.scopes, 'meetings', 'GET') ? apiToken.userId : null;
+    }
+
+    const payload = await verifyToken(token, { secretKey: process.env.CLERK_SECRET_KEY });
+    return payload.sub || null;
+  } catch (error) {
+    console.warn('⚠️ Rejected WebSocket token:', error.message);
+    return null;
+  }
+};
+
+// Limit personal access tokens to the API area their scopes cover (use after
+// verifyAuth). Reads need <area>:read or <area>:write, changes need <area>:write;
+// Clerk sessions are not limited
+export const requireScope = (area) => (req, res, next) => {
+  if (!req.apiToken) {
+    return next();
+  }
+
+  const missing = apiTokenService.missingScope(req.apiToken.scopes, area, req.method);
+  if (missing) {
+    return res.status(403).json({ error: `This API token needs the ${missing} scope` });
+  }
+  next();
+};
+
+// Refuse personal access tokens on routes that need a signed-in user, such as
+// managing the tokens themselves (use after verifyAuth)
+export const requireSession = (req, res, next) => {
+  if (req.apiToken) {
+    return res.status(403).json({ error: 'This route needs a signed-in session, not an API token' });
+  }
+  next();
+};
+
+// Comma-separated Clerk user IDs allowed to use admin endpoints
+const adminUserIds = (process.env.ADMIN_USER_IDS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+// Whether a user is listed in ADMIN_USER_IDS
+export const isAdmin = (userId) => adminUserIds.includes(userId);
+
+// Restrict a route to admins (use after verifyAuth)
+export const requireAdmin = (req, res, next) => {
+  if (!isAdmin(req.userId)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
 
 // Middleware to get user info from Clerk
 export const getUserInfo = async (req, res, next) => {
   try {
-    if (req.auth && req.auth.userId) {
-      const user = await clerkClient.users.getUser(req.auth.userId);
+    if (req.userId) {
+      const user = await clerkClient.users.getUser(req.userId);
       req.user = {
         id: user.id,
         email: user.emailAddresses[0]?.emailAddress,
@@ -22,11 +141,39 @@ export const getUserInfo = async (req, res, next) => {
   }
 };
 
+// Resolve the requesting user from what verifyAuth verified: the Clerk session
+// (req.auth) or the personal access token. A userId sent by the client - or
+// copied onto req.userId by other middleware - is never trusted
+export const getRequestUserId = (req) => {
+  if (req.apiToken) {
+    return req.apiToken.userId;
+  }
+  return req.auth ? getAuth(req).userId || null : null;
+};
+
+// Require a requesting user and a database connection for per-user settings
+// routes; the user ID is attached as req.userId
+export const requireUser = (req, res, next) => {
+  const userId = getRequestUserId(req);
+
+  if (!userId) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({ error: 'Database not connected' });
+  }
+
+  req.userId = userId;
+  next();
+};
+
 // Optional auth - doesn't require authentication but adds user info if present
 export const optionalAuth = async (req, res, next) => {
   try {
-    if (req.auth && req.auth.userId) {
-      const user = await clerkClient.users.getUser(req.auth.userId);
+    const { userId } = getAuth(req);
+    if (userId) {
+      const user = await clerkClient.users.getUser(userId);
       req.user = {
         id: user.id,
         email: user.emailAddresses[0]?.emailAddress,
@@ -0,0 +1,57 @@
+import recallService from '../services/recallService.js';
+import recallDesktopService from '../services/recallDesktopService.js';
+
+/**
+ * Build a middleware that checks the requesting user owns the resource named
+ * by `key` (a route parameter, or a body field for POST routes).
+ *
+ * @param {string} key - Parameter or body field holding the ID
+ * @param {string} label - Resource name for error messages
+ * @param {Function} getOwner - Resolves an ID to its owner's user ID
+ * @param {boolean} optional - Skip the check when no ID was sent
+ */
+const requireOwner = (key, label, getOwner, optional) => {
+  return async (req, res, next) => {
+    try {
+      const id = req.params[key] || req.body?.[key];
+
+      if (!id) {
+        return optional ? next() : res.status(400).json({ error: `${label} ID is required` });
+      }
+
+      const ownerId = await getOwner(id);
+
+      if (!ownerId) {
+        return res.status(404).json({ error: `${label} not found` });
+      }
+
+      if (ownerId !== req.userId) {
+        return res.status(403).json({ error: `You do not have access to this ${label.toLowerCase()}` });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Check that the requesting user launched the bot named by :botId (or botId in the body)
+ *
+ * @param {Object} options
+ * @param {boolean} options.optional - Let requests without a bot ID through
+ */
+export const requireBotOwner = ({ optional = false } = {}) => {
+  return requireOwner('botId', 'Bot', (botId) => recallService.getBotOwner(botId), optional);
+};
+
+/**
+ * Check that the requesting user created the SDK upload named by :uploadId (or uploadId in the body)
+ *
+ * @param {Object} options
+ * @param {boolean} options.optional - Let requests without an upload ID through
+ */
+export const requireUploadOwner = ({ optional = false } = {}) => {
+  return requireOwner('uploadId', 'Upload', (uploadId) => recallDesktopService.getUploadOwner(uploadId), optional);
+};
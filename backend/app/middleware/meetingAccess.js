@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import Meeting from '../models/Meeting.js';
+import workspaceService from '../services/workspaceService.js';
+import { getRequestUserId } from './auth.js';
+
+/**
+ * Load the meeting named by :meetingId and check that the requesting user may
+ * act on it at the given level:
+ *   - view: the creator, workspace members and teammates it was shared with
+ *   - edit: the creator, workspace owners and editors, and editor shares
+ *   - manage: the creator and workspace owners
+ * Soft-deleted meetings are treated as missing unless includeDeleted is set.
+ *
+ * On success the document is attached as req.meeting, the user's access level
+ * as req.meetingAccess and the caller as req.userId.
+ *
+ * @param {string} level - 'view' | 'edit' | 'manage'
+ * @param {Object} options
+ * @param {string} options.select - Optional projection for the meeting query
+ * @param {boolean} options.includeDeleted - Also match soft-deleted meetings
+ */
+export const requireMeetingAccess = (level = 'view', { select, includeDeleted = false } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const { meetingId } = req.params;
+      const userId = getRequestUserId(req);
+
+      if (!userId) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      if (mongoose.connection.readyState !== 1) {
+        return res.status(503).json({ error: 'Database not connected' });
+      }
+
+      if (!mongoose.isValidObjectId(meetingId)) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+
+      const query = Meeting.findById(meetingId);
+      if (select) {
+        // Inclusive projections must keep the fields the checks below rely on
+        query.select(select.startsWith('-') ? select : `${select} userId workspaceId sharedWith deletedAt`);
+      }
+      const meeting = await query;
+
+      if (!meeting || (meeting.deletedAt && !includeDeleted)) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+
+      const access = await workspaceService.getMeetingAccess(meeting, userId);
+
+      if (!access) {
+        return res.status(403).json({ error: 'You do not have access to this meeting' });
+      }
+
+      if (!workspaceService.allows(access, level)) {
+        return res.status(403).json({
+          error: level === 'manage'
+            ? 'Only the meeting owner can do this'
+            : 'You can only view this meeting',
+        });
+      }
+
+      req.userId = userId;
+      req.meeting = meeting;
+      req.meetingAccess = access;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
@@ -0,0 +1,128 @@
+/**
+ * Per-user, cost-weighted rate limiting.
+ *
+ * Each signed-in user (or, before sign-in, each IP) has a bucket of points that
+ * refills evenly over the window. Every request spends its route's cost; routes
+ * that call paid providers cost more than reads. Requests that can't afford
+ * their cost get 429 with Retry-After set to when enough points will be back.
+ *
+ * Buckets live in memory, so limits are per server process.
+ */
+
+const envNumber = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value : fallback;
+};
+
+const config = {
+  windowMs: envNumber('RATE_LIMIT_WINDOW_MINUTES', 15) * 60 * 1000,
+  // Points per window for a signed-in user (or API token owner)
+  userPoints: envNumber('RATE_LIMIT_USER_POINTS', 600),
+  // Points per window for an IP without a user (public share links)
+  ipPoints: envNumber('RATE_LIMIT_IP_POINTS', 100),
+};
+
+// Points per request; every other route costs 1. Paths use Express syntax.
+export const ROUTE_COSTS = [
+  ['POST', '/api/recall/launch', 50],
+  ['POST', '/api/recall-desktop/create-upload', 50],
+  ['POST', '/api/voice/clone', 50],
+  ['POST', '/api/voice/speak', 20],
+  ['POST', '/api/twin/respond', 25],
+  ['POST', '/api/twin/speak', 25],
+  ['POST', '/api/twin/generate-response', 10],
+  ['POST', '/api/twin/suggestions', 10],
+  ['POST', '/api/twin/analyze-sentiment', 10],
+  ['POST', '/api/summary/generate', 20],
+  ['POST', '/api/summary/:meetingId/regenerate', 20],
+  ['GET', '/api/search', 3],
+].map(([method, path, cost]) => ({
+  method,
+  pattern: new RegExp(`^${path.replace(/:[^/]+/g, '[^/]+')}/?$`),
+  cost,
+}));
+
+// key -> { points, updatedAt }
+const buckets = new Map();
+
+/**
+ * Points a request costs
+ *
+ * @param {Object} req - Express request
+ * @returns {number}
+ */
+export const getRequestCost = (req) => {
+  const path = `${req.baseUrl}${req.path}`;
+  const route = ROUTE_COSTS.find(entry => entry.method === req.method && entry.pattern.test(path));
+  return route ? route.cost : 1;
+};
+
+/**
+ * Spend points from a bucket, refilling it for the time since it was last used
+ *
+ * @param {string} key - Bucket key
+ * @param {number} capacity - Points per window
+ * @param {number} cost - Points to spend
+ * @returns {Object} { allowed, remaining, retryAfterMs, resetMs }
+ */
+const spend = (key, capacity, cost) => {
+  const now = Date.now();
+  const refillPerMs = capacity / config.windowMs;
+  const bucket = buckets.get(key) || { points: capacity, updatedAt: now };
+
+  bucket.points = Math.min(capacity, bucket.points + (now - bucket.updatedAt) * refillPerMs);
+  bucket.updatedAt = now;
+  buckets.set(key, bucket);
+
+  const allowed = bucket.points >= cost;
+  if (allowed) {
+    bucket.points -= cost;
+  }
+
+  return {
+    allowed,
+    remaining: Math.floor(bucket.points),
+    retryAfterMs: allowed ? 0 : (cost - bucket.points) / refillPerMs,
+    resetMs: (capacity - bucket.points) / refillPerMs,
+  };
+};
+
+/**
+ * Rate limit by the authenticated user, falling back to the client IP.
+ * Use after verifyAuth so requests are keyed by user rather than IP.
+ */
+export const rateLimit = (req, res, next) => {
+  const cost = getRequestCost(req);
+  const key = req.userId ? `user:${req.userId}` : `ip:${req.ip}`;
+  const capacity = req.userId ? config.userPoints : config.ipPoints;
+
+  const { allowed, remaining, retryAfterMs, resetMs } = spend(key, capacity, cost);
+
+  res.set({
+    'RateLimit-Limit': String(capacity),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(Math.ceil(resetMs / 1000)),
+  });
+
+  if (!allowed) {
+    const retryAfter = Math.ceil(retryAfterMs / 1000);
+    console.warn(`🚦 Rate limited ${key} on ${req.method} ${req.baseUrl}${req.path} (cost ${cost})`);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      error: `Too many requests, try again in ${retryAfter} seconds`,
+      retryAfter,
+    });
+  }
+
+  next();
+};
+
+// Drop buckets that have refilled completely; they're the same as a new one
+setInterval(() => {
+  const cutoff = Date.now() - config.windowMs;
+  for (const [key, bucket] of buckets) {
+    if (bucket.updatedAt < cutoff) {
+      buckets.delete(key);
+    }
+  }
+}, 60 * 1000).unref();
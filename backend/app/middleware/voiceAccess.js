@@ -0,0 +1,48 @@
+import elevenlabsService from '../services/elevenlabsService.js';
+import workspaceService from '../services/workspaceService.js';
+
+/**
+ * Whether a user may use a voice. Cloned voices are private to the user who
+ * cloned them (stored in the userId label) unless they were cloned into a
+ * workspace (workspaceId label) the user belongs to.
+ *
+ * @param {Object} voice - ElevenLabs voice
+ * @param {string} userId - User ID
+ * @param {Array<string>} workspaceIds - IDs of the user's workspaces
+ * @returns {boolean}
+ */
+export const canUseVoice = (voice, userId, workspaceIds) => voice.category !== 'cloned'
+  || voice.labels?.userId === userId
+  || workspaceIds.includes(voice.labels?.workspaceId);
+
+/**
+ * IDs of a user's workspaces, as stored in voice labels
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} Workspace IDs
+ */
+export const getVoiceWorkspaceIds = async (userId) =>
+  (await workspaceService.getWorkspaceIds(userId)).map(id => id.toString());
+
+/**
+ * Check that the requesting user may speak with the voice named by voiceId in
+ * the body. Requests without a voiceId (the default voice) pass.
+ */
+export const requireVoiceAccess = async (req, res, next) => {
+  try {
+    const voiceId = req.body?.voiceId;
+    if (!voiceId) {
+      return next();
+    }
+
+    const voice = await elevenlabsService.getVoice(voiceId);
+
+    if (!canUseVoice(voice, req.userId, await getVoiceWorkspaceIds(req.userId))) {
+      return res.status(403).json({ error: 'You do not have access to this voice' });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
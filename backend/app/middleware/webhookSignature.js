@@ -0,0 +1,147 @@
+import crypto from 'crypto';
+
+// Recall.ai signs webhooks the Svix way with the endpoint's secret (whsec_<base64 key>)
+const secret = process.env.RECALL_WEBHOOK_SECRET || '';
+const key = secret ? Buffer.from(secret.replace(/^whsec_/, ''), 'base64') : null;
+
+// Deliveries signed longer ago (or further ahead) than this are refused
+const TOLERANCE_MS = 5 * 60 * 1000;
+
+// Without a secret, webhooks are only accepted outside production
+const allowUnsigned = !key && process.env.NODE_ENV !== 'production';
+
+if (!key) {
+  console.warn(allowUnsigned
+    ? '⚠️  RECALL_WEBHOOK_SECRET not set - Recall.ai webhook signatures are not checked'
+    : '⚠️  RECALL_WEBHOOK_SECRET not set - Recall.ai webhooks will be rejected');
+}
+
+// Signed deliveries seen within the tolerance window ("<id>.<timestamp>" -> expiry)
+const seen = new Map();
+
+// Deliveries accepted and rejected (by reason) since the server started
+const metrics = {
+  accepted: 0,
+  rejected: {
+    unconfigured: 0,
+    missing_headers: 0,
+    invalid_signature: 0,
+    stale: 0,
+    replay: 0,
+  },
+  lastRejectedAt: null,
+};
+
+// Recall.ai sends webhook-* headers; older deliveries use svix-*
+const header = (req, name) => req.get(`webhook-${name}`) || req.get(`svix-${name}`);
+
+/**
+ * Whether a signature header holds a valid signature of a delivery.
+ * The signed content is "<id>.<timestamp>.<raw body>"; the header lists one or more
+ * space-separated "v1,<base64 HMAC-SHA256>" signatures (several while a secret rotates).
+ *
+ * @param {string} id - Delivery ID
+ * @param {string} timestamp - Unix seconds the delivery was signed at
+ * @param {string} signatures - Signature header
+ * @param {Buffer} rawBody - Request body as received
+ * @returns {boolean}
+ */
+const hasValidSignature = (id, timestamp, signatures, rawBody) => {
+  const expected = crypto
+    .createHmac('sha256', key)
+    .update(`${id}.${timestamp}.`)
+    .update(rawBody)
+    .digest();
+
+  return signatures.split(' ').some(entry => {
+    const [version, signature] = entry.split(',');
+    const actual = Buffer.from(signature || '', 'base64');
+    return version === 'v1' && actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  });
+};
+
+/**
+ * Why a delivery should be refused
+ *
+ * @param {Object} req - Express request with rawBody
+ * @returns {string|null} Metric reason, or null if the delivery is genuine and new
+ */
+const rejectionReason = (req) => {
+  if (!key) {
+    return allowUnsigned ? null : 'unconfigured';
+  }
+
+  const id = header(req, 'id');
+  const timestamp = header(req, 'timestamp');
+  const signatures = header(req, 'signature');
+
+  if (!id || !timestamp || !signatures || !req.rawBody) {
+    return 'missing_headers';
+  }
+
+  if (!hasValidSignature(id, timestamp, signatures, req.rawBody)) {
+    return 'invalid_signature';
+  }
+
+  // Checked after the signature so the timestamp can be trusted
+  const signedAt = Number(timestamp) * 1000;
+  if (!Number.isFinite(signedAt) || Math.abs(Date.now() - signedAt) > TOLERANCE_MS) {
+    return 'stale';
+  }
+
+  // Recall.ai retries re-sign with a new timestamp; the same signed delivery twice is a replay
+  const deliveryKey = `${id}.${timestamp}`;
+  if (seen.has(deliveryKey)) {
+    return 'replay';
+  }
+  seen.set(deliveryKey, signedAt + TOLERANCE_MS);
+
+  return null;
+};
+
+/**
+ * Reject Recall.ai webhook deliveries that aren't signed with RECALL_WEBHOOK_SECRET,
+ * were signed more than 5 minutes away from now, or were already received.
+ * Needs the raw body, kept as req.rawBody by the JSON parser.
+ */
+export const verifyWebhookSignature = (req, res, next) => {
+  const reason = rejectionReason(req);
+
+  if (!reason) {
+    metrics.accepted++;
+    return next();
+  }
+
+  metrics.rejected[reason]++;
+  metrics.lastRejectedAt = new Date().toISOString();
+  console.warn(`🚫 Rejected webhook (${reason}): ${req.method} ${req.originalUrl} from ${req.ip}`);
+
+  if (reason === 'unconfigured') {
+    return res.status(503).json({ error: 'Webhook secret not configured' });
+  }
+  if (reason === 'replay') {
+    return res.status(409).json({ error: 'Webhook already received' });
+  }
+  res.status(401).json({ error: reason === 'stale' ? 'Webhook timestamp too old' : 'Invalid webhook signature' });
+};
+
+/**
+ * Webhook delivery counts since the server started
+ *
+ * @returns {Object} { accepted, rejected: { <reason>: count }, lastRejectedAt }
+ */
+export const getWebhookMetrics = () => ({
+  accepted: metrics.accepted,
+  rejected: { ...metrics.rejected },
+  lastRejectedAt: metrics.lastRejectedAt,
+});
+
+// Forget deliveries once they'd be refused as stale anyway
+setInterval(() => {
+  const now = Date.now();
+  for (const [deliveryKey, expiresAt] of seen) {
+    if (expiresAt < now) {
+      seen.delete(deliveryKey);
+    }
+  }
+}, 60 * 1000).unref();
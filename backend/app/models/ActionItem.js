@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+export const ACTION_ITEM_STATUSES = ['open', 'in_progress', 'done', 'canceled'];
+export const ACTION_ITEM_PRIORITIES = ['low', 'medium', 'high'];
+
+/**
+ * A follow-up task agreed in a meeting.
+ *
+ * Items are extracted from the meeting's current summary (source 'summary')
+ * or added by hand (source 'manual'). Once the user edits an extracted item it
+ * is kept as-is when the summary is regenerated.
+ */
+const actionItemSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  meetingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting',
+    default: null
+  },
+  // Workspace whose members can see the item (follows the meeting's workspace)
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  assignee: {
+    type: String,
+    trim: true
+  },
+  dueDate: {
+    type: Date,
+    default: null
+  },
+  // Due date as said in the meeting when it isn't a parseable date (e.g. "next sprint")
+  dueDateText: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ACTION_ITEM_STATUSES,
+    default: 'open'
+  },
+  priority: {
+    type: String,
+    enum: ACTION_ITEM_PRIORITIES,
+    default: 'medium'
+  },
+  // Where in the transcript the item was agreed
+  sourceTimestamp: {
+    type: Date
+  },
+  sourceOffsetSeconds: {
+    type: Number
+  },
+  source: {
+    type: String,
+    enum: ['summary', 'manual'],
+    default: 'manual'
+  },
+  summaryVersion: {
+    type: Number
+  },
+  completedAt: {
+    type: Date
+  },
+  // Set on the first user edit; edited items survive summary regeneration
+  editedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// "My open items" lists a user's items by status and due date
+actionItemSchema.index({ userId: 1, status: 1, dueDate: 1 });
+actionItemSchema.index({ meetingId: 1, source: 1 });
+actionItemSchema.index({ workspaceId: 1, status: 1 });
+
+export default mongoose.model('ActionItem', actionItemSchema);
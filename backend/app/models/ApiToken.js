@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// Areas of the API a token can be allowed to use; each has a :read and a :write scope
+export const API_TOKEN_AREAS = ['meetings', 'bots', 'voice', 'settings', 'workspaces'];
+export const API_TOKEN_SCOPES = API_TOKEN_AREAS.flatMap(area => [`${area}:read`, `${area}:write`]);
+
+/**
+ * A personal access token for scripts calling the API as a user.
+ *
+ * Only the SHA-256 hash of the token is stored; the token itself is shown
+ * once, when it is created. `prefix` keeps its first characters so users can
+ * tell tokens apart.
+ */
+const apiTokenSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [String],
+    enum: API_TOKEN_SCOPES,
+    required: true
+  },
+  // null for tokens that don't expire
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('ApiToken', apiTokenSchema);
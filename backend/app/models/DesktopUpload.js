@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+/**
+ * Persistent copy of recallDesktopService.activeUploads so upload sessions
+ * survive restarts. An upload is active until endedAt is set.
+ */
+const desktopUploadSchema = new mongoose.Schema({
+  uploadId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  uploadToken: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  meetingTitle: {
+    type: String
+  },
+  status: {
+    type: String,
+    default: 'created'
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+desktopUploadSchema.index({ endedAt: 1 });
+
+export default mongoose.model('DesktopUpload', desktopUploadSchema);
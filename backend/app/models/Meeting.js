@@ -21,12 +21,65 @@ const transcriptionSchema = new mongoose.Schema({
   }
 });
 
+const summarySchema = new mongoose.Schema({
+  // Increments with every generated summary for the meeting (1, 2, ...).
+  // 0 marks a summary saved before versioning.
+  version: {
+    type: Number
+  },
+  summary: {
+    type: String
+  },
+  keyPoints: [String],
+  actionItems: [{
+    text: String,
+    assignee: String,
+    // Free text as said in the meeting (e.g. "next Friday")
+    dueDate: String,
+    priority: String,
+    // Seconds from the start of the transcript to where the item was agreed
+    offsetSeconds: Number,
+    completed: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  decisions: [String],
+  model: {
+    type: String
+  },
+  promptVersion: {
+    type: Number
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
 const meetingSchema = new mongoose.Schema({
   userId: {
     type: String,
     required: true,
     index: true
   },
+  // Workspace the meeting belongs to; null for a personal meeting
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null,
+    index: true
+  },
+  // Teammates the meeting was shared with individually
+  sharedWith: [{
+    _id: false,
+    userId: { type: String, required: true },
+    role: { type: String, enum: ['viewer', 'editor'], default: 'viewer' },
+    sharedBy: { type: String },
+    sharedAt: { type: Date, default: Date.now }
+  }],
   botId: {
     type: String,
     index: true,
@@ -56,19 +109,67 @@ const meetingSchema = new mongoose.Schema({
   endTime: {
     type: Date
   },
+  // Set when the meeting is closed out (endTime - startTime)
+  durationSeconds: {
+    type: Number
+  },
+  // Why the meeting ended (e.g. left, call_ended, fatal, upload_complete)
+  endReason: {
+    type: String
+  },
   status: {
     type: String,
-    enum: ['active', 'ended'],
+    enum: ['active', 'ended', 'canceled', 'failed'],
     default: 'active'
   },
-  transcriptions: [transcriptionSchema],
+  // Why the recording failed (e.g. Desktop SDK upload errors)
+  failureReason: {
+    type: String
+  },
+  // Set when the user soft-deletes the meeting (hidden from history, restorable)
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // Legacy: transcripts used to be embedded here. New segments are stored in the
+  // TranscriptSegment collection; see scripts/migrate-transcripts.js
+  transcriptions: {
+    type: [transcriptionSchema],
+    default: undefined
+  },
+  transcriptCount: {
+    type: Number,
+    default: 0
+  },
+  // Set when the retention job deleted the transcript
+  transcriptPurgedAt: {
+    type: Date,
+    default: null
+  },
+  // Current summary: the pinned version, otherwise the latest one
   summary: {
-    keyPoints: [String],
-    actionItems: [{
-      text: String,
-      dueDate: Date,
-      completed: Boolean
-    }]
+    type: summarySchema,
+    default: undefined
+  },
+  // Generated summaries, oldest first (only the most recent ones are kept)
+  summaryVersions: {
+    type: [summarySchema],
+    default: []
+  },
+  // Number of summaries ever generated; used to number new versions
+  summaryVersionCount: {
+    type: Number,
+    default: 0
+  },
+  // Version chosen by the user; new generations don't replace it as the current summary
+  pinnedSummaryVersion: {
+    type: Number,
+    default: null
+  },
+  // Set when the retention job deleted the summaries
+  summaryPurgedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -77,5 +178,11 @@ const meetingSchema = new mongoose.Schema({
 // Indexes for efficient queries
 meetingSchema.index({ userId: 1, startTime: -1 });
 meetingSchema.index({ botId: 1, userId: 1 });
+meetingSchema.index({ 'sharedWith.userId': 1 });
+// Full-text search over the current summary (scoped to visible meetings by searchService)
+meetingSchema.index(
+  { 'summary.summary': 'text', 'summary.keyPoints': 'text', 'summary.decisions': 'text' },
+  { name: 'summary_search' }
+);
 
 export default mongoose.model('Meeting', meetingSchema);
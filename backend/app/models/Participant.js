@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+/**
+ * A person in a meeting's roster.
+ *
+ * speakerLabel is the raw label the transcription provider uses for this person
+ * (e.g. "Speaker 1" or a Zoom display name). Labels merged into this participant
+ * are kept in aliases, so later segments with those labels map here too.
+ */
+const participantSchema = new mongoose.Schema({
+  meetingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting',
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  speakerLabel: {
+    type: String,
+    required: true
+  },
+  aliases: {
+    type: [String],
+    default: []
+  },
+  // Name shown in transcripts and summaries (defaults to the speaker label)
+  displayName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Participant ID from Recall.ai participant events
+  recallParticipantId: {
+    type: String
+  },
+  isHost: {
+    type: Boolean,
+    default: false
+  },
+  platform: {
+    type: String
+  },
+  joinedAt: {
+    type: Date
+  },
+  // Cleared when the participant rejoins
+  leftAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+participantSchema.index({ meetingId: 1, speakerLabel: 1 }, { unique: true });
+participantSchema.index({ meetingId: 1, aliases: 1 });
+
+export default mongoose.model('Participant', participantSchema);
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+/**
+ * Persistent copy of recallService.activeBots so live bots survive restarts.
+ * A bot is live until endedAt is set.
+ */
+const recallBotSchema = new mongoose.Schema({
+  botId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  meetingUrl: {
+    type: String
+  },
+  botName: {
+    type: String
+  },
+  status: {
+    type: String,
+    default: 'created'
+  },
+  // When the bot started recording; Recall.ai word times are relative to this
+  recordingStartedAt: {
+    type: Date
+  },
+  // How transcripts reach us: 'webhook', 'websocket' or 'websocket-failed'
+  transcriptMode: {
+    type: String
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+recallBotSchema.index({ endedAt: 1 });
+
+export default mongoose.model('RecallBot', recallBotSchema);
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+export const REDACTION_MODES = ['off', 'storage', 'llm', 'both'];
+export const REDACTION_TYPES = ['email', 'phone', 'card'];
+
+/**
+ * What a user's transcripts are redacted for and which PII is matched.
+ *
+ * mode decides where redaction runs: before segments are stored ('storage'),
+ * before text is sent to Gemini ('llm'), or both. Unset fields fall back to the
+ * server defaults (REDACTION_MODE).
+ */
+const redactionPolicySchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  mode: {
+    type: String,
+    enum: REDACTION_MODES
+  },
+  // Built-in detectors to run
+  types: {
+    type: [String],
+    enum: REDACTION_TYPES,
+    default: undefined
+  },
+  // Custom regular expressions (matched case-sensitively unless flags include 'i')
+  patterns: {
+    type: [{
+      _id: false,
+      name: { type: String, required: true, trim: true },
+      pattern: { type: String, required: true },
+      flags: { type: String, default: '' }
+    }],
+    default: undefined
+  },
+  // Words or phrases redacted wherever they appear (case-insensitive)
+  keywords: {
+    type: [String],
+    default: undefined
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('RedactionPolicy', redactionPolicySchema);
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+/**
+ * How long a user's meeting data is kept. A null period keeps that data
+ * forever; unset fields fall back to the server defaults (RETENTION_* env vars).
+ * Periods are counted from the end of the meeting (or from deletion for trash).
+ */
+const retentionPolicySchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Transcript segments
+  transcriptDays: {
+    type: Number,
+    min: 1
+  },
+  // Summaries and their versions
+  summaryDays: {
+    type: Number,
+    min: 1
+  },
+  // Soft-deleted meetings are permanently removed after this many days in the trash
+  trashDays: {
+    type: Number,
+    min: 1
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('RetentionPolicy', retentionPolicySchema);
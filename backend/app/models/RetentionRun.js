@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+const removedCountsSchema = new mongoose.Schema({
+  // Meetings whose transcript was purged, and the segments removed with them
+  transcripts: { type: Number, default: 0 },
+  segments: { type: Number, default: 0 },
+  summaries: { type: Number, default: 0 },
+  // Trashed meetings permanently deleted
+  meetings: { type: Number, default: 0 }
+}, { _id: false });
+
+/**
+ * Report of one retention purge: what was removed, per user, per workspace and from disk.
+ * Runs that removed nothing are not stored. Reports expire after a year.
+ */
+const retentionRunSchema = new mongoose.Schema({
+  // 'schedule' for the background job, 'manual' when a user runs it
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  finishedAt: {
+    type: Date
+  },
+  totals: {
+    type: removedCountsSchema,
+    default: () => ({})
+  },
+  users: [{
+    _id: false,
+    userId: { type: String, required: true },
+    removed: removedCountsSchema
+  }],
+  // Workspace policies, applied to the workspaces' meetings after their owners' own
+  workspaces: [{
+    _id: false,
+    workspaceId: { type: String, required: true },
+    removed: removedCountsSchema
+  }],
+  // TTS files removed from temp/audio
+  audioFiles: {
+    type: Number,
+    default: 0
+  },
+  audioBytes: {
+    type: Number,
+    default: 0
+  },
+  // Users or steps that failed; the rest of the run still completes
+  failures: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+retentionRunSchema.index({ 'users.userId': 1, startedAt: -1 });
+retentionRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+export default mongoose.model('RetentionRun', retentionRunSchema);
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+export const SHARE_SECTIONS = ['summary', 'keyPoints', 'decisions', 'actionItems', 'transcript'];
+
+/**
+ * A public, read-only link to a meeting's summary (and optionally its transcript).
+ *
+ * The link's token is the link ID signed with SHARE_LINK_SECRET and the
+ * expiry, so IDs can't be guessed and the expiry can't be changed. Links stop
+ * working when they expire or are revoked.
+ */
+const shareLinkSchema = new mongoose.Schema({
+  meetingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting',
+    required: true,
+    index: true
+  },
+  // User who created the link
+  createdBy: {
+    type: String,
+    required: true
+  },
+  // Optional note to tell links apart (e.g. the client's name)
+  label: {
+    type: String,
+    trim: true
+  },
+  // Parts of the meeting the link exposes
+  sections: {
+    type: [String],
+    enum: SHARE_SECTIONS,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  accessCount: {
+    type: Number,
+    default: 0
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('ShareLink', shareLinkSchema);
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+/**
+ * One opening of a public share link, for the meeting owner's access log
+ */
+const shareLinkAccessSchema = new mongoose.Schema({
+  linkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShareLink',
+    required: true
+  },
+  meetingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting',
+    required: true,
+    index: true
+  },
+  accessedAt: {
+    type: Date,
+    default: Date.now
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+});
+
+shareLinkAccessSchema.index({ linkId: 1, accessedAt: -1 });
+
+export default mongoose.model('ShareLinkAccess', shareLinkAccessSchema);
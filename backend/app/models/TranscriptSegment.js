@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+/**
+ * A single final transcript segment.
+ *
+ * Segments live in their own collection (instead of an array embedded in
+ * Meeting) so that long meetings never grow a single document without bound.
+ */
+const transcriptSegmentSchema = new mongoose.Schema({
+  meetingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting',
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  // Display name of the speaker (see Participant); follows renames and merges
+  speaker: {
+    type: String,
+    required: true,
+    default: 'Unknown'
+  },
+  // Raw label from the transcription provider
+  speakerLabel: {
+    type: String
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  // PII replaced before storage (see redactionService): placeholder positions in text
+  redactions: {
+    type: [{
+      _id: false,
+      start: Number,
+      end: Number,
+      type: { type: String },
+      label: String
+    }],
+    default: undefined
+  },
+  // The replaced text, one entry per redaction; only read for the meeting owner
+  redactedOriginals: {
+    type: [String],
+    default: undefined,
+    select: false
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  // Seconds from the start of the recording (for seeking and citations)
+  startOffset: {
+    type: Number
+  },
+  endOffset: {
+    type: Number
+  },
+  // Word-level timings in seconds from the start of the recording, when Recall.ai sends them
+  words: {
+    type: [{
+      _id: false,
+      text: String,
+      start: Number,
+      end: Number
+    }],
+    default: undefined
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 1
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Transcript reads page through a meeting in time order
+transcriptSegmentSchema.index({ meetingId: 1, timestamp: 1, _id: 1 });
+transcriptSegmentSchema.index({ meetingId: 1, speaker: 1 });
+// Full-text search; results are scoped to the meetings a user can see (see searchService),
+// which can belong to other users, so the index has no userId prefix
+transcriptSegmentSchema.index({ text: 'text' }, { name: 'segment_search' });
+
+export default mongoose.model('TranscriptSegment', transcriptSegmentSchema);
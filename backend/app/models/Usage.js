@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+/**
+ * A user's metered use of paid providers in one calendar month (UTC).
+ * Counters are incremented as bots end, LLM calls return and TTS audio is generated.
+ */
+const usageSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  // Month as YYYY-MM
+  period: {
+    type: String,
+    required: true
+  },
+  // Recall.ai: bots launched and minutes they spent from creation until they left
+  bots: {
+    type: Number,
+    default: 0
+  },
+  botMinutes: {
+    type: Number,
+    default: 0
+  },
+  // Gemini: calls and tokens in prompts and responses
+  llmCalls: {
+    type: Number,
+    default: 0
+  },
+  llmInputTokens: {
+    type: Number,
+    default: 0
+  },
+  llmOutputTokens: {
+    type: Number,
+    default: 0
+  },
+  // ElevenLabs: TTS calls and characters converted
+  ttsCalls: {
+    type: Number,
+    default: 0
+  },
+  ttsCharacters: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+usageSchema.index({ userId: 1, period: 1 }, { unique: true });
+usageSchema.index({ period: 1 });
+
+export default mongoose.model('Usage', usageSchema);
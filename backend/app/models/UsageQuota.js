@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+/**
+ * An admin's override of a user's monthly quotas. A null quota is unlimited;
+ * unset fields fall back to the server defaults (USAGE_QUOTA_* env vars).
+ */
+const usageQuotaSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Recall.ai bot minutes per month
+  botMinutes: {
+    type: Number,
+    min: 0
+  },
+  // ElevenLabs TTS characters per month
+  ttsCharacters: {
+    type: Number,
+    min: 0
+  },
+  updatedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('UsageQuota', usageQuotaSchema);
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+export const WEBHOOK_SOURCES = ['recall', 'recall-desktop'];
+export const WEBHOOK_EVENT_STATUSES = ['pending', 'processed', 'ignored', 'failed'];
+
+/**
+ * A webhook delivery from Recall.ai, stored before it is processed so it can be
+ * deduplicated on its delivery ID, retried after a restart and replayed by admins.
+ * Transcript text is removed from the payload once the event is processed or
+ * ignored (the meeting keeps the redacted copy); events expire after 14 days and
+ * are deleted with their meeting's transcript.
+ */
+const webhookEventSchema = new mongoose.Schema({
+  // webhook-id header (the same on Recall's retries), or a hash of the body without one
+  deliveryId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  source: {
+    type: String,
+    enum: WEBHOOK_SOURCES,
+    required: true
+  },
+  // Event type, e.g. transcript.segment or sdk_upload.complete
+  event: {
+    type: String
+  },
+  botId: {
+    type: String
+  },
+  uploadId: {
+    type: String
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // pending until processed; ignored when there was nothing to do (e.g. unknown bot)
+  status: {
+    type: String,
+    enum: WEBHOOK_EVENT_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Why the last attempt failed or was ignored
+  error: {
+    type: String,
+    default: null
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  },
+  // When transcript text was removed from the payload
+  textRemovedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+webhookEventSchema.index({ botId: 1, receivedAt: 1 });
+webhookEventSchema.index({ uploadId: 1, receivedAt: 1 });
+webhookEventSchema.index({ status: 1 });
+webhookEventSchema.index({ receivedAt: 1 }, { expireAfterSeconds: 14 * 24 * 60 * 60 });
+
+export default mongoose.model('WebhookEvent', webhookEventSchema);
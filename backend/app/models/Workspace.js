@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+export const WORKSPACE_ROLES = ['owner', 'editor', 'viewer'];
+
+/**
+ * A team that shares meetings, action items and voices.
+ *
+ * Owners manage the workspace and its members, editors can change shared
+ * meetings (rename, regenerate summaries, edit action items) and viewers can
+ * only read them. A workspace always keeps at least one owner. Owners can also
+ * set redaction patterns, keywords and retention periods for every meeting in
+ * the workspace.
+ */
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // User who created the workspace
+  createdBy: {
+    type: String,
+    required: true
+  },
+  members: [{
+    _id: false,
+    userId: { type: String, required: true },
+    role: { type: String, enum: WORKSPACE_ROLES, required: true },
+    addedAt: { type: Date, default: Date.now }
+  }],
+  // Redaction patterns and keywords for the workspace's meetings, applied on
+  // top of each meeting owner's own policy
+  redaction: {
+    patterns: [{
+      _id: false,
+      name: { type: String, required: true, trim: true },
+      pattern: { type: String, required: true },
+      flags: { type: String, default: '' }
+    }],
+    keywords: [String]
+  },
+  // Retention periods in days for the workspace's meetings, applied on top of each
+  // meeting owner's own policy (the shorter period wins); null sets no limit
+  retention: {
+    transcriptDays: { type: Number, min: 1, default: null },
+    summaryDays: { type: Number, min: 1, default: null },
+    trashDays: { type: Number, min: 1, default: null }
+  }
+}, {
+  timestamps: true
+});
+
+workspaceSchema.index({ 'members.userId': 1 });
+
+export default mongoose.model('Workspace', workspaceSchema);
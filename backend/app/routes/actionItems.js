@@ -0,0 +1,385 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import ActionItem, { ACTION_ITEM_STATUSES, ACTION_ITEM_PRIORITIES } from '../models/ActionItem.js';
+import Meeting from '../models/Meeting.js';
+import actionItemService from '../services/actionItemService.js';
+import workspaceService from '../services/workspaceService.js';
+import { getRequestUserId } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const OPEN_STATUSES = ['open', 'in_progress'];
+
+/**
+ * Shape an action item for API responses
+ */
+const formatActionItem = (item, meeting) => ({
+  id: item._id.toString(),
+  meetingId: item.meetingId ? item.meetingId.toString() : null,
+  workspaceId: item.workspaceId ? item.workspaceId.toString() : null,
+  meetingTitle: meeting?.title,
+  text: item.text,
+  assignee: item.assignee,
+  dueDate: item.dueDate,
+  dueDateText: item.dueDateText,
+  status: item.status,
+  priority: item.priority,
+  sourceTimestamp: item.sourceTimestamp,
+  sourceOffsetSeconds: item.sourceOffsetSeconds,
+  source: item.source,
+  completedAt: item.completedAt,
+  createdAt: item.createdAt,
+  updatedAt: item.updatedAt,
+});
+
+/**
+ * Validate and apply the editable fields of an action item
+ *
+ * @returns {string|null} Error message, or null if every field is valid
+ */
+const applyFields = (item, body) => {
+  if (body.text !== undefined) {
+    if (typeof body.text !== 'string' || !body.text.trim()) {
+      return 'text must be a non-empty string';
+    }
+    item.text = body.text.trim();
+  }
+
+  if (body.assignee !== undefined) {
+    item.assignee = body.assignee ? String(body.assignee).trim() : undefined;
+  }
+
+  if (body.dueDate !== undefined) {
+    const { dueDate, dueDateText } = actionItemService.parseDueDate(body.dueDate);
+    if (body.dueDate && !dueDate) {
+      return 'dueDate must be a valid date';
+    }
+    item.dueDate = dueDate;
+    item.dueDateText = dueDateText;
+  }
+
+  if (body.priority !== undefined) {
+    if (!ACTION_ITEM_PRIORITIES.includes(body.priority)) {
+      return `priority must be one of: ${ACTION_ITEM_PRIORITIES.join(', ')}`;
+    }
+    item.priority = body.priority;
+  }
+
+  if (body.status !== undefined) {
+    if (!ACTION_ITEM_STATUSES.includes(body.status)) {
+      return `status must be one of: ${ACTION_ITEM_STATUSES.join(', ')}`;
+    }
+    if (body.status !== item.status) {
+      item.completedAt = body.status === 'done' ? new Date() : undefined;
+    }
+    item.status = body.status;
+  }
+
+  return null;
+};
+
+/**
+ * Load the action item named by :itemId and check that the requesting user may
+ * act on it at the given level ('view' or 'edit'; see workspaceService.getActionItemAccess).
+ * On success the document is attached as req.actionItem and the caller as req.userId.
+ */
+const requireItemAccess = (level) => async (req, res, next) => {
+  try {
+    const userId = getRequestUserId(req);
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+
+    const item = mongoose.isValidObjectId(req.params.itemId)
+      ? await ActionItem.findById(req.params.itemId)
+      : null;
+
+    if (!item) {
+      return res.status(404).json({ error: 'Action item not found' });
+    }
+
+    if (!workspaceService.allows(await workspaceService.getActionItemAccess(item, userId), level)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    req.userId = userId;
+    req.actionItem = item;
+    next();
+  } catch (error) {
+    console.error('Error loading action item:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * List the action items the user can see across all meetings
+ * GET /api/action-items
+ *
+ * Includes the user's own items, items of their workspaces and items of
+ * meetings shared with them.
+ * Open items with the nearest due date come first; items without a due date last.
+ *
+ * Query:
+ *   - status: Comma-separated statuses, or "all" (default: open,in_progress)
+ *   - meetingId: Only items from this meeting
+ *   - workspaceId: Only items of this workspace ('personal' for the user's own, outside workspaces)
+ *   - assignee: Only items assigned to this person (case-insensitive)
+ *   - priority: low | medium | high
+ *   - page: Page number (default 1)
+ *   - limit: Page size (default 50, max 200)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const userId = getRequestUserId(req);
+    const { meetingId, workspaceId, assignee, priority } = req.query;
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+
+    const meetingFilter = await workspaceService.accessibleMeetingsFilter(userId, { workspaceId });
+
+    // Items carry the same userId/workspaceId fields as meetings
+    let match;
+    if (workspaceId) {
+      match = { ...meetingFilter };
+    } else {
+      const [workspaceIds, sharedMeetingIds] = await Promise.all([
+        workspaceService.getWorkspaceIds(userId),
+        Meeting.find({ 'sharedWith.userId': userId, deletedAt: null }).distinct('_id'),
+      ]);
+      match = {
+        $or: [
+          { userId },
+          ...(workspaceIds.length ? [{ workspaceId: { $in: workspaceIds } }] : []),
+          ...(sharedMeetingIds.length ? [{ meetingId: { $in: sharedMeetingIds } }] : []),
+        ],
+      };
+    }
+
+    const statuses = req.query.status === 'all'
+      ? ACTION_ITEM_STATUSES
+      : (req.query.status ? req.query.status.split(',') : OPEN_STATUSES);
+    if (statuses.some(status => !ACTION_ITEM_STATUSES.includes(status))) {
+      return res.status(400).json({ error: `status must be one of: ${ACTION_ITEM_STATUSES.join(', ')}, all` });
+    }
+    match.status = { $in: statuses };
+
+    if (priority) {
+      if (!ACTION_ITEM_PRIORITIES.includes(priority)) {
+        return res.status(400).json({ error: `priority must be one of: ${ACTION_ITEM_PRIORITIES.join(', ')}` });
+      }
+      match.priority = priority;
+    }
+
+    if (assignee) {
+      const escaped = assignee.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      match.assignee = new RegExp(`^${escaped}$`, 'i');
+    }
+
+    // Hide items of meetings in the trash
+    const deletedMeetingIds = await Meeting.find({ ...meetingFilter, deletedAt: { $ne: null } }).distinct('_id');
+
+    if (meetingId) {
+      if (!mongoose.isValidObjectId(meetingId)) {
+        return res.status(400).json({ error: 'Invalid meetingId' });
+      }
+      match.meetingId = new mongoose.Types.ObjectId(meetingId);
+    }
+    if (deletedMeetingIds.length > 0) {
+      match.meetingId = { ...(match.meetingId && { $eq: match.meetingId }), $nin: deletedMeetingIds };
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const [items, total] = await Promise.all([
+      ActionItem.aggregate([
+        { $match: match },
+        { $addFields: { hasDueDate: { $cond: [{ $ifNull: ['$dueDate', false] }, 0, 1] } } },
+        { $sort: { hasDueDate: 1, dueDate: 1, createdAt: -1 } },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+      ]),
+      ActionItem.countDocuments(match),
+    ]);
+
+    // Attach meeting titles
+    const meetingIds = [...new Set(items.filter(item => item.meetingId).map(item => item.meetingId.toString()))];
+    const meetings = await Meeting.find({ _id: { $in: meetingIds } }).select('title').lean();
+    const meetingsById = new Map(meetings.map(meeting => [meeting._id.toString(), meeting]));
+
+    res.json({
+      success: true,
+      actionItems: items.map(item => formatActionItem(item, meetingsById.get(item.meetingId?.toString()))),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Error listing action items:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Create an action item
+ * POST /api/action-items
+ *
+ * Body:
+ *   - text: What needs to be done
+ *   - meetingId: Meeting the item came from (optional; you need edit access to it)
+ *   - workspaceId: Workspace to share the item with when it has no meeting (optional)
+ *   - assignee, dueDate, priority, status (optional)
+ *   - sourceOffsetSeconds: Seconds into the transcript where it was agreed (optional)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const userId = getRequestUserId(req);
+    const { meetingId, workspaceId, sourceOffsetSeconds } = req.body;
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+
+    if (req.body.text === undefined) {
+      return res.status(400).json({ error: 'text is required' });
+    }
+
+    let itemWorkspaceId = null;
+    if (meetingId) {
+      const meeting = mongoose.isValidObjectId(meetingId)
+        ? await Meeting.findOne({ _id: meetingId, deletedAt: null }).select('userId workspaceId sharedWith')
+        : null;
+
+      if (!meeting) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+      if (!workspaceService.allows(await workspaceService.getMeetingAccess(meeting, userId), 'edit')) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      itemWorkspaceId = meeting.workspaceId;
+    } else if (workspaceId) {
+      itemWorkspaceId = (await workspaceService.getWorkspace(workspaceId, userId, 'editor'))._id;
+    }
+
+    const item = new ActionItem({
+      userId,
+      meetingId: meetingId || null,
+      workspaceId: itemWorkspaceId,
+      source: 'manual',
+    });
+
+    const validationError = applyFields(item, req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (sourceOffsetSeconds !== undefined) {
+      const offset = Number(sourceOffsetSeconds);
+      if (isNaN(offset) || offset < 0) {
+        return res.status(400).json({ error: 'sourceOffsetSeconds must be a positive number' });
+      }
+      item.sourceOffsetSeconds = offset;
+    }
+
+    await item.save();
+
+    res.status(201).json({
+      success: true,
+      actionItem: formatActionItem(item),
+    });
+  } catch (error) {
+    console.error('Error creating action item:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get a single action item
+ * GET /api/action-items/:itemId
+ */
+router.get('/:itemId', requireItemAccess('view'), async (req, res) => {
+  try {
+    const { actionItem } = req;
+    const meeting = actionItem.meetingId
+      ? await Meeting.findById(actionItem.meetingId).select('title').lean()
+      : null;
+
+    res.json({
+      success: true,
+      actionItem: formatActionItem(actionItem, meeting),
+    });
+  } catch (error) {
+    console.error('Error getting action item:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update an action item
+ * PATCH /api/action-items/:itemId
+ *
+ * Body (all optional):
+ *   - text, assignee, priority
+ *   - dueDate: ISO date, or null to clear
+ *   - status: open | in_progress | done | canceled
+ */
+router.patch('/:itemId', requireItemAccess('edit'), async (req, res) => {
+  try {
+    const { actionItem } = req;
+
+    const validationError = applyFields(actionItem, req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Edited items are kept when the meeting summary is regenerated
+    actionItem.editedAt = new Date();
+    await actionItem.save();
+
+    res.json({
+      success: true,
+      actionItem: formatActionItem(actionItem),
+    });
+  } catch (error) {
+    console.error('Error updating action item:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete an action item
+ * DELETE /api/action-items/:itemId
+ */
+router.delete('/:itemId', requireItemAccess('edit'), async (req, res) => {
+  try {
+    await ActionItem.deleteOne({ _id: req.actionItem._id });
+
+    res.json({
+      success: true,
+      message: 'Action item deleted',
+    });
+  } catch (error) {
+    console.error('Error deleting action item:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,78 @@
+import express from 'express';
+import apiTokenService from '../services/apiTokenService.js';
+import { API_TOKEN_SCOPES } from '../models/ApiToken.js';
+import { requireSession, requireUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Tokens can't create or revoke tokens
+router.use(requireSession, requireUser);
+
+/**
+ * List the user's personal access tokens
+ * GET /api/tokens
+ *
+ * Tokens themselves are never returned after creation; `prefix` shows their
+ * first characters.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const tokens = await apiTokenService.list(req.userId);
+
+    res.json({
+      success: true,
+      tokens: tokens.map(token => apiTokenService.format(token)),
+      scopes: API_TOKEN_SCOPES,
+    });
+  } catch (error) {
+    console.error('Error listing API tokens:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Create a personal access token
+ * POST /api/tokens
+ *
+ * The response is the only time the token is shown; store it right away.
+ *
+ * Body:
+ *   - name: What the token is for
+ *   - scopes: e.g. ['bots:write', 'meetings:read']
+ *   - expiresInDays: Days until the token expires (optional; never by default, max 365)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+    const { token, apiToken } = await apiTokenService.create(req.userId, { name, scopes, expiresInDays });
+
+    res.status(201).json({
+      success: true,
+      token,
+      apiToken: apiTokenService.format(apiToken),
+    });
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Revoke a personal access token
+ * DELETE /api/tokens/:tokenId
+ */
+router.delete('/:tokenId', async (req, res) => {
+  try {
+    const apiToken = await apiTokenService.revoke(req.userId, req.params.tokenId);
+
+    res.json({
+      success: true,
+      apiToken: apiTokenService.format(apiToken),
+    });
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -1,23 +1,63 @@
 import express from 'express';
+import mongoose from 'mongoose';
+import Meeting from '../models/Meeting.js';
 import aiService from '../services/aiService.js';
 import elevenlabsService from '../services/elevenlabsService.js';
 import meetingAssistantService from '../services/meetingAssistantService.js';
 import audioOutputService from '../services/audioOutputService.js';
+import redactionService from '../services/redactionService.js';
+import transcriptService from '../services/transcriptService.js';
+import workspaceService from '../services/workspaceService.js';
+import { getRequestUserId } from '../middleware/auth.js';
+import { requireBotOwner } from '../middleware/botAccess.js';
+import { requireVoiceAccess } from '../middleware/voiceAccess.js';
 
 const router = express.Router();
 
+/**
+ * Find the workspace of the meeting a request's transcriptions come from (botId
+ * or meetingId in the body), so its redaction lists apply on top of the user's
+ *
+ * @returns {Promise<string|null>} Workspace ID, or null for a personal or unknown meeting
+ */
+const getRequestWorkspaceId = async (req) => {
+  const { botId, meetingId } = req.body;
+  const userId = getRequestUserId(req);
+
+  if (mongoose.connection.readyState !== 1) {
+    return null;
+  }
+
+  if (meetingId) {
+    const meeting = mongoose.isValidObjectId(meetingId)
+      ? await Meeting.findOne({ _id: meetingId, deletedAt: null }).select('userId workspaceId sharedWith').lean()
+      : null;
+    const canView = meeting && await workspaceService.getMeetingAccess(meeting, userId);
+    return canView ? meeting.workspaceId?.toString() || null : null;
+  }
+
+  if (botId) {
+    const botMeetingId = await transcriptService.resolveMeetingId(botId, userId);
+    return botMeetingId ? transcriptService.getWorkspaceId(botMeetingId) : null;
+  }
+
+  return null;
+};
+
+/**
+ * Redact a request's transcriptions before they are sent to Gemini
+ */
+const redactForLlm = async (req, transcriptions) =>
+  redactionService.redactForLlm(getRequestUserId(req), transcriptions, {
+    workspaceId: await getRequestWorkspaceId(req),
+  });
+
 // Start AI assistant session for a bot
-router.post('/start', async (req, res) => {
+router.post('/start', requireBotOwner(), requireVoiceAccess, async (req, res) => {
   try {
-    const { botId, userId, voiceId, autoRespond, responseInterval } = req.body;
-
-    if (!botId || !userId) {
-      return res.status(400).json({
-        error: 'Bot ID and User ID are required'
-      });
-    }
+    const { botId, voiceId, autoRespond, responseInterval } = req.body;
 
-    const session = meetingAssistantService.startSession(botId, userId, {
+    const session = meetingAssistantService.startSession(botId, req.userId, {
       voiceId,
       autoRespond: autoRespond ?? false,
       responseInterval: responseInterval || 5
@@ -40,14 +80,10 @@ router.post('/start', async (req, res) => {
 });
 
 // Manually trigger AI response
-router.post('/respond', async (req, res) => {
+router.post('/respond', requireBotOwner(), async (req, res) => {
   try {
     const { botId, customPrompt } = req.body;
 
-    if (!botId) {
-      return res.status(400).json({ error: 'Bot ID is required' });
-    }
-
     const result = await meetingAssistantService.generateAndSpeakResponse(
       botId,
       customPrompt
@@ -61,12 +97,12 @@ router.post('/respond', async (req, res) => {
     });
   } catch (error) {
     console.error('Error generating response:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 // Get assistant session status
-router.get('/session/:botId', (req, res) => {
+router.get('/session/:botId', requireBotOwner(), (req, res) => {
   try {
     const { botId } = req.params;
     const session = meetingAssistantService.getSession(botId);
@@ -96,7 +132,7 @@ router.get('/session/:botId', (req, res) => {
 });
 
 // Get transcript history
-router.get('/transcripts/:botId', (req, res) => {
+router.get('/transcripts/:botId', requireBotOwner(), (req, res) => {
   try {
     const { botId } = req.params;
     const transcripts = meetingAssistantService.getTranscripts(botId);
@@ -118,7 +154,7 @@ router.get('/transcripts/:botId', (req, res) => {
 });
 
 // Update session configuration
-router.patch('/session/:botId', (req, res) => {
+router.patch('/session/:botId', requireBotOwner(), requireVoiceAccess, (req, res) => {
   try {
     const { botId } = req.params;
     const { autoRespond, responseInterval, voiceId } = req.body;
@@ -141,14 +177,10 @@ router.patch('/session/:botId', (req, res) => {
 });
 
 // Stop AI assistant session
-router.post('/stop', async (req, res) => {
+router.post('/stop', requireBotOwner(), async (req, res) => {
   try {
     const { botId } = req.body;
 
-    if (!botId) {
-      return res.status(400).json({ error: 'Bot ID is required' });
-    }
-
     meetingAssistantService.endSession(botId);
 
     res.json({
@@ -161,10 +193,11 @@ router.post('/stop', async (req, res) => {
   }
 });
 
-// Get all active assistant sessions
+// Get the user's active assistant sessions
 router.get('/sessions/list', (req, res) => {
   try {
-    const sessions = meetingAssistantService.getActiveSessions();
+    const sessions = meetingAssistantService.getActiveSessions()
+      .filter(session => session.userId === req.userId);
 
     res.json({
       success: true,
@@ -178,6 +211,7 @@ router.get('/sessions/list', (req, res) => {
 });
 
 // Get AI suggested responses based on conversation context
+// (botId or meetingId adds the meeting's workspace redaction lists)
 router.post('/suggestions', async (req, res) => {
   try {
     const { transcriptions, count } = req.body;
@@ -190,8 +224,9 @@ router.post('/suggestions', async (req, res) => {
 
     // Generate smart replies using Gemini
     const suggestions = await aiService.generateSmartReplies(
-      transcriptions,
-      count || 3
+      await redactForLlm(req, transcriptions),
+      count || 3,
+      { userId: getRequestUserId(req) }
     );
 
     res.json({
@@ -205,6 +240,7 @@ router.post('/suggestions', async (req, res) => {
 });
 
 // Generate AI response based on context
+// (botId or meetingId adds the meeting's workspace redaction lists)
 router.post('/generate-response', async (req, res) => {
   try {
     const { transcriptions, prompt } = req.body;
@@ -216,7 +252,11 @@ router.post('/generate-response', async (req, res) => {
     }
 
     // Generate response using Gemini
-    const response = await aiService.generateResponse(transcriptions, prompt);
+    const response = await aiService.generateResponse(
+      await redactForLlm(req, transcriptions),
+      prompt,
+      { userId: getRequestUserId(req) }
+    );
 
     res.json({
       success: true,
@@ -229,19 +269,19 @@ router.post('/generate-response', async (req, res) => {
 });
 
 // Make bot speak with AI-generated or preset response
-router.post('/speak', async (req, res) => {
+router.post('/speak', requireBotOwner(), requireVoiceAccess, async (req, res) => {
   try {
     const { botId, text, voiceId, generateResponse, transcriptions } = req.body;
 
-    if (!botId) {
-      return res.status(400).json({ error: 'Bot ID is required' });
-    }
-
     let responseText = text;
 
     // If generateResponse is true, use AI to generate response
     if (generateResponse && transcriptions) {
-      responseText = await aiService.generateResponse(transcriptions);
+      responseText = await aiService.generateResponse(
+        await redactForLlm(req, transcriptions),
+        null,
+        { userId: getRequestUserId(req) }
+      );
     }
 
     if (!responseText) {
@@ -251,7 +291,8 @@ router.post('/speak', async (req, res) => {
     // Generate audio using ElevenLabs
     const audioBuffer = await elevenlabsService.textToSpeech({
       text: responseText,
-      voiceId
+      voiceId,
+      userId: getRequestUserId(req)
     });
 
     // Note: Audio injection with Recall.ai requires Output Media API
@@ -268,11 +309,12 @@ router.post('/speak', async (req, res) => {
     });
   } catch (error) {
     console.error('Error making bot speak:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 // Analyze sentiment of conversation
+// (botId or meetingId adds the meeting's workspace redaction lists)
 router.post('/analyze-sentiment', async (req, res) => {
   try {
     const { transcriptions } = req.body;
@@ -283,7 +325,10 @@ router.post('/analyze-sentiment', async (req, res) => {
       });
     }
 
-    const analysis = await aiService.analyzeSentiment(transcriptions);
+    const analysis = await aiService.analyzeSentiment(
+      await redactForLlm(req, transcriptions),
+      { userId: getRequestUserId(req) }
+    );
 
     res.json({
       success: true,
@@ -1,4 +1,5 @@
 import express from 'express';
+import { getWebhookMetrics } from '../middleware/webhookSignature.js';
 
 const router = express.Router();
 
@@ -8,7 +9,8 @@ router.get('/', (req, res) => {
     status: 'ok',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    environment: process.env.NODE_ENV || 'development'
+    environment: process.env.NODE_ENV || 'development',
+    webhooks: getWebhookMetrics()
   });
 });
 
@@ -0,0 +1,365 @@
+import express from 'express';
+import Meeting from '../models/Meeting.js';
+import mongoose from 'mongoose';
+import retentionService from '../services/retentionService.js';
+import workspaceService from '../services/workspaceService.js';
+import realtimeService from '../services/realtimeService.js';
+import participantsRouter from './participants.js';
+import shareLinksRouter from './shareLinks.js';
+import { getRequestUserId } from '../middleware/auth.js';
+import { requireMeetingAccess } from '../middleware/meetingAccess.js';
+
+const router = express.Router();
+
+// Participant roster: /api/meetings/:meetingId/participants
+router.use('/:meetingId/participants', participantsRouter);
+
+// Public share links: /api/meetings/:meetingId/share-links
+router.use('/:meetingId/share-links', shareLinksRouter);
+
+const STATUSES = ['active', 'ended', 'canceled', 'failed'];
+const RECORDING_TYPES = ['bot', 'desktop'];
+
+/**
+ * Shape a per-meeting share for API responses
+ */
+const formatShare = (share) => ({
+  userId: share.userId,
+  role: share.role,
+  sharedBy: share.sharedBy,
+  sharedAt: share.sharedAt,
+});
+
+/**
+ * Shape a meeting document for API responses (without the transcript body)
+ */
+const formatMeeting = (meeting) => ({
+  id: meeting._id.toString(),
+  userId: meeting.userId,
+  workspaceId: meeting.workspaceId ? meeting.workspaceId.toString() : null,
+  sharedWith: (meeting.sharedWith || []).map(formatShare),
+  botId: meeting.botId,
+  title: meeting.title,
+  meetingUrl: meeting.meetingUrl,
+  botName: meeting.botName,
+  recordingType: meeting.recordingType,
+  status: meeting.status,
+  failureReason: meeting.failureReason,
+  startTime: meeting.startTime,
+  endTime: meeting.endTime,
+  transcriptCount: meeting.transcriptCount,
+  transcriptPurgedAt: meeting.transcriptPurgedAt,
+  summaryPurgedAt: meeting.summaryPurgedAt,
+  deletedAt: meeting.deletedAt,
+  createdAt: meeting.createdAt,
+  updatedAt: meeting.updatedAt,
+});
+
+/**
+ * List the meetings the user can see, newest first
+ * GET /api/meetings
+ *
+ * Includes the user's own meetings, meetings of their workspaces and
+ * meetings shared with them.
+ *
+ * Query:
+ *   - workspaceId: Only meetings of this workspace ('personal' for the user's own, outside workspaces)
+ *   - status: active | ended | canceled | failed
+ *   - recordingType: bot | desktop
+ *   - from / to: Only meetings that started within this range (ISO dates)
+ *   - page: Page number (default 1)
+ *   - limit: Page size (default 20, max 100)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const userId = getRequestUserId(req);
+    const { status, recordingType, from, to } = req.query;
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+
+    const query = {
+      ...await workspaceService.accessibleMeetingsFilter(userId, { workspaceId: req.query.workspaceId }),
+      deletedAt: null,
+    };
+
+    if (status) {
+      if (!STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+      }
+      query.status = status;
+    }
+
+    if (recordingType) {
+      if (!RECORDING_TYPES.includes(recordingType)) {
+        return res.status(400).json({
+          error: `recordingType must be one of: ${RECORDING_TYPES.join(', ')}`,
+        });
+      }
+      query.recordingType = recordingType;
+    }
+
+    if (from || to) {
+      query.startTime = {};
+      if (from) query.startTime.$gte = new Date(from);
+      if (to) query.startTime.$lte = new Date(to);
+
+      if (Object.values(query.startTime).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ error: 'from and to must be valid dates' });
+      }
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const [meetings, total] = await Promise.all([
+      Meeting.find(query)
+        .select('-transcriptions -summaryVersions')
+        .sort({ startTime: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Meeting.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      meetings: meetings.map(formatMeeting),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Error listing meetings:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get a single meeting with its summary
+ * GET /api/meetings/:meetingId
+ */
+router.get('/:meetingId', requireMeetingAccess('view', { select: '-transcriptions -summaryVersions' }), async (req, res) => {
+  try {
+    const { meeting } = req;
+
+    res.json({
+      success: true,
+      meeting: {
+        ...formatMeeting(meeting),
+        access: req.meetingAccess,
+        summary: meeting.summary,
+        pinnedSummaryVersion: meeting.pinnedSummaryVersion,
+      },
+    });
+  } catch (error) {
+    console.error('Error getting meeting:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Rename a meeting
+ * PATCH /api/meetings/:meetingId
+ *
+ * Body:
+ *   - title: New meeting title
+ */
+router.patch('/:meetingId', requireMeetingAccess('edit', { select: '-transcriptions' }), async (req, res) => {
+  try {
+    const { title } = req.body;
+
+    if (typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({ error: 'Title is required' });
+    }
+
+    req.meeting.title = title.trim();
+    await req.meeting.save();
+
+    res.json({
+      success: true,
+      meeting: formatMeeting(req.meeting),
+    });
+  } catch (error) {
+    console.error('Error updating meeting:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete a meeting
+ * DELETE /api/meetings/:meetingId
+ *
+ * Soft-deletes by default (hidden from history, can be restored).
+ * Pass ?hard=true to permanently remove the meeting, its transcript, action items and roster.
+ */
+router.delete(
+  '/:meetingId',
+  requireMeetingAccess('manage', { select: '_id', includeDeleted: true }),
+  async (req, res) => {
+    try {
+      const { meeting } = req;
+
+      if (req.query.hard === 'true') {
+        await retentionService.deleteMeeting(meeting._id);
+        await realtimeService.recheckMeeting(meeting._id);
+        console.log(`🗑️ Meeting ${meeting._id} permanently deleted`);
+
+        return res.json({
+          success: true,
+          message: 'Meeting permanently deleted',
+        });
+      }
+
+      if (meeting.deletedAt) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+
+      meeting.deletedAt = new Date();
+      await meeting.save();
+      await realtimeService.recheckMeeting(meeting._id);
+      console.log(`🗑️ Meeting ${meeting._id} moved to trash`);
+
+      res.json({
+        success: true,
+        message: 'Meeting deleted',
+      });
+    } catch (error) {
+      console.error('Error deleting meeting:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * Restore a soft-deleted meeting
+ * POST /api/meetings/:meetingId/restore
+ */
+router.post(
+  '/:meetingId/restore',
+  requireMeetingAccess('manage', { select: '-transcriptions', includeDeleted: true }),
+  async (req, res) => {
+    try {
+      const { meeting } = req;
+
+      if (!meeting.deletedAt) {
+        return res.status(400).json({ error: 'Meeting is not deleted' });
+      }
+
+      meeting.deletedAt = null;
+      await meeting.save();
+
+      res.json({
+        success: true,
+        meeting: formatMeeting(meeting),
+      });
+    } catch (error) {
+      console.error('Error restoring meeting:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * Move a meeting into a workspace or back to the owner's personal meetings
+ * PUT /api/meetings/:meetingId/workspace
+ *
+ * Body:
+ *   - workspaceId: Target workspace (you must be an owner or editor there), or null
+ *
+ * The meeting's action items move with it.
+ */
+router.put(
+  '/:meetingId/workspace',
+  requireMeetingAccess('manage', { select: '-transcriptions -summaryVersions' }),
+  async (req, res) => {
+    try {
+      const meeting = await workspaceService.moveMeeting(req.meeting, req.body.workspaceId || null, req.userId);
+      await realtimeService.recheckMeeting(meeting._id);
+
+      res.json({
+        success: true,
+        meeting: formatMeeting(meeting),
+      });
+    } catch (error) {
+      console.error('Error moving meeting:', error);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * List the teammates a meeting is shared with (with their names and emails)
+ * GET /api/meetings/:meetingId/shares
+ */
+router.get('/:meetingId/shares', requireMeetingAccess('view', { select: '_id' }), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      shares: await workspaceService.withProfiles(req.meeting.sharedWith.map(formatShare)),
+    });
+  } catch (error) {
+    console.error('Error listing meeting shares:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Share a meeting with a teammate, or change their role on it
+ * PUT /api/meetings/:meetingId/shares
+ *
+ * Body:
+ *   - userId or email: Teammate to share with
+ *   - role: viewer | editor (default viewer)
+ */
+router.put('/:meetingId/shares', requireMeetingAccess('manage', { select: '_id' }), async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    const userId = await workspaceService.resolveUserId({ userId: req.body.userId, email });
+    const share = await workspaceService.shareMeeting(req.meeting, userId, role, req.userId);
+
+    console.log(`🔗 Meeting ${req.meeting._id} shared with ${userId} (${share.role})`);
+
+    res.json({
+      success: true,
+      share: formatShare(share),
+    });
+  } catch (error) {
+    console.error('Error sharing meeting:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Stop sharing a meeting with a teammate
+ * DELETE /api/meetings/:meetingId/shares/:userId
+ *
+ * Teammates can remove their own share; other shares need the meeting owner.
+ */
+router.delete('/:meetingId/shares/:userId', requireMeetingAccess('view', { select: '_id' }), async (req, res) => {
+  try {
+    if (req.params.userId !== req.userId && req.meetingAccess !== 'manage') {
+      return res.status(403).json({ error: 'Only the meeting owner can do this' });
+    }
+
+    await workspaceService.unshareMeeting(req.meeting, req.params.userId);
+    await realtimeService.recheckMeeting(req.meeting._id);
+
+    res.json({
+      success: true,
+      message: 'Meeting no longer shared',
+    });
+  } catch (error) {
+    console.error('Error removing meeting share:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
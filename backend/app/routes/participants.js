@@ -0,0 +1,146 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Participant from '../models/Participant.js';
+import participantService from '../services/participantService.js';
+import transcriptService from '../services/transcriptService.js';
+import { requireMeetingAccess } from '../middleware/meetingAccess.js';
+
+// Mounted at /api/meetings/:meetingId/participants
+const router = express.Router({ mergeParams: true });
+
+const viewAccess = requireMeetingAccess('view', { select: '_id' });
+const editAccess = requireMeetingAccess('edit', { select: '_id' });
+
+// Teammates who can view the meeting can read the roster; changes need edit access
+router.use((req, res, next) => (req.method === 'GET' ? viewAccess : editAccess)(req, res, next));
+
+/**
+ * Load the participant named by :participantId from the current meeting
+ */
+const loadParticipant = async (req, res, next) => {
+  try {
+    const participant = mongoose.isValidObjectId(req.params.participantId)
+      ? await Participant.findOne({ _id: req.params.participantId, meetingId: req.meeting._id })
+      : null;
+
+    if (!participant) {
+      return res.status(404).json({ error: 'Participant not found' });
+    }
+
+    req.participant = participant;
+    next();
+  } catch (error) {
+    console.error('Error loading participant:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * List a meeting's participants
+ * GET /api/meetings/:meetingId/participants
+ *
+ * Includes join/leave times from Recall.ai participant events (when received)
+ * and how much each participant spoke in the stored transcript.
+ */
+router.get('/', async (req, res) => {
+  try {
+    await transcriptService.flush(req.meeting._id.toString());
+    const participants = await participantService.listParticipants(req.meeting);
+
+    res.json({
+      success: true,
+      meetingId: req.params.meetingId,
+      participants,
+    });
+  } catch (error) {
+    console.error('Error listing participants:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Rename a participant or set their email
+ * PATCH /api/meetings/:meetingId/participants/:participantId
+ *
+ * The new name replaces the speaker on all of the participant's transcript
+ * segments and matching action item assignees.
+ *
+ * Body:
+ *   - displayName: New display name
+ *   - email: Email address (empty to clear)
+ */
+router.patch('/:participantId', loadParticipant, async (req, res) => {
+  try {
+    const { displayName, email } = req.body;
+
+    if (displayName !== undefined && (typeof displayName !== 'string' || !displayName.trim())) {
+      return res.status(400).json({ error: 'displayName must be a non-empty string' });
+    }
+
+    if (email && (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(email))) {
+      return res.status(400).json({ error: 'email must be a valid email address' });
+    }
+
+    // Buffered segments must be stored before their speaker names are rewritten
+    await transcriptService.flush(req.meeting._id.toString());
+
+    const participant = await participantService.rename(req.participant, {
+      displayName: displayName?.trim(),
+      email,
+    });
+
+    res.json({
+      success: true,
+      participant: participantService.formatParticipant(participant),
+    });
+  } catch (error) {
+    console.error('Error updating participant:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Merge a participant into another one (same person under two speaker labels)
+ * POST /api/meetings/:meetingId/participants/:participantId/merge
+ *
+ * The participant in the URL is removed; its labels, segments and assignees
+ * move to the target.
+ *
+ * Body:
+ *   - targetId: Participant to merge into
+ */
+router.post('/:participantId/merge', loadParticipant, async (req, res) => {
+  try {
+    const { targetId } = req.body;
+
+    if (!targetId) {
+      return res.status(400).json({ error: 'targetId is required' });
+    }
+
+    if (targetId === req.params.participantId) {
+      return res.status(400).json({ error: 'Cannot merge a participant into itself' });
+    }
+
+    const target = mongoose.isValidObjectId(targetId)
+      ? await Participant.findOne({ _id: targetId, meetingId: req.meeting._id })
+      : null;
+
+    if (!target) {
+      return res.status(404).json({ error: 'Target participant not found' });
+    }
+
+    await transcriptService.flush(req.meeting._id.toString());
+
+    const participant = await participantService.merge(req.participant, target);
+
+    res.json({
+      success: true,
+      participant: participantService.formatParticipant(participant),
+    });
+  } catch (error) {
+    console.error('Error merging participants:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
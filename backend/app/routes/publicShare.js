@@ -0,0 +1,48 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import shareLinkService from '../services/shareLinkService.js';
+
+// Mounted at /api/public without authentication: the signed token is the credential
+const router = express.Router();
+
+/**
+ * Read a meeting through a public share link
+ * GET /api/public/share/:token
+ *
+ * Returns only the sections chosen for the link. Expired or revoked links
+ * answer 410; unknown or tampered tokens answer 404. Every successful read is
+ * added to the link's access log.
+ */
+router.get('/share/:token', async (req, res) => {
+  try {
+    // Shared content must not be cached or indexed once the link stops working
+    res.set({
+      'Cache-Control': 'no-store',
+      'X-Robots-Tag': 'noindex, nofollow',
+    });
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+
+    const { link, meeting } = await shareLinkService.resolve(req.params.token);
+    const view = await shareLinkService.buildView(link, meeting);
+
+    await shareLinkService.recordAccess(link, {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+
+    res.json({
+      success: true,
+      meeting: view,
+    });
+  } catch (error) {
+    if (!error.status) {
+      console.error('Error reading shared meeting:', error);
+    }
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -2,6 +2,9 @@ import express from 'express';
 import recallService from '../services/recallService.js';
 import Meeting from '../models/Meeting.js';
 import mongoose from 'mongoose';
+import workspaceService from '../services/workspaceService.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { requireBotOwner } from '../middleware/botAccess.js';
 
 const router = express.Router();
 
@@ -12,11 +15,14 @@ const router = express.Router();
  * Body:
  *   - meetingUrl: Meeting URL (Zoom, Meet, Teams, etc.)
  *   - botName: Display name for the bot
- *   - userId: User ID who is launching the bot
+ *   - workspaceId: Workspace to record the meeting into (optional; owners and editors only)
+ *
+ * The bot is launched for the signed-in user.
  */
 router.post('/launch', async (req, res) => {
   try {
-    const { meetingUrl, botName, userId } = req.body;
+    const { meetingUrl, botName, workspaceId } = req.body;
+    const { userId } = req;
 
     if (!meetingUrl) {
       return res.status(400).json({
@@ -24,11 +30,9 @@ router.post('/launch', async (req, res) => {
       });
     }
 
-    if (!userId) {
-      return res.status(400).json({
-        error: 'User ID is required',
-      });
-    }
+    const workspace = workspaceId
+      ? await workspaceService.getWorkspace(workspaceId, userId, 'editor')
+      : null;
 
     // Check if user already has an active bot
     const existingBot = recallService.getBotByUserId(userId);
@@ -51,6 +55,7 @@ router.post('/launch', async (req, res) => {
       try {
         const meeting = new Meeting({
           userId,
+          workspaceId: workspace?._id ?? null,
           botId: bot.id,
           meetingUrl: typeof bot.meeting_url === 'string' ? bot.meeting_url : meetingUrl,
           botName: bot.bot_name || botName || 'EchoTwin AI',
@@ -76,7 +81,7 @@ router.post('/launch', async (req, res) => {
     });
   } catch (error) {
     console.error('Error launching bot:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: error.message || 'Failed to launch bot',
     });
   }
@@ -86,7 +91,7 @@ router.post('/launch', async (req, res) => {
  * Get bot status
  * GET /api/recall/status/:botId
  */
-router.get('/status/:botId', async (req, res) => {
+router.get('/status/:botId', requireBotOwner(), async (req, res) => {
   try {
     const { botId } = req.params;
     const status = await recallService.getBotStatus(botId);
@@ -114,23 +119,16 @@ router.get('/status/:botId', async (req, res) => {
  * POST /api/recall/leave
  *
  * Body:
- *   - botId: Bot ID (optional if userId provided)
- *   - userId: User ID (optional if botId provided)
+ *   - botId: Bot ID (optional, defaults to the user's active bot)
  */
-router.post('/leave', async (req, res) => {
+router.post('/leave', requireBotOwner({ optional: true }), async (req, res) => {
   try {
-    const { botId, userId } = req.body;
-
-    if (!botId && !userId) {
-      return res.status(400).json({
-        error: 'Bot ID or User ID is required',
-      });
-    }
+    const { botId } = req.body;
 
-    // Find bot by botId or userId
+    // Find bot by botId or the user's active bot
     let targetBotId = botId;
-    if (!targetBotId && userId) {
-      const bot = recallService.getBotByUserId(userId);
+    if (!targetBotId) {
+      const bot = recallService.getBotByUserId(req.userId);
       if (bot) {
         targetBotId = bot.botId;
       }
@@ -142,23 +140,9 @@ router.post('/leave', async (req, res) => {
       });
     }
 
+    // The 'bot-left' event closes out the meeting record
     const result = await recallService.leaveBot(targetBotId);
 
-    // Update meeting status in database
-    if (mongoose.connection.readyState === 1) {
-      try {
-        const meeting = await Meeting.findOne({ botId: targetBotId });
-        if (meeting) {
-          meeting.status = 'ended';
-          meeting.endTime = new Date();
-          await meeting.save();
-          console.log(`✅ Meeting ${meeting._id} marked as ended`);
-        }
-      } catch (dbError) {
-        console.warn('⚠️ Failed to update meeting status:', dbError.message);
-      }
-    }
-
     res.json({
       success: true,
       message: 'Bot has left the meeting',
@@ -176,7 +160,7 @@ router.post('/leave', async (req, res) => {
  * Get all active bots (admin endpoint)
  * GET /api/recall/bots
  */
-router.get('/bots', (req, res) => {
+router.get('/bots', requireAdmin, (req, res) => {
   try {
     const bots = recallService.getAllBots();
 
@@ -194,13 +178,12 @@ router.get('/bots', (req, res) => {
 });
 
 /**
- * Get user's active bot with live status
- * GET /api/recall/my-bot/:userId
+ * Get the signed-in user's active bot with live status
+ * GET /api/recall/my-bot
  */
-router.get('/my-bot/:userId', async (req, res) => {
+router.get('/my-bot', async (req, res) => {
   try {
-    const { userId } = req.params;
-    const bot = recallService.getBotByUserId(userId);
+    const bot = recallService.getBotByUserId(req.userId);
 
     if (!bot) {
       return res.status(404).json({
@@ -2,6 +2,9 @@ import express from 'express';
 import recallDesktopService from '../services/recallDesktopService.js';
 import Meeting from '../models/Meeting.js';
 import mongoose from 'mongoose';
+import workspaceService from '../services/workspaceService.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { requireUploadOwner } from '../middleware/botAccess.js';
 
 const router = express.Router();
 
@@ -12,18 +15,19 @@ const router = express.Router();
  * The Desktop SDK (Electron app) uses this token to authenticate recordings.
  *
  * Body:
- *   - userId: User ID who is creating the upload
  *   - meetingTitle: Optional meeting title
+ *   - workspaceId: Workspace to record the meeting into (optional; owners and editors only)
+ *
+ * The upload is created for the signed-in user.
  */
 router.post('/create-upload', async (req, res) => {
   try {
-    const { userId, meetingTitle } = req.body;
+    const { meetingTitle, workspaceId } = req.body;
+    const { userId } = req;
 
-    if (!userId) {
-      return res.status(400).json({
-        error: 'User ID is required',
-      });
-    }
+    const workspace = workspaceId
+      ? await workspaceService.getWorkspace(workspaceId, userId, 'editor')
+      : null;
 
     // Check if user already has an active upload
     const existingUpload = recallDesktopService.getUploadByUserId(userId);
@@ -49,6 +53,7 @@ router.post('/create-upload', async (req, res) => {
       try {
         const meeting = new Meeting({
           userId,
+          workspaceId: workspace?._id ?? null,
           botId: uploadData.uploadId, // Use uploadId as botId for consistency
           meetingUrl: 'desktop-recording', // No URL for desktop recordings
           botName: 'Desktop Recording',
@@ -70,7 +75,7 @@ router.post('/create-upload', async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating SDK upload:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: error.message || 'Failed to create SDK upload',
     });
   }
@@ -80,7 +85,7 @@ router.post('/create-upload', async (req, res) => {
  * Get SDK upload status
  * GET /api/recall-desktop/upload-status/:uploadId
  */
-router.get('/upload-status/:uploadId', async (req, res) => {
+router.get('/upload-status/:uploadId', requireUploadOwner(), async (req, res) => {
   try {
     const { uploadId } = req.params;
     const status = await recallDesktopService.getUploadStatus(uploadId);
@@ -108,23 +113,16 @@ router.get('/upload-status/:uploadId', async (req, res) => {
  * POST /api/recall-desktop/cancel-upload
  *
  * Body:
- *   - uploadId: Upload ID (optional if userId provided)
- *   - userId: User ID (optional if uploadId provided)
+ *   - uploadId: Upload ID (optional, defaults to the user's active upload)
  */
-router.post('/cancel-upload', async (req, res) => {
+router.post('/cancel-upload', requireUploadOwner({ optional: true }), async (req, res) => {
   try {
-    const { uploadId, userId } = req.body;
-
-    if (!uploadId && !userId) {
-      return res.status(400).json({
-        error: 'Upload ID or User ID is required',
-      });
-    }
+    const { uploadId } = req.body;
 
-    // Find upload by uploadId or userId
+    // Find upload by uploadId or the user's active upload
     let targetUploadId = uploadId;
-    if (!targetUploadId && userId) {
-      const upload = recallDesktopService.getUploadByUserId(userId);
+    if (!targetUploadId) {
+      const upload = recallDesktopService.getUploadByUserId(req.userId);
       if (upload) {
         targetUploadId = upload.uploadId;
       }
@@ -136,23 +134,9 @@ router.post('/cancel-upload', async (req, res) => {
       });
     }
 
+    // The 'upload-canceled' event closes out the meeting record
     const result = await recallDesktopService.cancelUpload(targetUploadId);
 
-    // Update meeting status in database
-    if (mongoose.connection.readyState === 1) {
-      try {
-        const meeting = await Meeting.findOne({ botId: targetUploadId });
-        if (meeting) {
-          meeting.status = 'canceled';
-          meeting.endTime = new Date();
-          await meeting.save();
-          console.log(`✅ Meeting ${meeting._id} marked as canceled`);
-        }
-      } catch (dbError) {
-        console.warn('⚠️ Failed to update meeting status:', dbError.message);
-      }
-    }
-
     res.json({
       success: true,
       message: 'SDK upload canceled',
@@ -170,7 +154,7 @@ router.post('/cancel-upload', async (req, res) => {
  * Get all active SDK uploads (admin endpoint)
  * GET /api/recall-desktop/uploads
  */
-router.get('/uploads', (req, res) => {
+router.get('/uploads', requireAdmin, (req, res) => {
   try {
     const uploads = recallDesktopService.getAllUploads();
 
@@ -188,13 +172,12 @@ router.get('/uploads', (req, res) => {
 });
 
 /**
- * Get user's active SDK upload
- * GET /api/recall-desktop/my-upload/:userId
+ * Get the signed-in user's active SDK upload
+ * GET /api/recall-desktop/my-upload
  */
-router.get('/my-upload/:userId', async (req, res) => {
+router.get('/my-upload', async (req, res) => {
   try {
-    const { userId } = req.params;
-    const upload = recallDesktopService.getUploadByUserId(userId);
+    const upload = recallDesktopService.getUploadByUserId(req.userId);
 
     if (!upload) {
       return res.status(404).json({
@@ -0,0 +1,104 @@
+import express from 'express';
+import redactionService from '../services/redactionService.js';
+import { requireUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(requireUser);
+
+/**
+ * Get the user's redaction policy
+ * GET /api/redaction
+ *
+ * `mode` is where redaction runs: off | storage | llm | both. `custom` lists
+ * the fields the user set, the others come from the server defaults.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const policy = await redactionService.getPolicy(req.userId);
+
+    res.json({
+      success: true,
+      policy,
+      defaults: redactionService.config.defaults,
+    });
+  } catch (error) {
+    console.error('Error getting redaction policy:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update the user's redaction policy
+ * PUT /api/redaction
+ *
+ * Changes apply to segments stored and prompts sent from now on; stored
+ * transcripts are not rewritten.
+ *
+ * Body (each optional):
+ *   - mode: off | storage | llm | both
+ *   - types: Built-in detectors to run (email, phone, card)
+ *   - patterns: Custom regular expressions ([{ name, pattern, flags }]), matched
+ *     with RE2 - no backreferences, lookarounds or nested repeats like (a+)+
+ *   - keywords: Words or phrases to redact (case-insensitive)
+ */
+router.put('/', async (req, res) => {
+  try {
+    const policy = await redactionService.updatePolicy(req.userId, req.body);
+
+    res.json({
+      success: true,
+      policy,
+    });
+  } catch (error) {
+    console.error('Error updating redaction policy:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Reset the user's redaction policy to the server defaults
+ * DELETE /api/redaction
+ */
+router.delete('/', async (req, res) => {
+  try {
+    const policy = await redactionService.resetPolicy(req.userId);
+
+    res.json({
+      success: true,
+      policy,
+    });
+  } catch (error) {
+    console.error('Error resetting redaction policy:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Show what the user's policy would redact in a sample text
+ * POST /api/redaction/preview
+ *
+ * Body:
+ *   - text: Sample text (max 5000 characters)
+ */
+router.post('/preview', async (req, res) => {
+  try {
+    const { text } = req.body;
+
+    if (typeof text !== 'string' || text.length > 5000) {
+      return res.status(400).json({ error: 'text must be a string of at most 5000 characters' });
+    }
+
+    const result = await redactionService.preview(req.userId, text);
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    console.error('Error previewing redaction:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,113 @@
+import express from 'express';
+import retentionService from '../services/retentionService.js';
+import { requireUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(requireUser);
+
+/**
+ * Get the user's retention policy
+ * GET /api/retention
+ *
+ * Periods are in days; null keeps the data forever. `custom` lists the
+ * periods the user set, the others come from the server defaults.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const policy = await retentionService.getPolicy(req.userId);
+
+    res.json({
+      success: true,
+      policy,
+      defaults: retentionService.config.defaults,
+    });
+  } catch (error) {
+    console.error('Error getting retention policy:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update the user's retention policy
+ * PUT /api/retention
+ *
+ * Body (each optional; a whole number of days, or null to keep forever):
+ *   - transcriptDays: Delete transcripts this long after a meeting ends
+ *   - summaryDays: Delete summaries this long after a meeting ends
+ *   - trashDays: Permanently delete meetings this long after they are trashed
+ */
+router.put('/', async (req, res) => {
+  try {
+    const policy = await retentionService.updatePolicy(req.userId, req.body);
+
+    res.json({
+      success: true,
+      policy,
+    });
+  } catch (error) {
+    console.error('Error updating retention policy:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Reset the user's retention policy to the server defaults
+ * DELETE /api/retention
+ */
+router.delete('/', async (req, res) => {
+  try {
+    const policy = await retentionService.resetPolicy(req.userId);
+
+    res.json({
+      success: true,
+      policy,
+    });
+  } catch (error) {
+    console.error('Error resetting retention policy:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List what recent purges removed from the user's data
+ * GET /api/retention/reports
+ *
+ * Query:
+ *   - limit: Maximum number of reports (default 20, max 100)
+ */
+router.get('/reports', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const reports = await retentionService.getReports(req.userId, limit);
+
+    res.json({
+      success: true,
+      reports,
+    });
+  } catch (error) {
+    console.error('Error listing retention reports:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Apply the user's retention policy now
+ * POST /api/retention/purge
+ */
+router.post('/purge', async (req, res) => {
+  try {
+    const report = await retentionService.run({ trigger: 'manual', userId: req.userId });
+
+    res.json({
+      success: true,
+      removed: report.users[0]?.removed || { transcripts: 0, segments: 0, summaries: 0, meetings: 0 },
+      failures: report.failures,
+    });
+  } catch (error) {
+    console.error('Error running retention purge:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,72 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import searchService from '../services/searchService.js';
+import transcriptService from '../services/transcriptService.js';
+import { getRequestUserId } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const TYPES = ['all', 'transcripts', 'summaries'];
+
+/**
+ * Search the transcripts and summaries of the meetings the user can see
+ * (their own, their workspaces' and meetings shared with them)
+ * GET /api/search
+ *
+ * Query:
+ *   - q: Search text; "quoted phrases" match exactly, -word excludes a word
+ *   - speaker: Only transcript segments from these speakers (comma-separated)
+ *   - from / to: Only matches within this time range (ISO dates)
+ *   - type: all | transcripts | summaries (default all)
+ *   - limit: Results per type (default 20, max 50)
+ *
+ * Each result has a snippet plus highlights: [start, end) character ranges
+ * of the snippet that matched the query.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const userId = getRequestUserId(req);
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const type = req.query.type || 'all';
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!q) {
+      return res.status(400).json({ error: 'Search query (q) is required' });
+    }
+
+    if (q.length > 200) {
+      return res.status(400).json({ error: 'Search query must be at most 200 characters' });
+    }
+
+    if (!TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${TYPES.join(', ')}` });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+
+    // Same speaker and date parsing as the transcript endpoint
+    const { speakers, from, to } = transcriptService.parseFilters(req.query);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || searchService.config.defaultLimit, 1),
+      searchService.config.maxLimit
+    );
+
+    const results = await searchService.search(userId, { q, speakers, from, to, type, limit });
+
+    res.json({
+      success: true,
+      query: q,
+      ...results,
+    });
+  } catch (error) {
+    console.error('Error searching meetings:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
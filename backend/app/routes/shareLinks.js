@@ -0,0 +1,109 @@
+import express from 'express';
+import shareLinkService from '../services/shareLinkService.js';
+import { requireMeetingAccess } from '../middleware/meetingAccess.js';
+
+// Mounted at /api/meetings/:meetingId/share-links
+const router = express.Router({ mergeParams: true });
+
+// Public links expose the meeting outside the team, so only its managers handle them
+router.use(requireMeetingAccess('manage', { select: '_id' }));
+
+/**
+ * Load the share link named by :linkId from the current meeting
+ */
+const loadLink = async (req, res, next) => {
+  try {
+    req.shareLink = await shareLinkService.get(req.meeting._id, req.params.linkId);
+    next();
+  } catch (error) {
+    console.error('Error loading share link:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * List a meeting's share links with their access counts
+ * GET /api/meetings/:meetingId/share-links
+ */
+router.get('/', async (req, res) => {
+  try {
+    const links = await shareLinkService.list(req.meeting._id);
+
+    res.json({
+      success: true,
+      shareLinks: links.map(link => shareLinkService.format(link)),
+    });
+  } catch (error) {
+    console.error('Error listing share links:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Create a public share link
+ * POST /api/meetings/:meetingId/share-links
+ *
+ * Body:
+ *   - sections: Parts to expose: summary, keyPoints, decisions, actionItems, transcript
+ *     (default: everything but the transcript)
+ *   - expiresInDays: Days until the link stops working (default SHARE_LINK_DEFAULT_DAYS, max 90)
+ *   - label: Optional note, e.g. who the link is for
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { sections, expiresInDays, label } = req.body;
+    const link = await shareLinkService.create(req.meeting, req.userId, { sections, expiresInDays, label });
+
+    res.status(201).json({
+      success: true,
+      shareLink: shareLinkService.format(link),
+    });
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Revoke a share link
+ * DELETE /api/meetings/:meetingId/share-links/:linkId
+ */
+router.delete('/:linkId', loadLink, async (req, res) => {
+  try {
+    const link = await shareLinkService.revoke(req.shareLink);
+
+    res.json({
+      success: true,
+      shareLink: shareLinkService.format(link),
+    });
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Who opened a share link, newest first
+ * GET /api/meetings/:meetingId/share-links/:linkId/access
+ *
+ * Query:
+ *   - limit: Number of entries (default 100, max 500)
+ */
+router.get('/:linkId/access', loadLink, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const accesses = await shareLinkService.getAccessLog(req.shareLink, limit);
+
+    res.json({
+      success: true,
+      linkId: req.params.linkId,
+      accessCount: req.shareLink.accessCount,
+      accesses: accesses.map(({ accessedAt, ip, userAgent }) => ({ accessedAt, ip, userAgent })),
+    });
+  } catch (error) {
+    console.error('Error getting share link access log:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -1,67 +1,112 @@
 import express from 'express';
 import aiService from '../services/aiService.js';
+import summaryService from '../services/summaryService.js';
 import Meeting from '../models/Meeting.js';
 import mongoose from 'mongoose';
+import { requireMeetingAccess } from '../middleware/meetingAccess.js';
+import redactionService from '../services/redactionService.js';
+import workspaceService from '../services/workspaceService.js';
 
 const router = express.Router();
 
-// Get meeting summary from database
-router.get('/:meetingId', async (req, res) => {
-  try {
-    const { meetingId } = req.params;
-
-    // If MongoDB is connected, fetch from database
-    if (mongoose.connection.readyState === 1) {
-      const meeting = await Meeting.findById(meetingId);
-
-      if (!meeting) {
-        return res.status(404).json({ error: 'Meeting not found' });
-      }
+/**
+ * Get a meeting's summary
+ * GET /api/summary/:meetingId
+ *
+ * A meeting without a summary gets one generated when the caller can edit it;
+ * viewers get an empty summary instead.
+ */
+router.get(
+  '/:meetingId',
+  requireMeetingAccess('view', { select: 'summary pinnedSummaryVersion summaryPurgedAt' }),
+  async (req, res) => {
+    try {
+      const { meetingId } = req.params;
+      const { meeting } = req;
 
       // If summary exists, return it
       if (meeting.summary) {
         return res.json({
           meetingId,
-          summary: meeting.summary
+          summary: meeting.summary,
+          pinned: meeting.pinnedSummaryVersion != null
         });
       }
 
-      // If no summary but has transcriptions, generate one
-      if (meeting.transcriptions && meeting.transcriptions.length > 0) {
-        const summary = await aiService.generateSummary(meeting.transcriptions);
-
-        // Save summary to database
-        meeting.summary = summary;
-        await meeting.save();
-
+      // If no summary but has transcriptions, generate one (unless retention removed it).
+      // Viewers only read: generating needs edit access, and is charged to the meeting owner
+      const summary = !meeting.summaryPurgedAt
+        && workspaceService.allows(req.meetingAccess, 'edit')
+        && await summaryService.generateForMeeting(meetingId);
+      if (summary) {
         return res.json({
           meetingId,
-          summary
+          summary,
+          pinned: false
         });
       }
-    }
 
-    // Return empty summary if no data
-    res.json({
-      meetingId,
-      summary: {
-        summary: 'No transcriptions available yet',
-        keyPoints: [],
-        actionItems: [],
-        decisions: []
-      }
-    });
-  } catch (error) {
-    console.error('Error getting summary:', error);
-    res.status(500).json({ error: error.message });
+      // Return empty summary if no data
+      res.json({
+        meetingId,
+        summary: {
+          summary: 'No transcriptions available yet',
+          keyPoints: [],
+          actionItems: [],
+          decisions: []
+        }
+      });
+    } catch (error) {
+      console.error('Error getting summary:', error);
+      res.status(500).json({ error: error.message });
+    }
   }
-});
+);
 
-// Generate summary from transcript array
+/**
+ * Generate a summary
+ * POST /api/summary/generate
+ *
+ * With a meetingId, a new summary version is generated from the meeting's stored
+ * transcript (like /:meetingId/regenerate) - transcriptions sent by the client are
+ * never saved to a meeting. Without one, the sent transcriptions are summarized
+ * and nothing is stored.
+ *
+ * Body:
+ *   - meetingId: Meeting to summarize (optional)
+ *   - transcriptions: Segments to summarize when there is no meetingId
+ */
 router.post('/generate', async (req, res) => {
   try {
     const { meetingId, transcriptions } = req.body;
 
+    if (meetingId) {
+      if (mongoose.connection.readyState !== 1) {
+        return res.status(503).json({ error: 'Database not connected' });
+      }
+
+      const meeting = mongoose.isValidObjectId(meetingId)
+        ? await Meeting.findById(meetingId).select('userId workspaceId sharedWith deletedAt')
+        : null;
+      if (!meeting || meeting.deletedAt) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+      if (!workspaceService.allows(await workspaceService.getMeetingAccess(meeting, req.userId), 'edit')) {
+        return res.status(403).json({ error: 'You do not have access to this meeting' });
+      }
+
+      const summary = await summaryService.generateForMeeting(meeting._id, { userId: req.userId });
+      if (!summary) {
+        return res.status(400).json({ error: 'Meeting has no transcript to summarize' });
+      }
+
+      return res.json({
+        success: true,
+        meetingId,
+        summary
+      });
+    }
+
     if (!transcriptions || transcriptions.length === 0) {
       return res.status(400).json({
         error: 'Transcriptions are required'
@@ -69,24 +114,15 @@ router.post('/generate', async (req, res) => {
     }
 
     // Generate summary using Gemini
-    const summary = await aiService.generateSummary(transcriptions);
-
-    // If meetingId provided and DB connected, save to database
-    if (meetingId && mongoose.connection.readyState === 1) {
-      try {
-        const meeting = await Meeting.findById(meetingId);
-        if (meeting) {
-          meeting.summary = summary;
-          await meeting.save();
-        }
-      } catch (dbError) {
-        console.warn('Failed to save summary to DB:', dbError.message);
-      }
-    }
+    const summary = summaryService.normalizeSummary(
+      await aiService.generateSummary(
+        await redactionService.redactForLlm(req.userId, transcriptions),
+        { userId: req.userId }
+      )
+    );
 
     res.json({
       success: true,
-      meetingId,
       summary
     });
   } catch (error) {
@@ -95,6 +131,114 @@ router.post('/generate', async (req, res) => {
   }
 });
 
+/**
+ * List a meeting's summary versions, newest first
+ * GET /api/summary/:meetingId/versions
+ */
+router.get(
+  '/:meetingId/versions',
+  requireMeetingAccess('view', { select: 'summaryVersions pinnedSummaryVersion' }),
+  async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        meetingId: req.params.meetingId,
+        pinnedVersion: req.meeting.pinnedSummaryVersion,
+        versions: summaryService.getVersions(req.meeting)
+      });
+    } catch (error) {
+      console.error('Error listing summary versions:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * Generate a new summary version from the stored transcript
+ * POST /api/summary/:meetingId/regenerate
+ *
+ * The new version becomes the current summary and replaces any pinned version.
+ */
+router.post('/:meetingId/regenerate', requireMeetingAccess('edit', { select: 'summary' }), async (req, res) => {
+  try {
+    if (!aiService.validateConfig()) {
+      return res.status(503).json({ error: 'Gemini API key not configured' });
+    }
+
+    const summary = await summaryService.generateForMeeting(req.meeting._id, { replacePinned: true, userId: req.userId });
+
+    if (!summary) {
+      return res.status(400).json({ error: 'Meeting has no transcript to summarize' });
+    }
+
+    res.json({
+      success: true,
+      meetingId: req.params.meetingId,
+      summary
+    });
+  } catch (error) {
+    console.error('Error regenerating summary:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Pin a summary version as the meeting's current summary
+ * PUT /api/summary/:meetingId/pin
+ *
+ * Body:
+ *   - version: Version number to pin
+ */
+router.put(
+  '/:meetingId/pin',
+  requireMeetingAccess('edit', { select: 'summary summaryVersions pinnedSummaryVersion' }),
+  async (req, res) => {
+    try {
+      const version = Number(req.body.version);
+
+      if (!Number.isInteger(version) || version < 0) {
+        return res.status(400).json({ error: 'version must be a summary version number' });
+      }
+
+      const summary = await summaryService.pinVersion(req.meeting, version);
+
+      res.json({
+        success: true,
+        meetingId: req.params.meetingId,
+        pinnedVersion: version,
+        summary
+      });
+    } catch (error) {
+      console.error('Error pinning summary version:', error);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * Unpin the summary so the latest version is current again
+ * DELETE /api/summary/:meetingId/pin
+ */
+router.delete(
+  '/:meetingId/pin',
+  requireMeetingAccess('edit', { select: 'summary summaryVersions pinnedSummaryVersion' }),
+  async (req, res) => {
+    try {
+      const summary = await summaryService.unpinVersion(req.meeting);
+
+      res.json({
+        success: true,
+        meetingId: req.params.meetingId,
+        pinnedVersion: null,
+        summary
+      });
+    } catch (error) {
+      console.error('Error unpinning summary version:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
 // Export summary
 router.post('/export', async (req, res) => {
   try {
@@ -1,27 +1,42 @@
 import express from 'express';
+import transcriptService from '../services/transcriptService.js';
+import { requireMeetingAccess } from '../middleware/meetingAccess.js';
 
 const router = express.Router();
 
-// Get transcription history for a meeting
-router.get('/:meetingId', async (req, res) => {
+/**
+ * Get transcription history for a meeting
+ * GET /api/transcription/:meetingId
+ *
+ * Query:
+ *   - speaker: Only segments from these speakers (comma-separated)
+ *   - from / to: Only segments within this time range (ISO dates)
+ *   - minConfidence: Only segments with at least this confidence (0-1)
+ *   - limit: Page size (default 100, max 500)
+ *   - cursor: Cursor returned by the previous page
+ *   - reveal: 'true' to include the original text of redacted spans (meeting owners only)
+ *   - words: 'true' to include word-level timings
+ */
+router.get('/:meetingId', requireMeetingAccess('view', { select: '_id' }), async (req, res) => {
   try {
-    const { meetingId } = req.params;
+    if (req.query.reveal === 'true' && req.meetingAccess !== 'manage') {
+      return res.status(403).json({ error: 'Only the meeting owner can reveal redacted text' });
+    }
+
+    const filters = transcriptService.parseFilters(req.query);
+    const page = await transcriptService.getTranscript(req.meeting, filters, {
+      reveal: req.query.reveal === 'true',
+      words: req.query.words === 'true',
+    });
 
-    // TODO: Implement real transcription retrieval
     res.json({
-      meetingId,
-      transcriptions: [
-        {
-          id: '1',
-          speaker: 'John',
-          text: 'Let\'s discuss the Q4 roadmap for the product launch.',
-          timestamp: new Date().toISOString(),
-          type: 'user'
-        }
-      ]
+      success: true,
+      meetingId: req.params.meetingId,
+      ...page
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    console.error('Error getting transcription:', error);
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
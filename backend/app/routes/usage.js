@@ -0,0 +1,135 @@
+import express from 'express';
+import usageService from '../services/usageService.js';
+import workspaceService from '../services/workspaceService.js';
+import elevenlabsService from '../services/elevenlabsService.js';
+import { isAdmin, requireAdmin, requireUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(requireUser);
+
+// Read ?period=YYYY-MM, defaulting to the current month
+const getPeriod = (req, res) => {
+  const period = req.query.period || usageService.periodFor();
+  if (!usageService.isValidPeriod(period)) {
+    res.status(400).json({ error: 'period must look like YYYY-MM' });
+    return null;
+  }
+  return period;
+};
+
+/**
+ * Get the user's usage and quotas for a month
+ * GET /api/usage
+ *
+ * Query:
+ *   - period: Month as YYYY-MM (default: current month, UTC)
+ *
+ * Quotas of null are unlimited; `exceeded` lists the quotas that are used up,
+ * which blocks new bots (botMinutes) or TTS calls (ttsCharacters).
+ */
+router.get('/', async (req, res) => {
+  const period = getPeriod(req, res);
+  if (!period) return;
+
+  try {
+    const status = await usageService.getStatus(req.userId, period);
+
+    res.json({
+      success: true,
+      ...status,
+      isAdmin: isAdmin(req.userId),
+    });
+  } catch (error) {
+    console.error('Error getting usage:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Every user's usage for a month, heaviest first (admins only)
+ * GET /api/usage/users
+ *
+ * Query:
+ *   - period: Month as YYYY-MM (default: current month, UTC)
+ *
+ * Also returns the ElevenLabs account's character allowance, when configured.
+ */
+router.get('/users', requireAdmin, async (req, res) => {
+  const period = getPeriod(req, res);
+  if (!period) return;
+
+  try {
+    const users = await workspaceService.withProfiles(await usageService.listUsage(period));
+
+    let elevenlabs = null;
+    if (elevenlabsService.validateConfig()) {
+      try {
+        const subscription = await elevenlabsService.getSubscriptionInfo();
+        elevenlabs = {
+          tier: subscription.tier,
+          characterCount: subscription.character_count,
+          characterLimit: subscription.character_limit,
+          resetsAt: subscription.next_character_count_reset_unix
+            ? new Date(subscription.next_character_count_reset_unix * 1000)
+            : null,
+        };
+      } catch (error) {
+        console.warn('⚠️ Could not load ElevenLabs subscription:', error.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      period,
+      users,
+      defaults: usageService.config.defaults,
+      providers: { elevenlabs },
+    });
+  } catch (error) {
+    console.error('Error listing usage:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Override a user's monthly quotas (admins only)
+ * PUT /api/usage/users/:userId/quotas
+ *
+ * Body (each optional; a whole number, or null for unlimited):
+ *   - botMinutes: Recall.ai bot minutes per month
+ *   - ttsCharacters: ElevenLabs TTS characters per month
+ */
+router.put('/users/:userId/quotas', requireAdmin, async (req, res) => {
+  try {
+    const quotas = await usageService.setQuotas(req.params.userId, req.body, req.userId);
+
+    res.json({
+      success: true,
+      quotas,
+    });
+  } catch (error) {
+    console.error('Error updating usage quotas:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Reset a user's quotas to the server defaults (admins only)
+ * DELETE /api/usage/users/:userId/quotas
+ */
+router.delete('/users/:userId/quotas', requireAdmin, async (req, res) => {
+  try {
+    const quotas = await usageService.resetQuotas(req.params.userId);
+
+    res.json({
+      success: true,
+      quotas,
+    });
+  } catch (error) {
+    console.error('Error resetting usage quotas:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -2,13 +2,35 @@ import express from 'express';
 import elevenlabsService from '../services/elevenlabsService.js';
 import recallService from '../services/recallService.js';
 import audioOutputService from '../services/audioOutputService.js';
+import workspaceService from '../services/workspaceService.js';
+import { requireBotOwner } from '../middleware/botAccess.js';
+import { canUseVoice, getVoiceWorkspaceIds, requireVoiceAccess } from '../middleware/voiceAccess.js';
 
 const router = express.Router();
 
-// Clone voice from audio samples
+/**
+ * Load the voice named by :voiceId, hiding other users' cloned voices
+ */
+const loadVoice = async (req, res, next) => {
+  try {
+    const voice = await elevenlabsService.getVoice(req.params.voiceId);
+
+    if (!canUseVoice(voice, req.userId, await getVoiceWorkspaceIds(req.userId))) {
+      return res.status(404).json({ error: 'Voice not found' });
+    }
+
+    req.voice = voice;
+    next();
+  } catch (error) {
+    console.error('Error loading voice:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Clone voice from audio samples (pass workspaceId to share it with a workspace)
 router.post('/clone', async (req, res) => {
   try {
-    const { name, description, audioSamples, userId } = req.body;
+    const { name, description, audioSamples, workspaceId } = req.body;
 
     if (!name || !audioSamples || audioSamples.length === 0) {
       return res.status(400).json({
@@ -16,6 +38,10 @@ router.post('/clone', async (req, res) => {
       });
     }
 
+    const workspace = workspaceId
+      ? await workspaceService.getWorkspace(workspaceId, req.userId, 'editor')
+      : null;
+
     // Convert base64 audio samples to buffers
     const buffers = audioSamples.map(sample =>
       Buffer.from(sample, 'base64')
@@ -25,7 +51,11 @@ router.post('/clone', async (req, res) => {
       name,
       description,
       audioSamples: buffers,
-      labels: ['custom', userId]
+      labels: {
+        source: 'custom',
+        userId: req.userId,
+        ...(workspace && { workspaceId: workspace._id.toString() })
+      }
     });
 
     res.json({
@@ -35,12 +65,12 @@ router.post('/clone', async (req, res) => {
     });
   } catch (error) {
     console.error('Voice cloning error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 // Generate speech from text (TTS)
-router.post('/speak', async (req, res) => {
+router.post('/speak', requireBotOwner({ optional: true }), requireVoiceAccess, async (req, res) => {
   try {
     const { text, voiceId, botId, stability, similarityBoost } = req.body;
 
@@ -53,7 +83,8 @@ router.post('/speak', async (req, res) => {
       text,
       voiceId,
       stability,
-      similarityBoost
+      similarityBoost,
+      userId: req.userId
     });
 
     // If botId is provided, save audio for Output Media API
@@ -77,7 +108,7 @@ router.post('/speak', async (req, res) => {
     });
   } catch (error) {
     console.error('TTS error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -85,10 +116,11 @@ router.post('/speak', async (req, res) => {
 router.get('/list', async (req, res) => {
   try {
     const voices = await elevenlabsService.getVoices();
+    const workspaceIds = await getVoiceWorkspaceIds(req.userId);
 
     res.json({
       success: true,
-      voices: voices.map(v => ({
+      voices: voices.filter(v => canUseVoice(v, req.userId, workspaceIds)).map(v => ({
         id: v.voice_id,
         name: v.name,
         category: v.category,
@@ -103,14 +135,11 @@ router.get('/list', async (req, res) => {
 });
 
 // Get voice details
-router.get('/:voiceId', async (req, res) => {
+router.get('/:voiceId', loadVoice, async (req, res) => {
   try {
-    const { voiceId } = req.params;
-    const voice = await elevenlabsService.getVoice(voiceId);
-
     res.json({
       success: true,
-      voice
+      voice: req.voice
     });
   } catch (error) {
     console.error('Error getting voice:', error);
@@ -119,10 +148,18 @@ router.get('/:voiceId', async (req, res) => {
 });
 
 // Delete voice
-router.delete('/:voiceId', async (req, res) => {
+router.delete('/:voiceId', loadVoice, async (req, res) => {
   try {
-    const { voiceId } = req.params;
-    await elevenlabsService.deleteVoice(voiceId);
+    const { labels = {} } = req.voice;
+    const workspaceOwner = labels.workspaceId && labels.userId !== req.userId
+      ? await workspaceService.getWorkspace(labels.workspaceId, req.userId, 'owner').then(() => true, () => false)
+      : false;
+
+    if (req.voice.category !== 'cloned' || (labels.userId !== req.userId && !workspaceOwner)) {
+      return res.status(403).json({ error: 'Only your own cloned voices can be deleted' });
+    }
+
+    await elevenlabsService.deleteVoice(req.params.voiceId);
 
     res.json({
       success: true,
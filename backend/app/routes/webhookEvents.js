@@ -0,0 +1,107 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import webhookEventService from '../services/webhookEventService.js';
+import { requireAdmin, requireUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Webhook events cover every user's bots, so only admins can see or replay them
+router.use(requireUser, requireAdmin);
+
+router.use((req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({ error: 'Database not connected' });
+  }
+  next();
+});
+
+/**
+ * List stored webhook events, newest first (without payloads)
+ * GET /api/webhook-events
+ *
+ * Query:
+ *   - botId: Only this bot's events (optional)
+ *   - uploadId: Only this desktop SDK upload's events (optional)
+ *   - status: Comma-separated statuses - pending, processed, ignored, failed (optional)
+ *   - limit: Maximum events (default 100, max 500)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { botId, uploadId, status, limit } = req.query;
+    const events = await webhookEventService.list({ botId, uploadId, statuses: status, limit });
+
+    res.json({
+      success: true,
+      events: events.map(event => webhookEventService.format(event)),
+    });
+  } catch (error) {
+    console.error('Error listing webhook events:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Replay a bot's or upload's events, oldest first
+ * POST /api/webhook-events/replay
+ *
+ * Only failed and ignored events are replayed unless `statuses` says otherwise.
+ * A transcript event whose segment is already stored doesn't store it again.
+ *
+ * Body:
+ *   - botId: Bot whose events to replay
+ *   - uploadId: Or the desktop SDK upload whose events to replay
+ *   - statuses: Statuses to replay (default ['failed', 'ignored'])
+ */
+router.post('/replay', async (req, res) => {
+  try {
+    const { botId, uploadId, statuses } = req.body;
+    const events = await webhookEventService.replay({ botId, uploadId, statuses });
+
+    res.json({
+      success: true,
+      replayed: events.length,
+      events: events.map(event => webhookEventService.format(event)),
+    });
+  } catch (error) {
+    console.error('Error replaying webhook events:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get a stored webhook event with its payload
+ * GET /api/webhook-events/:eventId
+ */
+router.get('/:eventId', async (req, res) => {
+  try {
+    const event = await webhookEventService.get(req.params.eventId);
+
+    res.json({
+      success: true,
+      event: webhookEventService.format(event, { includePayload: true }),
+    });
+  } catch (error) {
+    console.error('Error getting webhook event:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Replay one stored webhook event, whatever its status
+ * POST /api/webhook-events/:eventId/replay
+ */
+router.post('/:eventId/replay', async (req, res) => {
+  try {
+    const event = await webhookEventService.replayEvent(req.params.eventId);
+
+    res.json({
+      success: true,
+      event: webhookEventService.format(event),
+    });
+  } catch (error) {
+    console.error('Error replaying webhook event:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,274 @@
+import express from 'express';
+import workspaceService from '../services/workspaceService.js';
+import redactionService from '../services/redactionService.js';
+import retentionService from '../services/retentionService.js';
+import realtimeService from '../services/realtimeService.js';
+import { requireUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(requireUser);
+
+/**
+ * Shape a workspace for API responses
+ */
+const formatWorkspace = (workspace, userId, members) => ({
+  id: workspace._id.toString(),
+  name: workspace.name,
+  createdBy: workspace.createdBy,
+  role: workspaceService.getRole(workspace, userId),
+  memberCount: workspace.members.length,
+  ...(members && { members }),
+  createdAt: workspace.createdAt,
+  updatedAt: workspace.updatedAt,
+});
+
+/**
+ * List the workspaces the user belongs to
+ * GET /api/workspaces
+ */
+router.get('/', async (req, res) => {
+  try {
+    const workspaces = await workspaceService.listForUser(req.userId);
+
+    res.json({
+      success: true,
+      workspaces: workspaces.map(workspace => formatWorkspace(workspace, req.userId)),
+    });
+  } catch (error) {
+    console.error('Error listing workspaces:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Create a workspace (the user becomes its owner)
+ * POST /api/workspaces
+ *
+ * Body:
+ *   - name: Workspace name
+ */
+router.post('/', async (req, res) => {
+  try {
+    const workspace = await workspaceService.create(req.userId, req.body.name);
+
+    res.status(201).json({
+      success: true,
+      workspace: formatWorkspace(workspace, req.userId, await workspaceService.withProfiles(workspace.members)),
+    });
+  } catch (error) {
+    console.error('Error creating workspace:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get a workspace with its members
+ * GET /api/workspaces/:workspaceId
+ */
+router.get('/:workspaceId', async (req, res) => {
+  try {
+    const workspace = await workspaceService.getWorkspace(req.params.workspaceId, req.userId);
+
+    res.json({
+      success: true,
+      workspace: formatWorkspace(workspace, req.userId, await workspaceService.withProfiles(workspace.members)),
+    });
+  } catch (error) {
+    console.error('Error getting workspace:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Rename a workspace (owners only)
+ * PATCH /api/workspaces/:workspaceId
+ *
+ * Body:
+ *   - name: New workspace name
+ */
+router.patch('/:workspaceId', async (req, res) => {
+  try {
+    const { name } = req.body;
+    const workspace = await workspaceService.getWorkspace(req.params.workspaceId, req.userId, 'owner');
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    workspace.name = name.trim();
+    await workspace.save();
+
+    res.json({
+      success: true,
+      workspace: formatWorkspace(workspace, req.userId),
+    });
+  } catch (error) {
+    console.error('Error updating workspace:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete a workspace (owners only)
+ * DELETE /api/workspaces/:workspaceId
+ *
+ * Meetings and action items are kept and go back to the users who created them.
+ */
+router.delete('/:workspaceId', async (req, res) => {
+  try {
+    const workspace = await workspaceService.getWorkspace(req.params.workspaceId, req.userId, 'owner');
+    await workspaceService.remove(workspace);
+    await realtimeService.recheckUsers(workspace.members.map(member => member.userId));
+
+    res.json({
+      success: true,
+      message: 'Workspace deleted',
+    });
+  } catch (error) {
+    console.error('Error deleting workspace:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Add a member or change a member's role (owners only)
+ * PUT /api/workspaces/:workspaceId/members
+ *
+ * Body:
+ *   - userId or email: User to add
+ *   - role: owner | editor | viewer
+ */
+router.put('/:workspaceId/members', async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    const workspace = await workspaceService.getWorkspace(req.params.workspaceId, req.userId, 'owner');
+    const userId = await workspaceService.resolveUserId({ userId: req.body.userId, email });
+
+    await workspaceService.setMember(workspace, userId, role);
+    console.log(`👥 ${userId} is now ${role} of workspace ${workspace._id}`);
+
+    res.json({
+      success: true,
+      workspace: formatWorkspace(workspace, req.userId, await workspaceService.withProfiles(workspace.members)),
+    });
+  } catch (error) {
+    console.error('Error updating workspace member:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get the workspace's redaction patterns and keywords
+ * GET /api/workspaces/:workspaceId/redaction
+ *
+ * They are redacted in every meeting of the workspace, on top of the meeting
+ * owner's own policy (whose mode decides whether redaction runs).
+ */
+router.get('/:workspaceId/redaction', async (req, res) => {
+  try {
+    const workspace = await workspaceService.getWorkspace(req.params.workspaceId, req.userId);
+
+    res.json({
+      success: true,
+      redaction: await redactionService.getWorkspaceLists(workspace._id),
+    });
+  } catch (error) {
+    console.error('Error getting workspace redaction:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update the workspace's redaction patterns and/or keywords (owners only)
+ * PUT /api/workspaces/:workspaceId/redaction
+ *
+ * Body (each optional):
+ *   - patterns: Custom regular expressions ([{ name, pattern, flags }]), matched with RE2
+ *   - keywords: Words or phrases to redact (case-insensitive)
+ */
+router.put('/:workspaceId/redaction', async (req, res) => {
+  try {
+    const workspace = await workspaceService.getWorkspace(req.params.workspaceId, req.userId, 'owner');
+
+    res.json({
+      success: true,
+      redaction: await redactionService.updateWorkspaceLists(workspace._id, req.body),
+    });
+  } catch (error) {
+    console.error('Error updating workspace redaction:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get the workspace's retention periods
+ * GET /api/workspaces/:workspaceId/retention
+ *
+ * Periods are in days and apply to every meeting of the workspace on top of the
+ * meeting owner's own policy, so the shorter period wins; null sets no limit.
+ */
+router.get('/:workspaceId/retention', async (req, res) => {
+  try {
+    const workspace = await workspaceService.getWorkspace(req.params.workspaceId, req.userId);
+
+    res.json({
+      success: true,
+      retention: await retentionService.getWorkspacePolicy(workspace._id),
+    });
+  } catch (error) {
+    console.error('Error getting workspace retention:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update the workspace's retention periods (owners only)
+ * PUT /api/workspaces/:workspaceId/retention
+ *
+ * Body (each optional; a whole number of days, or null for no workspace limit):
+ *   - transcriptDays: Delete transcripts this long after a meeting ends
+ *   - summaryDays: Delete summaries this long after a meeting ends
+ *   - trashDays: Permanently delete meetings this long after they are trashed
+ */
+router.put('/:workspaceId/retention', async (req, res) => {
+  try {
+    const workspace = await workspaceService.getWorkspace(req.params.workspaceId, req.userId, 'owner');
+
+    res.json({
+      success: true,
+      retention: await retentionService.updateWorkspacePolicy(workspace._id, req.body),
+    });
+  } catch (error) {
+    console.error('Error updating workspace retention:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Remove a member (owners only), or leave a workspace
+ * DELETE /api/workspaces/:workspaceId/members/:userId
+ */
+router.delete('/:workspaceId/members/:userId', async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.userId;
+    const workspace = await workspaceService.getWorkspace(
+      req.params.workspaceId,
+      req.userId,
+      leaving ? 'viewer' : 'owner'
+    );
+
+    await workspaceService.removeMember(workspace, req.params.userId);
+    await realtimeService.recheckUsers([req.params.userId]);
+
+    res.json({
+      success: true,
+      message: leaving ? 'You left the workspace' : 'Member removed',
+    });
+  } catch (error) {
+    console.error('Error removing workspace member:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,95 @@
+import ActionItem, { ACTION_ITEM_PRIORITIES } from '../models/ActionItem.js';
+import TranscriptSegment from '../models/TranscriptSegment.js';
+
+/**
+ * ActionItemService - Tracks action items across meetings
+ *
+ * This service handles:
+ * - Extracting action items from a meeting's current summary
+ * - Linking each item to the transcript time where it was agreed
+ */
+class ActionItemService {
+  /**
+   * Parse a due date from a summary or request body
+   *
+   * @param {string|Date|null} value - Date, ISO string or free text
+   * @returns {{ dueDate: Date|null, dueDateText: string|undefined }}
+   */
+  parseDueDate(value) {
+    if (!value) {
+      return { dueDate: null, dueDateText: undefined };
+    }
+
+    const date = new Date(value);
+    if (!isNaN(date.getTime())) {
+      return { dueDate: date, dueDateText: undefined };
+    }
+
+    return { dueDate: null, dueDateText: String(value) };
+  }
+
+  /**
+   * Replace a meeting's extracted action items with those of its current summary
+   *
+   * Items the user created or edited are kept, and summary items with the same
+   * text as a kept item are not added again.
+   *
+   * @param {Object} meeting - Meeting document (_id, userId and workspaceId)
+   * @param {Object} summary - Current summary version
+   * @returns {Promise<Array>} Newly extracted items
+   */
+  async syncFromSummary(meeting, summary) {
+    await ActionItem.deleteMany({ meetingId: meeting._id, source: 'summary', editedAt: null });
+
+    const kept = await ActionItem.find({ meetingId: meeting._id }).select('text').lean();
+    const keptTexts = new Set(kept.map(item => item.text.toLowerCase()));
+
+    const candidates = (summary?.actionItems || [])
+      .filter(item => item.text && !keptTexts.has(item.text.toLowerCase()));
+
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    // Offsets in the summary are relative to the first transcript segment
+    const first = await TranscriptSegment.findOne({ meetingId: meeting._id })
+      .sort({ timestamp: 1, _id: 1 })
+      .select('timestamp')
+      .lean();
+    const start = first ? new Date(first.timestamp).getTime() : null;
+
+    const items = await ActionItem.insertMany(candidates.map(item => ({
+      userId: meeting.userId,
+      meetingId: meeting._id,
+      workspaceId: meeting.workspaceId || null,
+      text: item.text,
+      assignee: item.assignee,
+      ...this.parseDueDate(item.dueDate),
+      priority: ACTION_ITEM_PRIORITIES.includes(item.priority) ? item.priority : 'medium',
+      sourceOffsetSeconds: item.offsetSeconds,
+      sourceTimestamp: start !== null && item.offsetSeconds != null
+        ? new Date(start + item.offsetSeconds * 1000)
+        : undefined,
+      source: 'summary',
+      summaryVersion: summary.version,
+    })));
+
+    console.log(`✅ Extracted ${items.length} action items for meeting ${meeting._id}`);
+    return items;
+  }
+
+  /**
+   * Delete every action item of a meeting
+   *
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<number>} Number of items deleted
+   */
+  async deleteMeetingItems(meetingId) {
+    const result = await ActionItem.deleteMany({ meetingId });
+    return result.deletedCount;
+  }
+}
+
+// Export singleton instance
+const actionItemService = new ActionItemService();
+export default actionItemService;
@@ -1,4 +1,10 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import usageService from './usageService.js';
+
+const MODEL_NAME = 'gemini-2.0-flash-exp';
+
+// Bump when the summary prompt or its JSON shape changes (stored with each summary)
+const SUMMARY_PROMPT_VERSION = 2;
 
 /**
  * AIService - Manages AI/LLM integration using Gemini for summaries and smart replies
@@ -8,10 +14,12 @@ class AIService {
     this.apiKey = process.env.GEMINI_API_KEY;
     this.genAI = null;
     this.model = null;
+    this.modelName = MODEL_NAME;
+    this.summaryPromptVersion = SUMMARY_PROMPT_VERSION;
 
     if (this.apiKey) {
       this.genAI = new GoogleGenerativeAI(this.apiKey);
-      this.model = this.genAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
+      this.model = this.genAI.getGenerativeModel({ model: MODEL_NAME });
     }
   }
 
@@ -23,10 +31,28 @@ class AIService {
     return !!this.apiKey;
   }
 
+  /**
+   * Run a prompt and meter its tokens against the user it was run for
+   * @param {string} prompt - Prompt
+   * @param {string} userId - User to attribute the tokens to (optional)
+   * @returns {Promise<string>} Response text
+   */
+  async generate(prompt, userId) {
+    const result = await this.model.generateContent(prompt);
+    const response = result.response;
+
+    if (userId) {
+      await usageService.recordLlm(userId, response.usageMetadata);
+    }
+
+    return response.text();
+  }
+
   /**
    * Generate meeting summary from transcript
    * @param {Array} transcriptions - Array of transcription objects
    * @param {Object} options - Summary options
+   * @param {string} options.userId - User to meter the call against (optional)
    * @returns {Promise<Object>} Summary with key points and action items
    */
   async generateSummary(transcriptions, options = {}) {
@@ -38,23 +64,29 @@ class AIService {
       throw new Error('No transcriptions provided');
     }
 
-    // Convert transcriptions to text
+    // Convert transcriptions to text, prefixed with [mm:ss] offsets from the first segment
+    const start = transcriptions[0].timestamp ? new Date(transcriptions[0].timestamp).getTime() : null;
     const transcript = transcriptions
-      .map(t => `${t.speaker}: ${t.text}`)
+      .map(t => {
+        if (start === null || !t.timestamp) {
+          return `${t.speaker}: ${t.text}`;
+        }
+        return `[${this.formatOffset(new Date(t.timestamp).getTime() - start)}] ${t.speaker}: ${t.text}`;
+      })
       .join('\n');
 
     const prompt = `You are an AI meeting assistant. Analyze the following meeting transcript and provide:
 
 1. A brief summary (2-3 sentences)
 2. Key points discussed (bullet points)
-3. Action items with assignees if mentioned (bullet points)
+3. Action items with assignees, due dates and priority if mentioned (bullet points)
 4. Important decisions made (bullet points)
 
 Format your response as JSON with this structure:
 {
   "summary": "brief summary here",
   "keyPoints": ["point 1", "point 2", ...],
-  "actionItems": [{"item": "task description", "assignee": "person or null", "dueDate": "date or null"}, ...],
+  "actionItems": [{"item": "task description", "assignee": "person or null", "dueDate": "date or null", "priority": "low, medium or high", "timestamp": "[mm:ss] of the line where it was agreed, or null"}, ...],
   "decisions": ["decision 1", "decision 2", ...]
 }
 
@@ -66,9 +98,7 @@ IMPORTANT: Respond ONLY with valid JSON, no additional text.`;
     try {
       console.log('🤖 Generating AI summary with Gemini...');
 
-      const result = await this.model.generateContent(prompt);
-      const response = result.response;
-      const text = response.text();
+      const text = await this.generate(prompt, options.userId);
 
       // Extract JSON from response (in case there's any markdown formatting)
       const jsonMatch = text.match(/\{[\s\S]*\}/);
@@ -86,13 +116,27 @@ IMPORTANT: Respond ONLY with valid JSON, no additional text.`;
     }
   }
 
+  /**
+   * Format a millisecond offset as mm:ss
+   * @param {number} ms - Offset in milliseconds
+   * @returns {string} Offset like "05:42"
+   */
+  formatOffset(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const minutes = String(Math.floor(totalSeconds / 60)).padStart(2, '0');
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return `${minutes}:${seconds}`;
+  }
+
   /**
    * Generate smart reply suggestions based on recent conversation
    * @param {Array} recentTranscriptions - Recent transcriptions
    * @param {number} count - Number of suggestions to generate
+   * @param {Object} options
+   * @param {string} options.userId - User to meter the call against (optional)
    * @returns {Promise<Array>} Array of suggested replies
    */
-  async generateSmartReplies(recentTranscriptions, count = 3) {
+  async generateSmartReplies(recentTranscriptions, count = 3, { userId } = {}) {
     if (!this.validateConfig()) {
       throw new Error('Gemini API key not configured');
     }
@@ -126,9 +170,7 @@ IMPORTANT: Respond ONLY with valid JSON array, no additional text.`;
     try {
       console.log('🤖 Generating smart replies with Gemini...');
 
-      const result = await this.model.generateContent(prompt);
-      const response = result.response;
-      const text = response.text();
+      const text = await this.generate(prompt, userId);
 
       // Extract JSON array from response
       const jsonMatch = text.match(/\[[\s\S]*\]/);
@@ -154,9 +196,11 @@ IMPORTANT: Respond ONLY with valid JSON array, no additional text.`;
   /**
    * Analyze sentiment of transcriptions
    * @param {Array} transcriptions - Transcriptions to analyze
+   * @param {Object} options
+   * @param {string} options.userId - User to meter the call against (optional)
    * @returns {Promise<Object>} Sentiment analysis
    */
-  async analyzeSentiment(transcriptions) {
+  async analyzeSentiment(transcriptions, { userId } = {}) {
     if (!this.validateConfig()) {
       throw new Error('Gemini API key not configured');
     }
@@ -183,9 +227,7 @@ ${transcript}
 IMPORTANT: Respond ONLY with valid JSON, no additional text.`;
 
     try {
-      const result = await this.model.generateContent(prompt);
-      const response = result.response;
-      const text = response.text();
+      const text = await this.generate(prompt, userId);
 
       const jsonMatch = text.match(/\{[\s\S]*\}/);
       if (!jsonMatch) {
@@ -203,9 +245,11 @@ IMPORTANT: Respond ONLY with valid JSON, no additional text.`;
    * Generate a contextual AI response based on the conversation
    * @param {Array} transcriptions - Conversation history
    * @param {string} userPrompt - Optional custom prompt
+   * @param {Object} options
+   * @param {string} options.userId - User to meter the call against (optional)
    * @returns {Promise<string>} Generated response
    */
-  async generateResponse(transcriptions, userPrompt = null) {
+  async generateResponse(transcriptions, userPrompt = null, { userId } = {}) {
     if (!this.validateConfig()) {
       throw new Error('Gemini API key not configured');
     }
@@ -222,9 +266,8 @@ ${context}
 Generate a natural, contextually appropriate response.`;
 
     try {
-      const result = await this.model.generateContent(prompt);
-      const response = result.response;
-      return response.text().trim();
+      const text = await this.generate(prompt, userId);
+      return text.trim();
     } catch (error) {
       console.error('Response generation error:', error.message);
       throw new Error('Failed to generate response');
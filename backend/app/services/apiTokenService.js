@@ -0,0 +1,194 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import ApiToken, { API_TOKEN_SCOPES } from '../models/ApiToken.js';
+
+// Tokens look like etk_<43 base64url characters>
+export const TOKEN_PREFIX = 'etk_';
+
+const tokenError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * ApiTokenService - Personal access tokens
+ *
+ * This service handles:
+ * - Creating scoped tokens (only their hashes are stored)
+ * - Listing and revoking a user's tokens
+ * - Authenticating requests that send a token instead of a Clerk session
+ * - Checking a token's scopes for the part of the API a request uses
+ */
+class ApiTokenService {
+  constructor() {
+    this.config = {
+      maxTokensPerUser: 20,
+      maxDays: 365,
+      // Don't write lastUsedAt on every request
+      touchIntervalMs: 60 * 1000,
+    };
+  }
+
+  /**
+   * Whether a bearer token is a personal access token (rather than a Clerk session)
+   *
+   * @param {string} token - Bearer token
+   * @returns {boolean}
+   */
+  isApiToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+  }
+
+  /**
+   * SHA-256 of a token, as stored
+   *
+   * @param {string} token - Token
+   * @returns {string} Hex digest
+   */
+  hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Shape a token for API responses (never includes the token or its hash)
+   *
+   * @param {Object} apiToken - ApiToken document
+   * @returns {Object} API representation
+   */
+  format(apiToken) {
+    return {
+      id: apiToken._id.toString(),
+      name: apiToken.name,
+      prefix: apiToken.prefix,
+      scopes: apiToken.scopes,
+      expiresAt: apiToken.expiresAt,
+      lastUsedAt: apiToken.lastUsedAt,
+      revokedAt: apiToken.revokedAt,
+      createdAt: apiToken.createdAt,
+    };
+  }
+
+  /**
+   * Create a token for a user
+   *
+   * @param {string} userId - User ID
+   * @param {Object} options
+   * @param {string} options.name - What the token is for
+   * @param {Array<string>} options.scopes - Scopes such as meetings:read or bots:write
+   * @param {number} options.expiresInDays - Days until the token expires (optional; never by default)
+   * @returns {Promise<Object>} { token, apiToken } - the plain token is only available here
+   */
+  async create(userId, { name, scopes, expiresInDays } = {}) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw tokenError('Name is required', 400);
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_TOKEN_SCOPES.includes(scope))) {
+      throw tokenError(`scopes must be a non-empty list of: ${API_TOKEN_SCOPES.join(', ')}`, 400);
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+      if (!Number.isFinite(days) || days < 1 || days > this.config.maxDays) {
+        throw tokenError(`expiresInDays must be between 1 and ${this.config.maxDays}`, 400);
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const active = await ApiToken.countDocuments({ userId, revokedAt: null });
+    if (active >= this.config.maxTokensPerUser) {
+      throw tokenError(`You can have at most ${this.config.maxTokensPerUser} active tokens`, 409);
+    }
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const apiToken = await ApiToken.create({
+      userId,
+      name: name.trim(),
+      tokenHash: this.hash(token),
+      prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+      scopes: [...new Set(scopes)],
+      expiresAt,
+    });
+
+    console.log(`🔑 API token ${apiToken._id} created for ${userId} (${apiToken.scopes.join(', ')})`);
+    return { token, apiToken };
+  }
+
+  /**
+   * List a user's tokens, newest first
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} ApiToken documents
+   */
+  async list(userId) {
+    return ApiToken.find({ userId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Revoke one of a user's tokens
+   *
+   * @param {string} userId - User ID
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<Object>} Revoked token
+   */
+  async revoke(userId, tokenId) {
+    const apiToken = mongoose.isValidObjectId(tokenId)
+      ? await ApiToken.findOne({ _id: tokenId, userId })
+      : null;
+
+    if (!apiToken) {
+      throw tokenError('Token not found', 404);
+    }
+
+    if (!apiToken.revokedAt) {
+      apiToken.revokedAt = new Date();
+      await apiToken.save();
+      console.log(`🔒 API token ${apiToken._id} revoked`);
+    }
+    return apiToken;
+  }
+
+  /**
+   * Look up the active token a request sent
+   *
+   * @param {string} token - Plain token
+   * @returns {Promise<Object|null>} ApiToken document, or null if unknown, revoked or expired
+   */
+  async authenticate(token) {
+    const apiToken = await ApiToken.findOne({ tokenHash: this.hash(token), revokedAt: null });
+
+    if (!apiToken || (apiToken.expiresAt && apiToken.expiresAt <= new Date())) {
+      return null;
+    }
+
+    const now = new Date();
+    if (!apiToken.lastUsedAt || now - apiToken.lastUsedAt > this.config.touchIntervalMs) {
+      await ApiToken.updateOne({ _id: apiToken._id }, { $set: { lastUsedAt: now } });
+    }
+
+    return apiToken;
+  }
+
+  /**
+   * Whether a token's scopes allow a request to an area of the API.
+   * Reads (GET/HEAD) need area:read or area:write; other methods need area:write.
+   *
+   * @param {Array<string>} scopes - Token scopes
+   * @param {string} area - API area (e.g. 'meetings')
+   * @param {string} method - HTTP method
+   * @returns {string|null} Missing scope, or null if allowed
+   */
+  missingScope(scopes, area, method) {
+    const write = `${area}:write`;
+    if (method === 'GET' || method === 'HEAD') {
+      return scopes.includes(`${area}:read`) || scopes.includes(write) ? null : `${area}:read`;
+    }
+    return scopes.includes(write) ? null : write;
+  }
+}
+
+// Export singleton instance
+const apiTokenService = new ApiTokenService();
+export default apiTokenService;
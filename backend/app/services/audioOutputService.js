@@ -13,19 +13,17 @@ const __dirname = dirname(__filename);
  * - Storing TTS audio files temporarily
  * - Serving audio files for Recall.ai Output Media API
  * - Managing audio sessions per bot
- * - Cleaning up old audio files
- * 
+ * - Cleaning up old audio files (run by the retention job)
  */
 class AudioOutputService {
   constructor() {
     this.audioDir = path.join(__dirname, '..', '..', 'temp', 'audio');
     this.audioSessions = new Map(); // botId -> { audioFile, timestamp, text }
+    // Files older than this are removed by the retention job (retentionService)
+    this.maxAgeMs = (parseInt(process.env.AUDIO_RETENTION_MINUTES, 10) || 30) * 60 * 1000;
 
     // Ensure audio directory exists
     this.ensureAudioDir();
-
-    // Clean up old audio files every 10 minutes
-    setInterval(() => this.cleanupOldFiles(), 10 * 60 * 1000);
   }
 
   /**
@@ -115,19 +113,49 @@ class AudioOutputService {
   }
 
   /**
-   * Clean up audio files older than 30 minutes
+   * Delete audio files older than maxAgeMs
+   *
+   * Scans the audio directory rather than the in-memory sessions, so files left
+   * behind by earlier runs of the server are removed too.
+   *
+   * @param {number} maxAgeMs - Maximum file age (defaults to AUDIO_RETENTION_MINUTES)
+   * @returns {Promise<Object>} { files, bytes } removed
    */
-  async cleanupOldFiles() {
+  async cleanupOldFiles(maxAgeMs = this.maxAgeMs) {
     const now = Date.now();
-    const maxAge = 30 * 60 * 1000; // 30 minutes
+    const removed = { files: 0, bytes: 0 };
 
     console.log('🧹 Cleaning up old audio files...');
 
     for (const [botId, session] of this.audioSessions.entries()) {
-      if (now - session.timestamp > maxAge) {
-        await this.clearAudio(botId);
+      if (now - session.timestamp > maxAgeMs) {
+        this.audioSessions.delete(botId);
       }
     }
+
+    const filenames = await fs.readdir(this.audioDir);
+    for (const filename of filenames) {
+      const filepath = path.join(this.audioDir, filename);
+      try {
+        const stats = await fs.stat(filepath);
+        if (!stats.isFile() || now - stats.mtimeMs <= maxAgeMs) {
+          continue;
+        }
+
+        await fs.unlink(filepath);
+        removed.files++;
+        removed.bytes += stats.size;
+      } catch (error) {
+        // Already removed (e.g. by clearAudio) between readdir and unlink
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    if (removed.files > 0) {
+      console.log(`🗑️ Deleted ${removed.files} old audio file(s)`);
+    }
+
+    return removed;
   }
 
   /**
@@ -0,0 +1,225 @@
+// Typed events pushed to the bot's owner as `bot_event` WebSocket messages
+export const BOT_EVENT_TYPES = [
+  'bot.ready',
+  'bot.joining',
+  'bot.waiting_room',
+  'bot.admitted',
+  'bot.recording_permission_allowed',
+  'bot.recording_permission_denied',
+  'bot.recording',
+  'bot.left',
+  'bot.kicked',
+  'bot.done',
+  'bot.failed',
+  'participant.joined',
+  'participant.left',
+  'participant.updated',
+  'recording.ready',
+  'recording.failed',
+  'recording.expired',
+];
+
+// Recall.ai bot status codes, the event each becomes and how it reads
+const STATUSES = {
+  ready: { type: 'bot.ready', severity: 'info', message: 'Bot is ready to join' },
+  joining_call: { type: 'bot.joining', severity: 'info', message: 'Bot is joining the meeting' },
+  in_waiting_room: { type: 'bot.waiting_room', severity: 'warning', message: 'Bot is in the waiting room - admit it to the meeting' },
+  in_call_not_recording: { type: 'bot.admitted', severity: 'success', message: 'Bot was admitted to the meeting' },
+  recording_permission_allowed: { type: 'bot.recording_permission_allowed', severity: 'success', message: 'The host allowed the bot to record' },
+  recording_permission_denied: { type: 'bot.recording_permission_denied', severity: 'error', message: 'The host denied the bot permission to record' },
+  in_call_recording: { type: 'bot.recording', severity: 'success', message: 'Bot is recording' },
+  call_ended: { type: 'bot.left', severity: 'info', message: 'Bot left the meeting' },
+  done: { type: 'bot.done', severity: 'info', message: 'Bot finished' },
+  fatal: { type: 'bot.failed', severity: 'error', message: 'Bot failed' },
+  analysis_done: { type: 'recording.ready', severity: 'success', message: 'Recording is ready' },
+  analysis_failed: { type: 'recording.failed', severity: 'error', message: 'Recording processing failed' },
+  media_expired: { type: 'recording.expired', severity: 'info', message: 'Recording media has expired' },
+};
+
+// Sub-codes that change which event a status becomes
+const SUB_CODE_TYPES = {
+  bot_kicked_from_call: 'bot.kicked',
+  bot_kicked_from_waiting_room: 'bot.kicked',
+};
+
+// Recall.ai sub-codes explaining why a bot left or failed
+const SUB_CODE_MESSAGES = {
+  call_ended_by_host: 'The host ended the meeting',
+  call_ended_by_platform_idle: 'The meeting platform ended the call for being idle',
+  call_ended_by_platform_max_length: 'The meeting reached the platform\'s maximum length',
+  call_ended_by_platform_waiting_room_timeout: 'The platform timed the bot out of the waiting room',
+  timeout_exceeded_waiting_room: 'Nobody admitted the bot from the waiting room',
+  timeout_exceeded_noone_joined: 'Nobody joined the meeting',
+  timeout_exceeded_everyone_left: 'Everyone left the meeting',
+  timeout_exceeded_silence_detected: 'The meeting was silent for too long',
+  timeout_exceeded_only_bots_detected_using_participant_events: 'Only bots were left in the meeting',
+  timeout_exceeded_in_call_not_recording: 'The bot was never allowed to record',
+  timeout_exceeded_recording_permission_denied: 'The bot was denied permission to record',
+  bot_kicked_from_call: 'The bot was removed from the meeting',
+  bot_kicked_from_waiting_room: 'The bot was removed from the waiting room',
+  bot_received_leave_call: 'The bot was asked to leave',
+  bot_errored: 'The bot hit an unexpected error',
+  meeting_not_found: 'The meeting could not be found',
+  meeting_not_started: 'The meeting has not started',
+  meeting_requires_registration: 'The meeting requires registration',
+  meeting_requires_sign_in: 'The meeting requires signing in',
+  meeting_link_expired: 'The meeting link has expired',
+  meeting_link_invalid: 'The meeting link is invalid',
+  meeting_password_incorrect: 'The meeting password is incorrect',
+  meeting_locked: 'The meeting is locked',
+  meeting_full: 'The meeting is full',
+  meeting_ended: 'The meeting had already ended',
+  failed_to_launch_in_time: 'The bot could not launch in time',
+  google_meet_sign_in_failed: 'The bot could not sign in to Google Meet',
+  google_meet_sign_in_captcha_failed: 'Google Meet asked the bot to solve a captcha',
+  google_meet_bot_blocked: 'Google Meet blocked the bot',
+  google_meet_internal_error: 'Google Meet hit an internal error',
+  zoom_sdk_credentials_missing: 'Zoom SDK credentials are missing',
+  zoom_sdk_update_required: 'The Zoom SDK needs an update',
+  zoom_sdk_app_not_published: 'The Zoom app is not published',
+  zoom_invalid_signature: 'Zoom rejected the bot\'s signature',
+  zoom_internal_error: 'Zoom hit an internal error',
+  zoom_registration_required: 'The Zoom meeting requires registration',
+  zoom_meeting_not_accessible: 'The Zoom meeting is not accessible',
+  zoom_email_required: 'The Zoom meeting requires an email address',
+  microsoft_teams_call_dropped: 'Microsoft Teams dropped the call',
+  microsoft_teams_sign_in_failed: 'The bot could not sign in to Microsoft Teams',
+  microsoft_teams_internal_error: 'Microsoft Teams hit an internal error',
+  webex_join_meeting_error: 'The bot could not join the Webex meeting',
+};
+
+// Recall.ai recording webhooks (recording.done / recording.failed)
+const RECORDING_EVENTS = {
+  'recording.done': STATUSES.analysis_done,
+  'recording.failed': STATUSES.analysis_failed,
+};
+
+// Participant event actions
+const PARTICIPANT_TYPES = {
+  join: 'participant.joined',
+  leave: 'participant.left',
+  update: 'participant.updated',
+};
+
+/**
+ * BotEventService - Turns Recall.ai webhooks into typed bot events
+ *
+ * This service handles:
+ * - Reading status changes from both webhook shapes (bot.status_change and bot.<status>)
+ * - Mapping every bot status and sub-code to an event type, severity and message
+ * - Participant join/leave/update and recording-ready events
+ *
+ * @see https://docs.recall.ai/docs/bot-status-change-events
+ */
+class BotEventService {
+  /**
+   * Read a status change from a webhook: `bot.status_change` with data.status,
+   * or the `bot.<status>` events with data.data
+   *
+   * @param {Object} event - Webhook body
+   * @returns {Object|null} { botId, code, subCode, message, changedAt } or null if not a status change
+   */
+  parseStatusChange(event) {
+    const data = event?.data || {};
+
+    if (event?.event === 'bot.status_change') {
+      const status = data.status || {};
+      return this.statusChange(data.bot_id, status.code, status.sub_code, status.message, status.created_at);
+    }
+
+    const match = /^bot\.(\w+)$/.exec(event?.event || '');
+    if (match && STATUSES[match[1]]) {
+      const status = data.data || {};
+      return this.statusChange(data.bot?.id || data.bot_id, status.code || match[1], status.sub_code, status.message, status.updated_at);
+    }
+
+    return null;
+  }
+
+  /**
+   * Normalize a status change read from either webhook shape
+   */
+  statusChange(botId, code, subCode, message, at) {
+    const changedAt = at ? new Date(at) : null;
+    return {
+      botId,
+      code,
+      subCode: subCode || null,
+      message: message || null,
+      changedAt: changedAt && !isNaN(changedAt.getTime()) ? changedAt : undefined,
+    };
+  }
+
+  /**
+   * Build the event for a status change
+   *
+   * @param {Object} change - From parseStatusChange
+   * @returns {Object} { type, botId, status, subCode, severity, message, at }
+   */
+  fromStatus({ botId, code, subCode, message, changedAt }) {
+    const status = STATUSES[code] || { type: `bot.${code}`, severity: 'info', message: `Bot status: ${code}` };
+
+    return {
+      type: SUB_CODE_TYPES[subCode] || status.type,
+      botId,
+      status: code,
+      subCode,
+      severity: SUB_CODE_TYPES[subCode] ? 'error' : status.severity,
+      message: SUB_CODE_MESSAGES[subCode] || message || status.message,
+      at: changedAt || new Date(),
+    };
+  }
+
+  /**
+   * Build the event for a participant joining, leaving or changing
+   *
+   * @param {Object} participantEvent - From recallService.parseParticipantEvent
+   * @returns {Object} { type, botId, participant, severity, message, at }
+   */
+  fromParticipant({ botId, action, participant, timestamp }) {
+    const name = participant.name || 'A participant';
+    const verbs = { join: 'joined', leave: 'left', update: 'was updated' };
+
+    return {
+      type: PARTICIPANT_TYPES[action],
+      botId,
+      participant,
+      severity: 'info',
+      message: `${name} ${verbs[action]}`,
+      at: timestamp,
+    };
+  }
+
+  /**
+   * Build the event for a recording webhook (recording.done / recording.failed)
+   *
+   * @param {Object} event - Webhook body
+   * @returns {Object|null} { type, botId, recordingId, subCode, severity, message, at } or null if not a recording event
+   */
+  parseRecordingEvent(event) {
+    const recording = RECORDING_EVENTS[event?.event];
+    const data = event?.data || {};
+    const botId = data.bot?.id || data.bot_id;
+
+    if (!recording || !botId) {
+      return null;
+    }
+
+    const status = data.data || {};
+    const at = status.updated_at ? new Date(status.updated_at) : new Date();
+
+    return {
+      type: recording.type,
+      botId,
+      recordingId: data.recording?.id || null,
+      subCode: status.sub_code || null,
+      severity: recording.severity,
+      message: recording.message,
+      at: isNaN(at.getTime()) ? new Date() : at,
+    };
+  }
+}
+
+// Export singleton instance
+const botEventService = new BotEventService();
+export default botEventService;
@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+import Meeting from '../models/Meeting.js';
+import transcriptService from './transcriptService.js';
+import meetingLifecycleService from './meetingLifecycleService.js';
+
+/**
+ * DesktopMeetingService - Turns Desktop SDK upload results into meetings
+ *
+ * This service handles:
+ * - Creating or finalizing the desktop Meeting when an upload completes
+ * - Storing the uploaded transcript segments
+ * - Recording why an upload failed
+ */
+class DesktopMeetingService {
+  /**
+   * Find the meeting created for an upload, or create it if the
+   * create-upload request could not write one (e.g. DB was down)
+   *
+   * @param {Object} upload - Upload event data
+   * @param {string} upload.uploadId - Upload ID (stored as the meeting's botId)
+   * @param {string} upload.userId - User ID who owns the upload
+   * @param {string} upload.meetingTitle - Meeting title
+   * @returns {Promise<Object>} Meeting document
+   */
+  async findOrCreateMeeting({ uploadId, userId, meetingTitle }) {
+    const meeting = await Meeting.findOne({ botId: uploadId, recordingType: 'desktop' })
+      .select('-transcriptions');
+
+    if (meeting) {
+      return meeting;
+    }
+
+    console.log(`ℹ️ No meeting found for upload ${uploadId}, creating one`);
+
+    return new Meeting({
+      userId,
+      botId: uploadId,
+      meetingUrl: 'desktop-recording',
+      botName: 'Desktop Recording',
+      title: meetingTitle || `Meeting - ${new Date().toLocaleDateString()}`,
+      recordingType: 'desktop',
+      status: 'active',
+    });
+  }
+
+  /**
+   * Handle a completed Desktop SDK upload
+   *
+   * Stores the full transcript (replacing any segments streamed live during
+   * the recording) and closes out the meeting through the lifecycle service.
+   *
+   * @param {Object} upload - 'upload-complete' event data from recallDesktopService
+   * @returns {Promise<Object|null>} Finalized meeting
+   */
+  async handleUploadComplete({ uploadId, userId, meetingTitle, transcripts, metadata }) {
+    if (mongoose.connection.readyState !== 1) {
+      console.warn(`⚠️ Database not connected - desktop upload ${uploadId} was not saved`);
+      return null;
+    }
+
+    try {
+      const meeting = await this.findOrCreateMeeting({
+        uploadId,
+        userId,
+        meetingTitle: meetingTitle || metadata?.title,
+      });
+
+      const recordingStart = meeting.startTime || new Date();
+      const segments = (transcripts || [])
+        .map(segment => transcriptService.normalizeRecallSegment(segment, recordingStart))
+        .filter(Boolean);
+
+      meeting.failureReason = undefined;
+      if (meeting.isNew) {
+        await meeting.save();
+      }
+
+      await transcriptService.replaceMeetingSegments(meeting._id, meeting.userId, segments);
+      await meetingLifecycleService.releaseSessions(uploadId);
+
+      console.log(`✅ Desktop meeting ${meeting._id} saved with ${segments.length} segments`);
+      return await meetingLifecycleService.finalizeMeeting(meeting, {
+        status: 'ended',
+        reason: 'upload_complete',
+      });
+    } catch (error) {
+      console.error(`❌ Failed to save desktop upload ${uploadId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Handle a failed Desktop SDK upload
+   *
+   * @param {Object} upload - 'upload-failed' event data from recallDesktopService
+   * @returns {Promise<Object|null>} Failed meeting
+   */
+  async handleUploadFailed({ uploadId, userId, error }) {
+    if (mongoose.connection.readyState !== 1) {
+      console.warn(`⚠️ Database not connected - failure of upload ${uploadId} was not saved`);
+      return null;
+    }
+
+    try {
+      const meeting = await this.findOrCreateMeeting({ uploadId, userId });
+
+      const failureReason = typeof error === 'string' ? error : JSON.stringify(error);
+      await meetingLifecycleService.releaseSessions(uploadId);
+
+      console.log(`⚠️ Desktop meeting ${meeting._id} marked as failed: ${failureReason}`);
+      return await meetingLifecycleService.finalizeMeeting(meeting, {
+        status: 'failed',
+        reason: 'upload_failed',
+        failureReason,
+      });
+    } catch (dbError) {
+      console.error(`❌ Failed to record failure of upload ${uploadId}:`, dbError.message);
+      return null;
+    }
+  }
+}
+
+// Export singleton instance
+const desktopMeetingService = new DesktopMeetingService();
+export default desktopMeetingService;
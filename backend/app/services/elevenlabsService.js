@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { EventEmitter } from 'events';
+import usageService from './usageService.js';
 
 /**
  * ElevenLabsService - Manages voice cloning and text-to-speech
@@ -32,13 +33,15 @@ class ElevenLabsService extends EventEmitter {
    * @param {string} options.voiceId - Voice ID to use (optional)
    * @param {number} options.stability - Voice stability 0-1 (optional)
    * @param {number} options.similarityBoost - Similarity boost 0-1 (optional)
+   * @param {string} options.userId - User to meter the characters against; refused once their quota is used up (optional)
    * @returns {Promise<Buffer>} Audio buffer
    */
   async textToSpeech({
     text,
     voiceId = this.defaultVoiceId,
     stability = 0.5,
-    similarityBoost = 0.75
+    similarityBoost = 0.75,
+    userId
   }) {
     if (!this.validateConfig()) {
       throw new Error('ElevenLabs API key not configured');
@@ -48,6 +51,8 @@ class ElevenLabsService extends EventEmitter {
       throw new Error('Text is required for TTS');
     }
 
+    await usageService.assertWithinQuota(userId, 'ttsCharacters');
+
     console.log(`🔊 Generating speech for: "${text.substring(0, 50)}..."`);
 
     try {
@@ -74,6 +79,8 @@ class ElevenLabsService extends EventEmitter {
       const audioBuffer = Buffer.from(response.data);
       console.log(`✅ Generated ${audioBuffer.length} bytes of audio`);
 
+      await usageService.recordTts(userId, text.length);
+
       this.emit('tts-generated', {
         text,
         voiceId,
@@ -140,10 +147,10 @@ class ElevenLabsService extends EventEmitter {
    * @param {string} options.name - Voice name
    * @param {string} options.description - Voice description
    * @param {Array<Buffer>} options.audioSamples - Audio samples (buffers)
-   * @param {Array<string>} options.labels - Voice labels (optional)
+   * @param {Object} options.labels - Voice labels as key/value pairs (optional)
    * @returns {Promise<Object>} Cloned voice data
    */
-  async cloneVoice({ name, description, audioSamples, labels = [] }) {
+  async cloneVoice({ name, description, audioSamples, labels = {} }) {
     if (!this.validateConfig()) {
       throw new Error('ElevenLabs API key not configured');
     }
@@ -173,7 +180,7 @@ class ElevenLabsService extends EventEmitter {
       });
 
       // Add labels
-      if (labels.length > 0) {
+      if (Object.keys(labels).length > 0) {
         formData.append('labels', JSON.stringify(labels));
       }
 
@@ -1,7 +1,10 @@
 import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
 import aiService from './aiService.js';
 import elevenlabsService from './elevenlabsService.js';
 import audioOutputService from './audioOutputService.js';
+import redactionService from './redactionService.js';
+import transcriptService from './transcriptService.js';
 
 /**
  * MeetingAssistantService - AI assistant that listens to meetings and responds
@@ -95,6 +98,21 @@ class MeetingAssistantService extends EventEmitter {
     this.emit('transcript-added', { botId, transcript });
   }
 
+  /**
+   * Find the workspace of the meeting a session's bot is recording
+   *
+   * @param {Object} session - Meeting session
+   * @returns {Promise<string|null>} Workspace ID, or null for a personal meeting or without a database
+   */
+  async getWorkspaceId(session) {
+    if (mongoose.connection.readyState !== 1) {
+      return null;
+    }
+
+    const meetingId = await transcriptService.resolveMeetingId(session.botId, session.userId);
+    return meetingId ? transcriptService.getWorkspaceId(meetingId) : null;
+  }
+
   /**
    * Generate AI response based on transcript history
    *
@@ -108,9 +126,13 @@ class MeetingAssistantService extends EventEmitter {
       throw new Error(`No session found for bot ${botId}`);
     }
 
-    // Get final transcripts only
-    const finalTranscripts = session.transcripts
-      .filter(t => t.isFinal)
+    // Get final transcripts only, redacted per the owner's policy and the meeting's workspace
+    const history = await redactionService.redactForLlm(
+      session.userId,
+      session.transcripts.filter(t => t.isFinal),
+      { workspaceId: await this.getWorkspaceId(session) }
+    );
+    const finalTranscripts = history
       .map(t => `${t.speaker}: ${t.text}`)
       .join('\n');
 
@@ -129,7 +151,7 @@ ${finalTranscripts}
 
 Provide a brief, natural response (1-2 sentences):`;
 
-    const response = await aiService.generateResponse([{ text: finalTranscripts }], prompt);
+    const response = await aiService.generateResponse([{ text: finalTranscripts }], prompt, { userId: session.userId });
 
     console.log(`✅ AI Response generated: "${response}"`);
 
@@ -160,6 +182,7 @@ Provide a brief, natural response (1-2 sentences):`;
       const audioBuffer = await elevenlabsService.textToSpeech({
         text: responseText,
         voiceId: session.voiceId,
+        userId: session.userId,
       });
 
       // Save audio for Output Media API
@@ -0,0 +1,120 @@
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+import Meeting from '../models/Meeting.js';
+import transcriptService from './transcriptService.js';
+import meetingAssistantService from './meetingAssistantService.js';
+import audioOutputService from './audioOutputService.js';
+import summaryService from './summaryService.js';
+import participantService from './participantService.js';
+
+// Reasons a bot/recording ends that mean the recording failed
+const FAILURE_REASONS = ['fatal'];
+
+/**
+ * MeetingLifecycleService - Closes out meetings when their recording ends
+ *
+ * This service handles:
+ * - Finalizing the Meeting record (status, end time, duration, reason)
+ * - Releasing the bot's assistant and audio output sessions
+ * - Queueing summary generation for meetings with a transcript
+ */
+class MeetingLifecycleService extends EventEmitter {
+  /**
+   * Release the in-memory sessions tied to a bot
+   *
+   * @param {string} botId - Bot ID (or desktop upload ID)
+   */
+  async releaseSessions(botId) {
+    meetingAssistantService.endSession(botId);
+    await audioOutputService.clearAudio(botId);
+    transcriptService.forgetBot(botId);
+  }
+
+  /**
+   * Finalize a meeting document
+   *
+   * @param {Object} meeting - Meeting document
+   * @param {Object} options
+   * @param {string} options.status - Final status (ended | canceled | failed)
+   * @param {string} options.reason - Why the meeting ended
+   * @param {string} options.failureReason - Error details for failed meetings
+   * @returns {Promise<Object>} Finalized meeting
+   */
+  async finalizeMeeting(meeting, { status = 'ended', reason, failureReason } = {}) {
+    // Write any transcript segments still buffered for this meeting
+    await transcriptService.flush(meeting._id.toString());
+    participantService.forgetMeeting(meeting._id);
+
+    meeting.status = status;
+    meeting.endTime = meeting.endTime || new Date();
+    meeting.durationSeconds = Math.max(
+      0,
+      Math.round((meeting.endTime - meeting.startTime) / 1000)
+    );
+    meeting.endReason = reason;
+    if (failureReason) {
+      meeting.failureReason = failureReason;
+    }
+    await meeting.save();
+
+    // Re-read the count: the flush above may have added segments
+    const { transcriptCount } = await Meeting.findById(meeting._id).select('transcriptCount').lean();
+
+    console.log(`🏁 Meeting ${meeting._id} ${status} (${reason || 'no reason'}) after ${meeting.durationSeconds}s`);
+
+    if (status === 'ended' && transcriptCount > 0) {
+      summaryService.enqueue(meeting._id);
+    }
+
+    this.emit('meeting-ended', {
+      meetingId: meeting._id.toString(),
+      botId: meeting.botId,
+      userId: meeting.userId,
+      status,
+      reason,
+    });
+
+    return meeting;
+  }
+
+  /**
+   * End the active meeting recorded by a bot or desktop upload
+   *
+   * Safe to call more than once: meetings that already ended are left alone,
+   * but the bot's sessions are always released.
+   *
+   * @param {string} botId - Bot ID (or desktop upload ID)
+   * @param {Object} options
+   * @param {string} options.reason - Why the meeting ended (e.g. 'left', 'call_ended', 'fatal')
+   * @param {string} options.status - Final status; derived from the reason if omitted
+   * @param {string} options.failureReason - Error details for failed meetings
+   * @returns {Promise<Object|null>} Finalized meeting
+   */
+  async endMeetingForBot(botId, { reason, status, failureReason } = {}) {
+    await this.releaseSessions(botId);
+
+    if (mongoose.connection.readyState !== 1) {
+      return null;
+    }
+
+    try {
+      const meeting = await Meeting.findOne({ botId, status: 'active' }).select('-transcriptions');
+      if (!meeting) {
+        return null;
+      }
+
+      return await this.finalizeMeeting(meeting, {
+        status: status || (FAILURE_REASONS.includes(reason) ? 'failed' : 'ended'),
+        reason,
+        failureReason: failureReason || (FAILURE_REASONS.includes(reason) ? reason : undefined),
+      });
+    } catch (error) {
+      console.error(`❌ Failed to close out meeting for bot ${botId}:`, error.message);
+      return null;
+    }
+  }
+}
+
+// Export singleton instance
+const meetingLifecycleService = new MeetingLifecycleService();
+export default meetingLifecycleService;
@@ -0,0 +1,354 @@
+import Participant from '../models/Participant.js';
+import TranscriptSegment from '../models/TranscriptSegment.js';
+import Meeting from '../models/Meeting.js';
+import ActionItem from '../models/ActionItem.js';
+
+/**
+ * ParticipantService - Meeting rosters and speaker names
+ *
+ * This service handles:
+ * - Building each meeting's roster from Recall.ai participant events and transcript speaker labels
+ * - Mapping raw speaker labels to display names when segments are stored
+ * - Renaming and merging participants, updating segments and summary assignees
+ */
+class ParticipantService {
+  constructor() {
+    this.rosters = new Map(); // meetingId -> Map(speakerLabel/alias -> displayName)
+  }
+
+  /**
+   * Get the label -> display name map for a meeting
+   *
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<Map>} Speaker labels (and aliases) to display names
+   */
+  async getRoster(meetingId) {
+    const key = meetingId.toString();
+    if (this.rosters.has(key)) {
+      return this.rosters.get(key);
+    }
+
+    const participants = await Participant.find({ meetingId })
+      .select('speakerLabel aliases displayName')
+      .lean();
+
+    const roster = new Map();
+    for (const participant of participants) {
+      for (const label of [participant.speakerLabel, ...participant.aliases]) {
+        roster.set(label, participant.displayName);
+      }
+    }
+
+    this.rosters.set(key, roster);
+    return roster;
+  }
+
+  /**
+   * Drop a meeting's cached roster (after changes, or when the meeting ends)
+   *
+   * @param {string} meetingId - Meeting ID
+   */
+  forgetMeeting(meetingId) {
+    this.rosters.delete(meetingId.toString());
+  }
+
+  /**
+   * Set each segment's speaker to its participant's display name, adding
+   * participants for speaker labels the meeting hasn't seen yet
+   *
+   * @param {string} meetingId - Meeting ID
+   * @param {string} userId - Meeting owner
+   * @param {Array} segments - Segments with speakerLabel (updated in place)
+   * @returns {Promise<Array>} The same segments
+   */
+  async applyNames(meetingId, userId, segments) {
+    const roster = await this.getRoster(meetingId);
+
+    const newLabels = [...new Set(segments.map(segment => segment.speakerLabel))]
+      .filter(label => label && !roster.has(label));
+
+    if (newLabels.length > 0) {
+      await Participant.bulkWrite(newLabels.map(label => ({
+        updateOne: {
+          filter: { meetingId, speakerLabel: label },
+          update: { $setOnInsert: { userId, displayName: label } },
+          upsert: true,
+        },
+      })), { ordered: false });
+      this.forgetMeeting(meetingId);
+    }
+
+    const names = newLabels.length > 0 ? await this.getRoster(meetingId) : roster;
+    for (const segment of segments) {
+      segment.speaker = names.get(segment.speakerLabel) || segment.speakerLabel || segment.speaker;
+    }
+
+    return segments;
+  }
+
+  /**
+   * Record a Recall.ai participant join/leave/update event
+   *
+   * @param {string} meetingId - Meeting ID
+   * @param {string} userId - Meeting owner
+   * @param {Object} event - Parsed event from recallService.parseParticipantEvent
+   * @param {string} event.action - join | leave | update
+   * @param {Object} event.participant - { id, name, email, isHost, platform }
+   * @param {Date} event.timestamp - When it happened
+   * @returns {Promise<Object>} Participant document
+   */
+  async recordEvent(meetingId, userId, { action, participant, timestamp }) {
+    const label = participant.name || `Participant ${participant.id}`;
+
+    const existing = await Participant.findOne({
+      meetingId,
+      $or: [
+        ...(participant.id ? [{ recallParticipantId: participant.id }] : []),
+        { speakerLabel: label },
+        { aliases: label },
+      ],
+    });
+
+    const record = existing || new Participant({
+      meetingId,
+      userId,
+      speakerLabel: label,
+      displayName: label,
+    });
+
+    if (participant.id) record.recallParticipantId = participant.id;
+    if (participant.email && !record.email) record.email = participant.email;
+    if (participant.isHost !== undefined) record.isHost = participant.isHost;
+    if (participant.platform) record.platform = participant.platform;
+
+    if (action === 'join') {
+      if (!record.joinedAt || timestamp < record.joinedAt) {
+        record.joinedAt = timestamp;
+      }
+      record.leftAt = undefined;
+    } else if (action === 'leave') {
+      record.leftAt = timestamp;
+    }
+
+    await record.save();
+    this.forgetMeeting(meetingId);
+
+    console.log(`👥 Participant ${record.displayName} ${action} (meeting ${meetingId})`);
+    return record;
+  }
+
+  /**
+   * Copy speaker into speakerLabel for segments stored before labels were tracked
+   *
+   * @param {string} meetingId - Meeting ID
+   */
+  async backfillLabels(meetingId) {
+    await TranscriptSegment.updateMany(
+      { meetingId, speakerLabel: { $exists: false } },
+      [{ $set: { speakerLabel: '$speaker' } }]
+    );
+  }
+
+  /**
+   * List a meeting's participants with how much each of them spoke
+   *
+   * Participants are created for any speaker label found in the stored
+   * transcript, so older meetings get a roster too.
+   *
+   * @param {Object} meeting - Meeting document (_id and userId)
+   * @returns {Promise<Array>} Participants, most segments first
+   */
+  async listParticipants(meeting) {
+    await this.backfillLabels(meeting._id);
+
+    const stats = await TranscriptSegment.aggregate([
+      { $match: { meetingId: meeting._id } },
+      {
+        $group: {
+          _id: '$speakerLabel',
+          segmentCount: { $sum: 1 },
+          firstSpokeAt: { $min: '$timestamp' },
+          lastSpokeAt: { $max: '$timestamp' },
+        },
+      },
+    ]);
+
+    await this.applyNames(meeting._id, meeting.userId, stats.map(stat => ({ speakerLabel: stat._id })));
+
+    const statsByLabel = new Map(stats.map(stat => [stat._id, stat]));
+    const participants = await Participant.find({ meetingId: meeting._id }).lean();
+
+    return participants
+      .map(participant => {
+        const labels = [participant.speakerLabel, ...participant.aliases];
+        return this.formatParticipant(participant, labels.map(label => statsByLabel.get(label)).filter(Boolean));
+      })
+      .sort((a, b) => b.segmentCount - a.segmentCount);
+  }
+
+  /**
+   * Shape a participant for API responses
+   *
+   * @param {Object} participant - Participant document
+   * @param {Array} stats - Transcript stats for the participant's labels
+   * @returns {Object} Participant with segmentCount, firstSpokeAt and lastSpokeAt
+   */
+  formatParticipant(participant, stats = []) {
+    const times = stats.flatMap(stat => [stat.firstSpokeAt, stat.lastSpokeAt]).map(date => date.getTime());
+
+    return {
+      id: participant._id.toString(),
+      speakerLabel: participant.speakerLabel,
+      aliases: participant.aliases,
+      displayName: participant.displayName,
+      email: participant.email,
+      isHost: participant.isHost,
+      platform: participant.platform,
+      joinedAt: participant.joinedAt,
+      leftAt: participant.leftAt,
+      segmentCount: stats.reduce((sum, stat) => sum + stat.segmentCount, 0),
+      firstSpokeAt: times.length ? new Date(Math.min(...times)) : null,
+      lastSpokeAt: times.length ? new Date(Math.max(...times)) : null,
+    };
+  }
+
+  /**
+   * Point segments with any of a participant's labels at its display name
+   *
+   * @param {Object} participant - Participant document
+   */
+  async updateSegmentSpeakers(participant) {
+    await this.backfillLabels(participant.meetingId);
+    await TranscriptSegment.updateMany(
+      {
+        meetingId: participant.meetingId,
+        speakerLabel: { $in: [participant.speakerLabel, ...participant.aliases] },
+      },
+      { $set: { speaker: participant.displayName } }
+    );
+  }
+
+  /**
+   * Rename action item assignees in a meeting's summaries and action items
+   *
+   * @param {string} meetingId - Meeting ID
+   * @param {string[]} fromNames - Previous names (matched case-insensitively)
+   * @param {string} toName - New name
+   */
+  async renameAssignee(meetingId, fromNames, toName) {
+    const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const patterns = [...new Set(fromNames)]
+      .filter(name => name && name !== toName)
+      .map(name => new RegExp(`^${escape(name)}$`, 'i'));
+
+    if (patterns.length === 0) {
+      return;
+    }
+
+    const meeting = await Meeting.findById(meetingId).select('summary');
+    if (meeting?.summary) {
+      await Meeting.updateOne(
+        { _id: meetingId },
+        {
+          $set: {
+            'summary.actionItems.$[item].assignee': toName,
+            'summaryVersions.$[].actionItems.$[item].assignee': toName,
+          },
+        },
+        { arrayFilters: [{ 'item.assignee': { $in: patterns } }] }
+      );
+    }
+
+    await ActionItem.updateMany(
+      { meetingId, assignee: { $in: patterns } },
+      { $set: { assignee: toName } }
+    );
+  }
+
+  /**
+   * Rename a participant (and/or set their email)
+   *
+   * @param {Object} participant - Participant document
+   * @param {Object} updates
+   * @param {string} updates.displayName - New display name
+   * @param {string} updates.email - Email address
+   * @returns {Promise<Object>} Updated participant
+   */
+  async rename(participant, { displayName, email }) {
+    const previousName = participant.displayName;
+
+    if (displayName !== undefined) participant.displayName = displayName;
+    if (email !== undefined) participant.email = email || undefined;
+    await participant.save();
+    this.forgetMeeting(participant.meetingId);
+
+    if (participant.displayName !== previousName) {
+      await this.updateSegmentSpeakers(participant);
+      await this.renameAssignee(
+        participant.meetingId,
+        [previousName, participant.speakerLabel, ...participant.aliases],
+        participant.displayName
+      );
+      console.log(`✏️ Participant "${previousName}" renamed to "${participant.displayName}"`);
+    }
+
+    return participant;
+  }
+
+  /**
+   * Merge one participant into another (e.g. two labels for the same person)
+   *
+   * @param {Object} source - Participant to merge away
+   * @param {Object} target - Participant that remains
+   * @returns {Promise<Object>} Updated target participant
+   */
+  async merge(source, target) {
+    target.aliases = [...new Set([
+      ...target.aliases,
+      source.speakerLabel,
+      ...source.aliases,
+    ])].filter(label => label !== target.speakerLabel);
+
+    if (!target.email && source.email) target.email = source.email;
+    if (!target.recallParticipantId && source.recallParticipantId) {
+      target.recallParticipantId = source.recallParticipantId;
+    }
+    if (source.joinedAt && (!target.joinedAt || source.joinedAt < target.joinedAt)) {
+      target.joinedAt = source.joinedAt;
+    }
+    if (source.leftAt && (!target.leftAt || source.leftAt > target.leftAt)) {
+      target.leftAt = source.leftAt;
+    }
+    target.isHost = target.isHost || source.isHost;
+
+    await Participant.deleteOne({ _id: source._id });
+    await target.save();
+    this.forgetMeeting(target.meetingId);
+
+    await this.updateSegmentSpeakers(target);
+    await this.renameAssignee(
+      target.meetingId,
+      [source.displayName, source.speakerLabel, ...source.aliases],
+      target.displayName
+    );
+
+    console.log(`🔗 Participant "${source.displayName}" merged into "${target.displayName}"`);
+    return target;
+  }
+
+  /**
+   * Delete a meeting's roster
+   *
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<number>} Number of participants deleted
+   */
+  async deleteMeetingParticipants(meetingId) {
+    this.forgetMeeting(meetingId);
+    const result = await Participant.deleteMany({ meetingId });
+    return result.deletedCount;
+  }
+}
+
+// Export singleton instance
+const participantService = new ParticipantService();
+export default participantService;
@@ -0,0 +1,346 @@
+import mongoose from 'mongoose';
+import Meeting from '../models/Meeting.js';
+import workspaceService from './workspaceService.js';
+
+const accessError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * RealtimeService - Routes live events to WebSocket subscribers
+ *
+ * This service handles:
+ * - Tracking each connection's verified user and its channel subscriptions
+ * - User channels (`user:<userId>`), which a connection joins when it opens
+ * - Meeting channels (`meeting:<meetingId>`), open to everyone who can view the meeting
+ * - Publishing events only to the connections subscribed to their channels
+ * - Dropping meeting subscriptions once their users lose access to the meeting
+ */
+class RealtimeService {
+  constructor() {
+    this.connections = new Map(); // Map of WebSocket -> { clientId, userId, channels }
+    this.channels = new Map(); // Map of channel -> Set of WebSockets
+  }
+
+  /**
+   * Channel name for a user's own events
+   *
+   * @param {string} userId - User ID
+   * @returns {string} Channel name
+   */
+  userChannel(userId) {
+    return `user:${userId}`;
+  }
+
+  /**
+   * Channel name for a meeting's events
+   *
+   * @param {string} meetingId - Meeting ID
+   * @returns {string} Channel name
+   */
+  meetingChannel(meetingId) {
+    return `meeting:${meetingId}`;
+  }
+
+  /**
+   * Track a new connection and subscribe it to its user's channel
+   *
+   * @param {WebSocket} ws - Connection
+   * @param {string} userId - User verified during the handshake
+   * @returns {Object} Connection metadata ({ clientId, userId, channels })
+   */
+  register(ws, userId) {
+    const connection = {
+      clientId: Math.random().toString(36).substring(7),
+      userId,
+      channels: new Set(),
+    };
+
+    this.connections.set(ws, connection);
+    this.join(ws, this.userChannel(userId));
+    return connection;
+  }
+
+  /**
+   * Forget a closed connection and all of its subscriptions
+   *
+   * @param {WebSocket} ws - Connection
+   * @returns {Object|null} Connection metadata
+   */
+  unregister(ws) {
+    const connection = this.connections.get(ws);
+    if (!connection) {
+      return null;
+    }
+
+    for (const channel of connection.channels) {
+      this.leave(ws, channel);
+    }
+    this.connections.delete(ws);
+    return connection;
+  }
+
+  /**
+   * Get a connection's metadata
+   *
+   * @param {WebSocket} ws - Connection
+   * @returns {Object|null} { clientId, userId, channels }
+   */
+  getConnection(ws) {
+    return this.connections.get(ws) || null;
+  }
+
+  /**
+   * Add a connection to a channel (no access check)
+   *
+   * @param {WebSocket} ws - Connection
+   * @param {string} channel - Channel name
+   */
+  join(ws, channel) {
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, new Set());
+    }
+    this.channels.get(channel).add(ws);
+    this.connections.get(ws)?.channels.add(channel);
+  }
+
+  /**
+   * Remove a connection from a channel
+   *
+   * @param {WebSocket} ws - Connection
+   * @param {string} channel - Channel name
+   */
+  leave(ws, channel) {
+    const subscribers = this.channels.get(channel);
+    if (subscribers) {
+      subscribers.delete(ws);
+      if (subscribers.size === 0) {
+        this.channels.delete(channel);
+      }
+    }
+    this.connections.get(ws)?.channels.delete(channel);
+  }
+
+  /**
+   * Resolve a client's subscription request to a channel it may read
+   *
+   * @param {Object} connection - Connection metadata
+   * @param {Object} request - { channel: 'user' | 'meeting', meetingId }
+   * @returns {Promise<string>} Channel name
+   * @throws {Error} With status 400, 403, 404 or 503
+   */
+  async resolveChannel(connection, { channel, meetingId } = {}) {
+    if (channel === 'user') {
+      return this.userChannel(connection.userId);
+    }
+
+    if (channel === 'meeting') {
+      await this.checkMeetingAccess(connection.userId, meetingId);
+      return this.meetingChannel(meetingId);
+    }
+
+    throw accessError('channel must be "user" or "meeting"', 400);
+  }
+
+  /**
+   * Check that a user may follow a meeting's live events
+   *
+   * @param {string} userId - User ID
+   * @param {string} meetingId - Meeting ID
+   * @throws {Error} With status 403, 404 or 503
+   */
+  async checkMeetingAccess(userId, meetingId) {
+    if (!mongoose.isValidObjectId(meetingId)) {
+      throw accessError('Meeting not found', 404);
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      throw accessError('Database not connected', 503);
+    }
+
+    const meeting = await Meeting.findOne({ _id: meetingId, deletedAt: null })
+      .select('userId workspaceId sharedWith')
+      .lean();
+
+    if (!meeting) {
+      throw accessError('Meeting not found', 404);
+    }
+
+    if (!await workspaceService.getMeetingAccess(meeting, userId)) {
+      throw accessError('You do not have access to this meeting', 403);
+    }
+  }
+
+  /**
+   * Subscribe a connection to a channel
+   *
+   * @param {WebSocket} ws - Connection
+   * @param {Object} request - { channel: 'user' | 'meeting', meetingId }
+   * @returns {Promise<string>} Channel name
+   */
+  async subscribe(ws, request) {
+    const channel = await this.resolveChannel(this.connections.get(ws), request);
+    this.join(ws, channel);
+    return channel;
+  }
+
+  /**
+   * Unsubscribe a connection from a channel
+   *
+   * @param {WebSocket} ws - Connection
+   * @param {Object} request - { channel: 'user' | 'meeting', meetingId }
+   * @returns {string} Channel name
+   */
+  unsubscribe(ws, { channel, meetingId } = {}) {
+    const { userId } = this.connections.get(ws);
+    const name = channel === 'meeting' ? this.meetingChannel(meetingId) : this.userChannel(userId);
+    this.leave(ws, name);
+    return name;
+  }
+
+  /**
+   * Re-check a connection's access to a meeting channel it follows, and drop
+   * the subscription (telling the client with `unsubscribed`) once it has none
+   *
+   * @param {WebSocket} ws - Connection
+   * @param {string} channel - Meeting channel name
+   * @returns {Promise<boolean>} Whether the subscription was dropped
+   */
+  async recheck(ws, channel) {
+    const connection = this.connections.get(ws);
+    if (!connection?.channels.has(channel)) {
+      return false;
+    }
+
+    try {
+      await this.checkMeetingAccess(connection.userId, channel.slice('meeting:'.length));
+      return false;
+    } catch (error) {
+      // Keep the subscription if access couldn't be checked (database down)
+      if (error.status !== 403 && error.status !== 404) {
+        console.error(`❌ Error re-checking ${channel} for user ${connection.userId}:`, error.message);
+        return false;
+      }
+    }
+
+    this.leave(ws, channel);
+    if (ws.readyState === 1) {
+      ws.send(JSON.stringify({ type: 'unsubscribed', channel, reason: 'access_revoked' }));
+    }
+    console.log(`🔕 User ${connection.userId} lost access to ${channel}`);
+    return true;
+  }
+
+  /**
+   * Re-check everyone following a meeting (after it was unshared, moved or deleted)
+   *
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<number>} Number of subscriptions dropped
+   */
+  async recheckMeeting(meetingId) {
+    const channel = this.meetingChannel(meetingId.toString());
+    const subscribers = [...(this.channels.get(channel) || [])];
+
+    let dropped = 0;
+    for (const ws of subscribers) {
+      if (await this.recheck(ws, channel)) dropped++;
+    }
+    return dropped;
+  }
+
+  /**
+   * Re-check the meeting channels some users follow (after they left or were
+   * removed from a workspace, or the workspace was deleted)
+   *
+   * @param {Array<string>} userIds - User IDs
+   * @returns {Promise<number>} Number of subscriptions dropped
+   */
+  async recheckUsers(userIds) {
+    let dropped = 0;
+    for (const [ws, connection] of [...this.connections]) {
+      if (!userIds.includes(connection.userId)) {
+        continue;
+      }
+
+      const channels = [...connection.channels].filter(channel => channel.startsWith('meeting:'));
+      for (const channel of channels) {
+        if (await this.recheck(ws, channel)) dropped++;
+      }
+    }
+    return dropped;
+  }
+
+  /**
+   * The connections subscribed to any of the channels
+   *
+   * @param {Array<string>} channels - Channel names
+   * @returns {Set<WebSocket>} Connections
+   */
+  subscribers(channels) {
+    const recipients = new Set();
+    for (const channel of channels) {
+      for (const ws of this.channels.get(channel) || []) {
+        recipients.add(ws);
+      }
+    }
+    return recipients;
+  }
+
+  /**
+   * Send an event to some connections
+   *
+   * @param {Set<WebSocket>} recipients - Connections
+   * @param {string} type - Event type
+   * @param {Object} data - Event payload
+   * @returns {number} Number of connections the event was sent to
+   */
+  send(recipients, type, data) {
+    const message = JSON.stringify({ type, data });
+    let sent = 0;
+    for (const ws of recipients) {
+      if (ws.readyState === 1) {
+        ws.send(message);
+        sent++;
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * Send an event to the subscribers of any of the channels (once per connection)
+   *
+   * @param {Array<string>} channels - Channel names
+   * @param {string} type - Event type
+   * @param {Object} data - Event payload
+   * @returns {number} Number of connections the event was sent to
+   */
+  publish(channels, type, data) {
+    return this.send(this.subscribers(channels), type, data);
+  }
+
+  /**
+   * Send an event to its owner's channel and, when known, its meeting's channel
+   *
+   * @param {Object} target - { userId, meetingId }
+   * @param {string} type - Event type
+   * @param {Object} data - Event payload
+   * @param {Object} meetingData - Payload for meeting subscribers who aren't on the
+   *   owner's channel, when they may not see everything the owner does (defaults to data)
+   * @returns {number} Number of connections the event was sent to
+   */
+  publishEvent({ userId, meetingId }, type, data, meetingData = data) {
+    const owner = this.subscribers(userId ? [this.userChannel(userId)] : []);
+    const others = this.subscribers(meetingId ? [this.meetingChannel(meetingId)] : []);
+    for (const ws of owner) {
+      others.delete(ws);
+    }
+
+    return this.send(owner, type, data) + this.send(others, type, meetingData);
+  }
+}
+
+// Export singleton instance
+const realtimeService = new RealtimeService();
+export default realtimeService;
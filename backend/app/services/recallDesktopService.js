@@ -1,5 +1,10 @@
 import axios from 'axios';
 import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+import DesktopUpload from '../models/DesktopUpload.js';
+
+// SDK upload statuses after which the upload session is over
+const TERMINAL_STATUSES = ['complete', 'completed', 'done', 'failed', 'canceled'];
 
 /**
  * RecallDesktopService - Manages Recall.ai SDK Upload integration
@@ -11,6 +16,7 @@ import { EventEmitter } from 'events';
  * - Creating SDK upload tokens for desktop app authentication
  * - Tracking active upload sessions
  * - Processing upload completion webhooks
+ * - Persisting upload sessions so they survive restarts
  *
  * Correct Desktop SDK Flow:
  * 1. Desktop Electron app detects meeting (meeting-detected event)
@@ -174,6 +180,7 @@ class RecallDesktopService extends EventEmitter {
 
       // Store token mapping for webhook lookup
       this.uploadTokens.set(uploadToken, uploadId);
+      this.persistUpload(uploadId);
 
       console.log(`✅ SDK Upload created: ${uploadId}`);
       console.log(`   User: ${userId}`);
@@ -231,8 +238,7 @@ class RecallDesktopService extends EventEmitter {
 
       // Update local cache
       if (this.activeUploads.has(uploadId)) {
-        const statusCode = upload.status?.code || upload.status || 'unknown';
-        this.activeUploads.get(uploadId).status = statusCode;
+        this.updateUploadStatus(uploadId, upload.status?.code || upload.status || 'unknown');
       }
 
       return upload;
@@ -260,10 +266,7 @@ class RecallDesktopService extends EventEmitter {
       const uploadInfo = this.activeUploads.get(uploadId);
 
       // Remove from active uploads
-      this.activeUploads.delete(uploadId);
-      if (uploadInfo?.uploadToken) {
-        this.uploadTokens.delete(uploadInfo.uploadToken);
-      }
+      this.removeUpload(uploadId, 'canceled');
 
       // Emit upload-canceled event
       this.emit('upload-canceled', { uploadId, userId: uploadInfo?.userId });
@@ -281,6 +284,7 @@ class RecallDesktopService extends EventEmitter {
    * Emits 'upload-complete' event with transcript data
    *
    * @param {Object} webhookData - Webhook payload from Recall.ai
+   * @returns {Promise<void>|undefined} Resolves once the registry is updated
    */
   handleUploadCompleteWebhook(webhookData) {
     const { id, status, transcripts, metadata } = webhookData;
@@ -315,18 +319,17 @@ class RecallDesktopService extends EventEmitter {
     });
 
     // Clean up from active uploads if completed
-    if (upload.status === 'completed' || upload.status === 'done') {
-      this.activeUploads.delete(id);
-      if (upload.uploadToken) {
-        this.uploadTokens.delete(upload.uploadToken);
-      }
+    if (TERMINAL_STATUSES.includes(upload.status)) {
+      return this.removeUpload(id, upload.status);
     }
+    return this.persistUpload(id);
   }
 
   /**
    * Handle upload failure webhook
    *
    * @param {Object} webhookData - Webhook payload from Recall.ai
+   * @returns {Promise<void>|undefined} Resolves once the registry is updated
    */
   handleUploadFailedWebhook(webhookData) {
     const { id, status, error } = webhookData;
@@ -355,10 +358,229 @@ class RecallDesktopService extends EventEmitter {
     });
 
     // Clean up from active uploads
-    this.activeUploads.delete(id);
-    if (upload.uploadToken) {
+    return this.removeUpload(id, 'failed');
+  }
+
+  /**
+   * Update an upload's cached status and persist it
+   *
+   * @param {string} uploadId - Upload ID
+   * @param {string} status - New status code
+   */
+  updateUploadStatus(uploadId, status) {
+    const upload = this.activeUploads.get(uploadId);
+    if (!upload) {
+      return;
+    }
+
+    upload.status = status;
+    this.persistUpload(uploadId);
+  }
+
+  /**
+   * Remove an upload from the active registry and mark it ended
+   *
+   * @param {string} uploadId - Upload ID
+   * @param {string} status - Final status code
+   * @returns {Promise<void>} Resolves once the registry entry is marked ended
+   */
+  removeUpload(uploadId, status) {
+    const upload = this.activeUploads.get(uploadId);
+
+    this.activeUploads.delete(uploadId);
+    if (upload?.uploadToken) {
       this.uploadTokens.delete(upload.uploadToken);
     }
+
+    return this.markUploadEnded(uploadId, status);
+  }
+
+  /**
+   * Write an upload's registry entry to the database
+   *
+   * @param {string} uploadId - Upload ID
+   */
+  async persistUpload(uploadId) {
+    const upload = this.activeUploads.get(uploadId);
+    if (!upload || mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    try {
+      await DesktopUpload.updateOne(
+        { uploadId },
+        {
+          $set: {
+            uploadToken: upload.uploadToken,
+            userId: upload.userId,
+            meetingTitle: upload.meetingTitle,
+            status: upload.status,
+          },
+          $setOnInsert: { createdAt: upload.createdAt },
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.warn(`⚠️ Failed to persist upload ${uploadId}:`, error.message);
+    }
+  }
+
+  /**
+   * Mark an upload's registry entry as ended
+   *
+   * @param {string} uploadId - Upload ID
+   * @param {string} status - Final status code
+   */
+  async markUploadEnded(uploadId, status) {
+    if (mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    try {
+      await DesktopUpload.updateOne({ uploadId }, { $set: { status, endedAt: new Date() } });
+    } catch (error) {
+      console.warn(`⚠️ Failed to mark upload ${uploadId} as ended:`, error.message);
+    }
+  }
+
+  /**
+   * Rehydrate the upload registry from the database after a restart
+   *
+   * Each persisted upload is reconciled with Recall.ai (GET /sdk-upload/:id):
+   * uploads still in progress are restored, and uploads that finished while the
+   * server was down go through the same completion path as their webhook - the
+   * transcript is fetched and 'upload-complete' / 'upload-failed' / 'upload-canceled'
+   * is emitted so the meeting is finalized.
+   */
+  async restore() {
+    if (mongoose.connection.readyState !== 1) {
+      console.warn('⚠️ Database not connected - upload registry not restored');
+      return;
+    }
+
+    const uploads = await DesktopUpload.find({ endedAt: null }).lean();
+    if (uploads.length === 0) {
+      return;
+    }
+
+    console.log(`♻️ Restoring ${uploads.length} SDK uploads from the registry`);
+
+    for (const record of uploads) {
+      let status = record.status;
+      let upload = null;
+
+      try {
+        const response = await axios.get(`${this.baseUrl}/sdk-upload/${record.uploadId}/`, {
+          headers: this.getHeaders(),
+        });
+        upload = response.data;
+        status = upload.status?.code || upload.status || status;
+      } catch (error) {
+        if (error.response?.status === 404) {
+          status = 'not_found';
+        } else {
+          console.warn(`⚠️ Could not reconcile upload ${record.uploadId}: ${error.message}`);
+        }
+      }
+
+      this.activeUploads.set(record.uploadId, {
+        uploadId: record.uploadId,
+        uploadToken: record.uploadToken,
+        userId: record.userId,
+        meetingTitle: record.meetingTitle,
+        status,
+        createdAt: record.createdAt,
+      });
+      this.uploadTokens.set(record.uploadToken, record.uploadId);
+
+      if (status === 'not_found' || TERMINAL_STATUSES.includes(status)) {
+        console.log(`   🏁 Upload ${record.uploadId} ended while the server was down (${status})`);
+        await this.completeRestoredUpload(record.uploadId, status, upload);
+        continue;
+      }
+
+      console.log(`   ✅ Upload ${record.uploadId} restored (${status})`);
+    }
+  }
+
+  /**
+   * Finish an upload that ended while the server was down, as its webhook would have
+   *
+   * @param {string} uploadId - Upload ID (already in activeUploads)
+   * @param {string} status - Final status code ('not_found' if Recall.ai no longer has it)
+   * @param {Object|null} upload - Upload from the Recall.ai API
+   */
+  async completeRestoredUpload(uploadId, status, upload) {
+    if (status === 'canceled') {
+      this.removeUpload(uploadId, status);
+      this.emit('upload-canceled', { uploadId });
+      return;
+    }
+
+    if (status === 'failed' || status === 'not_found') {
+      this.handleUploadFailedWebhook({
+        id: uploadId,
+        status,
+        error: status === 'not_found'
+          ? 'Upload no longer exists at Recall.ai'
+          : upload?.status?.sub_code || upload?.error || 'Upload failed',
+      });
+      return;
+    }
+
+    let transcripts;
+    try {
+      transcripts = await this.fetchTranscripts(upload);
+    } catch (error) {
+      // Leave the registry entry open so the next restart tries again
+      console.warn(`⚠️ Could not fetch the transcript of upload ${uploadId}: ${error.message}`);
+      this.uploadTokens.delete(this.activeUploads.get(uploadId)?.uploadToken);
+      this.activeUploads.delete(uploadId);
+      return;
+    }
+
+    this.handleUploadCompleteWebhook({
+      id: uploadId,
+      status,
+      transcripts,
+      metadata: upload?.metadata,
+    });
+  }
+
+  /**
+   * Fetch a finished upload's transcript in the shape of the sdk_upload.complete webhook
+   *
+   * Uses the upload's own `transcripts` when the API includes them, otherwise the
+   * transcript download of its recording (GET /recording/:id).
+   *
+   * @param {Object} upload - Upload from the Recall.ai API
+   * @returns {Promise<Array>} Transcript segments ({ speaker, text, words })
+   */
+  async fetchTranscripts(upload) {
+    if (Array.isArray(upload?.transcripts)) {
+      return upload.transcripts;
+    }
+
+    const recordingId = upload?.recording_id || upload?.recording?.id;
+    if (!recordingId) {
+      return [];
+    }
+
+    const { data: recording } = await axios.get(`${this.baseUrl}/recording/${recordingId}/`, {
+      headers: this.getHeaders(),
+    });
+
+    const downloadUrl = recording.media_shortcuts?.transcript?.data?.download_url;
+    if (!downloadUrl) {
+      return [];
+    }
+
+    const { data: entries } = await axios.get(downloadUrl);
+    return (Array.isArray(entries) ? entries : []).map(entry => ({
+      speaker: entry.participant?.name || entry.speaker,
+      text: entry.text,
+      words: entry.words,
+    }));
   }
 
   /**
@@ -376,6 +598,60 @@ class RecallDesktopService extends EventEmitter {
     return null;
   }
 
+  /**
+   * Get an upload that hasn't ended - active uploads first, then the persisted registry,
+   * which is put back in activeUploads (for webhooks processed before restore())
+   *
+   * @param {string} uploadId - Upload ID
+   * @returns {Promise<Object|null>} Upload (null if unknown or already ended)
+   */
+  async loadUpload(uploadId) {
+    if (this.activeUploads.has(uploadId)) {
+      return this.activeUploads.get(uploadId);
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return null;
+    }
+
+    const record = await DesktopUpload.findOne({ uploadId, endedAt: null }).lean();
+    if (!record) {
+      return null;
+    }
+
+    const upload = {
+      uploadId: record.uploadId,
+      uploadToken: record.uploadToken,
+      userId: record.userId,
+      meetingTitle: record.meetingTitle,
+      status: record.status,
+      createdAt: record.createdAt,
+    };
+    this.activeUploads.set(uploadId, upload);
+    this.uploadTokens.set(record.uploadToken, uploadId);
+    return upload;
+  }
+
+  /**
+   * Find the user who created an upload - active uploads first, then the persisted registry
+   *
+   * @param {string} uploadId - Upload ID
+   * @returns {Promise<string|null>} Owner's user ID (null if the upload is unknown)
+   */
+  async getUploadOwner(uploadId) {
+    const upload = this.activeUploads.get(uploadId);
+    if (upload) {
+      return upload.userId;
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return null;
+    }
+
+    const record = await DesktopUpload.findOne({ uploadId }).select('userId').lean();
+    return record?.userId || null;
+  }
+
   /**
    * Get all active uploads
    *
@@ -387,8 +663,15 @@ class RecallDesktopService extends EventEmitter {
 
   /**
    * Clean up all uploads (for shutdown)
+   *
+   * When the registry is persisted, uploads are kept and restored on the next start.
    */
   async cleanup() {
+    if (mongoose.connection.readyState === 1) {
+      console.log(`🧹 Keeping ${this.activeUploads.size} SDK uploads (restored on next start)`);
+      return;
+    }
+
     console.log(`🧹 Cleaning up ${this.activeUploads.size} active SDK uploads`);
 
     const promises = Array.from(this.activeUploads.keys()).map((uploadId) =>
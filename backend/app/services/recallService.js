@@ -1,6 +1,16 @@
 import axios from 'axios';
 import { EventEmitter } from 'events';
 import WebSocket from 'ws';
+import mongoose from 'mongoose';
+import RecallBot from '../models/RecallBot.js';
+import transcriptService from './transcriptService.js';
+import usageService from './usageService.js';
+
+// Recall.ai bot statuses after which the bot is no longer in the meeting
+const TERMINAL_STATUSES = ['call_ended', 'done', 'fatal', 'analysis_done', 'analysis_failed', 'media_expired'];
+
+// Word offsets from Recall.ai are relative to when the bot started recording
+const RECORDING_STATUS = 'in_call_recording';
 
 /**
  * RecallService - Manages Recall.ai Meeting Bot API integration
@@ -10,6 +20,7 @@ import WebSocket from 'ws';
  * - Managing bot lifecycle (create, status, leave)
  * - Real-time transcript streaming via WebSocket
  * - Bot event broadcasting
+ * - Persisting the bot registry so live bots survive restarts
  *
  * @see https://docs.recall.ai/
  */
@@ -77,6 +88,7 @@ class RecallService extends EventEmitter {
    * @param {string} options.userId - User ID who launched the bot
    * @param {boolean} options.enableAudioOutput - Enable audio output via Output Media API
    * @returns {Promise<Object>} Bot instance from Recall.ai
+   * @throws {Error} 429 once the user's monthly bot minutes are used up
    */
   async createBot({ meetingUrl, botName = 'AI Assistant', userId, enableAudioOutput = false }) {
     console.log(`🤖 Creating Recall.ai bot for meeting: ${meetingUrl}`);
@@ -95,6 +107,8 @@ class RecallService extends EventEmitter {
       );
     }
 
+    await usageService.assertWithinQuota(userId, 'botMinutes');
+
     const payload = {
       meeting_url: meetingUrl,
       bot_name: botName,
@@ -162,7 +176,7 @@ class RecallService extends EventEmitter {
       const bot = response.data;
 
       // Extract status safely (Recall.ai response format may vary)
-      const statusCode = bot.status?.code || bot.status || 'created';
+      const statusCode = this.getStatusCode(bot) || 'created';
 
       // Store bot metadata
       this.activeBots.set(bot.id, {
@@ -173,6 +187,7 @@ class RecallService extends EventEmitter {
         status: statusCode,
         createdAt: new Date(),
       });
+      this.persistBot(bot.id);
 
       console.log(`✅ Bot created successfully: ${bot.id}`);
       console.log(`   Status: ${statusCode}`);
@@ -227,8 +242,7 @@ class RecallService extends EventEmitter {
 
       // Update local cache - handle both status formats
       if (this.activeBots.has(botId)) {
-        const statusCode = bot.status?.code || bot.status || 'unknown';
-        this.activeBots.get(botId).status = statusCode;
+        this.updateBotStatus(botId, this.getStatusCode(bot) || 'unknown', this.getRecordingStart(bot) || undefined);
       }
 
       return bot;
@@ -252,26 +266,7 @@ class RecallService extends EventEmitter {
         headers: this.getHeaders(),
       });
 
-      // Close transcript connection if exists
-      if (this.transcriptConnections.has(botId)) {
-        const connection = this.transcriptConnections.get(botId);
-
-        // Close WebSocket if it's a WebSocket connection
-        if (connection.type === 'websocket' && connection.ws) {
-          connection.ws.close();
-        }
-
-        this.transcriptConnections.delete(botId);
-      }
-
-      // Get bot info before deleting
-      const botInfo = this.activeBots.get(botId);
-
-      // Remove from active bots
-      this.activeBots.delete(botId);
-
-      // Emit bot-left event
-      this.emit('bot-left', { botId, userId: botInfo?.userId });
+      this.releaseBot(botId, 'left');
 
       console.log(`✅ Bot ${botId} left successfully`);
       return { success: true };
@@ -303,6 +298,7 @@ class RecallService extends EventEmitter {
         userId,
         connectedAt: new Date(),
       });
+      this.persistBot(botId);
 
       console.log(`✅ Transcript webhook ready for bot ${botId}`);
     } else {
@@ -330,8 +326,11 @@ class RecallService extends EventEmitter {
           if (message.type === 'transcript') {
             const transcript = message.data;
 
-            // Extract text from words array
+            // Extract text from words array, keeping word timings
             const text = transcript.words?.map(w => w.text).join(' ') || '';
+            const timing = transcriptService.parseTiming(transcript.words, {
+              recordingStart: this.activeBots.get(botId)?.recordingStartedAt,
+            });
 
             // Emit transcript event (same format as webhook)
             this.emit('transcript', {
@@ -340,8 +339,8 @@ class RecallService extends EventEmitter {
               speaker: transcript.speaker || 'Unknown',
               text: text,
               isFinal: transcript.is_final !== false,
-              timestamp: new Date(),
               confidence: 1.0,
+              ...timing,
             });
           }
         } catch (error) {
@@ -361,6 +360,7 @@ class RecallService extends EventEmitter {
           error: error.message,
           connectedAt: new Date(),
         });
+        this.persistBot(botId);
       });
 
       ws.on('close', () => {
@@ -374,6 +374,243 @@ class RecallService extends EventEmitter {
         ws: ws,
         connectedAt: new Date(),
       });
+      this.persistBot(botId);
+    }
+  }
+
+  /**
+   * Drop a bot that is no longer in its meeting from the registry
+   * Emits 'bot-left' so the meeting can be closed out.
+   *
+   * @param {string} botId - Bot ID
+   * @param {string} reason - Why the bot ended ('left' or a terminal status code)
+   */
+  releaseBot(botId, reason) {
+    const botInfo = this.activeBots.get(botId);
+
+    // Close transcript connection if exists
+    const connection = this.transcriptConnections.get(botId);
+    if (connection?.type === 'websocket' && connection.ws) {
+      connection.ws.close();
+    }
+    this.transcriptConnections.delete(botId);
+
+    // Remove from active bots
+    this.activeBots.delete(botId);
+    this.markBotEnded(botId, reason);
+
+    if (botInfo) {
+      usageService.recordBot(botInfo.userId, { botId, startedAt: botInfo.createdAt });
+    }
+
+    // Emit bot-left event
+    this.emit('bot-left', { botId, userId: botInfo?.userId, reason });
+  }
+
+  /**
+   * Parse a Recall.ai participant event webhook
+   *
+   * Supports real-time endpoint events (participant_events.join / .leave / .update)
+   * and the older bot.participant_join / bot.participant_leave shape.
+   *
+   * @param {Object} event - Webhook body
+   * @returns {Object|null} { botId, action, participant, timestamp } or null if not a participant event
+   */
+  parseParticipantEvent(event) {
+    const match = /^(?:participant_events\.|bot\.participant_)(join|leave|update)$/.exec(event?.event || '');
+    if (!match) {
+      return null;
+    }
+
+    const data = event.data || {};
+    const inner = data.data || data;
+    const participant = inner.participant || {};
+    const botId = data.bot?.id || data.bot_id;
+
+    if (!botId) {
+      return null;
+    }
+
+    const absolute = inner.timestamp?.absolute || inner.timestamp;
+    const timestamp = absolute ? new Date(absolute) : new Date();
+
+    return {
+      botId,
+      action: match[1],
+      participant: {
+        id: participant.id !== undefined ? String(participant.id) : undefined,
+        name: participant.name || undefined,
+        email: participant.email || participant.extra_data?.email || undefined,
+        isHost: participant.is_host,
+        platform: participant.platform || undefined,
+      },
+      timestamp: isNaN(timestamp.getTime()) ? new Date() : timestamp,
+    };
+  }
+
+  /**
+   * Extract the current status code from a Recall.ai bot object
+   *
+   * @param {Object} bot - Bot from the Recall.ai API
+   * @returns {string|null} Status code
+   */
+  getStatusCode(bot) {
+    const latestChange = bot.status_changes?.[bot.status_changes.length - 1];
+    return bot.status?.code || (typeof bot.status === 'string' ? bot.status : null)
+      || latestChange?.code || null;
+  }
+
+  /**
+   * Find when a bot started recording from its Recall.ai status history
+   *
+   * @param {Object} bot - Bot from the Recall.ai API
+   * @returns {Date|null} Recording start
+   */
+  getRecordingStart(bot) {
+    const change = bot.status_changes?.find(entry => entry.code === RECORDING_STATUS);
+    return change?.created_at ? new Date(change.created_at) : null;
+  }
+
+  /**
+   * Update a bot's cached status and persist it
+   *
+   * @param {string} botId - Bot ID
+   * @param {string} status - New status code
+   * @param {Date} changedAt - When the status changed (defaults to now)
+   */
+  updateBotStatus(botId, status, changedAt = new Date()) {
+    const bot = this.activeBots.get(botId);
+    if (!bot) {
+      return;
+    }
+
+    bot.status = status;
+    if (status === RECORDING_STATUS && !bot.recordingStartedAt) {
+      bot.recordingStartedAt = changedAt;
+    }
+
+    // Bots that left the call are done - release them so the user can launch another
+    if (TERMINAL_STATUSES.includes(status)) {
+      this.releaseBot(botId, status);
+      return;
+    }
+
+    this.persistBot(botId);
+  }
+
+  /**
+   * Write a bot's registry entry to the database
+   *
+   * @param {string} botId - Bot ID
+   */
+  async persistBot(botId) {
+    const bot = this.activeBots.get(botId);
+    if (!bot || mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    try {
+      await RecallBot.updateOne(
+        { botId },
+        {
+          $set: {
+            userId: bot.userId,
+            meetingUrl: bot.meetingUrl,
+            botName: bot.botName,
+            status: bot.status,
+            recordingStartedAt: bot.recordingStartedAt,
+            transcriptMode: this.transcriptConnections.get(botId)?.type,
+          },
+          $setOnInsert: { createdAt: bot.createdAt },
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.warn(`⚠️ Failed to persist bot ${botId}:`, error.message);
+    }
+  }
+
+  /**
+   * Mark a bot's registry entry as ended
+   *
+   * @param {string} botId - Bot ID
+   * @param {string} status - Final status code
+   */
+  async markBotEnded(botId, status) {
+    if (mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    try {
+      await RecallBot.updateOne({ botId }, { $set: { status, endedAt: new Date() } });
+    } catch (error) {
+      console.warn(`⚠️ Failed to mark bot ${botId} as ended:`, error.message);
+    }
+  }
+
+  /**
+   * Rehydrate the bot registry from the database after a restart
+   *
+   * Each persisted live bot is reconciled with Recall.ai (GET /bot/:id):
+   * bots that are gone or finished are marked as ended, the rest are restored
+   * and their transcript stream is reconnected.
+   */
+  async restore() {
+    if (mongoose.connection.readyState !== 1) {
+      console.warn('⚠️ Database not connected - bot registry not restored');
+      return;
+    }
+
+    const bots = await RecallBot.find({ endedAt: null }).lean();
+    if (bots.length === 0) {
+      return;
+    }
+
+    console.log(`♻️ Restoring ${bots.length} bots from the registry`);
+
+    for (const record of bots) {
+      let status = record.status;
+      let recordingStartedAt = record.recordingStartedAt;
+
+      try {
+        const response = await axios.get(`${this.baseUrl}/bot/${record.botId}`, {
+          headers: this.getHeaders(),
+        });
+        status = this.getStatusCode(response.data) || status;
+        recordingStartedAt = recordingStartedAt || this.getRecordingStart(response.data);
+      } catch (error) {
+        if (error.response?.status === 404) {
+          status = 'not_found';
+        } else {
+          // Recall.ai unreachable - keep the bot and let webhooks catch up
+          console.warn(`⚠️ Could not reconcile bot ${record.botId}: ${error.message}`);
+        }
+      }
+
+      if (status === 'not_found' || TERMINAL_STATUSES.includes(status)) {
+        await this.markBotEnded(record.botId, status);
+        // It ended while we were down; its last update is the closest end time we know
+        await usageService.recordBot(record.userId, {
+          botId: record.botId,
+          startedAt: record.createdAt,
+          endedAt: record.updatedAt,
+        });
+        this.emit('bot-left', { botId: record.botId, userId: record.userId, reason: status });
+        console.log(`   🏁 Bot ${record.botId} already ended (${status})`);
+        continue;
+      }
+
+      this.activeBots.set(record.botId, {
+        botId: record.botId,
+        meetingUrl: record.meetingUrl,
+        botName: record.botName,
+        userId: record.userId,
+        status,
+        recordingStartedAt,
+        createdAt: record.createdAt,
+      });
+      this.connectTranscriptStream(record.botId, record.userId);
+      console.log(`   ✅ Bot ${record.botId} restored (${status})`);
     }
   }
 
@@ -392,6 +629,36 @@ class RecallService extends EventEmitter {
     return null;
   }
 
+  /**
+   * Find a bot - active bots first, then the persisted registry (bots that ended,
+   * or webhooks processed before the registry is restored)
+   *
+   * @param {string} botId - Bot ID
+   * @returns {Promise<Object|null>} { botId, userId, recordingStartedAt } (null if the bot is unknown)
+   */
+  async findBot(botId) {
+    const bot = this.activeBots.get(botId);
+    if (bot) {
+      return bot;
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return null;
+    }
+
+    return RecallBot.findOne({ botId }).select('botId userId recordingStartedAt').lean();
+  }
+
+  /**
+   * Find the user who launched a bot - active bots first, then the persisted registry
+   *
+   * @param {string} botId - Bot ID
+   * @returns {Promise<string|null>} Owner's user ID (null if the bot is unknown)
+   */
+  async getBotOwner(botId) {
+    return (await this.findBot(botId))?.userId || null;
+  }
+
   /**
    * Get all active bots
    *
@@ -403,8 +670,24 @@ class RecallService extends EventEmitter {
 
   /**
    * Clean up all bots (for shutdown)
+   *
+   * When the registry is persisted, bots stay in their meetings and are
+   * restored on the next start; only local transcript sockets are closed.
    */
   async cleanup() {
+    if (mongoose.connection.readyState === 1) {
+      console.log(`🧹 Detaching from ${this.activeBots.size} active bots (restored on next start)`);
+
+      for (const connection of this.transcriptConnections.values()) {
+        if (connection.type === 'websocket' && connection.ws) {
+          connection.ws.removeAllListeners('close');
+          connection.ws.close();
+        }
+      }
+      this.transcriptConnections.clear();
+      return;
+    }
+
     console.log(`🧹 Cleaning up ${this.activeBots.size} active bots`);
 
     const promises = Array.from(this.activeBots.keys()).map((botId) =>
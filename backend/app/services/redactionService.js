@@ -0,0 +1,551 @@
+import mongoose from 'mongoose';
+import { RE2JS } from 're2js';
+import RedactionPolicy, { REDACTION_MODES, REDACTION_TYPES } from '../models/RedactionPolicy.js';
+import Workspace from '../models/Workspace.js';
+
+// Built-in detectors, in priority order (earlier detectors win overlapping matches)
+const DETECTORS = {
+  card: {
+    regex: /\b\d(?:[ -]?\d){12,18}\b/g,
+    // Card numbers must pass the Luhn checksum
+    accept: (match) => luhn(match.replace(/\D/g, '')),
+  },
+  email: {
+    regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g,
+    accept: () => true,
+  },
+  phone: {
+    regex: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,4}/g,
+    // 10-15 digits, or 8+ with an international prefix
+    accept: (match) => {
+      const digits = match.replace(/\D/g, '').length;
+      return digits <= 15 && (digits >= 10 || (match.startsWith('+') && digits >= 8));
+    },
+  },
+};
+
+const luhn = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+// Placeholder text for a redacted span, e.g. [EMAIL]
+const placeholderFor = (type) => `[${type === 'custom' || type === 'keyword' ? 'REDACTED' : type.toUpperCase()}]`;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Custom patterns run on RE2 (linear time, no backtracking), so a user's pattern
+// can't stall the event loop. JavaScript flags map onto RE2's; u is always on
+const RE2_FLAGS = { i: RE2JS.CASE_INSENSITIVE, m: RE2JS.MULTILINE, s: RE2JS.DOTALL, u: 0 };
+
+const compileCustom = (pattern, flags = '') => RE2JS.compile(
+  pattern,
+  [...flags].reduce((bits, flag) => bits | (RE2_FLAGS[flag] || 0), 0)
+);
+
+// A quantified group that itself contains an unbounded quantifier, e.g. (a+)+ or (\w*)*
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*[+*](?:[^()\\]|\\.)*\)(?:[+*]|\{\d+,\d*\})/;
+
+/**
+ * RedactionService - PII redaction for stored transcripts and LLM prompts
+ *
+ * This service handles:
+ * - Storing each user's redaction policy (falling back to server defaults)
+ * - Storing each workspace's patterns and keywords, added to the policy of
+ *   whoever owns a meeting in that workspace
+ * - Detecting emails, phone numbers, card numbers, custom regexes and keywords
+ * - Redacting segments before storage, marking the redacted spans and keeping
+ *   the originals for the meeting owner
+ * - Redacting transcripts before they are sent to Gemini
+ */
+class RedactionService {
+  constructor() {
+    this.config = {
+      defaults: {
+        mode: REDACTION_MODES.includes(process.env.REDACTION_MODE) ? process.env.REDACTION_MODE : 'llm',
+        types: [...REDACTION_TYPES],
+        patterns: [],
+        keywords: [],
+      },
+      maxPatterns: 25,
+      maxPatternLength: 500,
+      maxKeywords: 200,
+    };
+    this.policies = new Map(); // userId -> { policy, matchers }
+    this.workspaces = new Map(); // workspaceId -> { lists, matchers }
+  }
+
+  /**
+   * Get a user's effective redaction policy
+   *
+   * @param {string} userId - User ID (null for the server defaults)
+   * @returns {Promise<Object>} { mode, types, patterns, keywords, custom }
+   */
+  async getPolicy(userId) {
+    return (await this.load(userId)).policy;
+  }
+
+  /**
+   * Load and compile a user's policy (cached until it changes)
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { policy, matchers }
+   */
+  async load(userId) {
+    if (userId && this.policies.has(userId)) {
+      return this.policies.get(userId);
+    }
+
+    // Without a database the server defaults apply (and aren't cached for the user)
+    const canLoad = userId && mongoose.connection.readyState === 1;
+    const stored = canLoad ? await RedactionPolicy.findOne({ userId }).lean() : null;
+
+    const policy = { custom: [] };
+    for (const field of Object.keys(this.config.defaults)) {
+      if (stored && stored[field] !== undefined) {
+        policy[field] = stored[field];
+        policy.custom.push(field);
+      } else {
+        policy[field] = this.config.defaults[field];
+      }
+    }
+
+    const entry = { policy, matchers: this.compile(policy) };
+    if (canLoad) {
+      this.policies.set(userId, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Load and compile a workspace's patterns and keywords (cached until they change)
+   *
+   * @param {string} workspaceId - Workspace ID (null for a personal meeting)
+   * @returns {Promise<Object|null>} { lists, matchers }, or null without a workspace or database
+   */
+  async loadWorkspace(workspaceId) {
+    if (!workspaceId || mongoose.connection.readyState !== 1) {
+      return null;
+    }
+
+    const key = workspaceId.toString();
+    if (this.workspaces.has(key)) {
+      return this.workspaces.get(key);
+    }
+
+    const workspace = mongoose.isValidObjectId(key)
+      ? await Workspace.findById(key).select('redaction').lean()
+      : null;
+    const lists = {
+      patterns: workspace?.redaction?.patterns || [],
+      keywords: workspace?.redaction?.keywords || [],
+    };
+
+    const entry = { lists, matchers: this.compile({ types: [], ...lists }) };
+    this.workspaces.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * The matchers for a meeting: its owner's policy plus its workspace's lists.
+   * The owner's mode decides whether redaction runs at all.
+   *
+   * @param {string} userId - Meeting owner
+   * @param {Object} options
+   * @param {string} options.workspaceId - Workspace the meeting belongs to
+   * @returns {Promise<Object>} { policy, matchers }
+   */
+  async resolve(userId, { workspaceId } = {}) {
+    const entry = await this.load(userId);
+    const workspace = await this.loadWorkspace(workspaceId);
+
+    if (!workspace || workspace.matchers.length === 0) {
+      return entry;
+    }
+    return { policy: entry.policy, matchers: [...entry.matchers, ...workspace.matchers] };
+  }
+
+  /**
+   * Build the matchers for a policy, in priority order
+   *
+   * @param {Object} policy - Effective policy
+   * @returns {Array} Matchers ({ type, label, regex or re2, accept })
+   */
+  compile(policy) {
+    const matchers = Object.entries(DETECTORS)
+      .filter(([type]) => policy.types.includes(type))
+      .map(([type, detector]) => ({ type, ...detector }));
+
+    for (const { name, pattern, flags } of policy.patterns) {
+      try {
+        matchers.push({ type: 'custom', label: name, re2: compileCustom(pattern, flags), accept: () => true });
+      } catch (error) {
+        // Saved before patterns had to be RE2-compatible
+        console.warn(`⚠️ Skipping redaction pattern "${name}": ${error.message}`);
+      }
+    }
+
+    if (policy.keywords.length > 0) {
+      const words = [...policy.keywords]
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegex)
+        .join('|');
+      matchers.push({
+        type: 'keyword',
+        regex: new RegExp(`(?<![\\p{L}\\p{N}_])(?:${words})(?![\\p{L}\\p{N}_])`, 'giu'),
+        accept: () => true,
+      });
+    }
+
+    return matchers;
+  }
+
+  /**
+   * Check and normalize a policy update
+   *
+   * @param {Object} updates - mode, types, patterns and/or keywords
+   * @returns {Object} Fields to store
+   * @throws {Error} With status 400 when a field is invalid
+   */
+  validate(updates) {
+    const invalid = (message) => {
+      const error = new Error(message);
+      error.status = 400;
+      return error;
+    };
+    const fields = {};
+
+    if (updates.mode !== undefined) {
+      if (!REDACTION_MODES.includes(updates.mode)) {
+        throw invalid(`mode must be one of: ${REDACTION_MODES.join(', ')}`);
+      }
+      fields.mode = updates.mode;
+    }
+
+    if (updates.types !== undefined) {
+      if (!Array.isArray(updates.types) || updates.types.some(type => !REDACTION_TYPES.includes(type))) {
+        throw invalid(`types must be a list of: ${REDACTION_TYPES.join(', ')}`);
+      }
+      fields.types = [...new Set(updates.types)];
+    }
+
+    if (updates.patterns !== undefined) {
+      if (!Array.isArray(updates.patterns) || updates.patterns.length > this.config.maxPatterns) {
+        throw invalid(`patterns must be a list of at most ${this.config.maxPatterns} patterns`);
+      }
+      fields.patterns = updates.patterns.map(({ name, pattern, flags = '' } = {}) => {
+        if (typeof name !== 'string' || !name.trim()) {
+          throw invalid('Each pattern needs a name');
+        }
+        if (typeof pattern !== 'string' || !pattern || pattern.length > this.config.maxPatternLength) {
+          throw invalid(`Pattern "${name}" must be 1-${this.config.maxPatternLength} characters`);
+        }
+        if (typeof flags !== 'string' || !/^[imsu]*$/.test(flags)) {
+          throw invalid(`Pattern "${name}" flags may only contain i, m, s and u`);
+        }
+        if (NESTED_QUANTIFIER.test(pattern)) {
+          throw invalid(`Pattern "${name}" nests repeated groups such as (a+)+ - repeat the inner part only`);
+        }
+        try {
+          compileCustom(pattern, flags);
+        } catch (error) {
+          throw invalid(`Pattern "${name}" is not a supported regular expression (no backreferences or lookarounds): ${error.message}`);
+        }
+        return { name: name.trim(), pattern, flags };
+      });
+    }
+
+    if (updates.keywords !== undefined) {
+      if (!Array.isArray(updates.keywords) || updates.keywords.length > this.config.maxKeywords) {
+        throw invalid(`keywords must be a list of at most ${this.config.maxKeywords} entries`);
+      }
+      if (updates.keywords.some(keyword => typeof keyword !== 'string')) {
+        throw invalid('keywords must be strings');
+      }
+      fields.keywords = [...new Set(updates.keywords.map(keyword => keyword.trim()).filter(Boolean))];
+    }
+
+    return fields;
+  }
+
+  /**
+   * Update a user's redaction policy
+   *
+   * @param {string} userId - User ID
+   * @param {Object} updates - mode, types, patterns and/or keywords
+   * @returns {Promise<Object>} Effective policy
+   */
+  async updatePolicy(userId, updates) {
+    const $set = this.validate(updates);
+
+    if (Object.keys($set).length > 0) {
+      await RedactionPolicy.updateOne({ userId }, { $set }, { upsert: true });
+      this.policies.delete(userId);
+      console.log(`🛡️ Redaction policy updated for user ${userId}`);
+    }
+
+    return this.getPolicy(userId);
+  }
+
+  /**
+   * Go back to the server defaults
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Effective policy
+   */
+  async resetPolicy(userId) {
+    await RedactionPolicy.deleteOne({ userId });
+    this.policies.delete(userId);
+    return this.getPolicy(userId);
+  }
+
+  /**
+   * Get a workspace's redaction patterns and keywords
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Object>} { patterns, keywords }
+   */
+  async getWorkspaceLists(workspaceId) {
+    return (await this.loadWorkspace(workspaceId))?.lists || { patterns: [], keywords: [] };
+  }
+
+  /**
+   * Update a workspace's redaction patterns and/or keywords
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} updates - patterns and/or keywords (validated like a user's policy)
+   * @returns {Promise<Object>} { patterns, keywords }
+   */
+  async updateWorkspaceLists(workspaceId, { patterns, keywords } = {}) {
+    const fields = this.validate({ patterns, keywords });
+    const $set = Object.fromEntries(
+      Object.entries(fields).map(([field, value]) => [`redaction.${field}`, value])
+    );
+
+    if (Object.keys($set).length > 0) {
+      await Workspace.updateOne({ _id: workspaceId }, { $set });
+      this.workspaces.delete(workspaceId.toString());
+      console.log(`🛡️ Redaction lists updated for workspace ${workspaceId}`);
+    }
+
+    return this.getWorkspaceLists(workspaceId);
+  }
+
+  /**
+   * Find the spans to redact in a text (non-overlapping, in order)
+   *
+   * @param {string} text - Text to scan
+   * @param {Array} matchers - Compiled matchers
+   * @returns {Array} Spans ({ start, end, type, label })
+   */
+  findSpans(text, matchers) {
+    const spans = [];
+
+    for (const matcher of matchers) {
+      const { type, label, accept } = matcher;
+
+      for (const [start, end] of this.matchAll(text, matcher)) {
+        const overlaps = spans.some(span => start < span.end && end > span.start);
+
+        if (!overlaps && accept(text.slice(start, end))) {
+          spans.push({ start, end, type, label });
+        }
+      }
+    }
+
+    return spans.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Non-empty matches of one matcher (built-in RegExp or custom RE2 pattern)
+   *
+   * @param {string} text - Text to scan
+   * @param {Object} matcher - Compiled matcher
+   * @returns {Array<[number, number]>} [start, end) ranges
+   */
+  matchAll(text, { regex, re2 }) {
+    const ranges = [];
+
+    if (re2) {
+      const match = re2.matcher(text);
+      while (match.find()) {
+        if (match.end() > match.start()) {
+          ranges.push([match.start(), match.end()]);
+        }
+      }
+      return ranges;
+    }
+
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        regex.lastIndex++;
+        continue;
+      }
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+    return ranges;
+  }
+
+  /**
+   * Replace PII in a text with placeholders such as [EMAIL]
+   *
+   * @param {string} text - Text to redact
+   * @param {Array} matchers - Compiled matchers
+   * @returns {Object} { text, redactions, originals } where redactions are the
+   *   placeholder positions in the redacted text and originals the replaced text
+   */
+  redactText(text, matchers) {
+    const spans = this.findSpans(text, matchers);
+    if (spans.length === 0) {
+      return { text, redactions: [], originals: [] };
+    }
+
+    let redacted = '';
+    let cursor = 0;
+    const redactions = [];
+    const originals = [];
+
+    for (const span of spans) {
+      const placeholder = placeholderFor(span.type);
+
+      redacted += text.slice(cursor, span.start);
+      redactions.push({
+        start: redacted.length,
+        end: redacted.length + placeholder.length,
+        type: span.type,
+        ...(span.label && { label: span.label }),
+      });
+      originals.push(text.slice(span.start, span.end));
+      redacted += placeholder;
+      cursor = span.end;
+    }
+
+    return { text: redacted + text.slice(cursor), redactions, originals };
+  }
+
+  /**
+   * Replace PII in a segment's word timings. Words inside a redacted span are
+   * merged into one placeholder word covering their combined time.
+   *
+   * @param {Array} words - Words ({ text, start, end })
+   * @param {Array} matchers - Compiled matchers
+   * @returns {Array} Redacted words (the input array when nothing matched)
+   */
+  redactWords(words, matchers) {
+    let text = '';
+    const positions = words.map(word => {
+      const start = text.length ? text.length + 1 : 0;
+      text += (text.length ? ' ' : '') + word.text;
+      return { start, end: text.length };
+    });
+
+    const spans = this.findSpans(text, matchers);
+    if (spans.length === 0) {
+      return words;
+    }
+
+    const redacted = [];
+    let i = 0;
+    for (const span of spans) {
+      while (i < words.length && positions[i].end <= span.start) {
+        redacted.push(words[i++]);
+      }
+      const covered = [];
+      while (i < words.length && positions[i].start < span.end) {
+        covered.push(words[i++]);
+      }
+      if (covered.length > 0) {
+        redacted.push({
+          text: placeholderFor(span.type),
+          start: covered[0].start,
+          end: covered[covered.length - 1].end,
+        });
+      }
+    }
+
+    return redacted.concat(words.slice(i));
+  }
+
+  /**
+   * Redact segments before they are stored, if the user's policy asks for it.
+   * Segments are updated in place with redactions and redactedOriginals.
+   *
+   * @param {string} userId - Meeting owner
+   * @param {Array} segments - Segments with text
+   * @param {Object} options
+   * @param {string} options.workspaceId - Workspace the meeting belongs to (adds its lists)
+   * @returns {Promise<number>} Number of segments that were redacted
+   */
+  async redactForStorage(userId, segments, options = {}) {
+    const { policy, matchers } = await this.resolve(userId, options);
+    if (policy.mode !== 'storage' && policy.mode !== 'both') {
+      return 0;
+    }
+
+    let count = 0;
+    for (const segment of segments) {
+      const result = this.redactText(segment.text, matchers);
+      if (result.redactions.length > 0) {
+        segment.text = result.text;
+        segment.redactions = result.redactions;
+        segment.redactedOriginals = result.originals;
+        count++;
+      }
+      if (segment.words?.length > 0) {
+        segment.words = this.redactWords(segment.words, matchers);
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Redact transcript text before it is sent to an LLM, if the user's policy asks for it
+   *
+   * @param {string} userId - User whose data it is (null for the server defaults)
+   * @param {Array} transcriptions - Transcriptions with text
+   * @param {Object} options
+   * @param {string} options.workspaceId - Workspace the meeting belongs to (adds its lists)
+   * @returns {Promise<Array>} Copies with redacted text (or the originals untouched)
+   */
+  async redactForLlm(userId, transcriptions, options = {}) {
+    const { policy, matchers } = await this.resolve(userId, options);
+    if (policy.mode !== 'llm' && policy.mode !== 'both') {
+      return transcriptions;
+    }
+
+    return transcriptions.map(transcription => ({
+      ...transcription,
+      text: typeof transcription.text === 'string'
+        ? this.redactText(transcription.text, matchers).text
+        : transcription.text,
+    }));
+  }
+
+  /**
+   * Redact a sample text with a user's policy (regardless of mode)
+   *
+   * @param {string} userId - User ID
+   * @param {string} text - Sample text
+   * @returns {Promise<Object>} { text, redactions }
+   */
+  async preview(userId, text) {
+    const { matchers } = await this.load(userId);
+    const { text: redacted, redactions } = this.redactText(text, matchers);
+    return { text: redacted, redactions };
+  }
+}
+
+// Export singleton instance
+const redactionService = new RedactionService();
+export default redactionService;
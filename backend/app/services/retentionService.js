@@ -0,0 +1,493 @@
+import mongoose from 'mongoose';
+import Meeting from '../models/Meeting.js';
+import RetentionPolicy from '../models/RetentionPolicy.js';
+import RetentionRun from '../models/RetentionRun.js';
+import Workspace from '../models/Workspace.js';
+import transcriptService from './transcriptService.js';
+import actionItemService from './actionItemService.js';
+import participantService from './participantService.js';
+import shareLinkService from './shareLinkService.js';
+import audioOutputService from './audioOutputService.js';
+import webhookEventService from './webhookEventService.js';
+
+const POLICY_FIELDS = ['transcriptDays', 'summaryDays', 'trashDays'];
+
+// Unset or non-positive env values mean "keep forever"
+const envDays = (name) => {
+  const days = parseInt(process.env[name], 10);
+  return days > 0 ? days : null;
+};
+
+/**
+ * RetentionService - Per-user and per-workspace data retention and the purge job
+ *
+ * This service handles:
+ * - Storing each user's retention periods (falling back to server defaults)
+ * - Storing workspace retention periods, which apply to the workspace's meetings on
+ *   top of their owners' (the shorter period wins)
+ * - Purging expired transcripts, summaries and trashed meetings from Mongo
+ * - Removing old TTS audio files from disk
+ * - Recording a report of what each purge removed
+ */
+class RetentionService {
+  constructor() {
+    this.config = {
+      defaults: {
+        transcriptDays: envDays('RETENTION_TRANSCRIPT_DAYS'),
+        summaryDays: envDays('RETENTION_SUMMARY_DAYS'),
+        trashDays: envDays('RETENTION_TRASH_DAYS'),
+      },
+      intervalMs: (parseInt(process.env.RETENTION_INTERVAL_MINUTES, 10) || 60) * 60 * 1000,
+      maxDays: 3650,
+    };
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Get a user's effective retention periods
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { transcriptDays, summaryDays, trashDays, custom }
+   *   where null means "keep forever" and custom lists the fields the user set
+   */
+  async getPolicy(userId) {
+    const stored = await RetentionPolicy.findOne({ userId }).lean();
+
+    const policy = { custom: [] };
+    for (const field of POLICY_FIELDS) {
+      if (stored && stored[field] !== undefined) {
+        policy[field] = stored[field];
+        policy.custom.push(field);
+      } else {
+        policy[field] = this.config.defaults[field];
+      }
+    }
+
+    return policy;
+  }
+
+  /**
+   * Set some of a user's retention periods
+   *
+   * @param {string} userId - User ID
+   * @param {Object} updates - transcriptDays, summaryDays and/or trashDays
+   *   (whole days, or null to keep forever)
+   * @returns {Promise<Object>} Effective policy
+   */
+  async updatePolicy(userId, updates) {
+    const $set = this.parsePeriods(updates);
+
+    if (Object.keys($set).length > 0) {
+      await RetentionPolicy.updateOne({ userId }, { $set }, { upsert: true });
+      console.log(`🗄️ Retention policy updated for user ${userId}`);
+    }
+
+    return this.getPolicy(userId);
+  }
+
+  /**
+   * Check the retention periods sent by a client
+   *
+   * @param {Object} updates - transcriptDays, summaryDays and/or trashDays
+   * @returns {Object} The periods that were sent
+   * @throws {Error} With status 400 for a period that isn't a whole number of days or null
+   */
+  parsePeriods(updates) {
+    const periods = {};
+
+    for (const field of POLICY_FIELDS) {
+      if (updates[field] === undefined) continue;
+
+      const value = updates[field];
+      if (value !== null && (!Number.isInteger(value) || value < 1 || value > this.config.maxDays)) {
+        const error = new Error(`${field} must be a whole number of days between 1 and ${this.config.maxDays}, or null`);
+        error.status = 400;
+        throw error;
+      }
+      periods[field] = value;
+    }
+
+    return periods;
+  }
+
+  /**
+   * Get a workspace's retention periods
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Object>} { transcriptDays, summaryDays, trashDays }, where null
+   *   sets no workspace limit (only the meeting owner's policy applies)
+   */
+  async getWorkspacePolicy(workspaceId) {
+    const workspace = await Workspace.findById(workspaceId).select('retention').lean();
+    return Object.fromEntries(POLICY_FIELDS.map(field => [field, workspace?.retention?.[field] ?? null]));
+  }
+
+  /**
+   * Set some of a workspace's retention periods
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} updates - transcriptDays, summaryDays and/or trashDays
+   *   (whole days, or null for no workspace limit)
+   * @returns {Promise<Object>} Workspace periods
+   */
+  async updateWorkspacePolicy(workspaceId, updates) {
+    const $set = Object.fromEntries(
+      Object.entries(this.parsePeriods(updates)).map(([field, value]) => [`retention.${field}`, value])
+    );
+
+    if (Object.keys($set).length > 0) {
+      await Workspace.updateOne({ _id: workspaceId }, { $set });
+      console.log(`🗄️ Retention policy updated for workspace ${workspaceId}`);
+    }
+
+    return this.getWorkspacePolicy(workspaceId);
+  }
+
+  /**
+   * Go back to the server defaults
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Effective policy
+   */
+  async resetPolicy(userId) {
+    await RetentionPolicy.deleteOne({ userId });
+    return this.getPolicy(userId);
+  }
+
+  /**
+   * Query for finished meetings that ended before a cutoff
+   *
+   * @param {Object} scope - The meetings a policy covers: { userId } or { workspaceId }
+   * @param {Date} cutoff - End of the retention period
+   * @returns {Object} Mongo filter
+   */
+  expiredMeetingsQuery(scope, cutoff) {
+    return {
+      ...scope,
+      status: { $ne: 'active' },
+      $or: [
+        { endTime: { $lt: cutoff } },
+        { endTime: null, startTime: { $lt: cutoff } },
+      ],
+    };
+  }
+
+  /**
+   * Permanently delete a meeting and everything stored for it
+   *
+   * @param {string} meetingId - Meeting ID
+   */
+  async deleteMeeting(meetingId) {
+    const meeting = await Meeting.findById(meetingId).select('botId').lean();
+    await Meeting.deleteOne({ _id: meetingId });
+    await webhookEventService.deleteForBots([meeting?.botId]);
+    await transcriptService.deleteMeetingSegments(meetingId);
+    await actionItemService.deleteMeetingItems(meetingId);
+    await participantService.deleteMeetingParticipants(meetingId);
+    await shareLinkService.deleteMeetingLinks(meetingId);
+  }
+
+  /**
+   * Delete the transcripts of meetings older than the retention period, with
+   * their bots' stored webhook events. The meeting, its summary and its roster are kept.
+   *
+   * @param {Object} scope - { userId } or { workspaceId }
+   * @param {Date} cutoff - End of the retention period
+   * @param {Date} now - Time of the purge
+   * @returns {Promise<Object>} { transcripts, segments }
+   */
+  async purgeTranscripts(scope, cutoff, now) {
+    const meetings = await Meeting.find({
+      ...this.expiredMeetingsQuery(scope, cutoff),
+      transcriptPurgedAt: null,
+    }).select('_id botId').lean();
+
+    let segments = 0;
+    for (const meeting of meetings) {
+      segments += await transcriptService.deleteMeetingSegments(meeting._id);
+    }
+    await webhookEventService.deleteForBots(meetings.map(meeting => meeting.botId));
+
+    if (meetings.length > 0) {
+      await Meeting.updateMany(
+        { _id: { $in: meetings.map(meeting => meeting._id) } },
+        { $set: { transcriptPurgedAt: now }, $unset: { transcriptions: 1 } }
+      );
+    }
+
+    return { transcripts: meetings.length, segments };
+  }
+
+  /**
+   * Delete the summaries (all versions) of meetings older than the retention period.
+   * Action items are kept.
+   *
+   * @param {Object} scope - { userId } or { workspaceId }
+   * @param {Date} cutoff - End of the retention period
+   * @param {Date} now - Time of the purge
+   * @returns {Promise<number>} Number of meetings whose summaries were removed
+   */
+  async purgeSummaries(scope, cutoff, now) {
+    const result = await Meeting.updateMany(
+      {
+        $and: [
+          this.expiredMeetingsQuery(scope, cutoff),
+          { $or: [{ summary: { $exists: true } }, { 'summaryVersions.0': { $exists: true } }] },
+        ],
+      },
+      {
+        $set: { summaryVersions: [], pinnedSummaryVersion: null, summaryPurgedAt: now },
+        $unset: { summary: 1 },
+      }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Permanently delete meetings that have been in the trash too long
+   *
+   * @param {Object} scope - { userId } or { workspaceId }
+   * @param {Date} cutoff - End of the retention period
+   * @returns {Promise<number>} Number of meetings deleted
+   */
+  async purgeTrash(scope, cutoff) {
+    const meetings = await Meeting.find({ ...scope, deletedAt: { $lt: cutoff } })
+      .select('_id')
+      .lean();
+
+    for (const meeting of meetings) {
+      await this.deleteMeeting(meeting._id);
+    }
+
+    return meetings.length;
+  }
+
+  /**
+   * Apply a user's retention policy
+   *
+   * @param {string} userId - User ID
+   * @param {Date} now - Time of the purge
+   * @returns {Promise<Object>} Counts of what was removed
+   */
+  async purgeUser(userId, now = new Date()) {
+    return this.applyPolicy({ userId }, await this.getPolicy(userId), now);
+  }
+
+  /**
+   * Apply a workspace's retention policy to its meetings
+   *
+   * @param {Object} workspace - Workspace with _id and retention
+   * @param {Date} now - Time of the purge
+   * @returns {Promise<Object>} Counts of what was removed
+   */
+  async purgeWorkspace(workspace, now = new Date()) {
+    return this.applyPolicy({ workspaceId: workspace._id }, workspace.retention || {}, now);
+  }
+
+  /**
+   * Apply retention periods to the meetings of a user or workspace
+   *
+   * @param {Object} scope - { userId } or { workspaceId }
+   * @param {Object} policy - transcriptDays, summaryDays and trashDays (null keeps forever)
+   * @param {Date} now - Time of the purge
+   * @returns {Promise<Object>} Counts of what was removed
+   */
+  async applyPolicy(scope, policy, now) {
+    const cutoff = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+    const removed = { transcripts: 0, segments: 0, summaries: 0, meetings: 0 };
+
+    if (policy.trashDays) {
+      removed.meetings = await this.purgeTrash(scope, cutoff(policy.trashDays));
+    }
+
+    if (policy.transcriptDays) {
+      Object.assign(removed, await this.purgeTranscripts(scope, cutoff(policy.transcriptDays), now));
+    }
+
+    if (policy.summaryDays) {
+      removed.summaries = await this.purgeSummaries(scope, cutoff(policy.summaryDays), now);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Users that may have data to purge: everyone when a server default is
+   * set, otherwise only users with their own policy
+   *
+   * @returns {Promise<string[]>} User IDs
+   */
+  async getUserIds() {
+    const hasDefaults = POLICY_FIELDS.some(field => this.config.defaults[field]);
+    return hasDefaults
+      ? Meeting.distinct('userId')
+      : RetentionPolicy.distinct('userId');
+  }
+
+  /**
+   * Workspaces with a retention period of their own
+   *
+   * @returns {Promise<Array>} Workspaces (lean, with _id and retention)
+   */
+  async getWorkspaces() {
+    return Workspace.find({
+      $or: POLICY_FIELDS.map(field => ({ [`retention.${field}`]: { $gt: 0 } })),
+    }).select('retention').lean();
+  }
+
+  /**
+   * Run a purge and store its report (when anything was removed or failed)
+   *
+   * Scheduled runs cover every user, every workspace with a policy and the
+   * audio directory; manual runs cover a single user's meeting data.
+   *
+   * @param {Object} options
+   * @param {string} options.trigger - 'schedule' or 'manual'
+   * @param {string} options.userId - Limit the purge to one user
+   * @returns {Promise<Object>} Report
+   */
+  async run({ trigger = 'schedule', userId } = {}) {
+    if (this.running) {
+      const error = new Error('A retention purge is already running');
+      error.status = 409;
+      throw error;
+    }
+
+    this.running = true;
+    const now = new Date();
+    const report = {
+      trigger,
+      startedAt: now,
+      totals: { transcripts: 0, segments: 0, summaries: 0, meetings: 0 },
+      users: [],
+      workspaces: [],
+      audioFiles: 0,
+      audioBytes: 0,
+      failures: [],
+    };
+
+    try {
+      if (!userId) {
+        try {
+          const audio = await audioOutputService.cleanupOldFiles();
+          report.audioFiles = audio.files;
+          report.audioBytes = audio.bytes;
+        } catch (error) {
+          report.failures.push(`audio: ${error.message}`);
+        }
+      }
+
+      if (mongoose.connection.readyState === 1) {
+        const userIds = userId ? [userId] : await this.getUserIds();
+
+        const addRemoved = (entries, entry) => {
+          if (Object.values(entry.removed).some(count => count > 0)) {
+            entries.push(entry);
+            for (const key of Object.keys(report.totals)) {
+              report.totals[key] += entry.removed[key];
+            }
+          }
+        };
+
+        for (const id of userIds) {
+          try {
+            addRemoved(report.users, { userId: id, removed: await this.purgeUser(id, now) });
+          } catch (error) {
+            console.error(`❌ Retention purge failed for user ${id}:`, error.message);
+            report.failures.push(`${id}: ${error.message}`);
+          }
+        }
+
+        // Workspace policies run after their members' own, on whatever is left
+        const workspaces = userId ? [] : await this.getWorkspaces();
+        for (const workspace of workspaces) {
+          const workspaceId = workspace._id.toString();
+          try {
+            addRemoved(report.workspaces, { workspaceId, removed: await this.purgeWorkspace(workspace, now) });
+          } catch (error) {
+            console.error(`❌ Retention purge failed for workspace ${workspaceId}:`, error.message);
+            report.failures.push(`workspace ${workspaceId}: ${error.message}`);
+          }
+        }
+      } else if (userId) {
+        report.failures.push('Database not connected');
+      }
+
+      report.finishedAt = new Date();
+
+      const { totals } = report;
+      if (report.users.length > 0 || report.workspaces.length > 0 || report.audioFiles > 0 || report.failures.length > 0) {
+        console.log(
+          `🗄️ Retention purge (${trigger}): ${totals.transcripts} transcript(s) / ${totals.segments} segment(s), ` +
+          `${totals.summaries} summar${totals.summaries === 1 ? 'y' : 'ies'}, ${totals.meetings} trashed meeting(s), ` +
+          `${report.audioFiles} audio file(s)`
+        );
+
+        if (mongoose.connection.readyState === 1) {
+          const run = await RetentionRun.create(report);
+          report.id = run._id.toString();
+        }
+      }
+
+      return report;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * A user's part of recent purge reports, newest first
+   *
+   * @param {string} userId - User ID
+   * @param {number} limit - Maximum number of reports
+   * @returns {Promise<Array>} Reports with the user's removed counts
+   */
+  async getReports(userId, limit = 20) {
+    const runs = await RetentionRun.find({ 'users.userId': userId })
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .select({ trigger: 1, startedAt: 1, finishedAt: 1, users: { $elemMatch: { userId } } })
+      .lean();
+
+    return runs.map(run => ({
+      id: run._id.toString(),
+      trigger: run.trigger,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt,
+      removed: run.users[0]?.removed,
+    }));
+  }
+
+  /**
+   * Start the background purge job (runs now, then every RETENTION_INTERVAL_MINUTES)
+   */
+  start() {
+    if (this.timer) return;
+
+    const runScheduled = () => {
+      this.run().catch(error => {
+        console.error('❌ Retention purge failed:', error.message);
+      });
+    };
+
+    this.timer = setInterval(runScheduled, this.config.intervalMs);
+    this.timer.unref();
+    runScheduled();
+
+    console.log(`🗄️ Retention job scheduled every ${this.config.intervalMs / 60000} minutes`);
+  }
+
+  /**
+   * Stop the background purge job
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Export singleton instance
+const retentionService = new RetentionService();
+export default retentionService;
@@ -0,0 +1,240 @@
+import mongoose from 'mongoose';
+import Meeting from '../models/Meeting.js';
+import TranscriptSegment from '../models/TranscriptSegment.js';
+import transcriptService from './transcriptService.js';
+import workspaceService from './workspaceService.js';
+
+const SUMMARY_FIELDS = ['summary', 'keyPoints', 'decisions'];
+
+// Text indexes from before search covered shared meetings; they required a userId match
+// and a collection can only have one text index, so they are dropped on startup
+const LEGACY_TEXT_INDEXES = [
+  { model: TranscriptSegment, name: 'segment_text' },
+  { model: Meeting, name: 'summary_text' },
+];
+
+/**
+ * SearchService - Full-text search over the meetings a user can see
+ *
+ * This service handles:
+ * - Searching transcript segments and summaries with MongoDB text indexes
+ * - Scoping results to the user's own, workspace and shared meetings
+ * - Migrating legacy embedded transcripts before they are searched
+ * - Phrase ("quoted") and excluded (-word) terms, speaker and date filters
+ * - Building highlighted snippets for each match
+ */
+class SearchService {
+  constructor() {
+    this.config = {
+      defaultLimit: 20,
+      maxLimit: 50,
+      snippetLength: 160, // Characters of context around the first match
+    };
+  }
+
+  /**
+   * Replace the user-scoped text indexes with the current ones
+   */
+  async prepareIndexes() {
+    if (mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    for (const { model, name } of LEGACY_TEXT_INDEXES) {
+      const indexes = await model.collection.indexes().catch(() => []);
+      if (indexes.some(index => index.name === name)) {
+        await model.collection.dropIndex(name);
+        console.log(`🔎 Dropped legacy text index ${name}`);
+      }
+      await model.createIndexes();
+    }
+  }
+
+  /**
+   * Split a search query into the terms to highlight
+   *
+   * @param {string} q - Search query (MongoDB $text syntax)
+   * @returns {{ phrases: string[], words: string[] }} Phrases and words, without excluded terms
+   */
+  parseTerms(q) {
+    const phrases = [...q.matchAll(/"([^"]+)"/g)].map(match => match[1].trim()).filter(Boolean);
+    const words = q
+      .replace(/"[^"]*"/g, ' ')
+      .split(/\s+/)
+      .filter(word => word && !word.startsWith('-'));
+
+    return { phrases, words };
+  }
+
+  /**
+   * Find the character ranges of a text that match the search terms
+   *
+   * Words match as prefixes so stemmed results (e.g. "deploy" -> "deployment") are highlighted.
+   *
+   * @param {string} text - Matched text
+   * @param {Object} terms - Terms from parseTerms()
+   * @returns {Array<[number, number]>} Sorted, non-overlapping [start, end) ranges
+   */
+  findHighlights(text, { phrases, words }) {
+    const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const patterns = [
+      ...phrases.map(phrase => escape(phrase).replace(/\s+/g, '\\s+')),
+      ...words.map(word => `\\b${escape(word)}\\w*`),
+    ];
+
+    if (patterns.length === 0) {
+      return [];
+    }
+
+    const ranges = [...text.matchAll(new RegExp(patterns.join('|'), 'gi'))]
+      .map(match => [match.index, match.index + match[0].length])
+      .sort((a, b) => a[0] - b[0]);
+
+    // Merge overlapping ranges (a phrase and one of its words)
+    return ranges.reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push(range);
+      }
+      return merged;
+    }, []);
+  }
+
+  /**
+   * Cut a snippet around the first match and shift the highlights into it
+   *
+   * @param {string} text - Matched text
+   * @param {Object} terms - Terms from parseTerms()
+   * @returns {{ snippet: string, highlights: Array<[number, number]> }}
+   */
+  buildSnippet(text, terms) {
+    const ranges = this.findHighlights(text, terms);
+    const { snippetLength } = this.config;
+
+    if (text.length <= snippetLength) {
+      return { snippet: text, highlights: ranges };
+    }
+
+    const first = ranges[0]?.[0] ?? 0;
+    const start = Math.max(0, Math.min(first - Math.floor(snippetLength / 3), text.length - snippetLength));
+    const end = start + snippetLength;
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+
+    return {
+      snippet: `${prefix}${text.slice(start, end)}${suffix}`,
+      highlights: ranges
+        .filter(([from, to]) => from >= start && to <= end)
+        .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length]),
+    };
+  }
+
+  /**
+   * Search the transcripts and summaries of every meeting a user can see: their own,
+   * their workspaces' and those shared with them (the same rules as the meeting routes)
+   *
+   * @param {string} userId - User searching
+   * @param {Object} options
+   * @param {string} options.q - Search query
+   * @param {string[]} options.speakers - Only transcript segments from these speakers
+   * @param {Date} options.from - Only matches at or after this time
+   * @param {Date} options.to - Only matches at or before this time
+   * @param {string} options.type - all | transcripts | summaries
+   * @param {number} options.limit - Maximum results per type
+   * @returns {Promise<{ transcripts: Array, summaries: Array }>}
+   */
+  async search(userId, { q, speakers, from, to, type = 'all', limit = this.config.defaultLimit }) {
+    const terms = this.parseTerms(q);
+    const dateRange = (from || to) && {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to }),
+    };
+
+    // Meetings in the trash are never searched
+    const visible = { ...await workspaceService.accessibleMeetingsFilter(userId), deletedAt: null };
+    const meetingIds = await Meeting.find(visible).distinct('_id');
+
+    if (meetingIds.length === 0) {
+      return { transcripts: [], summaries: [] };
+    }
+
+    // Transcripts still embedded in old meetings are only searchable once migrated
+    if (type !== 'summaries') {
+      const legacy = await Meeting.find({ _id: { $in: meetingIds }, 'transcriptions.0': { $exists: true } })
+        .select('_id');
+      for (const meeting of legacy) {
+        await transcriptService.migrateMeeting(meeting);
+      }
+    }
+
+    const [segments, meetings] = await Promise.all([
+      type === 'summaries' ? [] : TranscriptSegment.find({
+        meetingId: { $in: meetingIds },
+        $text: { $search: q },
+        ...(speakers?.length && { speaker: { $in: speakers } }),
+        ...(dateRange && { timestamp: dateRange }),
+      }, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(limit)
+        .lean(),
+
+      // Summaries have no speaker, so a speaker filter only searches transcripts
+      type === 'transcripts' || speakers?.length ? [] : Meeting.find({
+        _id: { $in: meetingIds },
+        $text: { $search: q },
+        ...(dateRange && { startTime: dateRange }),
+      }, { score: { $meta: 'textScore' } })
+        .select('title startTime summary')
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(limit)
+        .lean(),
+    ]);
+
+    // Titles and start times of the meetings the segments belong to
+    const segmentMeetingIds = [...new Set(segments.map(segment => segment.meetingId.toString()))];
+    const segmentMeetings = await Meeting.find({ _id: { $in: segmentMeetingIds } })
+      .select('title startTime')
+      .lean();
+    const meetingsById = new Map(segmentMeetings.map(meeting => [meeting._id.toString(), meeting]));
+
+    const transcripts = segments.map(segment => {
+      const meeting = meetingsById.get(segment.meetingId.toString());
+      return {
+        meetingId: segment.meetingId.toString(),
+        meetingTitle: meeting?.title,
+        meetingStartTime: meeting?.startTime,
+        segmentId: segment._id.toString(),
+        speaker: segment.speaker,
+        timestamp: segment.timestamp,
+        score: segment.score,
+        ...this.buildSnippet(segment.text, terms),
+      };
+    });
+
+    const summaries = meetings.flatMap(meeting => {
+      const matches = SUMMARY_FIELDS.flatMap(field => {
+        const values = [].concat(meeting.summary?.[field] || []);
+        return values
+          .filter(value => this.findHighlights(value, terms).length > 0)
+          .map(value => ({ field, ...this.buildSnippet(value, terms) }));
+      });
+
+      return (matches.length ? matches : [{ field: 'summary', snippet: meeting.summary?.summary || '', highlights: [] }])
+        .map(match => ({
+          meetingId: meeting._id.toString(),
+          meetingTitle: meeting.title,
+          meetingStartTime: meeting.startTime,
+          score: meeting.score,
+          ...match,
+        }));
+    });
+
+    return { transcripts, summaries };
+  }
+}
+
+// Export singleton instance
+const searchService = new SearchService();
+export default searchService;
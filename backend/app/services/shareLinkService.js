@@ -0,0 +1,293 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import ShareLink, { SHARE_SECTIONS } from '../models/ShareLink.js';
+import ShareLinkAccess from '../models/ShareLinkAccess.js';
+import Meeting from '../models/Meeting.js';
+import transcriptService from './transcriptService.js';
+
+const DEFAULT_SECTIONS = ['summary', 'keyPoints', 'decisions', 'actionItems'];
+
+const shareError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * ShareLinkService - Public, expiring links to meeting summaries
+ *
+ * This service handles:
+ * - Creating signed share links with an expiry and a choice of sections
+ * - Revoking links and listing them with their access counts
+ * - Resolving a token from a public request, logging each access
+ * - Building the read-only view of the meeting that a link exposes
+ */
+class ShareLinkService {
+  constructor() {
+    this.config = {
+      secret: process.env.SHARE_LINK_SECRET,
+      frontendUrl: process.env.FRONTEND_URL || 'http://localhost:8080',
+      defaultDays: parseInt(process.env.SHARE_LINK_DEFAULT_DAYS, 10) || 7,
+      maxDays: 90,
+    };
+
+    if (!this.config.secret) {
+      console.warn('⚠️  SHARE_LINK_SECRET not set - public share links disabled');
+    }
+  }
+
+  /**
+   * Signature of a link's ID and expiry
+   *
+   * @param {Object} link - ShareLink with _id and expiresAt
+   * @returns {string} base64url HMAC-SHA256
+   */
+  sign(link) {
+    if (!this.config.secret) {
+      throw shareError('Share links are not configured', 503);
+    }
+
+    return crypto
+      .createHmac('sha256', this.config.secret)
+      .update(`${link._id}.${new Date(link.expiresAt).getTime()}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Public token for a link: <linkId>.<signature>
+   *
+   * @param {Object} link - ShareLink
+   * @returns {string} Token
+   */
+  tokenFor(link) {
+    return `${link._id}.${this.sign(link)}`;
+  }
+
+  /**
+   * Shape a link for its owner (with the public URL)
+   *
+   * @param {Object} link - ShareLink
+   * @returns {Object} API representation
+   */
+  format(link) {
+    const token = this.tokenFor(link);
+    const now = new Date();
+
+    return {
+      id: link._id.toString(),
+      meetingId: link.meetingId.toString(),
+      label: link.label,
+      sections: link.sections,
+      url: `${this.config.frontendUrl}/shared/${token}`,
+      token,
+      expiresAt: link.expiresAt,
+      revokedAt: link.revokedAt,
+      active: !link.revokedAt && link.expiresAt > now,
+      accessCount: link.accessCount,
+      lastAccessedAt: link.lastAccessedAt,
+      createdBy: link.createdBy,
+      createdAt: link.createdAt,
+    };
+  }
+
+  /**
+   * Create a share link for a meeting
+   *
+   * @param {Object} meeting - Meeting document
+   * @param {string} userId - User creating the link
+   * @param {Object} options
+   * @param {Array<string>} options.sections - Sections to expose (default: the summary without the transcript)
+   * @param {number} options.expiresInDays - Days until the link expires (default SHARE_LINK_DEFAULT_DAYS)
+   * @param {string} options.label - Optional note
+   * @returns {Promise<Object>} ShareLink document
+   */
+  async create(meeting, userId, { sections = DEFAULT_SECTIONS, expiresInDays, label } = {}) {
+    if (!this.config.secret) {
+      throw shareError('Share links are not configured', 503);
+    }
+
+    if (!Array.isArray(sections) || sections.length === 0 || sections.some(s => !SHARE_SECTIONS.includes(s))) {
+      throw shareError(`sections must be a non-empty list of: ${SHARE_SECTIONS.join(', ')}`, 400);
+    }
+
+    const days = expiresInDays === undefined ? this.config.defaultDays : Number(expiresInDays);
+    if (!Number.isFinite(days) || days < 1 || days > this.config.maxDays) {
+      throw shareError(`expiresInDays must be between 1 and ${this.config.maxDays}`, 400);
+    }
+
+    const link = await ShareLink.create({
+      meetingId: meeting._id,
+      createdBy: userId,
+      label: typeof label === 'string' ? label.trim() || undefined : undefined,
+      sections: [...new Set(sections)],
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    });
+
+    console.log(`🔗 Share link ${link._id} created for meeting ${meeting._id} (expires ${link.expiresAt.toISOString()})`);
+    return link;
+  }
+
+  /**
+   * List a meeting's share links, newest first
+   *
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<Array>} ShareLink documents
+   */
+  async list(meetingId) {
+    return ShareLink.find({ meetingId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Load one of a meeting's share links
+   *
+   * @param {string} meetingId - Meeting ID
+   * @param {string} linkId - Link ID
+   * @returns {Promise<Object>} ShareLink document
+   * @throws {Error} With status 404
+   */
+  async get(meetingId, linkId) {
+    const link = mongoose.isValidObjectId(linkId)
+      ? await ShareLink.findOne({ _id: linkId, meetingId })
+      : null;
+
+    if (!link) {
+      throw shareError('Share link not found', 404);
+    }
+    return link;
+  }
+
+  /**
+   * Revoke a share link (it stops working immediately)
+   *
+   * @param {Object} link - ShareLink document
+   * @returns {Promise<Object>} Updated link
+   */
+  async revoke(link) {
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+      console.log(`🔒 Share link ${link._id} revoked`);
+    }
+    return link;
+  }
+
+  /**
+   * A link's most recent accesses
+   *
+   * @param {Object} link - ShareLink document
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array>} Access log entries, newest first
+   */
+  async getAccessLog(link, limit = 100) {
+    return ShareLinkAccess.find({ linkId: link._id })
+      .sort({ accessedAt: -1 })
+      .limit(limit)
+      .select('accessedAt ip userAgent')
+      .lean();
+  }
+
+  /**
+   * Check a public token and load its link and meeting
+   *
+   * @param {string} token - <linkId>.<signature>
+   * @returns {Promise<Object>} { link, meeting }
+   * @throws {Error} With status 404 (unknown or tampered) or 410 (expired or revoked)
+   */
+  async resolve(token) {
+    const [linkId, signature] = String(token || '').split('.');
+
+    const link = mongoose.isValidObjectId(linkId) && signature
+      ? await ShareLink.findById(linkId)
+      : null;
+
+    const expected = link ? Buffer.from(this.sign(link)) : null;
+    const actual = Buffer.from(signature || '');
+    if (!link || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw shareError('Share link not found', 404);
+    }
+
+    if (link.revokedAt) {
+      throw shareError('This share link has been revoked', 410);
+    }
+    if (link.expiresAt <= new Date()) {
+      throw shareError('This share link has expired', 410);
+    }
+
+    const meeting = await Meeting.findOne({ _id: link.meetingId, deletedAt: null })
+      .select('title startTime endTime durationSeconds summary summaryPurgedAt transcriptPurgedAt transcriptCount');
+    if (!meeting) {
+      throw shareError('Share link not found', 404);
+    }
+
+    return { link, meeting };
+  }
+
+  /**
+   * Log an access to a link and bump its counters
+   *
+   * @param {Object} link - ShareLink document
+   * @param {Object} request - { ip, userAgent }
+   */
+  async recordAccess(link, { ip, userAgent } = {}) {
+    const accessedAt = new Date();
+
+    await Promise.all([
+      ShareLinkAccess.create({ linkId: link._id, meetingId: link.meetingId, accessedAt, ip, userAgent }),
+      ShareLink.updateOne(
+        { _id: link._id },
+        { $inc: { accessCount: 1 }, $set: { lastAccessedAt: accessedAt } }
+      ),
+    ]);
+  }
+
+  /**
+   * The read-only view of a meeting that a link exposes
+   *
+   * @param {Object} link - ShareLink document
+   * @param {Object} meeting - Meeting document
+   * @returns {Promise<Object>} Title, times and the link's sections
+   */
+  async buildView(link, meeting) {
+    const sections = new Set(link.sections);
+    const summary = meeting.summary || {};
+
+    const view = {
+      title: meeting.title,
+      startTime: meeting.startTime,
+      endTime: meeting.endTime,
+      durationSeconds: meeting.durationSeconds,
+      sections: link.sections,
+      expiresAt: link.expiresAt,
+    };
+
+    if (sections.has('summary')) view.summary = summary.summary || null;
+    if (sections.has('keyPoints')) view.keyPoints = summary.keyPoints || [];
+    if (sections.has('decisions')) view.decisions = summary.decisions || [];
+    if (sections.has('actionItems')) {
+      view.actionItems = (summary.actionItems || []).map(({ text, assignee, dueDate }) => ({ text, assignee, dueDate }));
+    }
+
+    if (sections.has('transcript')) {
+      const segments = meeting.transcriptPurgedAt ? [] : await transcriptService.getAllSegments(meeting);
+      view.transcript = segments.map(({ speaker, text, timestamp }) => ({ speaker, text, timestamp }));
+    }
+
+    return view;
+  }
+
+  /**
+   * Delete every share link of a meeting and their access logs
+   *
+   * @param {string} meetingId - Meeting ID
+   */
+  async deleteMeetingLinks(meetingId) {
+    await Promise.all([
+      ShareLink.deleteMany({ meetingId }),
+      ShareLinkAccess.deleteMany({ meetingId }),
+    ]);
+  }
+}
+
+// Export singleton instance
+const shareLinkService = new ShareLinkService();
+export default shareLinkService;
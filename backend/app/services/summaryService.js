@@ -0,0 +1,295 @@
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+import Meeting from '../models/Meeting.js';
+import aiService from './aiService.js';
+import transcriptService from './transcriptService.js';
+import actionItemService from './actionItemService.js';
+import redactionService from './redactionService.js';
+
+/**
+ * SummaryService - Generates and stores meeting summaries
+ *
+ * This service handles:
+ * - Generating a summary from a meeting's stored transcript
+ * - Keeping past summary versions and pinning a chosen one
+ * - A background queue so finished meetings are summarized one at a time
+ */
+class SummaryService extends EventEmitter {
+  constructor() {
+    super();
+    this.config = {
+      maxVersions: 20, // Older versions are dropped from the history
+    };
+    this.queue = []; // meetingIds waiting for a summary
+    this.processing = false;
+  }
+
+  /**
+   * Convert the AI response into the stored summary shape
+   *
+   * @param {Object} result - Parsed JSON from aiService.generateSummary
+   * @returns {Object} Summary fields (without version metadata)
+   */
+  normalizeSummary(result) {
+    const strings = (list) => (Array.isArray(list) ? list : [])
+      .filter(entry => typeof entry === 'string' && entry.trim())
+      .map(entry => entry.trim());
+
+    const actionItems = (Array.isArray(result.actionItems) ? result.actionItems : [])
+      .map(entry => (typeof entry === 'string' ? { item: entry } : entry || {}))
+      .map(entry => ({
+        // The prompt asks for "item"; older responses used "text"
+        text: (entry.item || entry.text || '').trim(),
+        assignee: entry.assignee || undefined,
+        dueDate: entry.dueDate || undefined,
+        priority: typeof entry.priority === 'string' ? entry.priority.toLowerCase() : undefined,
+        offsetSeconds: this.parseOffset(entry.timestamp),
+        completed: false,
+      }))
+      .filter(entry => entry.text);
+
+    return {
+      summary: typeof result.summary === 'string' ? result.summary.trim() : '',
+      keyPoints: strings(result.keyPoints),
+      actionItems,
+      decisions: strings(result.decisions),
+    };
+  }
+
+  /**
+   * Parse a "[mm:ss]" or "h:mm:ss" transcript offset into seconds
+   *
+   * @param {string} value - Offset from the AI response
+   * @returns {number|undefined} Seconds, or undefined if missing/invalid
+   */
+  parseOffset(value) {
+    const match = typeof value === 'string' && value.match(/^\[?(?:(\d+):)?(\d+):(\d{2})\]?$/);
+    if (!match) {
+      return undefined;
+    }
+
+    const [, hours = 0, minutes, seconds] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  }
+
+  /**
+   * Store a new summary version for a meeting
+   *
+   * Version numbers are reserved atomically so concurrent generations
+   * (background queue and a manual regenerate) never share a number.
+   *
+   * @param {Object} meeting - Meeting document (only _id and summary are read)
+   * @param {Object} fields - Normalized summary fields
+   * @param {Object} options
+   * @param {boolean} options.replacePinned - Make this version current even if another is pinned
+   * @returns {Promise<{ summary: Object, isCurrent: boolean }>} Stored version and whether it is now current
+   */
+  async addVersion(meeting, fields, { replacePinned = false } = {}) {
+    const { summaryVersionCount } = await Meeting.findByIdAndUpdate(
+      meeting._id,
+      { $inc: { summaryVersionCount: 1 } },
+      { new: true, projection: { summaryVersionCount: 1 } }
+    ).lean();
+
+    const entry = {
+      ...fields,
+      version: summaryVersionCount,
+      model: aiService.modelName,
+      promptVersion: aiService.summaryPromptVersion,
+      generatedAt: new Date(),
+    };
+
+    // Keep a summary saved before versioning as version 0
+    const legacy = summaryVersionCount === 1 && meeting.summary && meeting.summary.version == null
+      ? [{ ...meeting.summary.toObject(), version: 0 }]
+      : [];
+
+    await Meeting.updateOne(
+      { _id: meeting._id },
+      {
+        $push: {
+          summaryVersions: { $each: [...legacy, entry], $slice: -this.config.maxVersions },
+        },
+        ...(replacePinned && { $set: { summary: entry, pinnedSummaryVersion: null } }),
+      }
+    );
+
+    if (replacePinned) {
+      return { summary: entry, isCurrent: true };
+    }
+
+    const { modifiedCount } = await Meeting.updateOne(
+      { _id: meeting._id, pinnedSummaryVersion: null },
+      { $set: { summary: entry } }
+    );
+
+    return { summary: entry, isCurrent: modifiedCount > 0 };
+  }
+
+  /**
+   * Generate and save a new summary version from a list of transcripts
+   *
+   * @param {Object} meeting - Meeting document
+   * @param {Array} transcriptions - Transcript segments ({ speaker, text })
+   * @param {Object} options - See addVersion, plus:
+   * @param {string} options.userId - User to meter the Gemini call against (defaults to the meeting owner)
+   * @returns {Promise<Object>} Stored summary version
+   */
+  async generateFromTranscripts(meeting, transcriptions, options = {}) {
+    const result = await aiService.generateSummary(
+      await redactionService.redactForLlm(meeting.userId, transcriptions, { workspaceId: meeting.workspaceId }),
+      { userId: options.userId || meeting.userId }
+    );
+    const { summary, isCurrent } = await this.addVersion(meeting, this.normalizeSummary(result), options);
+
+    if (isCurrent) {
+      await actionItemService.syncFromSummary(meeting, summary);
+    }
+
+    console.log(`📋 Summary v${summary.version} saved for meeting ${meeting._id}`);
+    this.emit('summary-generated', {
+      meetingId: meeting._id.toString(),
+      userId: meeting.userId,
+      summary,
+    });
+
+    return summary;
+  }
+
+  /**
+   * Generate and save a new summary version for a meeting
+   *
+   * @param {string} meetingId - Meeting ID
+   * @param {Object} options - See addVersion
+   * @returns {Promise<Object|null>} Stored summary version, or null if the meeting has no transcript
+   */
+  async generateForMeeting(meetingId, options = {}) {
+    const meeting = await Meeting.findById(meetingId).select('userId workspaceId summary');
+    if (!meeting) {
+      return null;
+    }
+
+    const transcriptions = await transcriptService.getAllSegments(meeting);
+    if (transcriptions.length === 0) {
+      return null;
+    }
+
+    return this.generateFromTranscripts(meeting, transcriptions, options);
+  }
+
+  /**
+   * List a meeting's stored summary versions, newest first
+   *
+   * @param {Object} meeting - Meeting document with summaryVersions and pinnedSummaryVersion
+   * @returns {Array} Summary versions
+   */
+  getVersions(meeting) {
+    return [...meeting.summaryVersions]
+      .reverse()
+      .map(entry => ({
+        ...entry.toObject(),
+        pinned: entry.version === meeting.pinnedSummaryVersion,
+      }));
+  }
+
+  /**
+   * Pin a summary version as the meeting's current summary
+   *
+   * @param {Object} meeting - Meeting document with summaryVersions
+   * @param {number} version - Version to pin
+   * @returns {Promise<Object>} Pinned summary version
+   */
+  async pinVersion(meeting, version) {
+    const entry = meeting.summaryVersions.find(v => v.version === version);
+    if (!entry) {
+      const error = new Error(`Summary version ${version} not found`);
+      error.status = 404;
+      throw error;
+    }
+
+    meeting.summary = entry.toObject();
+    meeting.pinnedSummaryVersion = version;
+    await meeting.save();
+    await actionItemService.syncFromSummary(meeting, meeting.summary);
+
+    console.log(`📌 Summary v${version} pinned for meeting ${meeting._id}`);
+    return meeting.summary;
+  }
+
+  /**
+   * Unpin the current summary so the latest version is shown again
+   *
+   * @param {Object} meeting - Meeting document with summaryVersions
+   * @returns {Promise<Object|null>} Latest summary version
+   */
+  async unpinVersion(meeting) {
+    const latest = meeting.summaryVersions[meeting.summaryVersions.length - 1];
+
+    meeting.pinnedSummaryVersion = null;
+    if (latest) {
+      meeting.summary = latest.toObject();
+    }
+    await meeting.save();
+
+    if (latest) {
+      await actionItemService.syncFromSummary(meeting, meeting.summary);
+    }
+
+    return meeting.summary || null;
+  }
+
+  /**
+   * Queue summary generation for a meeting
+   *
+   * @param {string} meetingId - Meeting ID
+   */
+  enqueue(meetingId) {
+    const id = meetingId.toString();
+
+    if (!aiService.validateConfig()) {
+      console.log(`ℹ️ Gemini not configured - skipping summary for meeting ${id}`);
+      return;
+    }
+
+    if (this.queue.includes(id)) {
+      return;
+    }
+
+    this.queue.push(id);
+    console.log(`🗂️ Summary queued for meeting ${id} (${this.queue.length} waiting)`);
+    this.processQueue();
+  }
+
+  /**
+   * Work through the queue one meeting at a time
+   */
+  async processQueue() {
+    if (this.processing) {
+      return;
+    }
+
+    this.processing = true;
+
+    while (this.queue.length > 0) {
+      const meetingId = this.queue.shift();
+
+      if (mongoose.connection.readyState !== 1) {
+        console.warn(`⚠️ Database not connected - dropping queued summary for meeting ${meetingId}`);
+        continue;
+      }
+
+      try {
+        await this.generateForMeeting(meetingId);
+      } catch (error) {
+        console.error(`❌ Summary generation failed for meeting ${meetingId}:`, error.message);
+        this.emit('summary-failed', { meetingId, error: error.message });
+      }
+    }
+
+    this.processing = false;
+  }
+}
+
+// Export singleton instance
+const summaryService = new SummaryService();
+export default summaryService;
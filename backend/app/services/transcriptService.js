@@ -0,0 +1,712 @@
+import mongoose from 'mongoose';
+import Meeting from '../models/Meeting.js';
+import TranscriptSegment from '../models/TranscriptSegment.js';
+import participantService from './participantService.js';
+import redactionService from './redactionService.js';
+
+/**
+ * TranscriptService - Stores and reads meeting transcripts
+ *
+ * This service handles:
+ * - Buffering final segments per meeting and writing them in batches
+ * - Normalizing Recall.ai word timings into segment offsets
+ * - Filtering stored segments by speaker, time range and confidence
+ * - Cursor-based pagination over a meeting's transcript
+ * - Migrating legacy transcripts embedded in Meeting documents
+ */
+class TranscriptService {
+  constructor() {
+    this.config = {
+      defaultPageSize: 100,
+      maxPageSize: 500,
+      batchSize: 50, // Flush a meeting's buffer once it holds this many segments
+      flushIntervalMs: 2000, // ...or this long after its first buffered segment
+      maxBufferSize: 5000, // Drop oldest segments beyond this if the DB stays down
+    };
+    this.buffers = new Map(); // meetingId -> { userId, segments, timer }
+    this.meetingIds = new Map(); // botId/sessionId -> meetingId
+  }
+
+  /**
+   * Find the active meeting recorded by a bot or desktop session
+   *
+   * @param {string} botId - Bot ID (or desktop session/upload ID)
+   * @param {string} userId - User ID who owns the bot
+   * @returns {Promise<string|null>} Meeting ID
+   */
+  async resolveMeetingId(botId, userId) {
+    if (this.meetingIds.has(botId)) {
+      return this.meetingIds.get(botId);
+    }
+
+    const meeting = await Meeting.findOne({ botId, userId, status: 'active' })
+      .select('_id');
+
+    if (!meeting) {
+      return null;
+    }
+
+    const meetingId = meeting._id.toString();
+    this.meetingIds.set(botId, meetingId);
+    return meetingId;
+  }
+
+  /**
+   * Find the workspace a meeting belongs to (for its redaction lists)
+   *
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<string|null>} Workspace ID, or null for a personal meeting
+   */
+  async getWorkspaceId(meetingId) {
+    const meeting = await Meeting.findById(meetingId).select('workspaceId').lean();
+    return meeting?.workspaceId?.toString() || null;
+  }
+
+  /**
+   * Forget the cached meeting for a bot (call when its meeting ends)
+   *
+   * @param {string} botId - Bot ID
+   */
+  forgetBot(botId) {
+    this.meetingIds.delete(botId);
+  }
+
+  /**
+   * Normalize Recall.ai word timings for a segment
+   *
+   * Words carry either start_time/end_time (seconds from the recording start) or
+   * start_timestamp/end_timestamp ({ relative, absolute }). Offsets are seconds
+   * from the recording start; without word times they are derived from the
+   * segment's timestamp when the recording start is known.
+   *
+   * @param {Array} words - Recall.ai words
+   * @param {Object} options
+   * @param {Date} options.recordingStart - When the recording started, if known
+   * @param {Date} options.timestamp - Segment time to use when words have no absolute time
+   * @returns {Object} { words, startOffset, endOffset, timestamp }
+   */
+  parseTiming(words = [], { recordingStart = null, timestamp = null } = {}) {
+    const startMs = recordingStart ? new Date(recordingStart).getTime() : null;
+    const seconds = (value) => (typeof value === 'number' && isFinite(value)
+      ? Math.round(value * 1000) / 1000
+      : null);
+    const relative = (time, stamp) => {
+      if (typeof time === 'number') return seconds(time);
+      if (typeof stamp?.relative === 'number') return seconds(stamp.relative);
+      if (stamp?.absolute && startMs !== null) {
+        return seconds((new Date(stamp.absolute).getTime() - startMs) / 1000);
+      }
+      return null;
+    };
+
+    const parsed = (Array.isArray(words) ? words : [])
+      .filter(word => typeof word?.text === 'string' && word.text.trim())
+      .map(word => ({
+        text: word.text.trim(),
+        start: relative(word.start_time, word.start_timestamp),
+        end: relative(word.end_time, word.end_timestamp),
+      }));
+
+    const starts = parsed.map(word => word.start).filter(start => start !== null);
+    const ends = parsed.map(word => word.end).filter(end => end !== null);
+    let startOffset = starts.length ? starts[0] : null;
+    const endOffset = ends.length ? ends[ends.length - 1] : null;
+
+    // Prefer the first word's wall-clock time, then the recording start plus its offset
+    const firstAbsolute = (Array.isArray(words) ? words : [])
+      .map(word => word?.start_timestamp?.absolute)
+      .find(Boolean);
+    let time = firstAbsolute ? new Date(firstAbsolute) : null;
+    if ((!time || isNaN(time.getTime())) && startOffset !== null && startMs !== null) {
+      time = new Date(startMs + startOffset * 1000);
+    }
+    if (!time || isNaN(time.getTime())) {
+      time = timestamp ? new Date(timestamp) : new Date();
+    }
+
+    if (startOffset === null && startMs !== null) {
+      startOffset = seconds(Math.max(0, (time.getTime() - startMs) / 1000));
+    }
+
+    return {
+      words: parsed.some(word => word.start !== null) ? parsed : undefined,
+      startOffset,
+      endOffset,
+      timestamp: time,
+    };
+  }
+
+  /**
+   * Queue a final transcript segment for storage
+   *
+   * @param {Object} transcript - Transcript event data
+   * @param {string} transcript.botId - Bot ID (or desktop session ID)
+   * @param {string} transcript.userId - User ID who owns the bot
+   * @param {string} transcript.speaker - Speaker label
+   * @param {string} transcript.text - Segment text
+   * @param {number} transcript.confidence - Confidence 0-1
+   * @param {Date} transcript.timestamp - Segment time
+   * @param {Array} transcript.words - Words with start/end (from parseTiming)
+   * @param {number} transcript.startOffset - Seconds from the recording start
+   * @param {number} transcript.endOffset - Seconds from the recording start
+   * @returns {Promise<string|null>} Meeting ID the segment was queued for
+   */
+  async append({ botId, userId, speaker, text, confidence, timestamp, words, startOffset, endOffset }) {
+    if (mongoose.connection.readyState !== 1) {
+      return null;
+    }
+
+    const meetingId = await this.resolveMeetingId(botId, userId);
+    if (!meetingId) {
+      return null;
+    }
+
+    this.enqueue(meetingId, userId, [
+      this.buildSegment({ speaker, text, confidence, timestamp, words, startOffset, endOffset }),
+    ]);
+
+    return meetingId;
+  }
+
+  /**
+   * Store a final transcript segment straight away instead of batching it, for
+   * callers that must know it was written (e.g. a stored webhook event)
+   *
+   * @param {Object} transcript - Transcript event data (see append), plus:
+   * @param {ObjectId} transcript.segmentId - Segment ID; saving the same ID again stores nothing
+   * @returns {Promise<string|null>} Meeting ID the segment was stored in (null without an active meeting)
+   * @throws {Error} When the segment can't be written
+   */
+  async save({ segmentId, botId, userId, speaker, text, confidence, timestamp, words, startOffset, endOffset }) {
+    if (mongoose.connection.readyState !== 1) {
+      return null;
+    }
+
+    const meetingId = await this.resolveMeetingId(botId, userId);
+    if (!meetingId) {
+      return null;
+    }
+
+    const segment = this.buildSegment({ speaker, text, confidence, timestamp, words, startOffset, endOffset });
+    await this.write(meetingId, userId, [{ ...segment, _id: segmentId || segment._id, meetingId, userId }]);
+    return meetingId;
+  }
+
+  /**
+   * A live transcript event's text and words as they are stored - redacted by the
+   * meeting owner's policy and its workspace's lists - for meeting subscribers
+   * who may not see the original
+   *
+   * @param {string} meetingId - Meeting ID
+   * @param {string} userId - Meeting owner
+   * @param {Object} transcript - { text, words }
+   * @returns {Promise<Object>} { text, words }
+   */
+  async redactLive(meetingId, userId, { text, words }) {
+    const segment = { text, words };
+    await redactionService.redactForStorage(userId, [segment], {
+      workspaceId: await this.getWorkspaceId(meetingId),
+    });
+    return { text: segment.text, words: segment.words };
+  }
+
+  /**
+   * Build a segment to store from transcript event data
+   *
+   * @param {Object} transcript - speaker, text, confidence, timestamp, words, startOffset, endOffset
+   * @returns {Object} Segment without meetingId/userId
+   */
+  buildSegment({ speaker, text, confidence, timestamp, words, startOffset, endOffset }) {
+    return {
+      // Assigned up front so a retried batch can't insert the same segment twice
+      _id: new mongoose.Types.ObjectId(),
+      speaker: speaker || 'Unknown',
+      speakerLabel: speaker || 'Unknown',
+      text,
+      confidence: confidence ?? 1.0,
+      timestamp: timestamp || new Date(),
+      words,
+      startOffset,
+      endOffset,
+    };
+  }
+
+  /**
+   * Convert a segment from a Recall.ai recording (e.g. an SDK upload) into the
+   * stored segment shape. Word times are seconds relative to the recording start.
+   *
+   * @param {Object} segment - Recall.ai transcript segment
+   * @param {Date} recordingStart - When the recording started
+   * @returns {Object|null} Segment ({ speaker, speakerLabel, text, confidence, timestamp,
+   *   words, startOffset, endOffset }) or null if empty
+   */
+  normalizeRecallSegment(segment, recordingStart) {
+    const words = segment.words || [];
+    const text = (segment.text || words.map(w => w.text).join(' ')).trim();
+
+    if (!text) {
+      return null;
+    }
+
+    const timing = this.parseTiming(words, { recordingStart, timestamp: recordingStart });
+
+    return {
+      speaker: segment.speaker || 'Unknown',
+      speakerLabel: segment.speaker || 'Unknown',
+      text,
+      confidence: segment.confidence ?? 1.0,
+      ...timing,
+    };
+  }
+
+  /**
+   * Replace a meeting's stored transcript with a complete set of segments
+   * (used when a full transcript arrives at once, e.g. a desktop upload)
+   *
+   * @param {string} meetingId - Meeting ID
+   * @param {string} userId - Meeting owner
+   * @param {Array} segments - Segments ({ speaker, text, confidence, timestamp })
+   * @returns {Promise<number>} Number of segments stored
+   */
+  async replaceMeetingSegments(meetingId, userId, segments) {
+    await this.deleteMeetingSegments(meetingId);
+    await participantService.applyNames(meetingId, userId, segments);
+    await redactionService.redactForStorage(userId, segments, {
+      workspaceId: await this.getWorkspaceId(meetingId),
+    });
+
+    for (let i = 0; i < segments.length; i += this.config.batchSize * 10) {
+      const batch = segments.slice(i, i + this.config.batchSize * 10);
+      await TranscriptSegment.insertMany(
+        batch.map(segment => ({ ...segment, meetingId, userId })),
+        { ordered: false }
+      );
+    }
+
+    await Meeting.updateOne(
+      { _id: meetingId },
+      { $set: { transcriptCount: segments.length }, $unset: { transcriptions: 1 } }
+    );
+
+    return segments.length;
+  }
+
+  /**
+   * Add segments to a meeting's write buffer
+   *
+   * @param {string} meetingId - Meeting ID
+   * @param {string} userId - Meeting owner
+   * @param {Array} segments - Segments without meetingId/userId
+   */
+  enqueue(meetingId, userId, segments) {
+    let buffer = this.buffers.get(meetingId);
+    if (!buffer) {
+      buffer = { userId, segments: [], timer: null };
+      this.buffers.set(meetingId, buffer);
+    }
+
+    buffer.segments.push(...segments);
+
+    if (buffer.segments.length > this.config.maxBufferSize) {
+      const dropped = buffer.segments.length - this.config.maxBufferSize;
+      buffer.segments.splice(0, dropped);
+      console.warn(`⚠️ Transcript buffer full for meeting ${meetingId}, dropped ${dropped} segments`);
+    }
+
+    if (buffer.segments.length >= this.config.batchSize) {
+      this.flush(meetingId);
+    } else if (!buffer.timer) {
+      buffer.timer = setTimeout(() => this.flush(meetingId), this.config.flushIntervalMs);
+    }
+  }
+
+  /**
+   * Write a meeting's buffered segments in a single batch
+   *
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<number>} Number of segments written
+   */
+  async flush(meetingId) {
+    const buffer = this.buffers.get(meetingId);
+    if (!buffer) {
+      return 0;
+    }
+
+    clearTimeout(buffer.timer);
+    this.buffers.delete(meetingId);
+
+    const segments = buffer.segments.map(segment => ({
+      ...segment,
+      meetingId,
+      userId: buffer.userId,
+    }));
+
+    if (segments.length === 0) {
+      return 0;
+    }
+
+    try {
+      return await this.write(meetingId, buffer.userId, segments);
+    } catch (dbError) {
+      console.warn(`⚠️ Failed to save transcript batch for meeting ${meetingId}:`, dbError.message);
+
+      // Put the batch back and retry on the next timer tick
+      const pending = this.buffers.get(meetingId);
+      const retry = {
+        userId: buffer.userId,
+        segments: [...buffer.segments, ...(pending?.segments || [])]
+          .slice(-this.config.maxBufferSize),
+        timer: null,
+      };
+      clearTimeout(pending?.timer);
+      retry.timer = setTimeout(() => this.flush(meetingId), this.config.flushIntervalMs);
+      this.buffers.set(meetingId, retry);
+      return 0;
+    }
+  }
+
+  /**
+   * Write segments to a meeting and count them. Segments that are already stored
+   * (same _id) are skipped.
+   *
+   * @param {string} meetingId - Meeting ID
+   * @param {string} userId - Meeting owner
+   * @param {Array} segments - Segments with meetingId and userId
+   * @returns {Promise<number>} Number of segments inserted
+   * @throws {Error} When the write fails
+   */
+  async write(meetingId, userId, segments) {
+    // Store the participant's display name rather than the raw label
+    await participantService.applyNames(meetingId, userId, segments);
+    await redactionService.redactForStorage(userId, segments, {
+      workspaceId: await this.getWorkspaceId(meetingId),
+    });
+
+    try {
+      await TranscriptSegment.insertMany(segments, { ordered: false });
+    } catch (dbError) {
+      if (!this.isDuplicateKeyError(dbError)) {
+        throw dbError;
+      }
+
+      // The duplicates were written by an earlier attempt that failed before counting
+      // them, so recount rather than $inc-ing only this attempt's inserts (a duplicate
+      // error without writeErrors means none were inserted)
+      const inserted = segments.length - (dbError.writeErrors?.length || segments.length);
+      await this.recount(meetingId);
+      console.log(`💾 Saved ${inserted} transcript segments to meeting ${meetingId} (${segments.length - inserted} already stored)`);
+      return inserted;
+    }
+
+    await Meeting.updateOne(
+      { _id: meetingId },
+      { $inc: { transcriptCount: segments.length } }
+    );
+    console.log(`💾 Saved ${segments.length} transcript segments to meeting ${meetingId}`);
+    return segments.length;
+  }
+
+  /**
+   * Set a meeting's transcriptCount from its stored segments
+   *
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<number>} Number of stored segments
+   */
+  async recount(meetingId) {
+    const transcriptCount = await TranscriptSegment.countDocuments({ meetingId });
+    await Meeting.updateOne({ _id: meetingId }, { $set: { transcriptCount } });
+    return transcriptCount;
+  }
+
+  /**
+   * Check whether a bulk insert only failed on already-existing segments
+   *
+   * @param {Error} error - Error thrown by insertMany
+   * @returns {boolean} True if every write error is a duplicate key
+   */
+  isDuplicateKeyError(error) {
+    if (error.writeErrors?.length) {
+      return error.writeErrors.every(e => (e.code ?? e.err?.code) === 11000);
+    }
+    return error.code === 11000;
+  }
+
+  /**
+   * Flush every meeting's buffer (for shutdown)
+   */
+  async flushAll() {
+    const meetingIds = Array.from(this.buffers.keys());
+    await Promise.all(meetingIds.map(meetingId => this.flush(meetingId)));
+  }
+
+  /**
+   * Move transcript segments embedded in a legacy Meeting document into the
+   * TranscriptSegment collection. Safe to run more than once: segments keep
+   * their original _id, so already-copied segments are skipped.
+   *
+   * @param {Object} meeting - Meeting document
+   * @returns {Promise<number>} Number of segments migrated
+   */
+  async migrateMeeting(meeting) {
+    const legacy = await Meeting.findById(meeting._id)
+      .select('userId transcriptions')
+      .lean();
+
+    const embedded = legacy?.transcriptions || [];
+    if (embedded.length === 0) {
+      return 0;
+    }
+
+    try {
+      await TranscriptSegment.insertMany(
+        embedded.map(segment => ({
+          _id: segment._id,
+          meetingId: legacy._id,
+          userId: legacy.userId,
+          speaker: segment.speaker,
+          text: segment.text,
+          confidence: segment.confidence ?? 1,
+          timestamp: segment.timestamp,
+        })),
+        { ordered: false }
+      );
+    } catch (error) {
+      // Duplicate keys mean an earlier run already copied those segments
+      if (!this.isDuplicateKeyError(error)) {
+        throw error;
+      }
+    }
+
+    const transcriptCount = await TranscriptSegment.countDocuments({ meetingId: legacy._id });
+    await Meeting.updateOne(
+      { _id: legacy._id },
+      { $unset: { transcriptions: 1 }, $set: { transcriptCount } }
+    );
+
+    console.log(`📦 Migrated ${embedded.length} embedded segments for meeting ${legacy._id}`);
+    return embedded.length;
+  }
+
+  /**
+   * Make sure a meeting's transcript is fully stored in the segment collection
+   * (migrates legacy embedded segments and writes any buffered ones)
+   *
+   * @param {Object} meeting - Meeting document
+   */
+  async prepareMeeting(meeting) {
+    const meetingId = meeting._id.toString();
+
+    const hasEmbedded = await Meeting.exists({
+      _id: meeting._id,
+      'transcriptions.0': { $exists: true },
+    });
+    if (hasEmbedded) {
+      await this.migrateMeeting(meeting);
+    }
+
+    await this.flush(meetingId);
+  }
+
+  /**
+   * Encode a pagination cursor pointing at a segment
+   *
+   * @param {Object} segment - Last segment of the current page
+   * @returns {string} Opaque cursor string
+   */
+  encodeCursor(segment) {
+    const payload = {
+      t: new Date(segment.timestamp).getTime(),
+      id: segment._id.toString(),
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  /**
+   * Decode a pagination cursor
+   *
+   * @param {string} cursor - Cursor from a previous page
+   * @returns {Object} Decoded cursor ({ t, id })
+   */
+  decodeCursor(cursor) {
+    try {
+      const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (typeof payload.t !== 'number' || !mongoose.isValidObjectId(payload.id)) {
+        throw new Error('Malformed cursor');
+      }
+      return payload;
+    } catch {
+      const error = new Error('Invalid cursor');
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * Parse transcript query parameters into filters
+   *
+   * @param {Object} query - Express query object
+   * @returns {Object} Normalized filters
+   */
+  parseFilters(query = {}) {
+    const filters = {};
+
+    if (query.speaker) {
+      filters.speakers = String(query.speaker)
+        .split(',')
+        .map(s => s.trim())
+        .filter(Boolean);
+    }
+
+    for (const key of ['from', 'to']) {
+      if (query[key]) {
+        const date = new Date(query[key]);
+        if (isNaN(date.getTime())) {
+          const error = new Error(`Invalid "${key}" date`);
+          error.status = 400;
+          throw error;
+        }
+        filters[key] = date;
+      }
+    }
+
+    if (query.minConfidence !== undefined) {
+      const minConfidence = Number(query.minConfidence);
+      if (isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+        const error = new Error('minConfidence must be a number between 0 and 1');
+        error.status = 400;
+        throw error;
+      }
+      filters.minConfidence = minConfidence;
+    }
+
+    const limit = parseInt(query.limit, 10);
+    filters.limit = Math.min(
+      Number.isNaN(limit) || limit < 1 ? this.config.defaultPageSize : limit,
+      this.config.maxPageSize
+    );
+
+    if (query.cursor) {
+      filters.cursor = this.decodeCursor(query.cursor);
+    }
+
+    return filters;
+  }
+
+  /**
+   * Build the segment query for a meeting and filters
+   *
+   * @param {string} meetingId - Meeting ID
+   * @param {Object} filters - Filters from parseFilters()
+   * @returns {Object} MongoDB query
+   */
+  buildQuery(meetingId, { speakers, from, to, minConfidence, cursor } = {}) {
+    const query = { meetingId };
+
+    if (speakers?.length) {
+      query.speaker = { $in: speakers };
+    }
+
+    if (from || to) {
+      query.timestamp = {};
+      if (from) query.timestamp.$gte = from;
+      if (to) query.timestamp.$lte = to;
+    }
+
+    if (minConfidence !== undefined) {
+      query.confidence = { $gte: minConfidence };
+    }
+
+    if (cursor) {
+      const cursorTime = new Date(cursor.t);
+      query.$or = [
+        { timestamp: { $gt: cursorTime } },
+        { timestamp: cursorTime, _id: { $gt: new mongoose.Types.ObjectId(cursor.id) } },
+      ];
+    }
+
+    return query;
+  }
+
+  /**
+   * Get a page of transcript segments for a meeting
+   *
+   * @param {Object} meeting - Meeting document
+   * @param {Object} filters - Filters from parseFilters()
+   * @param {Object} options
+   * @param {boolean} options.reveal - Include the original text of redacted spans
+   * @param {boolean} options.words - Include word-level timings
+   * @returns {Promise<{ transcriptions: Array, nextCursor: string|null, hasMore: boolean }>}
+   */
+  async getTranscript(meeting, filters, { reveal = false, words = false } = {}) {
+    await this.prepareMeeting(meeting);
+
+    const query = TranscriptSegment.find(this.buildQuery(meeting._id, filters))
+      .sort({ timestamp: 1, _id: 1 })
+      .limit(filters.limit + 1);
+    if (reveal) {
+      query.select('+redactedOriginals');
+    }
+    if (!words) {
+      query.select('-words');
+    }
+    const segments = await query.lean();
+
+    const hasMore = segments.length > filters.limit;
+    const page = segments.slice(0, filters.limit);
+
+    return {
+      transcriptions: page.map(segment => ({
+        id: segment._id.toString(),
+        speaker: segment.speaker,
+        text: segment.text,
+        timestamp: segment.timestamp,
+        startOffset: segment.startOffset,
+        endOffset: segment.endOffset,
+        ...(words && { words: segment.words }),
+        confidence: segment.confidence,
+        redactions: segment.redactions?.map((redaction, i) => ({
+          ...redaction,
+          ...(reveal && { original: segment.redactedOriginals?.[i] }),
+        })),
+      })),
+      nextCursor: hasMore ? this.encodeCursor(page[page.length - 1]) : null,
+      hasMore,
+    };
+  }
+
+  /**
+   * Get every segment of a meeting in time order (for summaries and exports)
+   *
+   * @param {Object} meeting - Meeting document
+   * @returns {Promise<Array>} Segments ({ speaker, text, timestamp, confidence })
+   */
+  async getAllSegments(meeting) {
+    await this.prepareMeeting(meeting);
+
+    return TranscriptSegment.find({ meetingId: meeting._id })
+      .sort({ timestamp: 1, _id: 1 })
+      .select('speaker text timestamp confidence')
+      .lean();
+  }
+
+  /**
+   * Delete every stored segment of a meeting
+   *
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<number>} Number of segments deleted
+   */
+  async deleteMeetingSegments(meetingId) {
+    const buffer = this.buffers.get(meetingId.toString());
+    if (buffer) {
+      clearTimeout(buffer.timer);
+      this.buffers.delete(meetingId.toString());
+    }
+
+    const result = await TranscriptSegment.deleteMany({ meetingId });
+    return result.deletedCount;
+  }
+}
+
+// Export singleton instance
+const transcriptService = new TranscriptService();
+export default transcriptService;
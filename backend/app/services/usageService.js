@@ -0,0 +1,292 @@
+import mongoose from 'mongoose';
+import Usage from '../models/Usage.js';
+import UsageQuota from '../models/UsageQuota.js';
+
+// Metrics with a monthly quota, and what they measure
+const QUOTA_METRICS = {
+  botMinutes: 'bot minutes',
+  ttsCharacters: 'TTS characters',
+};
+
+const COUNTERS = ['bots', 'botMinutes', 'llmCalls', 'llmInputTokens', 'llmOutputTokens', 'ttsCalls', 'ttsCharacters'];
+
+// Unset or negative env values mean "unlimited"
+const envQuota = (name) => {
+  const quota = parseInt(process.env[name], 10);
+  return quota >= 0 ? quota : null;
+};
+
+const usageError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * UsageService - Metering and monthly quotas for paid providers
+ *
+ * This service handles:
+ * - Recording each user's Recall.ai bot minutes, Gemini tokens and ElevenLabs characters
+ * - Per-user monthly quotas (server defaults, overridable by admins)
+ * - Refusing new bots and TTS calls once a quota is used up
+ */
+class UsageService {
+  constructor() {
+    this.config = {
+      defaults: {
+        botMinutes: envQuota('USAGE_QUOTA_BOT_MINUTES'),
+        ttsCharacters: envQuota('USAGE_QUOTA_TTS_CHARACTERS'),
+      },
+    };
+  }
+
+  /**
+   * Calendar month (UTC) a date falls in
+   *
+   * @param {Date} date - Date (defaults to now)
+   * @returns {string} Period as YYYY-MM
+   */
+  periodFor(date = new Date()) {
+    return date.toISOString().slice(0, 7);
+  }
+
+  /**
+   * Whether a string is a period (YYYY-MM)
+   *
+   * @param {string} period - Period
+   * @returns {boolean}
+   */
+  isValidPeriod(period) {
+    return typeof period === 'string' && /^\d{4}-(0[1-9]|1[0-2])$/.test(period);
+  }
+
+  /**
+   * Add to a user's counters for the current month. Metering never fails the
+   * call it measures, so errors are only logged.
+   *
+   * @param {string} userId - User ID
+   * @param {Object} counters - Amounts to add, e.g. { ttsCalls: 1, ttsCharacters: 120 }
+   * @param {Date} at - When the usage happened (defaults to now)
+   */
+  async increment(userId, counters, at = new Date()) {
+    if (!userId || mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    try {
+      await Usage.updateOne(
+        { userId, period: this.periodFor(at) },
+        { $inc: counters },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.warn(`⚠️ Failed to record usage for ${userId}:`, error.message);
+    }
+  }
+
+  /**
+   * Record a bot's time in a meeting, from creation until it left
+   *
+   * @param {string} userId - User who launched the bot
+   * @param {Object} bot
+   * @param {string} bot.botId - Bot ID
+   * @param {Date} bot.startedAt - When the bot was created
+   * @param {Date} bot.endedAt - When it left (defaults to now)
+   */
+  async recordBot(userId, { botId, startedAt, endedAt = new Date() }) {
+    const ms = Math.max(0, new Date(endedAt) - new Date(startedAt));
+    const minutes = Math.round(ms / 600) / 100;
+
+    await this.increment(userId, { bots: 1, botMinutes: minutes }, endedAt);
+    console.log(`⏱️ Bot ${botId} used ${minutes} minutes for ${userId}`);
+  }
+
+  /**
+   * Record a Gemini call
+   *
+   * @param {string} userId - User the call was made for
+   * @param {Object} usageMetadata - usageMetadata from the Gemini response
+   */
+  async recordLlm(userId, usageMetadata = {}) {
+    await this.increment(userId, {
+      llmCalls: 1,
+      llmInputTokens: usageMetadata.promptTokenCount || 0,
+      llmOutputTokens: usageMetadata.candidatesTokenCount || 0,
+    });
+  }
+
+  /**
+   * Record an ElevenLabs TTS call
+   *
+   * @param {string} userId - User the audio was generated for
+   * @param {number} characters - Characters converted
+   */
+  async recordTts(userId, characters) {
+    await this.increment(userId, { ttsCalls: 1, ttsCharacters: characters });
+  }
+
+  /**
+   * A user's counters for a month
+   *
+   * @param {string} userId - User ID
+   * @param {string} period - YYYY-MM (defaults to the current month)
+   * @returns {Promise<Object>} Counters (zero when nothing was used)
+   */
+  async getUsage(userId, period = this.periodFor()) {
+    const stored = mongoose.connection.readyState === 1
+      ? await Usage.findOne({ userId, period }).lean()
+      : null;
+
+    return Object.fromEntries(COUNTERS.map(counter => [counter, stored?.[counter] || 0]));
+  }
+
+  /**
+   * Get a user's effective monthly quotas
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { botMinutes, ttsCharacters, custom } where null
+   *   means unlimited and custom lists the quotas an admin set
+   */
+  async getQuotas(userId) {
+    const stored = mongoose.connection.readyState === 1
+      ? await UsageQuota.findOne({ userId }).lean()
+      : null;
+
+    const quotas = { custom: [] };
+    for (const metric of Object.keys(QUOTA_METRICS)) {
+      if (stored && stored[metric] !== undefined) {
+        quotas[metric] = stored[metric];
+        quotas.custom.push(metric);
+      } else {
+        quotas[metric] = this.config.defaults[metric];
+      }
+    }
+
+    return quotas;
+  }
+
+  /**
+   * Override some of a user's quotas
+   *
+   * @param {string} userId - User ID
+   * @param {Object} updates - botMinutes and/or ttsCharacters (whole numbers, or null for unlimited)
+   * @param {string} updatedBy - Admin making the change
+   * @returns {Promise<Object>} Effective quotas
+   */
+  async setQuotas(userId, updates, updatedBy) {
+    const $set = {};
+
+    for (const metric of Object.keys(QUOTA_METRICS)) {
+      if (updates[metric] === undefined) continue;
+
+      const value = updates[metric];
+      if (value !== null && (!Number.isInteger(value) || value < 0)) {
+        throw usageError(`${metric} must be a whole number of at least 0, or null for unlimited`, 400);
+      }
+      $set[metric] = value;
+    }
+
+    if (Object.keys($set).length > 0) {
+      await UsageQuota.updateOne({ userId }, { $set: { ...$set, updatedBy } }, { upsert: true });
+      console.log(`📏 Usage quotas updated for user ${userId} by ${updatedBy}`);
+    }
+
+    return this.getQuotas(userId);
+  }
+
+  /**
+   * Go back to the server default quotas
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Effective quotas
+   */
+  async resetQuotas(userId) {
+    await UsageQuota.deleteOne({ userId });
+    return this.getQuotas(userId);
+  }
+
+  /**
+   * A user's usage and quotas for a month
+   *
+   * @param {string} userId - User ID
+   * @param {string} period - YYYY-MM (defaults to the current month)
+   * @returns {Promise<Object>} { period, usage, quotas, exceeded }
+   */
+  async getStatus(userId, period = this.periodFor()) {
+    const [usage, quotas] = await Promise.all([this.getUsage(userId, period), this.getQuotas(userId)]);
+
+    return {
+      period,
+      usage,
+      quotas,
+      exceeded: Object.keys(QUOTA_METRICS).filter(metric => this.isExceeded(usage, quotas, metric)),
+    };
+  }
+
+  /**
+   * Whether a quota is used up
+   *
+   * @param {Object} usage - Counters
+   * @param {Object} quotas - Effective quotas
+   * @param {string} metric - botMinutes or ttsCharacters
+   * @returns {boolean}
+   */
+  isExceeded(usage, quotas, metric) {
+    return quotas[metric] !== null && usage[metric] >= quotas[metric];
+  }
+
+  /**
+   * Refuse new work once a user's monthly quota is used up.
+   * Nothing is refused while the database is down, since nothing can be metered either.
+   *
+   * @param {string} userId - User ID
+   * @param {string} metric - botMinutes or ttsCharacters
+   * @throws {Error} 429 when the quota is used up
+   */
+  async assertWithinQuota(userId, metric) {
+    if (!userId || mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    const [usage, quotas] = await Promise.all([this.getUsage(userId), this.getQuotas(userId)]);
+    if (this.isExceeded(usage, quotas, metric)) {
+      throw usageError(
+        `Monthly quota reached: ${usage[metric]} of ${quotas[metric]} ${QUOTA_METRICS[metric]} used`,
+        429
+      );
+    }
+  }
+
+  /**
+   * Every user's usage for a month, heaviest bot users first
+   *
+   * @param {string} period - YYYY-MM (defaults to the current month)
+   * @returns {Promise<Array>} [{ userId, ...counters, quotas }]
+   */
+  async listUsage(period = this.periodFor()) {
+    const records = await Usage.find({ period })
+      .sort({ botMinutes: -1, ttsCharacters: -1, llmInputTokens: -1 })
+      .lean();
+
+    const overrides = await UsageQuota.find({ userId: { $in: records.map(record => record.userId) } }).lean();
+    const overridesByUser = new Map(overrides.map(quota => [quota.userId, quota]));
+
+    return records.map(record => {
+      const override = overridesByUser.get(record.userId);
+      const quotas = Object.fromEntries(Object.keys(QUOTA_METRICS).map(metric => [
+        metric,
+        override && override[metric] !== undefined ? override[metric] : this.config.defaults[metric],
+      ]));
+
+      return {
+        userId: record.userId,
+        ...Object.fromEntries(COUNTERS.map(counter => [counter, record[counter] || 0])),
+        quotas,
+      };
+    });
+  }
+}
+
+// Export singleton instance
+const usageService = new UsageService();
+export default usageService;
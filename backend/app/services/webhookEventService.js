@@ -0,0 +1,531 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import WebhookEvent, { WEBHOOK_EVENT_STATUSES } from '../models/WebhookEvent.js';
+import recallService from './recallService.js';
+import recallDesktopService from './recallDesktopService.js';
+import botEventService from './botEventService.js';
+import transcriptService from './transcriptService.js';
+
+const webhookError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// ID of the segment a transcript delivery stores, derived from its delivery ID so
+// processing the event again (a replay, or a retry after a crash) can't store it twice
+const segmentIdFor = (deliveryId) => new mongoose.Types.ObjectId(
+  crypto.createHash('sha256').update(deliveryId).digest('hex').slice(0, 24)
+);
+
+/**
+ * WebhookEventService - Durable processing of Recall.ai webhooks
+ *
+ * This service handles:
+ * - Storing every delivery before it is acknowledged, deduplicated on its delivery ID
+ * - Processing stored events (bot status, transcript segments, participants, SDK uploads)
+ * - Finishing events left pending by a restart
+ * - Listing and replaying a bot's or upload's events for admins
+ */
+class WebhookEventService {
+  constructor() {
+    this.config = {
+      listLimit: 100,
+      maxListLimit: 500,
+      // Statuses replayed for a bot unless others are asked for
+      defaultReplayStatuses: ['failed', 'ignored'],
+    };
+    this.handlers = {
+      recall: (payload, deliveryId) => this.handleRecallEvent(payload, deliveryId),
+      'recall-desktop': (payload) => this.handleDesktopEvent(payload),
+    };
+  }
+
+  /**
+   * ID of a delivery: the webhook-id header, which Recall.ai keeps across retries,
+   * or a hash of the body for deliveries without one (unsigned, in development)
+   *
+   * @param {Object} req - Express request
+   * @returns {string}
+   */
+  deliveryId(req) {
+    const id = req.get('webhook-id') || req.get('svix-id');
+    if (id) {
+      return id;
+    }
+
+    const body = req.rawBody || Buffer.from(JSON.stringify(req.body ?? null));
+    return `sha256:${crypto.createHash('sha256').update(body).digest('hex')}`;
+  }
+
+  /**
+   * Store a delivery, then process it in the background.
+   * Without a database the event is processed straight away and not stored.
+   *
+   * @param {string} source - 'recall' or 'recall-desktop'
+   * @param {string} deliveryId - Delivery ID
+   * @param {Object} payload - Webhook body
+   * @returns {Promise<Object>} { duplicate } - true when the delivery was already received
+   */
+  async receive(source, deliveryId, payload) {
+    console.log(`📥 Received ${source} webhook event: ${payload?.event} (${deliveryId})`);
+
+    if (mongoose.connection.readyState !== 1) {
+      this.handle(source, payload, deliveryId).catch(error => {
+        console.error(`❌ Error processing ${source} webhook:`, error);
+      });
+      return { duplicate: false };
+    }
+
+    let event;
+    try {
+      event = await WebhookEvent.create({
+        deliveryId,
+        source,
+        event: payload?.event,
+        ...this.describe(source, payload),
+        payload,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        console.log(`🔁 Duplicate webhook delivery ${deliveryId} skipped`);
+        return { duplicate: true };
+      }
+      throw error;
+    }
+
+    this.process(event);
+    return { duplicate: false };
+  }
+
+  /**
+   * The bot or upload an event is about, for filtering
+   *
+   * @param {string} source - 'recall' or 'recall-desktop'
+   * @param {Object} payload - Webhook body
+   * @returns {Object} { botId } or { uploadId }
+   */
+  describe(source, payload) {
+    if (source === 'recall-desktop') {
+      return { uploadId: payload?.data?.id };
+    }
+
+    const botId = payload?.data?.bot_id || payload?.data?.bot?.id;
+    return { botId };
+  }
+
+  /**
+   * Process a stored event and record the outcome. Never throws.
+   *
+   * @param {Object} event - WebhookEvent document
+   * @returns {Promise<Object>} The event with its new status
+   */
+  async process(event) {
+    event.attempts += 1;
+
+    try {
+      // Replaying without the text would store empty segments
+      const ignoredReason = event.textRemovedAt
+        ? 'Transcript text was removed after the event was handled'
+        : await this.handle(event.source, event.payload, event.deliveryId);
+      event.status = ignoredReason ? 'ignored' : 'processed';
+      event.error = ignoredReason || null;
+      event.processedAt = new Date();
+      this.removeTranscriptText(event);
+    } catch (error) {
+      console.error(`❌ Error processing ${event.source} webhook ${event.deliveryId}:`, error);
+      event.status = 'failed';
+      event.error = error.message;
+    }
+
+    try {
+      await event.save();
+    } catch (error) {
+      console.warn(`⚠️ Failed to save webhook event ${event.deliveryId}:`, error.message);
+    }
+
+    return event;
+  }
+
+  /**
+   * Remove transcript text from a handled event's payload. The meeting keeps its
+   * own (redacted) copy under its retention policy; failed events keep the text
+   * so they can be replayed.
+   *
+   * @param {Object} event - WebhookEvent document
+   */
+  removeTranscriptText(event) {
+    const data = event.payload?.data;
+    if (!data?.segment && !Array.isArray(data?.transcripts)) {
+      return;
+    }
+
+    // Strip a copy - listeners may still be reading the handled payload
+    const payload = structuredClone(event.payload);
+    const segments = [payload.data.segment, ...(payload.data.transcripts || [])]
+      .filter(segment => segment && typeof segment === 'object');
+
+    for (const segment of segments) {
+      delete segment.text;
+      for (const word of Array.isArray(segment.words) ? segment.words : []) {
+        delete word.text;
+      }
+    }
+
+    event.payload = payload;
+    event.textRemovedAt = new Date();
+    event.markModified('payload');
+  }
+
+  /**
+   * Delete the events of the bots or uploads that recorded some meetings
+   * (when their transcripts are purged or the meetings deleted)
+   *
+   * @param {Array<string>} botIds - Meetings' bot IDs (desktop meetings store the upload ID)
+   * @returns {Promise<number>} Number of events deleted
+   */
+  async deleteForBots(botIds) {
+    const ids = botIds.filter(Boolean);
+    if (ids.length === 0) {
+      return 0;
+    }
+
+    const { deletedCount } = await WebhookEvent.deleteMany({
+      $or: [{ botId: { $in: ids } }, { uploadId: { $in: ids } }],
+    });
+    return deletedCount;
+  }
+
+  /**
+   * Run the handler for a source
+   *
+   * @param {string} source - 'recall' or 'recall-desktop'
+   * @param {Object} payload - Webhook body
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<string|undefined>} Why the event was ignored, if it was
+   */
+  async handle(source, payload, deliveryId) {
+    return this.handlers[source](payload, deliveryId);
+  }
+
+  /**
+   * Act on a Recall.ai bot event
+   *
+   * Events handled:
+   * - bot.status_change and bot.<status>: Bot status updates (joining_call, in_waiting_room, fatal, etc.)
+   * - transcript.segment: Real-time transcription segments
+   * - participant_events.join / leave / update: Meeting roster changes (when enabled)
+   * - recording.done / recording.failed: Recording ready or failed
+   *
+   * Status, participant and recording events are also emitted as typed 'bot-event's
+   * (see services/botEventService.js) for the bot's owner.
+   *
+   * @param {Object} event - Webhook body
+   * @param {string} deliveryId - Delivery ID (makes storing its transcript segment idempotent)
+   * @returns {Promise<string|undefined>} Why the event was ignored, if it was
+   */
+  async handleRecallEvent(event, deliveryId) {
+    const participantEvent = recallService.parseParticipantEvent(event);
+    const statusChange = botEventService.parseStatusChange(event);
+    const recordingEvent = botEventService.parseRecordingEvent(event);
+
+    if (event.event === 'transcript.segment') {
+      const botId = event.data?.bot_id;
+      const segment = event.data?.segment;
+
+      if (!botId || !segment) {
+        return 'Transcript segment missing bot_id or segment';
+      }
+
+      // Get bot info to retrieve userId (from the registry if the bot isn't active)
+      const botInfo = await recallService.findBot(botId);
+      if (!botInfo) {
+        return `Unknown bot ${botId}`;
+      }
+
+      // Extract transcript data, keeping word timings
+      const speaker = segment.speaker || 'Unknown';
+      const text = segment.text || segment.words?.map(w => w.text).join(' ') || '';
+      const isFinal = segment.is_final !== false; // Default to true
+      const timing = transcriptService.parseTiming(segment.words, {
+        recordingStart: botInfo.recordingStartedAt,
+        timestamp: segment.start_time ? new Date(segment.start_time) : null,
+      });
+
+      console.log(`[REAL-TIME TRANSCRIPT] ${speaker}: "${text}"`);
+
+      const transcript = {
+        botId,
+        userId: botInfo.userId,
+        speaker,
+        text,
+        isFinal,
+        confidence: segment.confidence ?? 1.0,
+        ...timing,
+      };
+
+      // Store final segments before the event counts as processed - a failed write
+      // fails the event so it can be replayed
+      const meetingId = isFinal
+        ? await transcriptService.save({ ...transcript, segmentId: segmentIdFor(deliveryId) })
+        : null;
+
+      // Emit transcript event matching the WebSocket signature (final segments are already stored)
+      recallService.emit('transcript', { ...transcript, stored: isFinal });
+
+      if (isFinal && !meetingId && mongoose.connection.readyState === 1) {
+        return `No active meeting for bot ${botId}`;
+      }
+      return;
+    }
+
+    if (statusChange) {
+      const { botId, code } = statusChange;
+      if (!botId || !code) {
+        return 'Status change missing bot id or status';
+      }
+
+      // Resolve the owner first - a terminal status releases the bot
+      const userId = await recallService.getBotOwner(botId);
+      if (!userId) {
+        return `Unknown bot ${botId}`;
+      }
+
+      console.log(`🤖 Bot ${botId} status changed to: ${code}${statusChange.subCode ? ` (${statusChange.subCode})` : ''}`);
+
+      // Publish before updating - a terminal status releases the bot and sends bot_left
+      recallService.emit('bot-event', { ...botEventService.fromStatus(statusChange), userId });
+
+      // Update local cache (and the persisted registry)
+      recallService.updateBotStatus(botId, code, statusChange.changedAt);
+      return;
+    }
+
+    if (participantEvent) {
+      const botInfo = await recallService.findBot(participantEvent.botId);
+      if (!botInfo) {
+        return `Unknown bot ${participantEvent.botId}`;
+      }
+
+      recallService.emit('participant', { ...participantEvent, userId: botInfo.userId });
+      recallService.emit('bot-event', { ...botEventService.fromParticipant(participantEvent), userId: botInfo.userId });
+      return;
+    }
+
+    if (recordingEvent) {
+      // Recordings are ready after the bot has left, so look the owner up in the registry
+      const userId = await recallService.getBotOwner(recordingEvent.botId);
+      if (!userId) {
+        return `Unknown bot ${recordingEvent.botId}`;
+      }
+
+      console.log(`🎞️ Bot ${recordingEvent.botId}: ${recordingEvent.message}`);
+      recallService.emit('bot-event', { ...recordingEvent, userId });
+      return;
+    }
+
+    return `Unhandled event ${event.event}`;
+  }
+
+  /**
+   * Act on a Recall.ai SDK upload event (desktop recordings)
+   *
+   * Events handled:
+   * - sdk_upload.complete: Upload completed successfully with transcripts
+   * - sdk_upload.failed: Upload failed
+   * - sdk_upload.uploading: Upload in progress
+   *
+   * Uploads not in the active registry yet (events processed before restore())
+   * are loaded from the persisted one.
+   *
+   * @param {Object} event - Webhook body
+   * @returns {Promise<string|undefined>} Why the event was ignored, if it was
+   */
+  async handleDesktopEvent(event) {
+    const { data } = event;
+
+    if (event.event === 'sdk_upload.complete') {
+      if (!data?.id) {
+        return 'sdk_upload.complete missing data';
+      }
+      if (!await recallDesktopService.loadUpload(data.id)) {
+        return `Unknown upload ${data.id}`;
+      }
+
+      console.log(`✅ SDK Upload ${data.id} completed (${data.transcripts?.length || 0} transcript segments)`);
+      await recallDesktopService.handleUploadCompleteWebhook(data);
+      return;
+    }
+
+    if (event.event === 'sdk_upload.failed') {
+      if (!data?.id) {
+        return 'sdk_upload.failed missing data';
+      }
+      if (!await recallDesktopService.loadUpload(data.id)) {
+        return `Unknown upload ${data.id}`;
+      }
+
+      await recallDesktopService.handleUploadFailedWebhook(data);
+      return;
+    }
+
+    if (event.event === 'sdk_upload.uploading') {
+      if (!data?.id) {
+        return 'sdk_upload.uploading missing data';
+      }
+
+      console.log(`📤 SDK Upload in progress: ${data.id}`);
+      // Update local cache (and the persisted registry) if it exists
+      await recallDesktopService.loadUpload(data.id);
+      recallDesktopService.updateUploadStatus(data.id, 'uploading');
+      return;
+    }
+
+    return `Unhandled event ${event.event}`;
+  }
+
+  /**
+   * Finish events that were stored but not processed before the last shutdown.
+   * Run before the bot and upload registries are restored, so events about bots and
+   * uploads that ended while the server was down are handled before restore() closes
+   * their meetings (the handlers find them in the persisted registry).
+   */
+  async processPending() {
+    if (mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    const events = await WebhookEvent.find({ status: 'pending' }).sort({ receivedAt: 1 });
+    if (events.length === 0) {
+      return;
+    }
+
+    console.log(`♻️ Processing ${events.length} webhook events left pending`);
+    for (const event of events) {
+      await this.process(event);
+    }
+  }
+
+  /**
+   * Shape an event for API responses
+   *
+   * @param {Object} event - WebhookEvent document
+   * @param {Object} options
+   * @param {boolean} options.includePayload - Include the webhook body
+   * @returns {Object} API representation
+   */
+  format(event, { includePayload = false } = {}) {
+    return {
+      id: event._id.toString(),
+      deliveryId: event.deliveryId,
+      source: event.source,
+      event: event.event,
+      botId: event.botId || null,
+      uploadId: event.uploadId || null,
+      status: event.status,
+      attempts: event.attempts,
+      error: event.error,
+      receivedAt: event.receivedAt,
+      processedAt: event.processedAt,
+      textRemovedAt: event.textRemovedAt || null,
+      ...(includePayload && { payload: event.payload }),
+    };
+  }
+
+  /**
+   * Build a filter from list or replay options
+   *
+   * @param {Object} options - botId, uploadId, statuses
+   * @returns {Object} Mongo filter
+   */
+  buildFilter({ botId, uploadId, statuses } = {}) {
+    const filter = {};
+    if (botId) filter.botId = String(botId);
+    if (uploadId) filter.uploadId = String(uploadId);
+
+    if (statuses) {
+      const list = Array.isArray(statuses) ? statuses : String(statuses).split(',');
+      if (list.length === 0 || list.some(status => !WEBHOOK_EVENT_STATUSES.includes(status))) {
+        throw webhookError(`status must be one or more of: ${WEBHOOK_EVENT_STATUSES.join(', ')}`, 400);
+      }
+      filter.status = { $in: list };
+    }
+
+    return filter;
+  }
+
+  /**
+   * List stored events, newest first (without payloads)
+   *
+   * @param {Object} options
+   * @param {string} options.botId - Only this bot's events (optional)
+   * @param {string} options.uploadId - Only this SDK upload's events (optional)
+   * @param {string|Array<string>} options.statuses - Only events with these statuses (optional)
+   * @param {number} options.limit - Maximum events (default 100, max 500)
+   * @returns {Promise<Array>} WebhookEvent documents
+   */
+  async list({ botId, uploadId, statuses, limit } = {}) {
+    const count = Math.min(parseInt(limit, 10) || this.config.listLimit, this.config.maxListLimit);
+
+    return WebhookEvent.find(this.buildFilter({ botId, uploadId, statuses }))
+      .select('-payload')
+      .sort({ receivedAt: -1 })
+      .limit(count);
+  }
+
+  /**
+   * Get a stored event with its payload
+   *
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object>} WebhookEvent document
+   */
+  async get(eventId) {
+    const event = mongoose.isValidObjectId(eventId) ? await WebhookEvent.findById(eventId) : null;
+    if (!event) {
+      throw webhookError('Webhook event not found', 404);
+    }
+    return event;
+  }
+
+  /**
+   * Process one stored event again, whatever its status
+   *
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object>} The event with its new status
+   */
+  async replayEvent(eventId) {
+    const event = await this.get(eventId);
+    console.log(`🔁 Replaying webhook event ${event.deliveryId}`);
+    return this.process(event);
+  }
+
+  /**
+   * Process a bot's or upload's events again, oldest first
+   *
+   * @param {Object} options
+   * @param {string} options.botId - Bot whose events to replay
+   * @param {string} options.uploadId - Or the SDK upload whose events to replay
+   * @param {Array<string>} options.statuses - Statuses to replay (default failed and ignored)
+   * @returns {Promise<Array>} Replayed events with their new status
+   */
+  async replay({ botId, uploadId, statuses = this.config.defaultReplayStatuses } = {}) {
+    if (!botId && !uploadId) {
+      throw webhookError('botId or uploadId is required', 400);
+    }
+
+    const events = await WebhookEvent.find(this.buildFilter({ botId, uploadId, statuses }))
+      .sort({ receivedAt: 1 })
+      .limit(this.config.maxListLimit);
+
+    console.log(`🔁 Replaying ${events.length} webhook events for ${botId ? `bot ${botId}` : `upload ${uploadId}`}`);
+    for (const event of events) {
+      await this.process(event);
+    }
+
+    return events;
+  }
+}
+
+// Export singleton instance
+const webhookEventService = new WebhookEventService();
+export default webhookEventService;
@@ -0,0 +1,418 @@
+import mongoose from 'mongoose';
+import { clerkClient } from '@clerk/express';
+import Workspace, { WORKSPACE_ROLES } from '../models/Workspace.js';
+import Meeting from '../models/Meeting.js';
+import ActionItem from '../models/ActionItem.js';
+
+// Meeting access levels, lowest first
+export const ACCESS_LEVELS = ['view', 'edit', 'manage'];
+
+// Access a workspace role (or a per-meeting share role) grants on a meeting
+const ROLE_ACCESS = {
+  viewer: 'view',
+  editor: 'edit',
+  owner: 'manage',
+};
+
+const workspaceError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const rank = (level) => ACCESS_LEVELS.indexOf(level);
+
+/**
+ * WorkspaceService - Team workspaces and shared meetings
+ *
+ * This service handles:
+ * - Creating workspaces and managing their members and roles (owner, editor, viewer)
+ * - Moving meetings (and their action items) into or out of a workspace
+ * - Sharing single meetings with individual teammates
+ * - Working out what a user may do with a meeting: view, edit or manage
+ */
+class WorkspaceService {
+  /**
+   * List the workspaces a user belongs to
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Workspace documents (lean)
+   */
+  async listForUser(userId) {
+    return Workspace.find({ 'members.userId': userId }).sort({ name: 1 }).lean();
+  }
+
+  /**
+   * IDs of the workspaces a user belongs to
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Workspace ObjectIds
+   */
+  async getWorkspaceIds(userId) {
+    return Workspace.find({ 'members.userId': userId }).distinct('_id');
+  }
+
+  /**
+   * A user's role in a workspace
+   *
+   * @param {Object} workspace - Workspace document
+   * @param {string} userId - User ID
+   * @returns {string|null} 'owner' | 'editor' | 'viewer', or null for non-members
+   */
+  getRole(workspace, userId) {
+    return workspace?.members.find(member => member.userId === userId)?.role || null;
+  }
+
+  /**
+   * Load a workspace and check the user's role in it
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @param {string} minRole - Lowest role allowed ('viewer', 'editor' or 'owner')
+   * @returns {Promise<Object>} Workspace document
+   * @throws {Error} With status 403 or 404
+   */
+  async getWorkspace(workspaceId, userId, minRole = 'viewer') {
+    const workspace = mongoose.isValidObjectId(workspaceId)
+      ? await Workspace.findById(workspaceId)
+      : null;
+
+    const role = this.getRole(workspace, userId);
+    if (!role) {
+      throw workspaceError('Workspace not found', 404);
+    }
+
+    if (rank(ROLE_ACCESS[role]) < rank(ROLE_ACCESS[minRole])) {
+      throw workspaceError(`This requires the ${minRole} role in the workspace`, 403);
+    }
+
+    return workspace;
+  }
+
+  /**
+   * Create a workspace with the user as its owner
+   *
+   * @param {string} userId - User ID
+   * @param {string} name - Workspace name
+   * @returns {Promise<Object>} Workspace document
+   */
+  async create(userId, name) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw workspaceError('Name is required', 400);
+    }
+
+    const workspace = await Workspace.create({
+      name: name.trim(),
+      createdBy: userId,
+      members: [{ userId, role: 'owner' }],
+    });
+
+    console.log(`👥 Workspace ${workspace._id} created by ${userId}`);
+    return workspace;
+  }
+
+  /**
+   * Delete a workspace; its meetings and action items go back to their creators
+   *
+   * @param {Object} workspace - Workspace document
+   */
+  async remove(workspace) {
+    await Promise.all([
+      Meeting.updateMany({ workspaceId: workspace._id }, { $set: { workspaceId: null } }),
+      ActionItem.updateMany({ workspaceId: workspace._id }, { $set: { workspaceId: null } }),
+    ]);
+    await workspace.deleteOne();
+    console.log(`🗑️ Workspace ${workspace._id} deleted`);
+  }
+
+  /**
+   * Find a Clerk user by ID or email address
+   *
+   * @param {Object} identity - { userId, email }
+   * @returns {Promise<string>} User ID
+   * @throws {Error} With status 400 or 404
+   */
+  async resolveUserId({ userId, email } = {}) {
+    if (userId) {
+      return userId;
+    }
+
+    if (!email) {
+      throw workspaceError('userId or email is required', 400);
+    }
+
+    const { data } = await clerkClient.users.getUserList({ emailAddress: [email] });
+    if (!data.length) {
+      throw workspaceError(`No user found with email ${email}`, 404);
+    }
+    return data[0].id;
+  }
+
+  /**
+   * Attach names and email addresses from Clerk to member (or share) entries
+   *
+   * Falls back to the bare entries when Clerk can't be reached.
+   *
+   * @param {Array} entries - Entries with a userId
+   * @returns {Promise<Array>} Entries with name and email
+   */
+  async withProfiles(entries) {
+    const plain = entries.map(entry => (entry.toObject ? entry.toObject() : { ...entry }));
+    if (plain.length === 0) {
+      return plain;
+    }
+
+    try {
+      const { data } = await clerkClient.users.getUserList({
+        userId: plain.map(entry => entry.userId),
+        limit: plain.length,
+      });
+      const usersById = new Map(data.map(user => [user.id, user]));
+
+      return plain.map(entry => {
+        const user = usersById.get(entry.userId);
+        return {
+          ...entry,
+          name: user ? [user.firstName, user.lastName].filter(Boolean).join(' ') || undefined : undefined,
+          email: user?.emailAddresses[0]?.emailAddress,
+        };
+      });
+    } catch (error) {
+      console.warn('⚠️ Could not load member profiles:', error.message);
+      return plain;
+    }
+  }
+
+  /**
+   * Add a member or change an existing member's role
+   *
+   * @param {Object} workspace - Workspace document
+   * @param {string} userId - Member's user ID
+   * @param {string} role - 'owner' | 'editor' | 'viewer'
+   * @returns {Promise<Object>} Member entry
+   */
+  async setMember(workspace, userId, role) {
+    if (!WORKSPACE_ROLES.includes(role)) {
+      throw workspaceError(`role must be one of: ${WORKSPACE_ROLES.join(', ')}`, 400);
+    }
+
+    let member = workspace.members.find(m => m.userId === userId);
+    if (member) {
+      if (member.role === 'owner' && role !== 'owner') {
+        this.checkOtherOwner(workspace, userId);
+      }
+      member.role = role;
+    } else {
+      workspace.members.push({ userId, role });
+      member = workspace.members[workspace.members.length - 1];
+    }
+
+    await workspace.save();
+    return member;
+  }
+
+  /**
+   * Remove a member (or let a member leave)
+   *
+   * @param {Object} workspace - Workspace document
+   * @param {string} userId - Member's user ID
+   */
+  async removeMember(workspace, userId) {
+    const member = workspace.members.find(m => m.userId === userId);
+    if (!member) {
+      throw workspaceError('Member not found', 404);
+    }
+
+    if (member.role === 'owner') {
+      this.checkOtherOwner(workspace, userId);
+    }
+
+    workspace.members = workspace.members.filter(m => m.userId !== userId);
+    await workspace.save();
+  }
+
+  /**
+   * Refuse to demote or remove a workspace's last owner
+   *
+   * @param {Object} workspace - Workspace document
+   * @param {string} userId - Owner being demoted or removed
+   * @throws {Error} With status 409
+   */
+  checkOtherOwner(workspace, userId) {
+    const otherOwner = workspace.members.some(m => m.role === 'owner' && m.userId !== userId);
+    if (!otherOwner) {
+      throw workspaceError('A workspace needs at least one owner', 409);
+    }
+  }
+
+  /**
+   * What a user may do with a meeting
+   *
+   * The meeting's creator and the owners of its workspace can manage it
+   * (delete, restore, share, move); editors can change it; viewers can read it.
+   * Workspace roles and per-meeting shares add up to the highest level.
+   *
+   * @param {Object} meeting - Meeting with userId, workspaceId and sharedWith
+   * @param {string} userId - User ID
+   * @returns {Promise<string|null>} 'view' | 'edit' | 'manage', or null without access
+   */
+  async getMeetingAccess(meeting, userId) {
+    if (meeting.userId === userId) {
+      return 'manage';
+    }
+
+    const levels = [];
+
+    const share = meeting.sharedWith?.find(entry => entry.userId === userId);
+    if (share) {
+      levels.push(ROLE_ACCESS[share.role]);
+    }
+
+    if (meeting.workspaceId) {
+      const workspace = await Workspace.findById(meeting.workspaceId).select('members').lean();
+      const role = this.getRole(workspace, userId);
+      if (role) {
+        levels.push(ROLE_ACCESS[role]);
+      }
+    }
+
+    if (levels.length === 0) {
+      return null;
+    }
+    return levels.reduce((best, level) => (rank(level) > rank(best) ? level : best));
+  }
+
+  /**
+   * What a user may do with an action item
+   *
+   * Items of a meeting follow the meeting's access; other items follow the
+   * creator and the item's workspace roles.
+   *
+   * @param {Object} item - Action item with userId, meetingId and workspaceId
+   * @param {string} userId - User ID
+   * @returns {Promise<string|null>} 'view' | 'edit' | 'manage', or null without access
+   */
+  async getActionItemAccess(item, userId) {
+    if (item.userId === userId) {
+      return 'manage';
+    }
+
+    if (item.meetingId) {
+      const meeting = await Meeting.findById(item.meetingId).select('userId workspaceId sharedWith').lean();
+      return meeting ? this.getMeetingAccess(meeting, userId) : null;
+    }
+
+    if (item.workspaceId) {
+      const workspace = await Workspace.findById(item.workspaceId).select('members').lean();
+      return ROLE_ACCESS[this.getRole(workspace, userId)] || null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether an access level covers the one an action needs
+   *
+   * @param {string|null} access - Level the user has
+   * @param {string} required - Level the action needs
+   * @returns {boolean}
+   */
+  allows(access, required) {
+    return access !== null && rank(access) >= rank(required);
+  }
+
+  /**
+   * Query matching every meeting a user can see
+   *
+   * @param {string} userId - User ID
+   * @param {Object} options
+   * @param {string} options.workspaceId - Only meetings of this workspace ('personal' for none)
+   * @returns {Promise<Object>} Mongo filter
+   */
+  async accessibleMeetingsFilter(userId, { workspaceId } = {}) {
+    if (workspaceId === 'personal') {
+      return { userId, workspaceId: null };
+    }
+
+    if (workspaceId) {
+      const workspace = await this.getWorkspace(workspaceId, userId);
+      return { workspaceId: workspace._id };
+    }
+
+    const workspaceIds = await this.getWorkspaceIds(userId);
+    return {
+      $or: [
+        { userId },
+        { 'sharedWith.userId': userId },
+        ...(workspaceIds.length ? [{ workspaceId: { $in: workspaceIds } }] : []),
+      ],
+    };
+  }
+
+  /**
+   * Move a meeting into a workspace, or back to its creator's personal meetings
+   *
+   * @param {Object} meeting - Meeting document
+   * @param {string|null} workspaceId - Target workspace (null for personal)
+   * @param {string} userId - User moving the meeting (must be an editor of the target)
+   * @returns {Promise<Object>} Updated meeting
+   */
+  async moveMeeting(meeting, workspaceId, userId) {
+    const workspace = workspaceId ? await this.getWorkspace(workspaceId, userId, 'editor') : null;
+
+    meeting.workspaceId = workspace ? workspace._id : null;
+    await meeting.save();
+    await ActionItem.updateMany({ meetingId: meeting._id }, { $set: { workspaceId: meeting.workspaceId } });
+
+    return meeting;
+  }
+
+  /**
+   * Share a meeting with a teammate, or change their role on it
+   *
+   * @param {Object} meeting - Meeting document
+   * @param {string} userId - Teammate's user ID
+   * @param {string} role - 'viewer' | 'editor'
+   * @param {string} sharedBy - User sharing the meeting
+   * @returns {Promise<Object>} Share entry
+   */
+  async shareMeeting(meeting, userId, role = 'viewer', sharedBy) {
+    if (!['viewer', 'editor'].includes(role)) {
+      throw workspaceError('role must be one of: viewer, editor', 400);
+    }
+
+    if (userId === meeting.userId) {
+      throw workspaceError('The meeting already belongs to this user', 400);
+    }
+
+    let share = meeting.sharedWith.find(entry => entry.userId === userId);
+    if (share) {
+      share.role = role;
+    } else {
+      meeting.sharedWith.push({ userId, role, sharedBy });
+      share = meeting.sharedWith[meeting.sharedWith.length - 1];
+    }
+
+    await meeting.save();
+    return share;
+  }
+
+  /**
+   * Stop sharing a meeting with a teammate
+   *
+   * @param {Object} meeting - Meeting document
+   * @param {string} userId - Teammate's user ID
+   */
+  async unshareMeeting(meeting, userId) {
+    if (!meeting.sharedWith.some(entry => entry.userId === userId)) {
+      throw workspaceError('Share not found', 404);
+    }
+
+    meeting.sharedWith = meeting.sharedWith.filter(entry => entry.userId !== userId);
+    await meeting.save();
+  }
+}
+
+// Export singleton instance
+const workspaceService = new WorkspaceService();
+export default workspaceService;
@@ -0,0 +1,47 @@
+/**
+ * Migrate embedded Meeting.transcriptions into the TranscriptSegment collection
+ *
+ * Usage:
+ *   npm run migrate:transcripts
+ *
+ * Safe to re-run: segments keep their original IDs, so a partially migrated
+ * meeting is completed rather than duplicated. Meetings that are not migrated
+ * here are migrated lazily the first time their transcript is read.
+ */
+import mongoose from 'mongoose';
+import { connectDatabase } from '../app/config/database.js';
+import Meeting from '../app/models/Meeting.js';
+import transcriptService from '../app/services/transcriptService.js';
+
+async function migrate() {
+  await connectDatabase();
+
+  if (mongoose.connection.readyState !== 1) {
+    console.error('❌ Could not connect to MongoDB - aborting migration');
+    process.exit(1);
+  }
+
+  const cursor = Meeting.find({ 'transcriptions.0': { $exists: true } })
+    .select('_id')
+    .cursor();
+
+  let meetings = 0;
+  let segments = 0;
+
+  for await (const meeting of cursor) {
+    try {
+      segments += await transcriptService.migrateMeeting(meeting);
+      meetings++;
+    } catch (error) {
+      console.error(`❌ Failed to migrate meeting ${meeting._id}:`, error.message);
+    }
+  }
+
+  console.log(`✅ Migrated ${segments} segments from ${meetings} meetings`);
+  await mongoose.connection.close();
+}
+
+migrate().catch((error) => {
+  console.error('❌ Migration failed:', error);
+  process.exit(1);
+});
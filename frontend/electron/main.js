@@ -10,6 +10,11 @@ const __dirname = path.dirname(__filename);
 let mainWindow;
 const API_BASE_URL = 'http://localhost:3001';
 
+// Signed-in Clerk user, reported by the renderer (null while signed out)
+let authSession = null;
+let tokenRequestId = 0;
+const TOKEN_REQUEST_TIMEOUT_MS = 5000;
+
 /**
  * Create the main Electron window
  */
@@ -37,6 +42,7 @@ function createWindow() {
 
   mainWindow.on('closed', () => {
     mainWindow = null;
+    authSession = null;
   });
 }
 
@@ -74,6 +80,15 @@ async function initializeDesktopSDK() {
       // Notify renderer
       mainWindow?.webContents.send('meeting-detected', { windowId, platform });
 
+      // Recordings belong to the signed-in user; don't record for nobody
+      if (!authSession) {
+        console.log('⏸️  Not recording: no user is signed in');
+        mainWindow?.webContents.send('recording-error', {
+          message: 'Sign in to record this meeting'
+        });
+        return;
+      }
+
       try {
         // Get upload token from backend
         console.log('📡 Requesting upload token from backend...');
@@ -178,17 +193,58 @@ async function initializeDesktopSDK() {
 }
 
 /**
- * Get upload token from backend
+ * Ask the renderer for a fresh Clerk session token.
+ * Session tokens are short-lived, so one is fetched for every request.
+ */
+function requestSessionToken() {
+  return new Promise((resolve, reject) => {
+    if (!authSession || !mainWindow) {
+      reject(new Error('Sign in to record meetings'));
+      return;
+    }
+
+    const requestId = ++tokenRequestId;
+
+    const onResponse = (event, response) => {
+      if (event.sender !== mainWindow?.webContents || response?.requestId !== requestId) return;
+      cleanup();
+
+      if (response.token) {
+        resolve(response.token);
+      } else {
+        reject(new Error('Sign in to record meetings'));
+      }
+    };
+
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error('Timed out waiting for the session token'));
+    }, TOKEN_REQUEST_TIMEOUT_MS);
+
+    function cleanup() {
+      clearTimeout(timer);
+      ipcMain.removeListener('auth-token-response', onResponse);
+    }
+
+    ipcMain.on('auth-token-response', onResponse);
+    mainWindow.webContents.send('auth-token-request', { requestId });
+  });
+}
+
+/**
+ * Get upload token from backend, as the signed-in user
  */
 async function getUploadTokenFromBackend() {
   try {
+    const sessionToken = await requestSessionToken();
+
     const response = await fetch(`${API_BASE_URL}/api/recall-desktop/create-upload`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        'Authorization': `Bearer ${sessionToken}`,
       },
       body: JSON.stringify({
-        userId: 'electron-user', // TODO: Get from actual auth system
         meetingTitle: `Meeting ${new Date().toLocaleString()}`
       })
     });
@@ -212,6 +268,17 @@ async function getUploadTokenFromBackend() {
  * IPC Handlers
  */
 
+// Renderer reports who is signed in ({ userId }) or null after sign-out
+ipcMain.on('auth-session-changed', (event, session) => {
+  if (event.sender !== mainWindow?.webContents) return;
+
+  const userId = session?.userId || null;
+  if (userId === (authSession?.userId || null)) return;
+
+  authSession = userId ? { userId } : null;
+  console.log(userId ? `👤 Signed in as ${userId}` : '👤 Signed out, auto-recording paused');
+});
+
 // Manually start recording (if user wants to control it)
 ipcMain.handle('start-recording-manual', async (event, { windowId }) => {
   try {
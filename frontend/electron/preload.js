@@ -61,6 +61,19 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.on('sdk-error', (event, error) => callback(error));
   },
 
+  // Main process needs a fresh session token; getToken resolves to it (or null)
+  onAuthTokenRequest: (getToken) => {
+    ipcRenderer.on('auth-token-request', async (event, { requestId }) => {
+      let token = null;
+      try {
+        token = await getToken();
+      } catch (error) {
+        console.error('Failed to get session token:', error);
+      }
+      ipcRenderer.send('auth-token-response', { requestId, token });
+    });
+  },
+
   /**
    * IPC Invocations (Renderer → Main)
    */
@@ -85,6 +98,11 @@ contextBridge.exposeInMainWorld('electronAPI', {
     return await ipcRenderer.invoke('get-sdk-status');
   },
 
+  // Report the signed-in user, or null after sign-out (pauses auto-recording)
+  setAuthSession: (session) => {
+    ipcRenderer.send('auth-session-changed', session);
+  },
+
   /**
    * Utilities
    */
@@ -6,8 +6,18 @@ import { BrowserRouter, Routes, Route } from "react-router-dom";
 import { ClerkProvider, SignedIn, SignedOut, RedirectToSignIn } from "@clerk/clerk-react";
 import { ThemeProvider, useTheme } from "@/hooks/useTheme";
 import { useMemo } from "react";
+import { useElectronAuthSync } from "@/hooks/useElectronAuthSync";
 import Index from "./pages/Index";
 import Meeting from "./pages/Meeting";
+import ActionItems from "./pages/ActionItems";
+import Search from "./pages/Search";
+import MeetingDetail from "./pages/MeetingDetail";
+import Retention from "./pages/Retention";
+import Redaction from "./pages/Redaction";
+import Workspaces from "./pages/Workspaces";
+import SharedMeeting from "./pages/SharedMeeting";
+import ApiTokens from "./pages/ApiTokens";
+import Usage from "./pages/Usage";
 import NotFound from "./pages/NotFound";
 
 const queryClient = new QueryClient();
@@ -18,6 +28,12 @@ if (!clerkPubKey) {
   console.warn("Missing Clerk Publishable Key. Authentication will not work.");
 }
 
+// Tells the Electron app (if any) who is signed in
+function ElectronAuthSync() {
+  useElectronAuthSync();
+  return null;
+}
+
 // Inner component that uses the theme
 function AppContent() {
   const { theme } = useTheme();
@@ -172,6 +188,7 @@ function AppContent() {
       publishableKey={clerkPubKey || ""}
       appearance={clerkAppearance}
     >
+      <ElectronAuthSync />
       <QueryClientProvider client={queryClient}>
         <TooltipProvider>
           <Toaster />
@@ -179,6 +196,8 @@ function AppContent() {
           <BrowserRouter>
             <Routes>
               <Route path="/" element={<Index />} />
+              {/* Public share links: read-only, no Clerk session needed */}
+              <Route path="/shared/:token" element={<SharedMeeting />} />
               <Route
                 path="/meeting"
                 element={
@@ -192,6 +211,110 @@ function AppContent() {
                   </>
                 }
               />
+              <Route
+                path="/action-items"
+                element={
+                  <>
+                    <SignedIn>
+                      <ActionItems />
+                    </SignedIn>
+                    <SignedOut>
+                      <RedirectToSignIn />
+                    </SignedOut>
+                  </>
+                }
+              />
+              <Route
+                path="/search"
+                element={
+                  <>
+                    <SignedIn>
+                      <Search />
+                    </SignedIn>
+                    <SignedOut>
+                      <RedirectToSignIn />
+                    </SignedOut>
+                  </>
+                }
+              />
+              <Route
+                path="/meetings/:meetingId"
+                element={
+                  <>
+                    <SignedIn>
+                      <MeetingDetail />
+                    </SignedIn>
+                    <SignedOut>
+                      <RedirectToSignIn />
+                    </SignedOut>
+                  </>
+                }
+              />
+              <Route
+                path="/retention"
+                element={
+                  <>
+                    <SignedIn>
+                      <Retention />
+                    </SignedIn>
+                    <SignedOut>
+                      <RedirectToSignIn />
+                    </SignedOut>
+                  </>
+                }
+              />
+              <Route
+                path="/redaction"
+                element={
+                  <>
+                    <SignedIn>
+                      <Redaction />
+                    </SignedIn>
+                    <SignedOut>
+                      <RedirectToSignIn />
+                    </SignedOut>
+                  </>
+                }
+              />
+              <Route
+                path="/workspaces"
+                element={
+                  <>
+                    <SignedIn>
+                      <Workspaces />
+                    </SignedIn>
+                    <SignedOut>
+                      <RedirectToSignIn />
+                    </SignedOut>
+                  </>
+                }
+              />
+              <Route
+                path="/tokens"
+                element={
+                  <>
+                    <SignedIn>
+                      <ApiTokens />
+                    </SignedIn>
+                    <SignedOut>
+                      <RedirectToSignIn />
+                    </SignedOut>
+                  </>
+                }
+              />
+              <Route
+                path="/usage"
+                element={
+                  <>
+                    <SignedIn>
+                      <Usage />
+                    </SignedIn>
+                    <SignedOut>
+                      <RedirectToSignIn />
+                    </SignedOut>
+                  </>
+                }
+              />
               {/* ADD ALL CUSTOM ROUTES ABOVE THE CATCH-ALL "*" ROUTE */}
               <Route path="*" element={<NotFound />} />
             </Routes>
@@ -1,8 +1,9 @@
 import { Card } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
-import { Bot, Brain, LogOut, Activity } from "lucide-react";
+import { Bot, Brain, LogOut, Activity, Hourglass } from "lucide-react";
 import { useState, useEffect } from "react";
+import type { BotEvent, BotEventSeverity } from "@/hooks/useBot";
 
 interface BotControlsProps {
   botId: string | null;
@@ -16,6 +17,8 @@ interface BotControlsProps {
     joinedAt: Date;
     uptime: number;
   } | null;
+  // Recent bot events, newest first
+  events?: BotEvent[];
   onLeave?: () => void;
   onGenerateResponse?: () => void;
   onSpeak?: (text: string) => void;
@@ -24,6 +27,7 @@ interface BotControlsProps {
 export const BotControls = ({
   botId,
   botStatus,
+  events = [],
   onLeave,
   onGenerateResponse,
   onSpeak
@@ -63,12 +67,22 @@ export const BotControls = ({
     "That sounds good to me"
   ];
 
+  const severityColors: Record<BotEventSeverity, string> = {
+    info: "bg-muted-foreground",
+    success: "bg-primary",
+    warning: "bg-yellow-500",
+    error: "bg-destructive",
+  };
+
   if (!botId || !botStatus) {
     return null;
   }
 
-  const isConnected = botStatus.status === 'in_call' || botStatus.status === 'in_waiting_room';
-  const isJoining = botStatus.status === 'joining' || botStatus.status === 'created';
+  const botEvents = events.filter((event) => event.botId === botId);
+  const isConnected = ['in_call', 'in_call_not_recording', 'in_call_recording', 'recording_permission_allowed']
+    .includes(botStatus.status);
+  const isWaiting = botStatus.status === 'in_waiting_room';
+  const isJoining = ['joining', 'joining_call', 'created', 'ready'].includes(botStatus.status);
 
   return (
     <Card className="p-6 bg-card/50 backdrop-blur-glass border-primary/10">
@@ -78,7 +92,7 @@ export const BotControls = ({
           <div className={`w-20 h-20 mx-auto rounded-full flex items-center justify-center mb-4 transition-all ${
             isConnected
               ? 'bg-gradient-primary shadow-glow-strong animate-pulse-glow'
-              : isJoining
+              : isJoining || isWaiting
               ? 'bg-yellow-500/20 border-2 border-yellow-500'
               : 'bg-muted'
           }`}>
@@ -90,7 +104,7 @@ export const BotControls = ({
             className={
               isConnected
                 ? "border-primary/30 text-primary"
-                : isJoining
+                : isJoining || isWaiting
                 ? "border-yellow-500/30 text-yellow-500"
                 : "border-muted text-muted-foreground"
             }
@@ -107,7 +121,13 @@ export const BotControls = ({
                 Joining...
               </>
             )}
-            {!isConnected && !isJoining && 'Disconnected'}
+            {isWaiting && (
+              <>
+                <Hourglass className="w-3 h-3 mr-2" />
+                In Waiting Room
+              </>
+            )}
+            {!isConnected && !isJoining && !isWaiting && 'Disconnected'}
           </Badge>
 
           {isConnected && (
@@ -158,6 +178,15 @@ export const BotControls = ({
           </div>
         )}
 
+        {/* Waiting Room Status */}
+        {isWaiting && (
+          <div className="p-3 rounded-lg bg-yellow-500/10 border border-yellow-500/30">
+            <p className="text-xs text-muted-foreground text-center">
+              The bot is waiting to be let in. Admit it from the meeting to start recording.
+            </p>
+          </div>
+        )}
+
         {/* Joining Status */}
         {isJoining && (
           <div className="text-center py-4">
@@ -167,6 +196,24 @@ export const BotControls = ({
             </p>
           </div>
         )}
+
+        {/* Bot Events */}
+        {botEvents.length > 0 && (
+          <div className="space-y-2">
+            <p className="text-xs font-medium text-muted-foreground">Activity</p>
+            <div className="space-y-1 max-h-48 overflow-y-auto">
+              {botEvents.map((event, index) => (
+                <div key={`${event.type}-${event.at}-${index}`} className="flex items-start gap-2 text-xs">
+                  <div className={`w-2 h-2 rounded-full mt-1 shrink-0 ${severityColors[event.severity]}`} />
+                  <span className="flex-1">{event.message}</span>
+                  <span className="text-muted-foreground shrink-0">
+                    {new Date(event.at).toLocaleTimeString()}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
     </Card>
   );
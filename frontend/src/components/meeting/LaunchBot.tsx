@@ -5,6 +5,7 @@ import { Card } from "@/components/ui/card";
 import { Label } from "@/components/ui/label";
 import { Rocket, Loader2, CheckCircle2, XCircle } from "lucide-react";
 import { useUser } from "@clerk/clerk-react";
+import { useAuthFetch } from "@/hooks/useAuthFetch";
 
 interface LaunchBotProps {
   onBotLaunched?: (botData: any) => void;
@@ -16,6 +17,7 @@ export const LaunchBot = ({
   onError,
 }: LaunchBotProps) => {
   const { user } = useUser();
+  const authFetch = useAuthFetch();
   const [meetingUrl, setMeetingUrl] = useState("");
   const [botName, setBotName] = useState("EchoTwin AI");
   const [isLaunching, setIsLaunching] = useState(false);
@@ -46,7 +48,7 @@ export const LaunchBot = ({
     try {
       console.log("🚀 Launching Recall.ai bot...");
 
-      const response = await fetch(`${apiUrl}/api/recall/launch`, {
+      const response = await authFetch(`${apiUrl}/api/recall/launch`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
@@ -54,7 +56,6 @@ export const LaunchBot = ({
         body: JSON.stringify({
           meetingUrl: meetingUrl.trim(),
           botName: botName.trim() || "EchoTwin AI",
-          userId: user.id,
         }),
       });
 
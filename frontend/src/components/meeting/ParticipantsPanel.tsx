@@ -0,0 +1,133 @@
+import { useState } from "react";
+import { Card } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Check, Pencil, Users, X } from "lucide-react";
+import { useParticipants } from "@/hooks/useParticipants";
+
+interface ParticipantsPanelProps {
+  meetingId?: string;
+  // Called after a rename or merge so the transcript can be reloaded
+  onChange?: () => void;
+}
+
+export const ParticipantsPanel = ({ meetingId, onChange }: ParticipantsPanelProps) => {
+  const { participants, isLoading, error, renameParticipant, mergeParticipant } = useParticipants(meetingId);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [name, setName] = useState("");
+
+  const handleRename = async (id: string) => {
+    if (!name.trim()) return;
+    if (await renameParticipant(id, name.trim())) {
+      setEditingId(null);
+      onChange?.();
+    }
+  };
+
+  const handleMerge = async (id: string, targetId: string) => {
+    if (await mergeParticipant(id, targetId)) {
+      onChange?.();
+    }
+  };
+
+  return (
+    <Card className="p-6 bg-card/50 backdrop-blur-glass border-primary/10 h-fit">
+      <div className="flex items-center gap-2 mb-4">
+        <Users className="w-4 h-4 text-primary" />
+        <h2 className="text-lg font-semibold">Participants</h2>
+      </div>
+
+      {error && <p className="text-sm text-destructive mb-2">{error}</p>}
+
+      {isLoading && participants.length === 0 ? (
+        <p className="text-sm text-muted-foreground">Loading participants...</p>
+      ) : participants.length === 0 ? (
+        <p className="text-sm text-muted-foreground">No participants recorded.</p>
+      ) : (
+        <div className="space-y-3">
+          {participants.map((participant) => (
+            <div key={participant.id} className="p-3 rounded-lg bg-primary/5 border border-primary/20 space-y-2">
+              {editingId === participant.id ? (
+                <div className="flex items-center gap-1">
+                  <Input
+                    className="h-8"
+                    value={name}
+                    autoFocus
+                    onChange={(event) => setName(event.target.value)}
+                    onKeyDown={(event) => event.key === "Enter" && handleRename(participant.id)}
+                  />
+                  <Button variant="ghost" size="icon" className="h-8 w-8" onClick={() => handleRename(participant.id)}>
+                    <Check className="w-4 h-4" />
+                  </Button>
+                  <Button variant="ghost" size="icon" className="h-8 w-8" onClick={() => setEditingId(null)}>
+                    <X className="w-4 h-4" />
+                  </Button>
+                </div>
+              ) : (
+                <div className="flex items-center justify-between gap-2">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium truncate">
+                      {participant.displayName}
+                      {participant.isHost && (
+                        <Badge variant="outline" className="ml-2 border-primary/30 text-primary">Host</Badge>
+                      )}
+                    </p>
+                    <p className="text-xs text-muted-foreground truncate">
+                      {[participant.speakerLabel, ...participant.aliases]
+                        .filter((label) => label !== participant.displayName)
+                        .join(", ")}
+                      {participant.email && ` ${participant.email}`}
+                    </p>
+                  </div>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-8 w-8 flex-shrink-0"
+                    onClick={() => {
+                      setEditingId(participant.id);
+                      setName(participant.displayName);
+                    }}
+                  >
+                    <Pencil className="w-3 h-3" />
+                  </Button>
+                </div>
+              )}
+
+              <div className="flex items-center justify-between gap-2 text-xs text-muted-foreground">
+                <span>
+                  {participant.segmentCount} segments
+                  {participant.joinedAt && ` · joined ${new Date(participant.joinedAt).toLocaleTimeString()}`}
+                  {participant.leftAt && ` · left ${new Date(participant.leftAt).toLocaleTimeString()}`}
+                </span>
+                {participants.length > 1 && (
+                  <Select value="" onValueChange={(targetId) => handleMerge(participant.id, targetId)}>
+                    <SelectTrigger className="w-[120px] h-7 text-xs">
+                      <SelectValue placeholder="Merge into..." />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {participants
+                        .filter((other) => other.id !== participant.id)
+                        .map((other) => (
+                          <SelectItem key={other.id} value={other.id}>
+                            {other.displayName}
+                          </SelectItem>
+                        ))}
+                    </SelectContent>
+                  </Select>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+};
@@ -0,0 +1,38 @@
+import type { ReactNode } from "react";
+import type { Redaction } from "@/hooks/useMeetingDetail";
+
+interface RedactedTextProps {
+  text: string;
+  redactions?: Redaction[];
+}
+
+// Segment text with redacted spans marked; revealed spans show the original
+export const RedactedText = ({ text, redactions = [] }: RedactedTextProps) => {
+  if (redactions.length === 0) {
+    return <>{text}</>;
+  }
+
+  const parts: ReactNode[] = [];
+  let cursor = 0;
+
+  redactions.forEach((redaction, i) => {
+    parts.push(text.slice(cursor, redaction.start));
+    parts.push(
+      <mark
+        key={i}
+        title={redaction.label ? `Redacted (${redaction.label})` : `Redacted ${redaction.type}`}
+        className={
+          redaction.original !== undefined
+            ? "bg-transparent text-foreground underline decoration-dashed decoration-primary"
+            : "bg-muted text-muted-foreground rounded px-1"
+        }
+      >
+        {redaction.original ?? text.slice(redaction.start, redaction.end)}
+      </mark>
+    );
+    cursor = redaction.end;
+  });
+  parts.push(text.slice(cursor));
+
+  return <>{parts}</>;
+};
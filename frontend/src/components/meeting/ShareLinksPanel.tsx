@@ -0,0 +1,168 @@
+import { useState } from "react";
+import { Card } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Copy, Eye, Link2, Plus, X } from "lucide-react";
+import { useToast } from "@/hooks/use-toast";
+import {
+  useShareLinks,
+  type ShareLinkAccess,
+  type ShareSection,
+} from "@/hooks/useShareLinks";
+
+const SECTIONS: Record<ShareSection, string> = {
+  summary: "Summary",
+  keyPoints: "Key points",
+  decisions: "Decisions",
+  actionItems: "Action items",
+  transcript: "Transcript",
+};
+
+const EXPIRY_DAYS = [1, 7, 30, 90];
+
+interface ShareLinksPanelProps {
+  meetingId: string;
+}
+
+export const ShareLinksPanel = ({ meetingId }: ShareLinksPanelProps) => {
+  const { toast } = useToast();
+  const { shareLinks, error, createShareLink, revokeShareLink, fetchAccessLog } = useShareLinks(meetingId);
+  const [sections, setSections] = useState<ShareSection[]>(["summary", "keyPoints", "decisions", "actionItems"]);
+  const [expiresInDays, setExpiresInDays] = useState(7);
+  const [label, setLabel] = useState("");
+  const [accessLog, setAccessLog] = useState<{ linkId: string; accesses: ShareLinkAccess[] } | null>(null);
+
+  const toggleSection = (section: ShareSection, checked: boolean) => {
+    setSections(checked ? [...sections, section] : sections.filter((s) => s !== section));
+  };
+
+  const copyLink = async (url: string) => {
+    await navigator.clipboard.writeText(url);
+    toast({ title: "Link copied", description: "Anyone with the link can read the shared sections." });
+  };
+
+  const handleCreate = async () => {
+    const link = await createShareLink({ sections, expiresInDays, label: label.trim() || undefined });
+    if (link) {
+      setLabel("");
+      copyLink(link.url);
+    }
+  };
+
+  const toggleAccessLog = async (linkId: string) => {
+    if (accessLog?.linkId === linkId) {
+      setAccessLog(null);
+      return;
+    }
+    const accesses = await fetchAccessLog(linkId);
+    if (accesses) {
+      setAccessLog({ linkId, accesses });
+    }
+  };
+
+  return (
+    <Card className="p-6 bg-card/50 backdrop-blur-glass border-primary/10 h-fit space-y-4">
+      <div className="flex items-center gap-2">
+        <Link2 className="w-4 h-4 text-primary" />
+        <h2 className="text-lg font-semibold">Public links</h2>
+      </div>
+
+      {error && <p className="text-sm text-destructive">{error}</p>}
+
+      {shareLinks.map((link) => (
+        <div key={link.id} className="p-3 rounded-lg bg-primary/5 border border-primary/20 space-y-2">
+          <div className="flex items-center justify-between gap-2">
+            <span className="text-sm font-medium truncate">{link.label || "Untitled link"}</span>
+            <Badge
+              variant="outline"
+              className={link.active ? "border-primary/30 text-primary" : "border-muted text-muted-foreground"}
+            >
+              {link.revokedAt ? "revoked" : link.active ? "active" : "expired"}
+            </Badge>
+          </div>
+          <p className="text-xs text-muted-foreground">
+            {link.sections.map((section) => SECTIONS[section]).join(", ")}
+          </p>
+          <p className="text-xs text-muted-foreground">
+            {link.active ? "Expires" : "Expired"} {new Date(link.expiresAt).toLocaleDateString()} · opened{" "}
+            {link.accessCount} time{link.accessCount === 1 ? "" : "s"}
+          </p>
+          <div className="flex items-center gap-1">
+            {link.active && (
+              <Button variant="ghost" size="sm" className="h-7 px-2" onClick={() => copyLink(link.url)}>
+                <Copy className="w-3 h-3 mr-1" />
+                Copy
+              </Button>
+            )}
+            <Button variant="ghost" size="sm" className="h-7 px-2" onClick={() => toggleAccessLog(link.id)}>
+              <Eye className="w-3 h-3 mr-1" />
+              Access log
+            </Button>
+            {link.active && (
+              <Button variant="ghost" size="sm" className="h-7 px-2" onClick={() => revokeShareLink(link.id)}>
+                <X className="w-3 h-3 mr-1" />
+                Revoke
+              </Button>
+            )}
+          </div>
+          {accessLog?.linkId === link.id && (
+            <div className="space-y-1 pt-1">
+              {accessLog.accesses.length === 0 ? (
+                <p className="text-xs text-muted-foreground">Not opened yet.</p>
+              ) : (
+                accessLog.accesses.map((access, i) => (
+                  <p key={i} className="text-xs text-muted-foreground truncate">
+                    {new Date(access.accessedAt).toLocaleString()} · {access.ip || "unknown"}
+                    {access.userAgent && ` · ${access.userAgent}`}
+                  </p>
+                ))
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+
+      <div className="space-y-3">
+        <Input placeholder="Who is it for? (optional)" value={label} onChange={(event) => setLabel(event.target.value)} />
+        <div className="grid grid-cols-2 gap-2">
+          {Object.entries(SECTIONS).map(([section, name]) => (
+            <label key={section} className="flex items-center gap-2 text-xs">
+              <Checkbox
+                checked={sections.includes(section as ShareSection)}
+                onCheckedChange={(checked) => toggleSection(section as ShareSection, checked === true)}
+              />
+              {name}
+            </label>
+          ))}
+        </div>
+        <div className="flex items-center gap-2">
+          <Select value={String(expiresInDays)} onValueChange={(value) => setExpiresInDays(Number(value))}>
+            <SelectTrigger className="h-8 text-xs">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {EXPIRY_DAYS.map((days) => (
+                <SelectItem key={days} value={String(days)}>
+                  Expires in {days} day{days === 1 ? "" : "s"}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button size="sm" variant="outline" disabled={sections.length === 0} onClick={handleCreate}>
+            <Plus className="w-4 h-4 mr-2" />
+            Create
+          </Button>
+        </div>
+      </div>
+    </Card>
+  );
+};
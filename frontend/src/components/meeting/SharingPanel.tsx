@@ -0,0 +1,140 @@
+import { useState } from "react";
+import { Card } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Share2, X } from "lucide-react";
+import { useUser } from "@clerk/clerk-react";
+import { useMeetingSharing, type ShareRole } from "@/hooks/useMeetingSharing";
+import { useWorkspaces } from "@/hooks/useWorkspaces";
+import type { MeetingDetail } from "@/hooks/useMeetingDetail";
+
+const PERSONAL = "personal";
+
+interface SharingPanelProps {
+  meeting: MeetingDetail;
+  // Called after the meeting moves to another workspace
+  onChange?: () => void;
+}
+
+export const SharingPanel = ({ meeting, onChange }: SharingPanelProps) => {
+  const { user } = useUser();
+  const { shares, error, shareMeeting, unshareMeeting, moveToWorkspace } = useMeetingSharing(meeting.id);
+  const { workspaces } = useWorkspaces();
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState<ShareRole>("viewer");
+
+  const canManage = meeting.access === "manage";
+  const workspace = workspaces.find((w) => w.id === meeting.workspaceId);
+  // Workspaces the meeting can be moved into (owners and editors only)
+  const targets = workspaces.filter((w) => w.role !== "viewer");
+
+  const handleShare = async () => {
+    if (!email.trim()) return;
+    if (await shareMeeting(email.trim(), role)) {
+      setEmail("");
+    }
+  };
+
+  const handleMove = async (value: string) => {
+    if (await moveToWorkspace(value === PERSONAL ? null : value)) {
+      onChange?.();
+    }
+  };
+
+  return (
+    <Card className="p-6 bg-card/50 backdrop-blur-glass border-primary/10 h-fit space-y-4">
+      <div className="flex items-center gap-2">
+        <Share2 className="w-4 h-4 text-primary" />
+        <h2 className="text-lg font-semibold">Sharing</h2>
+      </div>
+
+      {error && <p className="text-sm text-destructive">{error}</p>}
+
+      <div className="space-y-1">
+        <p className="text-xs text-muted-foreground">Workspace</p>
+        {canManage ? (
+          <Select value={meeting.workspaceId ?? PERSONAL} onValueChange={handleMove}>
+            <SelectTrigger className="h-8 text-xs">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={PERSONAL}>Personal</SelectItem>
+              {targets.map((w) => (
+                <SelectItem key={w.id} value={w.id}>
+                  {w.name}
+                </SelectItem>
+              ))}
+              {workspace && !targets.includes(workspace) && (
+                <SelectItem value={workspace.id}>{workspace.name}</SelectItem>
+              )}
+            </SelectContent>
+          </Select>
+        ) : (
+          <p className="text-sm">{meeting.workspaceId ? workspace?.name ?? "Team workspace" : "Personal"}</p>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <p className="text-xs text-muted-foreground">Shared with</p>
+        {shares.length === 0 ? (
+          <p className="text-sm text-muted-foreground">Not shared with anyone.</p>
+        ) : (
+          shares.map((share) => (
+            <div
+              key={share.userId}
+              className="flex items-center justify-between gap-2 p-2 rounded-lg bg-primary/5 border border-primary/20"
+            >
+              <span className="text-sm truncate">
+                {share.name || share.email || share.userId}
+                {share.userId === user?.id && " (you)"}
+              </span>
+              <div className="flex items-center gap-1">
+                <Badge variant="outline" className="border-primary/30 text-primary text-xs">
+                  {share.role}
+                </Badge>
+                {(canManage || share.userId === user?.id) && (
+                  <Button variant="ghost" size="icon" className="h-7 w-7" onClick={() => unshareMeeting(share.userId)}>
+                    <X className="w-3 h-3" />
+                  </Button>
+                )}
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      {canManage && (
+        <div className="space-y-2">
+          <Input
+            type="email"
+            placeholder="Teammate's email"
+            value={email}
+            onChange={(event) => setEmail(event.target.value)}
+          />
+          <div className="flex items-center gap-2">
+            <Select value={role} onValueChange={(value) => setRole(value as ShareRole)}>
+              <SelectTrigger className="h-8 text-xs">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="viewer">Can view</SelectItem>
+                <SelectItem value="editor">Can edit</SelectItem>
+              </SelectContent>
+            </Select>
+            <Button size="sm" variant="outline" disabled={!email.trim()} onClick={handleShare}>
+              Share
+            </Button>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+};
@@ -0,0 +1,137 @@
+import { useState, useCallback, useEffect } from 'react';
+import { useUser } from '@clerk/clerk-react';
+import { useAuthFetch } from './useAuthFetch';
+
+export type ActionItemStatus = 'open' | 'in_progress' | 'done' | 'canceled';
+export type ActionItemPriority = 'low' | 'medium' | 'high';
+
+export interface ActionItem {
+  id: string;
+  meetingId: string | null;
+  meetingTitle?: string;
+  text: string;
+  assignee?: string;
+  dueDate: string | null;
+  dueDateText?: string;
+  status: ActionItemStatus;
+  priority: ActionItemPriority;
+  sourceTimestamp?: string;
+  sourceOffsetSeconds?: number;
+  source: 'summary' | 'manual';
+  completedAt?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type ActionItemUpdate = Partial<Pick<ActionItem, 'text' | 'assignee' | 'dueDate' | 'status' | 'priority'>>;
+
+/**
+ * The signed-in user's action items across all meetings
+ *
+ * @param status - Comma-separated statuses or "all" (defaults to open items)
+ */
+export const useActionItems = (status = 'open,in_progress') => {
+  const { user } = useUser();
+  const authFetch = useAuthFetch();
+  const [actionItems, setActionItems] = useState<ActionItem[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+  /**
+   * Load action items
+   */
+  const fetchActionItems = useCallback(async () => {
+    if (!user) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const params = new URLSearchParams({ status, limit: '200' });
+      const response = await authFetch(`${apiUrl}/api/action-items?${params}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load action items');
+      }
+
+      setActionItems(data.actionItems);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load action items');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user, status, apiUrl, authFetch]);
+
+  /**
+   * Update an action item (status, assignee, due date, ...)
+   */
+  const updateActionItem = useCallback(async (id: string, updates: ActionItemUpdate) => {
+    if (!user) return false;
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/action-items/${id}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(updates)
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update action item');
+      }
+
+      setActionItems(items => items.map(item => (item.id === id ? { ...item, ...data.actionItem } : item)));
+      return true;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update action item');
+      return false;
+    }
+  }, [user, apiUrl, authFetch]);
+
+  /**
+   * Delete an action item
+   */
+  const deleteActionItem = useCallback(async (id: string) => {
+    if (!user) return false;
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/action-items/${id}`, {
+        method: 'DELETE',
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to delete action item');
+      }
+
+      setActionItems(items => items.filter(item => item.id !== id));
+      return true;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to delete action item');
+      return false;
+    }
+  }, [user, apiUrl, authFetch]);
+
+  useEffect(() => {
+    fetchActionItems();
+  }, [fetchActionItems]);
+
+  return {
+    // State
+    actionItems,
+    isLoading,
+    error,
+
+    // Actions
+    fetchActionItems,
+    updateActionItem,
+    deleteActionItem
+  };
+};
@@ -0,0 +1,139 @@
+import { useState, useCallback, useEffect } from 'react';
+import { useUser } from '@clerk/clerk-react';
+import { useAuthFetch } from './useAuthFetch';
+
+export interface ApiToken {
+  id: string;
+  name: string;
+  // First characters of the token, to tell tokens apart
+  prefix: string;
+  scopes: string[];
+  expiresAt: string | null;
+  lastUsedAt: string | null;
+  revokedAt: string | null;
+  createdAt: string;
+}
+
+export interface NewApiToken {
+  name: string;
+  scopes: string[];
+  // Omit for a token that doesn't expire
+  expiresInDays?: number;
+}
+
+/**
+ * The signed-in user's personal access tokens
+ */
+export const useApiTokens = () => {
+  const { user } = useUser();
+  const authFetch = useAuthFetch();
+  const [tokens, setTokens] = useState<ApiToken[]>([]);
+  const [scopes, setScopes] = useState<string[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+  /**
+   * Load the tokens and the scopes a token can have
+   */
+  const fetchTokens = useCallback(async () => {
+    if (!user) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/tokens`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load API tokens');
+      }
+
+      setTokens(data.tokens);
+      setScopes(data.scopes);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load API tokens');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user, apiUrl, authFetch]);
+
+  /**
+   * Create a token
+   *
+   * @returns The token itself (only available now), or null on failure
+   */
+  const createToken = useCallback(async (token: NewApiToken): Promise<string | null> => {
+    if (!user) return null;
+
+    setError(null);
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/tokens`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(token)
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create API token');
+      }
+
+      await fetchTokens();
+      return data.token;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to create API token');
+      return null;
+    }
+  }, [user, apiUrl, authFetch, fetchTokens]);
+
+  /**
+   * Revoke a token
+   */
+  const revokeToken = useCallback(async (id: string) => {
+    if (!user) return false;
+
+    setError(null);
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/tokens/${id}`, {
+        method: 'DELETE',
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to revoke API token');
+      }
+
+      await fetchTokens();
+      return true;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to revoke API token');
+      return false;
+    }
+  }, [user, apiUrl, authFetch, fetchTokens]);
+
+  useEffect(() => {
+    fetchTokens();
+  }, [fetchTokens]);
+
+  return {
+    // State
+    tokens,
+    scopes,
+    isLoading,
+    error,
+
+    // Actions
+    fetchTokens,
+    createToken,
+    revokeToken
+  };
+};
@@ -0,0 +1,21 @@
+import { useCallback } from 'react';
+import { useAuth } from '@clerk/clerk-react';
+
+/**
+ * fetch() that sends the Clerk session token as `Authorization: Bearer <token>`,
+ * which the API uses to identify the user
+ */
+export const useAuthFetch = () => {
+  const { getToken } = useAuth();
+
+  return useCallback(async (input: string, init: RequestInit = {}) => {
+    const token = await getToken();
+    const headers = new Headers(init.headers);
+
+    if (token) {
+      headers.set('Authorization', `Bearer ${token}`);
+    }
+
+    return fetch(input, { ...init, headers });
+  }, [getToken]);
+};
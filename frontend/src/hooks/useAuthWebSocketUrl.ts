@@ -0,0 +1,15 @@
+import { useCallback } from 'react';
+import { useAuth } from '@clerk/clerk-react';
+
+/**
+ * Build the WebSocket URL with the Clerk session token. Browsers can't send
+ * headers on a WebSocket handshake, so the server reads it from ?token=
+ */
+export const useAuthWebSocketUrl = (wsUrl: string) => {
+  const { getToken } = useAuth();
+
+  return useCallback(async () => {
+    const token = await getToken();
+    return token ? `${wsUrl}?token=${encodeURIComponent(token)}` : wsUrl;
+  }, [getToken, wsUrl]);
+};
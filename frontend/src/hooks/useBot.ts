@@ -1,5 +1,7 @@
 import { useState, useCallback, useEffect, useRef } from 'react';
 import { useUser } from '@clerk/clerk-react';
+import { useAuthFetch } from './useAuthFetch';
+import { useAuthWebSocketUrl } from './useAuthWebSocketUrl';
 
 export interface BotStatus {
   botId: string;
@@ -12,26 +14,57 @@ export interface BotStatus {
   uptime: number;
 }
 
+export type BotEventSeverity = 'info' | 'success' | 'warning' | 'error';
+
+/**
+ * A typed bot event from the backend (`bot_event` WebSocket message), e.g.
+ * bot.waiting_room, bot.admitted, bot.kicked, bot.failed, participant.joined
+ * or recording.ready
+ */
+export interface BotEvent {
+  type: string;
+  botId: string;
+  // Recall.ai status code and sub-code, for status events
+  status?: string;
+  subCode?: string | null;
+  participant?: {
+    id?: string;
+    name?: string;
+    email?: string;
+    isHost?: boolean;
+  };
+  recordingId?: string | null;
+  severity: BotEventSeverity;
+  message: string;
+  at: string;
+}
+
+// Recent bot events kept for BotControls
+const MAX_BOT_EVENTS = 20;
+
 export const useBot = () => {
   const { user } = useUser();
+  const authFetch = useAuthFetch();
   const [botData, setBotData] = useState<BotStatus | null>(null);
+  const [botEvents, setBotEvents] = useState<BotEvent[]>([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const wsRef = useRef<WebSocket | null>(null);
 
   const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
   const wsUrl = import.meta.env.VITE_WS_URL || 'ws://localhost:3001';
+  const getWebSocketUrl = useAuthWebSocketUrl(wsUrl);
 
   /**
    * Connect to WebSocket to receive bot events
    */
-  const connectWebSocket = useCallback(() => {
+  const connectWebSocket = useCallback(async () => {
     if (wsRef.current?.readyState === WebSocket.OPEN) {
       return; // Already connected
     }
 
     try {
-      const ws = new WebSocket(wsUrl);
+      const ws = new WebSocket(await getWebSocketUrl());
 
       ws.onopen = () => {
         console.log('✅ Bot WebSocket connected');
@@ -44,6 +77,7 @@ export const useBot = () => {
           switch (message.type) {
             case 'bot_created':
               console.log('Bot created and joining meeting:', message.data);
+              setBotEvents([]);
               setBotData({
                 botId: message.data.botId,
                 meetingNumber: '', // Not used with Recall.ai
@@ -76,6 +110,19 @@ export const useBot = () => {
               }
               break;
 
+            case 'bot_event': {
+              const botEvent: BotEvent = message.data;
+              setBotEvents((events) => [botEvent, ...events].slice(0, MAX_BOT_EVENTS));
+
+              // Status events carry the bot's new status
+              if (botEvent.status) {
+                setBotData((bot) =>
+                  bot && bot.botId === botEvent.botId ? { ...bot, status: botEvent.status as string } : bot
+                );
+              }
+              break;
+            }
+
             case 'ai_response':
               console.log('AI response generated:', message.data.text);
               break;
@@ -103,7 +150,7 @@ export const useBot = () => {
     } catch (err) {
       console.error('Failed to create bot WebSocket:', err);
     }
-  }, [wsUrl]);
+  }, [getWebSocketUrl]);
 
   /**
    * Fetch current bot status for user
@@ -112,7 +159,7 @@ export const useBot = () => {
     if (!user) return;
 
     try {
-      const response = await fetch(`${apiUrl}/api/recall/my-bot/${user.id}`);
+      const response = await authFetch(`${apiUrl}/api/recall/my-bot`);
 
       if (response.status === 404) {
         // No active bot
@@ -140,7 +187,7 @@ export const useBot = () => {
     } catch (err) {
       console.error('Error fetching bot status:', err);
     }
-  }, [user, apiUrl]);
+  }, [user, apiUrl, authFetch]);
 
   /**
    * Leave meeting
@@ -155,7 +202,7 @@ export const useBot = () => {
     setError(null);
 
     try {
-      const response = await fetch(`${apiUrl}/api/recall/leave`, {
+      const response = await authFetch(`${apiUrl}/api/recall/leave`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -180,7 +227,7 @@ export const useBot = () => {
     } finally {
       setIsLoading(false);
     }
-  }, [user, botData, apiUrl]);
+  }, [user, botData, apiUrl, authFetch]);
 
   /**
    * Generate AI response
@@ -195,7 +242,7 @@ export const useBot = () => {
     setError(null);
 
     try {
-      const response = await fetch(`${apiUrl}/api/assistant/respond`, {
+      const response = await authFetch(`${apiUrl}/api/assistant/respond`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -221,7 +268,7 @@ export const useBot = () => {
     } finally {
       setIsLoading(false);
     }
-  }, [botData, apiUrl]);
+  }, [botData, apiUrl, authFetch]);
 
   /**
    * Make bot speak (text-to-speech)
@@ -238,7 +285,7 @@ export const useBot = () => {
     try {
       console.log(`Bot speaking: "${text}"`);
 
-      const response = await fetch(`${apiUrl}/api/voice/speak`, {
+      const response = await authFetch(`${apiUrl}/api/voice/speak`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -263,7 +310,7 @@ export const useBot = () => {
     } finally {
       setIsLoading(false);
     }
-  }, [botData, apiUrl]);
+  }, [botData, apiUrl, authFetch]);
 
   // Connect WebSocket on mount
   useEffect(() => {
@@ -305,6 +352,7 @@ export const useBot = () => {
   return {
     // State
     botData,
+    botEvents,
     isLoading,
     error,
     hasActiveBot: !!botData,
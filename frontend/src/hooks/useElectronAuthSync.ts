@@ -0,0 +1,33 @@
+import { useEffect, useRef } from 'react';
+import { useAuth } from '@clerk/clerk-react';
+
+/**
+ * Share the Clerk session with the Electron main process, which records
+ * meetings as the signed-in user and pauses auto-recording while signed out.
+ * Does nothing in the browser.
+ */
+export const useElectronAuthSync = () => {
+  const { isLoaded, userId, getToken } = useAuth();
+
+  // Keep the latest getToken for the main process's token requests
+  const getTokenRef = useRef(getToken);
+  getTokenRef.current = getToken;
+
+  const inElectron = typeof window !== 'undefined' && !!window.electronAPI?.isElectron;
+
+  useEffect(() => {
+    if (!inElectron) return;
+
+    window.electronAPI.onAuthTokenRequest(() => getTokenRef.current());
+
+    return () => {
+      window.electronAPI.removeListener('auth-token-request');
+    };
+  }, [inElectron]);
+
+  useEffect(() => {
+    if (!inElectron || !isLoaded) return;
+
+    window.electronAPI.setAuthSession(userId ? { userId } : null);
+  }, [inElectron, isLoaded, userId]);
+};
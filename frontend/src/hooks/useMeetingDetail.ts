@@ -0,0 +1,130 @@
+import { useState, useCallback, useEffect } from 'react';
+import { useUser } from '@clerk/clerk-react';
+import { useAuthFetch } from './useAuthFetch';
+
+export interface MeetingSummary {
+  version?: number;
+  summary?: string;
+  keyPoints: string[];
+  actionItems: { text: string; assignee?: string; dueDate?: string }[];
+  decisions: string[];
+  generatedAt?: string;
+}
+
+export interface MeetingDetail {
+  id: string;
+  // User who recorded the meeting
+  userId: string;
+  // Workspace the meeting belongs to (null for a personal meeting)
+  workspaceId: string | null;
+  // What the signed-in user may do: view, edit, or manage (share, move, delete)
+  access: 'view' | 'edit' | 'manage';
+  title: string;
+  recordingType: 'bot' | 'desktop';
+  status: string;
+  startTime: string;
+  endTime?: string;
+  transcriptCount: number;
+  // Set when the retention policy deleted the transcript / summaries
+  transcriptPurgedAt?: string | null;
+  summaryPurgedAt?: string | null;
+  summary?: MeetingSummary;
+}
+
+export interface Redaction {
+  // Position of the placeholder in the segment text
+  start: number;
+  end: number;
+  type: 'email' | 'phone' | 'card' | 'custom' | 'keyword';
+  label?: string;
+  // Only present when the transcript is loaded with reveal
+  original?: string;
+}
+
+export interface TranscriptSegment {
+  id: string;
+  speaker: string;
+  text: string;
+  timestamp: string;
+  // Seconds from the start of the recording
+  startOffset?: number | null;
+  endOffset?: number | null;
+  confidence: number;
+  redactions?: Redaction[];
+}
+
+/**
+ * A stored meeting with its summary and full transcript
+ *
+ * @param reveal - Load the original text of redacted spans
+ */
+export const useMeetingDetail = (meetingId?: string, reveal = false) => {
+  const { user } = useUser();
+  const authFetch = useAuthFetch();
+  const [meeting, setMeeting] = useState<MeetingDetail | null>(null);
+  const [segments, setSegments] = useState<TranscriptSegment[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+  /**
+   * Load the meeting, then page through its transcript
+   */
+  const fetchMeeting = useCallback(async () => {
+    if (!user || !meetingId) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/meetings/${meetingId}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load meeting');
+      }
+
+      setMeeting(data.meeting);
+
+      const loaded: TranscriptSegment[] = [];
+      let cursor: string | null = null;
+      do {
+        const cursorParam = cursor ? `&cursor=${encodeURIComponent(cursor)}` : '';
+        const revealParam = reveal ? '&reveal=true' : '';
+        const pageResponse = await authFetch(
+          `${apiUrl}/api/transcription/${meetingId}?limit=500${cursorParam}${revealParam}`
+        );
+        const page = await pageResponse.json();
+
+        if (!pageResponse.ok) {
+          throw new Error(page.error || 'Failed to load transcript');
+        }
+
+        loaded.push(...page.transcriptions);
+        cursor = page.nextCursor;
+      } while (cursor);
+
+      setSegments(loaded);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load meeting');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user, meetingId, reveal, apiUrl, authFetch]);
+
+  useEffect(() => {
+    fetchMeeting();
+  }, [fetchMeeting]);
+
+  return {
+    // State
+    meeting,
+    segments,
+    isLoading,
+    error,
+
+    // Actions
+    fetchMeeting
+  };
+};
@@ -0,0 +1,124 @@
+import { useState, useCallback, useEffect } from 'react';
+import { useUser } from '@clerk/clerk-react';
+import { useAuthFetch } from './useAuthFetch';
+
+export type ShareRole = 'viewer' | 'editor';
+
+export interface MeetingShare {
+  userId: string;
+  role: ShareRole;
+  sharedBy?: string;
+  sharedAt: string;
+  name?: string;
+  email?: string;
+}
+
+/**
+ * Who a meeting is shared with, and moving it between workspaces
+ */
+export const useMeetingSharing = (meetingId?: string) => {
+  const { user } = useUser();
+  const authFetch = useAuthFetch();
+  const [shares, setShares] = useState<MeetingShare[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+  /**
+   * Load the meeting's shares
+   */
+  const fetchShares = useCallback(async () => {
+    if (!user || !meetingId) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/meetings/${meetingId}/shares`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load shares');
+      }
+
+      setShares(data.shares);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load shares');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user, meetingId, apiUrl, authFetch]);
+
+  /**
+   * Send a sharing change, then reload the shares
+   */
+  const send = useCallback(async (path: string, method: string, body: object | null, failure: string) => {
+    if (!user || !meetingId) return false;
+
+    setError(null);
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/meetings/${meetingId}/${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || failure);
+      }
+
+      await fetchShares();
+      return true;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : failure);
+      return false;
+    }
+  }, [user, meetingId, apiUrl, authFetch, fetchShares]);
+
+  /**
+   * Share the meeting with a teammate by email, or change their role
+   */
+  const shareMeeting = useCallback(
+    (email: string, role: ShareRole) => send('shares', 'PUT', { email, role }, 'Failed to share meeting'),
+    [send]
+  );
+
+  /**
+   * Stop sharing the meeting with a teammate
+   */
+  const unshareMeeting = useCallback(
+    (userId: string) => send(`shares/${userId}`, 'DELETE', null, 'Failed to remove share'),
+    [send]
+  );
+
+  /**
+   * Move the meeting into a workspace (null for your personal meetings)
+   */
+  const moveToWorkspace = useCallback(
+    (workspaceId: string | null) => send('workspace', 'PUT', { workspaceId }, 'Failed to move meeting'),
+    [send]
+  );
+
+  useEffect(() => {
+    fetchShares();
+  }, [fetchShares]);
+
+  return {
+    // State
+    shares,
+    isLoading,
+    error,
+
+    // Actions
+    fetchShares,
+    shareMeeting,
+    unshareMeeting,
+    moveToWorkspace
+  };
+};
@@ -0,0 +1,119 @@
+import { useState, useCallback, useEffect } from 'react';
+import { useUser } from '@clerk/clerk-react';
+import { useAuthFetch } from './useAuthFetch';
+
+export interface Participant {
+  id: string;
+  speakerLabel: string;
+  aliases: string[];
+  displayName: string;
+  email?: string;
+  isHost: boolean;
+  platform?: string;
+  joinedAt?: string;
+  leftAt?: string;
+  segmentCount: number;
+  firstSpokeAt: string | null;
+  lastSpokeAt: string | null;
+}
+
+/**
+ * A meeting's participant roster, with rename and merge
+ */
+export const useParticipants = (meetingId?: string) => {
+  const { user } = useUser();
+  const authFetch = useAuthFetch();
+  const [participants, setParticipants] = useState<Participant[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+  /**
+   * Load the roster
+   */
+  const fetchParticipants = useCallback(async () => {
+    if (!user || !meetingId) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await authFetch(
+        `${apiUrl}/api/meetings/${meetingId}/participants`
+      );
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load participants');
+      }
+
+      setParticipants(data.participants);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load participants');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user, meetingId, apiUrl, authFetch]);
+
+  /**
+   * Send a roster change, then reload the roster
+   */
+  const send = useCallback(async (path: string, method: string, body: object, failure: string) => {
+    if (!user || !meetingId) return false;
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/meetings/${meetingId}/participants/${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body)
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || failure);
+      }
+
+      await fetchParticipants();
+      return true;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : failure);
+      return false;
+    }
+  }, [user, meetingId, apiUrl, authFetch, fetchParticipants]);
+
+  /**
+   * Rename a participant (updates transcript speakers and assignees)
+   */
+  const renameParticipant = useCallback(
+    (id: string, displayName: string) => send(id, 'PATCH', { displayName }, 'Failed to rename participant'),
+    [send]
+  );
+
+  /**
+   * Merge a participant into another one
+   */
+  const mergeParticipant = useCallback(
+    (id: string, targetId: string) => send(`${id}/merge`, 'POST', { targetId }, 'Failed to merge participants'),
+    [send]
+  );
+
+  useEffect(() => {
+    fetchParticipants();
+  }, [fetchParticipants]);
+
+  return {
+    // State
+    participants,
+    isLoading,
+    error,
+
+    // Actions
+    fetchParticipants,
+    renameParticipant,
+    mergeParticipant
+  };
+};
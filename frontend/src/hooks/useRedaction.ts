@@ -0,0 +1,231 @@
+import { useState, useCallback, useEffect } from 'react';
+import { useUser } from '@clerk/clerk-react';
+import { useAuthFetch } from './useAuthFetch';
+import type { Redaction } from './useMeetingDetail';
+
+export type RedactionMode = 'off' | 'storage' | 'llm' | 'both';
+export type RedactionType = 'email' | 'phone' | 'card';
+
+export interface RedactionPattern {
+  name: string;
+  pattern: string;
+  flags?: string;
+}
+
+export interface RedactionSettings {
+  mode: RedactionMode;
+  types: RedactionType[];
+  patterns: RedactionPattern[];
+  keywords: string[];
+}
+
+// Patterns and keywords a workspace adds to its meetings' owners' policies
+export type RedactionLists = Pick<RedactionSettings, 'patterns' | 'keywords'>;
+
+export interface RedactionPolicy extends RedactionSettings {
+  // Fields the user set (the others are server defaults)
+  custom: (keyof RedactionSettings)[];
+}
+
+export interface RedactionPreview {
+  text: string;
+  redactions: Redaction[];
+}
+
+/**
+ * The signed-in user's PII redaction policy
+ */
+export const useRedaction = () => {
+  const { user } = useUser();
+  const authFetch = useAuthFetch();
+  const [policy, setPolicy] = useState<RedactionPolicy | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+  /**
+   * Load the policy
+   */
+  const fetchPolicy = useCallback(async () => {
+    if (!user) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/redaction`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load redaction policy');
+      }
+
+      setPolicy(data.policy);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load redaction policy');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user, apiUrl, authFetch]);
+
+  /**
+   * Save policy fields (null resets to the server defaults)
+   */
+  const savePolicy = useCallback(async (settings: Partial<RedactionSettings> | null) => {
+    if (!user) return false;
+
+    setError(null);
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/redaction`, {
+        method: settings ? 'PUT' : 'DELETE',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(settings ?? {})
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save redaction policy');
+      }
+
+      setPolicy(data.policy);
+      return true;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save redaction policy');
+      return false;
+    }
+  }, [user, apiUrl, authFetch]);
+
+  /**
+   * Show what the saved policy would redact in a sample text
+   */
+  const previewText = useCallback(async (text: string): Promise<RedactionPreview | null> => {
+    if (!user) return null;
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/redaction/preview`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ text })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to preview redaction');
+      }
+
+      return { text: data.text, redactions: data.redactions };
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to preview redaction');
+      return null;
+    }
+  }, [user, apiUrl, authFetch]);
+
+  useEffect(() => {
+    fetchPolicy();
+  }, [fetchPolicy]);
+
+  return {
+    // State
+    policy,
+    isLoading,
+    error,
+
+    // Actions
+    fetchPolicy,
+    savePolicy,
+    previewText
+  };
+};
+
+/**
+ * A workspace's redaction patterns and keywords (nothing loaded without a workspace)
+ */
+export const useWorkspaceRedaction = (workspaceId: string | null) => {
+  const { user } = useUser();
+  const authFetch = useAuthFetch();
+  const [lists, setLists] = useState<RedactionLists | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+  /**
+   * Load the lists
+   */
+  const fetchLists = useCallback(async () => {
+    setLists(null);
+    if (!user || !workspaceId) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/workspaces/${workspaceId}/redaction`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load workspace redaction');
+      }
+
+      setLists(data.redaction);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load workspace redaction');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user, workspaceId, apiUrl, authFetch]);
+
+  /**
+   * Save patterns and/or keywords (workspace owners only)
+   */
+  const saveLists = useCallback(async (updates: Partial<RedactionLists>) => {
+    if (!user || !workspaceId) return false;
+
+    setError(null);
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/workspaces/${workspaceId}/redaction`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(updates)
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save workspace redaction');
+      }
+
+      setLists(data.redaction);
+      return true;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save workspace redaction');
+      return false;
+    }
+  }, [user, workspaceId, apiUrl, authFetch]);
+
+  useEffect(() => {
+    fetchLists();
+  }, [fetchLists]);
+
+  return {
+    // State
+    lists,
+    isLoading,
+    error,
+
+    // Actions
+    fetchLists,
+    saveLists
+  };
+};
@@ -0,0 +1,242 @@
+import { useState, useCallback, useEffect } from 'react';
+import { useUser } from '@clerk/clerk-react';
+import { useAuthFetch } from './useAuthFetch';
+
+export type RetentionField = 'transcriptDays' | 'summaryDays' | 'trashDays';
+
+// Days to keep each kind of data; null keeps it forever
+export type RetentionPeriods = Record<RetentionField, number | null>;
+
+export interface RetentionPolicy extends RetentionPeriods {
+  // Periods the user set (the others are server defaults)
+  custom: RetentionField[];
+}
+
+export interface RemovedCounts {
+  transcripts: number;
+  segments: number;
+  summaries: number;
+  meetings: number;
+}
+
+export interface RetentionReport {
+  id: string;
+  trigger: 'schedule' | 'manual';
+  startedAt: string;
+  finishedAt?: string;
+  removed?: RemovedCounts;
+}
+
+/**
+ * The signed-in user's data retention policy and purge reports
+ */
+export const useRetention = () => {
+  const { user } = useUser();
+  const authFetch = useAuthFetch();
+  const [policy, setPolicy] = useState<RetentionPolicy | null>(null);
+  const [defaults, setDefaults] = useState<RetentionPeriods | null>(null);
+  const [reports, setReports] = useState<RetentionReport[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isPurging, setIsPurging] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+  /**
+   * Load the policy and recent reports
+   */
+  const fetchRetention = useCallback(async () => {
+    if (!user) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const [policyResponse, reportsResponse] = await Promise.all([
+        authFetch(`${apiUrl}/api/retention`),
+        authFetch(`${apiUrl}/api/retention/reports`),
+      ]);
+      const policyData = await policyResponse.json();
+      const reportsData = await reportsResponse.json();
+
+      if (!policyResponse.ok) {
+        throw new Error(policyData.error || 'Failed to load retention policy');
+      }
+      if (!reportsResponse.ok) {
+        throw new Error(reportsData.error || 'Failed to load retention reports');
+      }
+
+      setPolicy(policyData.policy);
+      setDefaults(policyData.defaults);
+      setReports(reportsData.reports);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load retention policy');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user, apiUrl, authFetch]);
+
+  /**
+   * Save retention periods (DELETE resets to the server defaults)
+   */
+  const savePolicy = useCallback(async (periods: Partial<RetentionPeriods> | null) => {
+    if (!user) return false;
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/retention`, {
+        method: periods ? 'PUT' : 'DELETE',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(periods)
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save retention policy');
+      }
+
+      setPolicy(data.policy);
+      return true;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save retention policy');
+      return false;
+    }
+  }, [user, apiUrl, authFetch]);
+
+  /**
+   * Apply the policy now
+   */
+  const purgeNow = useCallback(async () => {
+    if (!user) return null;
+
+    setIsPurging(true);
+    setError(null);
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/retention/purge`, {
+        method: 'POST'
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to run purge');
+      }
+
+      await fetchRetention();
+      return data.removed as RemovedCounts;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to run purge');
+      return null;
+    } finally {
+      setIsPurging(false);
+    }
+  }, [user, apiUrl, authFetch, fetchRetention]);
+
+  useEffect(() => {
+    fetchRetention();
+  }, [fetchRetention]);
+
+  return {
+    // State
+    policy,
+    defaults,
+    reports,
+    isLoading,
+    isPurging,
+    error,
+
+    // Actions
+    fetchRetention,
+    savePolicy,
+    purgeNow
+  };
+};
+
+/**
+ * A workspace's retention periods, applied to its meetings on top of each
+ * owner's own policy (null sets no workspace limit)
+ */
+export const useWorkspaceRetention = (workspaceId: string | null) => {
+  const { user } = useUser();
+  const authFetch = useAuthFetch();
+  const [periods, setPeriods] = useState<RetentionPeriods | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+  /**
+   * Load the periods
+   */
+  const fetchPeriods = useCallback(async () => {
+    setPeriods(null);
+    if (!user || !workspaceId) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/workspaces/${workspaceId}/retention`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load workspace retention');
+      }
+
+      setPeriods(data.retention);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load workspace retention');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user, workspaceId, apiUrl, authFetch]);
+
+  /**
+   * Save retention periods (workspace owners only)
+   */
+  const savePeriods = useCallback(async (updates: Partial<RetentionPeriods>) => {
+    if (!user || !workspaceId) return false;
+
+    setError(null);
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/workspaces/${workspaceId}/retention`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(updates)
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save workspace retention');
+      }
+
+      setPeriods(data.retention);
+      return true;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save workspace retention');
+      return false;
+    }
+  }, [user, workspaceId, apiUrl, authFetch]);
+
+  useEffect(() => {
+    fetchPeriods();
+  }, [fetchPeriods]);
+
+  return {
+    // State
+    periods,
+    isLoading,
+    error,
+
+    // Actions
+    fetchPeriods,
+    savePeriods
+  };
+};
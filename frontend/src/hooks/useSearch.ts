@@ -0,0 +1,89 @@
+import { useState, useCallback } from 'react';
+import { useUser } from '@clerk/clerk-react';
+import { useAuthFetch } from './useAuthFetch';
+
+// [start, end) character ranges of a snippet that matched the query
+export type Highlight = [number, number];
+
+export interface TranscriptMatch {
+  meetingId: string;
+  meetingTitle?: string;
+  meetingStartTime?: string;
+  segmentId: string;
+  speaker: string;
+  timestamp: string;
+  snippet: string;
+  highlights: Highlight[];
+}
+
+export interface SummaryMatch {
+  meetingId: string;
+  meetingTitle?: string;
+  meetingStartTime?: string;
+  field: 'summary' | 'keyPoints' | 'decisions';
+  snippet: string;
+  highlights: Highlight[];
+}
+
+export interface SearchFilters {
+  speaker?: string;
+  from?: string;
+  to?: string;
+  type?: 'all' | 'transcripts' | 'summaries';
+}
+
+/**
+ * Full-text search over the signed-in user's meetings
+ */
+export const useSearch = () => {
+  const { user } = useUser();
+  const authFetch = useAuthFetch();
+  const [transcripts, setTranscripts] = useState<TranscriptMatch[]>([]);
+  const [summaries, setSummaries] = useState<SummaryMatch[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+  /**
+   * Run a search
+   */
+  const search = useCallback(async (q: string, filters: SearchFilters = {}) => {
+    if (!user || !q.trim()) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const params = new URLSearchParams({ q });
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+      });
+
+      const response = await authFetch(`${apiUrl}/api/search?${params}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Search failed');
+      }
+
+      setTranscripts(data.transcripts);
+      setSummaries(data.summaries);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Search failed');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user, apiUrl, authFetch]);
+
+  return {
+    // State
+    transcripts,
+    summaries,
+    isLoading,
+    error,
+
+    // Actions
+    search
+  };
+};
@@ -0,0 +1,166 @@
+import { useState, useCallback, useEffect } from 'react';
+import { useUser } from '@clerk/clerk-react';
+import { useAuthFetch } from './useAuthFetch';
+
+export type ShareSection = 'summary' | 'keyPoints' | 'decisions' | 'actionItems' | 'transcript';
+
+export interface ShareLink {
+  id: string;
+  meetingId: string;
+  label?: string;
+  sections: ShareSection[];
+  url: string;
+  expiresAt: string;
+  revokedAt: string | null;
+  // Neither expired nor revoked
+  active: boolean;
+  accessCount: number;
+  lastAccessedAt: string | null;
+  createdAt: string;
+}
+
+export interface ShareLinkAccess {
+  accessedAt: string;
+  ip?: string;
+  userAgent?: string;
+}
+
+export interface NewShareLink {
+  sections: ShareSection[];
+  expiresInDays: number;
+  label?: string;
+}
+
+/**
+ * A meeting's public share links, with create, revoke and access logs
+ */
+export const useShareLinks = (meetingId?: string) => {
+  const { user } = useUser();
+  const authFetch = useAuthFetch();
+  const [shareLinks, setShareLinks] = useState<ShareLink[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+  /**
+   * Load the links
+   */
+  const fetchShareLinks = useCallback(async () => {
+    if (!user || !meetingId) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/meetings/${meetingId}/share-links`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load share links');
+      }
+
+      setShareLinks(data.shareLinks);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load share links');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user, meetingId, apiUrl, authFetch]);
+
+  /**
+   * Create a link
+   */
+  const createShareLink = useCallback(async (link: NewShareLink): Promise<ShareLink | null> => {
+    if (!user || !meetingId) return null;
+
+    setError(null);
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/meetings/${meetingId}/share-links`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(link)
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create share link');
+      }
+
+      await fetchShareLinks();
+      return data.shareLink;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to create share link');
+      return null;
+    }
+  }, [user, meetingId, apiUrl, authFetch, fetchShareLinks]);
+
+  /**
+   * Revoke a link
+   */
+  const revokeShareLink = useCallback(async (linkId: string) => {
+    if (!user || !meetingId) return false;
+
+    setError(null);
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/meetings/${meetingId}/share-links/${linkId}`, {
+        method: 'DELETE',
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to revoke share link');
+      }
+
+      await fetchShareLinks();
+      return true;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to revoke share link');
+      return false;
+    }
+  }, [user, meetingId, apiUrl, authFetch, fetchShareLinks]);
+
+  /**
+   * Load who opened a link
+   */
+  const fetchAccessLog = useCallback(async (linkId: string): Promise<ShareLinkAccess[] | null> => {
+    if (!user || !meetingId) return null;
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/meetings/${meetingId}/share-links/${linkId}/access`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load access log');
+      }
+
+      return data.accesses;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load access log');
+      return null;
+    }
+  }, [user, meetingId, apiUrl, authFetch]);
+
+  useEffect(() => {
+    fetchShareLinks();
+  }, [fetchShareLinks]);
+
+  return {
+    // State
+    shareLinks,
+    isLoading,
+    error,
+
+    // Actions
+    fetchShareLinks,
+    createShareLink,
+    revokeShareLink,
+    fetchAccessLog
+  };
+};
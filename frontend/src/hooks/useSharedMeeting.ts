@@ -0,0 +1,64 @@
+import { useState, useCallback, useEffect } from 'react';
+import type { ShareSection } from './useShareLinks';
+
+export interface SharedMeeting {
+  title: string;
+  startTime: string;
+  endTime?: string;
+  durationSeconds?: number;
+  sections: ShareSection[];
+  expiresAt: string;
+  // Only the sections chosen for the link are present
+  summary?: string | null;
+  keyPoints?: string[];
+  decisions?: string[];
+  actionItems?: { text: string; assignee?: string; dueDate?: string }[];
+  transcript?: { speaker: string; text: string; timestamp: string }[];
+}
+
+/**
+ * A meeting opened through a public share link (no Clerk session needed)
+ */
+export const useSharedMeeting = (token?: string) => {
+  const [meeting, setMeeting] = useState<SharedMeeting | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+  /**
+   * Load the shared meeting
+   */
+  const fetchMeeting = useCallback(async () => {
+    if (!token) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`${apiUrl}/api/public/share/${encodeURIComponent(token)}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load shared meeting');
+      }
+
+      setMeeting(data.meeting);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load shared meeting');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [token, apiUrl]);
+
+  useEffect(() => {
+    fetchMeeting();
+  }, [fetchMeeting]);
+
+  return {
+    // State
+    meeting,
+    isLoading,
+    error
+  };
+};
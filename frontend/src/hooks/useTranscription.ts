@@ -1,6 +1,7 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
 import { useUser } from '@clerk/clerk-react';
 import { useAudioCapture } from './useAudioCapture';
+import { useAuthWebSocketUrl } from './useAuthWebSocketUrl';
 
 export interface Transcription {
   id: string;
@@ -30,6 +31,7 @@ export const useTranscription = () => {
   const [error, setError] = useState<string | null>(null);
 
   const wsUrl = import.meta.env.VITE_WS_URL || 'ws://localhost:3001';
+  const getWebSocketUrl = useAuthWebSocketUrl(wsUrl);
 
   /**
    * Handle incoming audio data and send to backend
@@ -59,13 +61,13 @@ export const useTranscription = () => {
   /**
    * Connect to WebSocket server
    */
-  const connect = useCallback(() => {
+  const connect = useCallback(async () => {
     if (wsRef.current?.readyState === WebSocket.OPEN) {
       return; // Already connected
     }
 
     try {
-      const ws = new WebSocket(wsUrl);
+      const ws = new WebSocket(await getWebSocketUrl());
 
       ws.onopen = () => {
         console.log('✅ WebSocket connected');
@@ -158,7 +160,7 @@ export const useTranscription = () => {
       console.error('Failed to create WebSocket:', err);
       setError('Failed to connect to server');
     }
-  }, [wsUrl]);
+  }, [getWebSocketUrl]);
 
   /**
    * Start transcription
@@ -182,7 +184,6 @@ export const useTranscription = () => {
       // Send start message to backend
       wsRef.current?.send(JSON.stringify({
         type: 'start_transcription',
-        userId: user.id,
         title: `Meeting ${new Date().toLocaleString()}`
       }));
 
@@ -0,0 +1,191 @@
+import { useState, useCallback, useEffect } from 'react';
+import { useUser } from '@clerk/clerk-react';
+import { useAuthFetch } from './useAuthFetch';
+
+export interface UsageCounters {
+  bots: number;
+  botMinutes: number;
+  llmCalls: number;
+  llmInputTokens: number;
+  llmOutputTokens: number;
+  ttsCalls: number;
+  ttsCharacters: number;
+}
+
+// Monthly quotas; null is unlimited
+export interface UsageQuotas {
+  botMinutes: number | null;
+  ttsCharacters: number | null;
+}
+
+export type QuotaMetric = keyof UsageQuotas;
+
+export interface UsageStatus {
+  period: string;
+  usage: UsageCounters;
+  quotas: UsageQuotas & { custom: QuotaMetric[] };
+  // Quotas that are used up
+  exceeded: QuotaMetric[];
+  isAdmin: boolean;
+}
+
+export interface UserUsage extends UsageCounters {
+  userId: string;
+  name?: string;
+  email?: string;
+  quotas: UsageQuotas;
+}
+
+export interface ElevenLabsAllowance {
+  tier: string;
+  characterCount: number;
+  characterLimit: number;
+  resetsAt: string | null;
+}
+
+// Current month as YYYY-MM (UTC, like the backend)
+export const currentPeriod = () => new Date().toISOString().slice(0, 7);
+
+/**
+ * The signed-in user's usage of paid providers and, for admins, everyone's
+ */
+export const useUsage = () => {
+  const { user } = useUser();
+  const authFetch = useAuthFetch();
+  const [period, setPeriod] = useState(currentPeriod);
+  const [status, setStatus] = useState<UsageStatus | null>(null);
+  const [users, setUsers] = useState<UserUsage[]>([]);
+  const [elevenlabs, setElevenlabs] = useState<ElevenLabsAllowance | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+  /**
+   * Load everyone's usage for the period (admins only)
+   */
+  const fetchUsers = useCallback(async () => {
+    if (!user) return;
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/usage/users?period=${period}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load usage by user');
+      }
+
+      setUsers(data.users);
+      setElevenlabs(data.providers.elevenlabs);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load usage by user');
+    }
+  }, [user, apiUrl, authFetch, period]);
+
+  /**
+   * Load the user's usage for the period (and everyone's, for admins)
+   */
+  const fetchUsage = useCallback(async () => {
+    if (!user) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/usage?period=${period}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load usage');
+      }
+
+      setStatus(data);
+
+      if (data.isAdmin) {
+        await fetchUsers();
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load usage');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user, apiUrl, authFetch, period, fetchUsers]);
+
+  /**
+   * Override a user's quotas (admins only)
+   */
+  const setQuotas = useCallback(async (userId: string, quotas: Partial<UsageQuotas>) => {
+    if (!user) return false;
+
+    setError(null);
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/usage/users/${userId}/quotas`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(quotas)
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update quotas');
+      }
+
+      await fetchUsage();
+      return true;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update quotas');
+      return false;
+    }
+  }, [user, apiUrl, authFetch, fetchUsage]);
+
+  /**
+   * Put a user back on the server default quotas (admins only)
+   */
+  const resetQuotas = useCallback(async (userId: string) => {
+    if (!user) return false;
+
+    setError(null);
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/usage/users/${userId}/quotas`, {
+        method: 'DELETE',
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to reset quotas');
+      }
+
+      await fetchUsage();
+      return true;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to reset quotas');
+      return false;
+    }
+  }, [user, apiUrl, authFetch, fetchUsage]);
+
+  useEffect(() => {
+    fetchUsage();
+  }, [fetchUsage]);
+
+  return {
+    // State
+    period,
+    status,
+    users,
+    elevenlabs,
+    isLoading,
+    error,
+
+    // Actions
+    setPeriod,
+    fetchUsage,
+    setQuotas,
+    resetQuotas
+  };
+};
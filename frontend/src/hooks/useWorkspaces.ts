@@ -0,0 +1,177 @@
+import { useState, useCallback, useEffect } from 'react';
+import { useUser } from '@clerk/clerk-react';
+import { useAuthFetch } from './useAuthFetch';
+
+export type WorkspaceRole = 'owner' | 'editor' | 'viewer';
+
+export interface WorkspaceMember {
+  userId: string;
+  role: WorkspaceRole;
+  addedAt: string;
+  name?: string;
+  email?: string;
+}
+
+export interface Workspace {
+  id: string;
+  name: string;
+  createdBy: string;
+  // The signed-in user's role
+  role: WorkspaceRole;
+  memberCount: number;
+  // Only present when a single workspace is loaded
+  members?: WorkspaceMember[];
+}
+
+/**
+ * The signed-in user's workspaces, with create, rename, delete and member management
+ */
+export const useWorkspaces = () => {
+  const { user } = useUser();
+  const authFetch = useAuthFetch();
+  const [workspaces, setWorkspaces] = useState<Workspace[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+  /**
+   * Load the workspaces
+   */
+  const fetchWorkspaces = useCallback(async () => {
+    if (!user) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/workspaces`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load workspaces');
+      }
+
+      setWorkspaces(data.workspaces);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load workspaces');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user, apiUrl, authFetch]);
+
+  /**
+   * Load one workspace with its members
+   */
+  const fetchWorkspace = useCallback(async (id: string): Promise<Workspace | null> => {
+    if (!user) return null;
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/workspaces/${id}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load workspace');
+      }
+
+      return data.workspace;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load workspace');
+      return null;
+    }
+  }, [user, apiUrl, authFetch]);
+
+  /**
+   * Send a workspace change, then reload the list
+   *
+   * @returns The updated workspace (if the server returned one), true, or null on failure
+   */
+  const send = useCallback(async (path: string, method: string, body: object | null, failure: string) => {
+    if (!user) return null;
+
+    setError(null);
+
+    try {
+      const response = await authFetch(`${apiUrl}/api/workspaces${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || failure);
+      }
+
+      await fetchWorkspaces();
+      return (data.workspace as Workspace | undefined) ?? true;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : failure);
+      return null;
+    }
+  }, [user, apiUrl, authFetch, fetchWorkspaces]);
+
+  /**
+   * Create a workspace (you become its owner)
+   */
+  const createWorkspace = useCallback(
+    (name: string) => send('', 'POST', { name }, 'Failed to create workspace'),
+    [send]
+  );
+
+  /**
+   * Rename a workspace
+   */
+  const renameWorkspace = useCallback(
+    (id: string, name: string) => send(`/${id}`, 'PATCH', { name }, 'Failed to rename workspace'),
+    [send]
+  );
+
+  /**
+   * Delete a workspace (its meetings go back to their creators)
+   */
+  const deleteWorkspace = useCallback(
+    (id: string) => send(`/${id}`, 'DELETE', null, 'Failed to delete workspace'),
+    [send]
+  );
+
+  /**
+   * Add a member by email, or change a member's role
+   */
+  const setMember = useCallback(
+    (id: string, member: { userId?: string; email?: string }, role: WorkspaceRole) =>
+      send(`/${id}/members`, 'PUT', { ...member, role }, 'Failed to update member'),
+    [send]
+  );
+
+  /**
+   * Remove a member (or leave, with your own user ID)
+   */
+  const removeMember = useCallback(
+    (id: string, userId: string) => send(`/${id}/members/${userId}`, 'DELETE', null, 'Failed to remove member'),
+    [send]
+  );
+
+  useEffect(() => {
+    fetchWorkspaces();
+  }, [fetchWorkspaces]);
+
+  return {
+    // State
+    workspaces,
+    isLoading,
+    error,
+
+    // Actions
+    fetchWorkspaces,
+    fetchWorkspace,
+    createWorkspace,
+    renameWorkspace,
+    deleteWorkspace,
+    setMember,
+    removeMember
+  };
+};
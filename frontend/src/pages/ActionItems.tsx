@@ -0,0 +1,182 @@
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { ArrowLeft, Calendar, Clock, ListChecks, Trash2, User } from "lucide-react";
+import { useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { UserButton } from "@clerk/clerk-react";
+import { ThemeToggle } from "@/components/ui/theme-toggle";
+import {
+  useActionItems,
+  type ActionItem,
+  type ActionItemPriority,
+  type ActionItemStatus,
+} from "@/hooks/useActionItems";
+
+const STATUS_FILTERS = {
+  open: "open,in_progress",
+  done: "done",
+  all: "all",
+} as const;
+
+const STATUS_LABELS: Record<ActionItemStatus, string> = {
+  open: "Open",
+  in_progress: "In progress",
+  done: "Done",
+  canceled: "Canceled",
+};
+
+const PRIORITY_STYLES: Record<ActionItemPriority, string> = {
+  low: "border-muted-foreground/30 text-muted-foreground",
+  medium: "border-primary/30 text-primary",
+  high: "border-destructive/30 text-destructive",
+};
+
+// Seconds into the transcript as mm:ss
+const formatOffset = (seconds: number) =>
+  `${String(Math.floor(seconds / 60)).padStart(2, "0")}:${String(Math.floor(seconds % 60)).padStart(2, "0")}`;
+
+const formatDueDate = (item: ActionItem) => {
+  if (item.dueDate) return new Date(item.dueDate).toLocaleDateString();
+  return item.dueDateText;
+};
+
+const isOverdue = (item: ActionItem) =>
+  !!item.dueDate && item.status !== "done" && new Date(item.dueDate) < new Date();
+
+const ActionItems = () => {
+  const navigate = useNavigate();
+  const [filter, setFilter] = useState<keyof typeof STATUS_FILTERS>("open");
+  const { actionItems, isLoading, error, updateActionItem, deleteActionItem } = useActionItems(
+    STATUS_FILTERS[filter]
+  );
+
+  return (
+    <div className="min-h-screen bg-background">
+      <header className="border-b border-border/50 backdrop-blur-glass bg-card/30">
+        <div className="container mx-auto px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Button variant="ghost" size="icon" onClick={() => navigate("/meeting")}>
+              <ArrowLeft className="w-5 h-5" />
+            </Button>
+            <div className="w-10 h-10 rounded-lg bg-gradient-primary flex items-center justify-center shadow-glow">
+              <ListChecks className="w-6 h-6 text-primary-foreground" />
+            </div>
+            <div>
+              <h1 className="text-xl font-bold">Action Items</h1>
+              <p className="text-xs text-muted-foreground">Follow-ups from all your meetings</p>
+            </div>
+          </div>
+
+          <div className="flex items-center gap-3">
+            <ThemeToggle />
+            <UserButton afterSignOutUrl="/" />
+          </div>
+        </div>
+      </header>
+
+      <main className="container mx-auto px-6 py-6 max-w-4xl">
+        <Tabs value={filter} onValueChange={(value) => setFilter(value as keyof typeof STATUS_FILTERS)}>
+          <TabsList className="mb-6">
+            <TabsTrigger value="open">Open</TabsTrigger>
+            <TabsTrigger value="done">Done</TabsTrigger>
+            <TabsTrigger value="all">All</TabsTrigger>
+          </TabsList>
+        </Tabs>
+
+        {error && <p className="text-sm text-destructive mb-4">{error}</p>}
+
+        {isLoading && actionItems.length === 0 ? (
+          <p className="text-sm text-muted-foreground">Loading action items...</p>
+        ) : actionItems.length === 0 ? (
+          <Card className="p-8 text-center bg-card/50 backdrop-blur-glass border-primary/10">
+            <p className="text-muted-foreground">No action items here yet.</p>
+          </Card>
+        ) : (
+          <div className="space-y-3">
+            {actionItems.map((item) => (
+              <Card
+                key={item.id}
+                className="p-4 flex items-start gap-4 bg-card/50 backdrop-blur-glass border-primary/10"
+              >
+                <Checkbox
+                  className="mt-1"
+                  checked={item.status === "done"}
+                  onCheckedChange={(checked) =>
+                    updateActionItem(item.id, { status: checked ? "done" : "open" })
+                  }
+                />
+
+                <div className="flex-1 min-w-0">
+                  <p className={item.status === "done" ? "line-through text-muted-foreground" : ""}>
+                    {item.text}
+                  </p>
+                  <div className="flex flex-wrap items-center gap-3 mt-2 text-xs text-muted-foreground">
+                    {item.meetingTitle && (
+                      <Link to={`/meetings/${item.meetingId}`} className="hover:text-primary">
+                        {item.meetingTitle}
+                      </Link>
+                    )}
+                    {item.sourceOffsetSeconds !== undefined && item.sourceOffsetSeconds !== null && (
+                      <span className="flex items-center gap-1">
+                        <Clock className="w-3 h-3" />
+                        {formatOffset(item.sourceOffsetSeconds)}
+                      </span>
+                    )}
+                    {item.assignee && (
+                      <span className="flex items-center gap-1">
+                        <User className="w-3 h-3" />
+                        {item.assignee}
+                      </span>
+                    )}
+                    {formatDueDate(item) && (
+                      <span className={`flex items-center gap-1 ${isOverdue(item) ? "text-destructive" : ""}`}>
+                        <Calendar className="w-3 h-3" />
+                        {formatDueDate(item)}
+                      </span>
+                    )}
+                  </div>
+                </div>
+
+                <Badge variant="outline" className={PRIORITY_STYLES[item.priority]}>
+                  {item.priority}
+                </Badge>
+
+                <Select
+                  value={item.status}
+                  onValueChange={(value) => updateActionItem(item.id, { status: value as ActionItemStatus })}
+                >
+                  <SelectTrigger className="w-[130px] h-8">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(STATUS_LABELS).map(([value, label]) => (
+                      <SelectItem key={value} value={value}>
+                        {label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+
+                <Button variant="ghost" size="icon" onClick={() => deleteActionItem(item.id)}>
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+              </Card>
+            ))}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default ActionItems;
@@ -0,0 +1,202 @@
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { ArrowLeft, Copy, KeyRound, Plus, Trash2 } from "lucide-react";
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { UserButton } from "@clerk/clerk-react";
+import { ThemeToggle } from "@/components/ui/theme-toggle";
+import { useToast } from "@/hooks/use-toast";
+import { useApiTokens } from "@/hooks/useApiTokens";
+
+const NEVER = "never";
+const EXPIRY_DAYS = ["30", "90", "365"];
+
+const ApiTokens = () => {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const { tokens, scopes, isLoading, error, createToken, revokeToken } = useApiTokens();
+  const [name, setName] = useState("");
+  const [selectedScopes, setSelectedScopes] = useState<string[]>([]);
+  const [expiry, setExpiry] = useState("90");
+  const [newToken, setNewToken] = useState<string | null>(null);
+
+  // Scopes grouped by area, e.g. { meetings: ["meetings:read", "meetings:write"] }
+  const areas = scopes.reduce<Record<string, string[]>>((groups, scope) => {
+    const [area] = scope.split(":");
+    (groups[area] ||= []).push(scope);
+    return groups;
+  }, {});
+
+  const toggleScope = (scope: string, checked: boolean) => {
+    setSelectedScopes(checked ? [...selectedScopes, scope] : selectedScopes.filter((s) => s !== scope));
+  };
+
+  const handleCreate = async () => {
+    if (!name.trim() || selectedScopes.length === 0) return;
+    const token = await createToken({
+      name: name.trim(),
+      scopes: selectedScopes,
+      expiresInDays: expiry === NEVER ? undefined : Number(expiry),
+    });
+    if (token) {
+      setNewToken(token);
+      setName("");
+      setSelectedScopes([]);
+    }
+  };
+
+  const copyToken = async () => {
+    if (!newToken) return;
+    await navigator.clipboard.writeText(newToken);
+    toast({ title: "Token copied", description: "Store it somewhere safe - it won't be shown again." });
+  };
+
+  return (
+    <div className="min-h-screen bg-background">
+      <header className="border-b border-border/50 backdrop-blur-glass bg-card/30">
+        <div className="container mx-auto px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Button variant="ghost" size="icon" onClick={() => navigate("/meeting")}>
+              <ArrowLeft className="w-5 h-5" />
+            </Button>
+            <div className="w-10 h-10 rounded-lg bg-gradient-primary flex items-center justify-center shadow-glow">
+              <KeyRound className="w-6 h-6 text-primary-foreground" />
+            </div>
+            <div>
+              <h1 className="text-xl font-bold">API Tokens</h1>
+              <p className="text-xs text-muted-foreground">Call the API from scripts as yourself</p>
+            </div>
+          </div>
+
+          <div className="flex items-center gap-3">
+            <ThemeToggle />
+            <UserButton afterSignOutUrl="/" />
+          </div>
+        </div>
+      </header>
+
+      <main className="container mx-auto px-6 py-6 max-w-3xl space-y-6">
+        {error && <p className="text-sm text-destructive">{error}</p>}
+
+        {newToken && (
+          <Card className="p-6 bg-primary/5 border-primary/30 space-y-3">
+            <div>
+              <h2 className="text-lg font-semibold">Your new token</h2>
+              <p className="text-xs text-muted-foreground">
+                Copy it now - it won't be shown again. Send it as <code>Authorization: Bearer &lt;token&gt;</code>.
+              </p>
+            </div>
+            <div className="flex items-center gap-2">
+              <code className="flex-1 text-xs break-all p-2 rounded bg-background border border-border">{newToken}</code>
+              <Button size="icon" variant="outline" onClick={copyToken}>
+                <Copy className="w-4 h-4" />
+              </Button>
+            </div>
+            <Button size="sm" variant="ghost" onClick={() => setNewToken(null)}>
+              Done
+            </Button>
+          </Card>
+        )}
+
+        <Card className="p-6 bg-card/50 backdrop-blur-glass border-primary/10 space-y-4">
+          <h2 className="text-lg font-semibold">New token</h2>
+          <Input placeholder="What is it for? e.g. Calendar script" value={name} onChange={(event) => setName(event.target.value)} />
+
+          <div className="grid gap-3 sm:grid-cols-2">
+            {Object.entries(areas).map(([area, areaScopes]) => (
+              <div key={area} className="p-3 rounded-lg bg-primary/5 border border-primary/20">
+                <p className="text-sm font-medium capitalize mb-2">{area}</p>
+                <div className="flex gap-4">
+                  {areaScopes.map((scope) => (
+                    <label key={scope} className="flex items-center gap-2 text-xs">
+                      <Checkbox
+                        checked={selectedScopes.includes(scope)}
+                        onCheckedChange={(checked) => toggleScope(scope, checked === true)}
+                      />
+                      {scope.split(":")[1]}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+          <p className="text-xs text-muted-foreground">Write access includes read access to the same area.</p>
+
+          <div className="flex items-center gap-2">
+            <Select value={expiry} onValueChange={setExpiry}>
+              <SelectTrigger className="w-[200px]">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {EXPIRY_DAYS.map((days) => (
+                  <SelectItem key={days} value={days}>
+                    Expires in {days} days
+                  </SelectItem>
+                ))}
+                <SelectItem value={NEVER}>Never expires</SelectItem>
+              </SelectContent>
+            </Select>
+            <Button disabled={!name.trim() || selectedScopes.length === 0} onClick={handleCreate}>
+              <Plus className="w-4 h-4 mr-2" />
+              Create token
+            </Button>
+          </div>
+        </Card>
+
+        <Card className="p-6 bg-card/50 backdrop-blur-glass border-primary/10 space-y-3">
+          <h2 className="text-lg font-semibold">Your tokens</h2>
+          {isLoading && tokens.length === 0 ? (
+            <p className="text-sm text-muted-foreground">Loading tokens...</p>
+          ) : tokens.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No tokens yet.</p>
+          ) : (
+            tokens.map((token) => {
+              const expired = token.expiresAt !== null && new Date(token.expiresAt) <= new Date();
+              return (
+                <div
+                  key={token.id}
+                  className="flex items-start justify-between gap-3 p-3 rounded-lg bg-primary/5 border border-primary/20"
+                >
+                  <div className="min-w-0 space-y-1">
+                    <div className="flex items-center gap-2">
+                      <p className="text-sm font-medium">{token.name}</p>
+                      <code className="text-xs text-muted-foreground">{token.prefix}…</code>
+                      {(token.revokedAt || expired) && (
+                        <Badge variant="outline" className="border-muted text-muted-foreground">
+                          {token.revokedAt ? "revoked" : "expired"}
+                        </Badge>
+                      )}
+                    </div>
+                    <p className="text-xs text-muted-foreground">{token.scopes.join(", ")}</p>
+                    <p className="text-xs text-muted-foreground">
+                      {token.lastUsedAt ? `Last used ${new Date(token.lastUsedAt).toLocaleString()}` : "Never used"}
+                      {" · "}
+                      {token.expiresAt ? `Expires ${new Date(token.expiresAt).toLocaleDateString()}` : "No expiry"}
+                    </p>
+                  </div>
+                  {!token.revokedAt && (
+                    <Button variant="ghost" size="icon" onClick={() => revokeToken(token.id)}>
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </Card>
+      </main>
+    </div>
+  );
+};
+
+export default ApiTokens;
@@ -12,8 +12,15 @@ import {
   WifiOff,
   Rocket,
   MessageSquareText,
+  ListChecks,
+  Search,
+  Archive,
+  ShieldCheck,
+  Users,
+  KeyRound,
+  Gauge,
 } from "lucide-react";
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { TranscriptionPanel } from "@/components/meeting/TranscriptionPanel";
 import { SummaryPanel } from "@/components/meeting/SummaryPanel";
@@ -49,6 +56,7 @@ const Meeting = () => {
   // Bot (Recall.ai integration) hooks
   const {
     botData,
+    botEvents,
     hasActiveBot,
     leaveMeeting,
     generateResponse,
@@ -86,6 +94,19 @@ const Meeting = () => {
     });
   }
 
+  // Toast bot events that need attention (waiting room, kicked, failed) - they can
+  // arrive after the bot has left and BotControls is gone
+  const latestBotEvent = botEvents[0];
+  useEffect(() => {
+    if (latestBotEvent && (latestBotEvent.severity === "warning" || latestBotEvent.severity === "error")) {
+      toast({
+        title: latestBotEvent.severity === "error" ? "Bot Problem" : "Bot Needs Attention",
+        description: latestBotEvent.message,
+        variant: latestBotEvent.severity === "error" ? "destructive" : "default",
+      });
+    }
+  }, [latestBotEvent, toast]);
+
   // Handle start/stop listening (microphone mode)
   const handleToggleListening = async () => {
     if (isTranscribing) {
@@ -202,6 +223,62 @@ const Meeting = () => {
 
             <div className="flex items-center gap-3">
               <ThemeToggle />
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => navigate("/search")}
+              >
+                <Search className="w-4 h-4 mr-2" />
+                Search
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => navigate("/action-items")}
+              >
+                <ListChecks className="w-4 h-4 mr-2" />
+                Action Items
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => navigate("/retention")}
+              >
+                <Archive className="w-4 h-4 mr-2" />
+                Retention
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => navigate("/redaction")}
+              >
+                <ShieldCheck className="w-4 h-4 mr-2" />
+                Redaction
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => navigate("/workspaces")}
+              >
+                <Users className="w-4 h-4 mr-2" />
+                Workspaces
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => navigate("/tokens")}
+              >
+                <KeyRound className="w-4 h-4 mr-2" />
+                API Tokens
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => navigate("/usage")}
+              >
+                <Gauge className="w-4 h-4 mr-2" />
+                Usage
+              </Button>
               <Badge
                 variant="outline"
                 className={
@@ -475,6 +552,7 @@ const Meeting = () => {
                     <BotControls
                       botId={botData.botId}
                       botStatus={botData}
+                      events={botEvents}
                       onLeave={handleBotLeave}
                       onGenerateResponse={handleGenerateResponse}
                       onSpeak={handleBotSpeak}
@@ -0,0 +1,191 @@
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { ArrowLeft, FileText, Search as SearchIcon } from "lucide-react";
+import { useEffect, useRef, useState } from "react";
+import { useNavigate, useParams, useSearchParams } from "react-router-dom";
+import { UserButton } from "@clerk/clerk-react";
+import { ThemeToggle } from "@/components/ui/theme-toggle";
+import { useMeetingDetail } from "@/hooks/useMeetingDetail";
+import { ParticipantsPanel } from "@/components/meeting/ParticipantsPanel";
+import { SharingPanel } from "@/components/meeting/SharingPanel";
+import { ShareLinksPanel } from "@/components/meeting/ShareLinksPanel";
+import { RedactedText } from "@/components/meeting/RedactedText";
+import { Switch } from "@/components/ui/switch";
+
+// Recording offset in seconds as m:ss (or h:mm:ss)
+const formatOffset = (seconds: number) => {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+};
+
+const MeetingDetail = () => {
+  const navigate = useNavigate();
+  const { meetingId } = useParams();
+  const [searchParams] = useSearchParams();
+  const targetSegmentId = searchParams.get("segment");
+  const targetRef = useRef<HTMLDivElement | null>(null);
+  const [reveal, setReveal] = useState(false);
+  const { meeting, segments, isLoading, error, fetchMeeting } = useMeetingDetail(meetingId, reveal);
+  const hasRedactions = segments.some((segment) => segment.redactions?.length);
+
+  // Scroll to the segment linked from search once the transcript is loaded
+  useEffect(() => {
+    targetRef.current?.scrollIntoView({ behavior: "smooth", block: "center" });
+  }, [segments, targetSegmentId]);
+
+  const summary = meeting?.summary;
+
+  return (
+    <div className="min-h-screen bg-background">
+      <header className="border-b border-border/50 backdrop-blur-glass bg-card/30">
+        <div className="container mx-auto px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Button variant="ghost" size="icon" onClick={() => navigate(-1)}>
+              <ArrowLeft className="w-5 h-5" />
+            </Button>
+            <div className="w-10 h-10 rounded-lg bg-gradient-primary flex items-center justify-center shadow-glow">
+              <FileText className="w-6 h-6 text-primary-foreground" />
+            </div>
+            <div>
+              <h1 className="text-xl font-bold">{meeting?.title || "Meeting"}</h1>
+              {meeting && (
+                <p className="text-xs text-muted-foreground">
+                  {new Date(meeting.startTime).toLocaleString()} · {meeting.transcriptCount} segments
+                </p>
+              )}
+            </div>
+          </div>
+
+          <div className="flex items-center gap-3">
+            <ThemeToggle />
+            <Button variant="ghost" size="sm" onClick={() => navigate("/search")}>
+              <SearchIcon className="w-4 h-4 mr-2" />
+              Search
+            </Button>
+            <UserButton afterSignOutUrl="/" />
+          </div>
+        </div>
+      </header>
+
+      <main className="container mx-auto px-6 py-6 grid gap-6 lg:grid-cols-3">
+        {error && <p className="text-sm text-destructive lg:col-span-3">{error}</p>}
+
+        <div className="lg:col-span-1 space-y-6">
+          <Card className="p-6 bg-card/50 backdrop-blur-glass border-primary/10 h-fit">
+            <h2 className="text-lg font-semibold mb-4">Summary</h2>
+            {!summary ? (
+              <p className="text-sm text-muted-foreground">
+                {meeting?.summaryPurgedAt ? "Summary deleted by your retention policy." : "No summary yet."}
+              </p>
+            ) : (
+              <div className="space-y-4 text-sm">
+                {summary.summary && <p className="text-muted-foreground">{summary.summary}</p>}
+
+                {summary.keyPoints.length > 0 && (
+                  <div>
+                    <h3 className="font-medium mb-2 text-muted-foreground">Key Points</h3>
+                    <ul className="list-disc pl-4 space-y-1">
+                      {summary.keyPoints.map((point, i) => <li key={i}>{point}</li>)}
+                    </ul>
+                  </div>
+                )}
+
+                {summary.decisions.length > 0 && (
+                  <div>
+                    <h3 className="font-medium mb-2 text-muted-foreground">Decisions</h3>
+                    <ul className="list-disc pl-4 space-y-1">
+                      {summary.decisions.map((decision, i) => <li key={i}>{decision}</li>)}
+                    </ul>
+                  </div>
+                )}
+
+                {summary.actionItems.length > 0 && (
+                  <div>
+                    <h3 className="font-medium mb-2 text-muted-foreground">Action Items</h3>
+                    <div className="space-y-2">
+                      {summary.actionItems.map((item, i) => (
+                        <div key={i} className="p-3 rounded-lg bg-primary/5 border border-primary/20">
+                          <p>{item.text}</p>
+                          {(item.assignee || item.dueDate) && (
+                            <p className="text-xs text-muted-foreground mt-1">
+                              {[item.assignee, item.dueDate && `Due: ${item.dueDate}`].filter(Boolean).join(" · ")}
+                            </p>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+          </Card>
+
+          <ParticipantsPanel meetingId={meetingId} onChange={fetchMeeting} />
+
+          {meeting && <SharingPanel meeting={meeting} onChange={fetchMeeting} />}
+
+          {meeting?.access === "manage" && <ShareLinksPanel meetingId={meeting.id} />}
+        </div>
+
+        <Card className="p-6 bg-card/50 backdrop-blur-glass border-primary/10 lg:col-span-2">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold">Transcript</h2>
+            <div className="flex items-center gap-3">
+              {(hasRedactions || reveal) && meeting?.access === "manage" && (
+                <label className="flex items-center gap-2 text-xs text-muted-foreground">
+                  <Switch checked={reveal} onCheckedChange={setReveal} />
+                  Show redacted
+                </label>
+              )}
+              {meeting && (
+                <Badge variant="outline" className="border-primary/30 text-primary">
+                  {meeting.status}
+                </Badge>
+              )}
+            </div>
+          </div>
+
+          {isLoading && segments.length === 0 ? (
+            <p className="text-sm text-muted-foreground">Loading transcript...</p>
+          ) : segments.length === 0 ? (
+            <p className="text-sm text-muted-foreground">
+              {meeting?.transcriptPurgedAt
+                ? "Transcript deleted by your retention policy."
+                : "No transcript stored for this meeting."}
+            </p>
+          ) : (
+            <div className="space-y-3">
+              {segments.map((segment) => {
+                const isTarget = segment.id === targetSegmentId;
+                return (
+                  <div
+                    key={segment.id}
+                    ref={isTarget ? targetRef : undefined}
+                    className={`p-3 rounded-lg ${isTarget ? "bg-primary/10 border border-primary/30" : ""}`}
+                  >
+                    <div className="flex items-center gap-2 text-xs text-muted-foreground mb-1">
+                      <span className="font-medium text-foreground">{segment.speaker}</span>
+                      {typeof segment.startOffset === "number" && (
+                        <span className="font-mono">{formatOffset(segment.startOffset)}</span>
+                      )}
+                      <span>{new Date(segment.timestamp).toLocaleTimeString()}</span>
+                    </div>
+                    <p className="text-sm">
+                      <RedactedText text={segment.text} redactions={segment.redactions} />
+                    </p>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </Card>
+      </main>
+    </div>
+  );
+};
+
+export default MeetingDetail;
@@ -0,0 +1,285 @@
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { ArrowLeft, Plus, ShieldCheck, Trash2 } from "lucide-react";
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { UserButton } from "@clerk/clerk-react";
+import { ThemeToggle } from "@/components/ui/theme-toggle";
+import { RedactedText } from "@/components/meeting/RedactedText";
+import {
+  useRedaction,
+  useWorkspaceRedaction,
+  type RedactionMode,
+  type RedactionPreview,
+  type RedactionType,
+} from "@/hooks/useRedaction";
+import { useWorkspaces } from "@/hooks/useWorkspaces";
+
+const MODES: Record<RedactionMode, string> = {
+  off: "Off",
+  storage: "Before storing transcripts",
+  llm: "Before sending to the AI",
+  both: "Before storing and before the AI",
+};
+
+const TYPES: Record<RedactionType, string> = {
+  email: "Email addresses",
+  phone: "Phone numbers",
+  card: "Card numbers",
+};
+
+const Redaction = () => {
+  const navigate = useNavigate();
+  const { policy, isLoading, error, savePolicy, previewText } = useRedaction();
+  const { workspaces } = useWorkspaces();
+  // "personal" for the user's own policy, or a workspace ID for that workspace's lists
+  const [scope, setScope] = useState("personal");
+  const workspace = workspaces.find((w) => w.id === scope) ?? null;
+  const workspaceRedaction = useWorkspaceRedaction(workspace?.id ?? null);
+  const lists = workspace ? workspaceRedaction.lists : policy;
+  const saveLists = workspace ? workspaceRedaction.saveLists : savePolicy;
+  const canEdit = !workspace || workspace.role === "owner";
+  const [keywords, setKeywords] = useState("");
+  const [newPattern, setNewPattern] = useState({ name: "", pattern: "", ignoreCase: false });
+  const [sample, setSample] = useState("");
+  const [preview, setPreview] = useState<RedactionPreview | null>(null);
+
+  useEffect(() => {
+    setKeywords(lists?.keywords.join("\n") ?? "");
+  }, [lists]);
+
+  const toggleType = (type: RedactionType, checked: boolean) => {
+    if (!policy) return;
+    savePolicy({
+      types: checked ? [...policy.types, type] : policy.types.filter((t) => t !== type),
+    });
+  };
+
+  const handleSaveKeywords = () => {
+    saveLists({ keywords: keywords.split("\n").map((keyword) => keyword.trim()).filter(Boolean) });
+  };
+
+  const handleAddPattern = async () => {
+    if (!lists || !newPattern.name.trim() || !newPattern.pattern) return;
+    const saved = await saveLists({
+      patterns: [
+        ...lists.patterns,
+        { name: newPattern.name.trim(), pattern: newPattern.pattern, flags: newPattern.ignoreCase ? "i" : "" },
+      ],
+    });
+    if (saved) {
+      setNewPattern({ name: "", pattern: "", ignoreCase: false });
+    }
+  };
+
+  const handleRemovePattern = (index: number) => {
+    if (!lists) return;
+    saveLists({ patterns: lists.patterns.filter((_, i) => i !== index) });
+  };
+
+  const handlePreview = async () => {
+    setPreview(await previewText(sample));
+  };
+
+  return (
+    <div className="min-h-screen bg-background">
+      <header className="border-b border-border/50 backdrop-blur-glass bg-card/30">
+        <div className="container mx-auto px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Button variant="ghost" size="icon" onClick={() => navigate("/meeting")}>
+              <ArrowLeft className="w-5 h-5" />
+            </Button>
+            <div className="w-10 h-10 rounded-lg bg-gradient-primary flex items-center justify-center shadow-glow">
+              <ShieldCheck className="w-6 h-6 text-primary-foreground" />
+            </div>
+            <div>
+              <h1 className="text-xl font-bold">Redaction</h1>
+              <p className="text-xs text-muted-foreground">Keep personal data out of transcripts and AI prompts</p>
+            </div>
+          </div>
+
+          <div className="flex items-center gap-3">
+            <ThemeToggle />
+            <UserButton afterSignOutUrl="/" />
+          </div>
+        </div>
+      </header>
+
+      <main className="container mx-auto px-6 py-6 max-w-3xl space-y-6">
+        {(error || workspaceRedaction.error) && (
+          <p className="text-sm text-destructive">{error || workspaceRedaction.error}</p>
+        )}
+
+        {workspaces.length > 0 && (
+          <div className="flex items-center justify-between gap-4">
+            <p className="text-sm text-muted-foreground">
+              {workspace
+                ? `Redacted in every ${workspace.name} meeting, on top of the owner's own policy.`
+                : "Your policy, used for the meetings you own."}
+            </p>
+            <Select value={scope} onValueChange={setScope}>
+              <SelectTrigger className="w-[220px]">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="personal">Personal</SelectItem>
+                {workspaces.map((w) => (
+                  <SelectItem key={w.id} value={w.id}>
+                    {w.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+
+        {!policy || !lists ? (
+          <p className="text-sm text-muted-foreground">
+            {isLoading || workspaceRedaction.isLoading ? "Loading policy..." : "No policy loaded."}
+          </p>
+        ) : (
+          <>
+            {!workspace && (
+              <Card className="p-6 bg-card/50 backdrop-blur-glass border-primary/10 space-y-4">
+                <div className="flex items-center justify-between">
+                  <h2 className="text-lg font-semibold">Policy</h2>
+                  <Button variant="ghost" size="sm" disabled={!policy.custom.length} onClick={() => savePolicy(null)}>
+                    Reset to defaults
+                  </Button>
+                </div>
+
+                <div className="flex items-center justify-between gap-4">
+                  <div>
+                    <p className="font-medium">Redact</p>
+                    <p className="text-xs text-muted-foreground">
+                      Stored text keeps a marked placeholder; you can still reveal the original.
+                    </p>
+                  </div>
+                  <Select
+                    value={policy.mode}
+                    onValueChange={(value) => savePolicy({ mode: value as RedactionMode })}
+                  >
+                    <SelectTrigger className="w-[260px]">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(MODES).map(([value, label]) => (
+                        <SelectItem key={value} value={value}>
+                          {label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+
+                <div className="flex flex-wrap gap-6">
+                  {Object.entries(TYPES).map(([type, label]) => (
+                    <label key={type} className="flex items-center gap-2 text-sm">
+                      <Checkbox
+                        checked={policy.types.includes(type as RedactionType)}
+                        onCheckedChange={(checked) => toggleType(type as RedactionType, checked === true)}
+                      />
+                      {label}
+                    </label>
+                  ))}
+                </div>
+              </Card>
+            )}
+
+            <Card className="p-6 bg-card/50 backdrop-blur-glass border-primary/10 space-y-3">
+              <div>
+                <h2 className="text-lg font-semibold">Keywords</h2>
+                <p className="text-xs text-muted-foreground">One word or phrase per line, matched regardless of case.</p>
+              </div>
+              <Textarea
+                rows={4}
+                value={keywords}
+                readOnly={!canEdit}
+                onChange={(event) => setKeywords(event.target.value)}
+              />
+              <Button size="sm" disabled={!canEdit} onClick={handleSaveKeywords}>
+                Save keywords
+              </Button>
+            </Card>
+
+            <Card className="p-6 bg-card/50 backdrop-blur-glass border-primary/10 space-y-3">
+              <h2 className="text-lg font-semibold">Custom patterns</h2>
+              {lists.patterns.map((pattern, i) => (
+                <div key={i} className="flex items-center justify-between gap-3 p-3 rounded-lg bg-primary/5 border border-primary/20">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium">{pattern.name}</p>
+                    <code className="text-xs text-muted-foreground break-all">
+                      /{pattern.pattern}/{pattern.flags}
+                    </code>
+                  </div>
+                  <Button variant="ghost" size="icon" disabled={!canEdit} onClick={() => handleRemovePattern(i)}>
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+              ))}
+              {canEdit && (
+                <div className="flex flex-wrap items-center gap-2">
+                  <Input
+                    className="w-[160px]"
+                    placeholder="Name"
+                    value={newPattern.name}
+                    onChange={(event) => setNewPattern({ ...newPattern, name: event.target.value })}
+                  />
+                  <Input
+                    className="flex-1 min-w-[200px] font-mono"
+                    placeholder="Regular expression, e.g. ACME-\d+"
+                    value={newPattern.pattern}
+                    onChange={(event) => setNewPattern({ ...newPattern, pattern: event.target.value })}
+                  />
+                  <label className="flex items-center gap-2 text-xs text-muted-foreground">
+                    <Checkbox
+                      checked={newPattern.ignoreCase}
+                      onCheckedChange={(checked) => setNewPattern({ ...newPattern, ignoreCase: checked === true })}
+                    />
+                    Ignore case
+                  </label>
+                  <Button size="sm" variant="outline" onClick={handleAddPattern}>
+                    <Plus className="w-4 h-4 mr-2" />
+                    Add
+                  </Button>
+                </div>
+              )}
+            </Card>
+
+            {!workspace && (
+              <Card className="p-6 bg-card/50 backdrop-blur-glass border-primary/10 space-y-3">
+                <h2 className="text-lg font-semibold">Try it</h2>
+                <Textarea
+                  rows={3}
+                  placeholder="Paste some text to see what would be redacted"
+                  value={sample}
+                  onChange={(event) => setSample(event.target.value)}
+                />
+                <Button size="sm" variant="outline" disabled={!sample} onClick={handlePreview}>
+                  Preview
+                </Button>
+                {preview && (
+                  <p className="text-sm p-3 rounded-lg bg-primary/5 border border-primary/20">
+                    <RedactedText text={preview.text} redactions={preview.redactions} />
+                  </p>
+                )}
+              </Card>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default Redaction;
@@ -0,0 +1,232 @@
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { ArrowLeft, Archive, Trash2 } from "lucide-react";
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { UserButton } from "@clerk/clerk-react";
+import { ThemeToggle } from "@/components/ui/theme-toggle";
+import { useToast } from "@/hooks/use-toast";
+import {
+  useRetention,
+  useWorkspaceRetention,
+  type RemovedCounts,
+  type RetentionField,
+  type RetentionPeriods,
+} from "@/hooks/useRetention";
+import { useWorkspaces } from "@/hooks/useWorkspaces";
+
+const FIELDS: { field: RetentionField; label: string; description: string }[] = [
+  {
+    field: "transcriptDays",
+    label: "Transcripts",
+    description: "Delete transcripts after a meeting ends. Summaries and action items are kept.",
+  },
+  {
+    field: "summaryDays",
+    label: "Summaries",
+    description: "Delete summaries, including older versions, after a meeting ends.",
+  },
+  {
+    field: "trashDays",
+    label: "Trash",
+    description: "Permanently delete meetings after they have been in the trash.",
+  },
+];
+
+const PRESET_DAYS = [7, 30, 90, 180, 365];
+
+const formatPeriod = (days: number | null, forever = "Keep forever") => (days === null ? forever : `${days} days`);
+
+const formatRemoved = (removed: RemovedCounts) =>
+  [
+    removed.transcripts > 0 && `${removed.transcripts} transcript(s), ${removed.segments} segment(s)`,
+    removed.summaries > 0 && `${removed.summaries} summar${removed.summaries === 1 ? "y" : "ies"}`,
+    removed.meetings > 0 && `${removed.meetings} trashed meeting(s)`,
+  ]
+    .filter(Boolean)
+    .join(" · ") || "Nothing";
+
+const Retention = () => {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const { policy, defaults, reports, isLoading, isPurging, error, savePolicy, purgeNow } = useRetention();
+  const { workspaces } = useWorkspaces();
+  // "personal" for the user's own policy, or a workspace ID for that workspace's periods
+  const [scope, setScope] = useState("personal");
+  const workspace = workspaces.find((w) => w.id === scope) ?? null;
+  const workspaceRetention = useWorkspaceRetention(workspace?.id ?? null);
+  const periods = workspace ? workspaceRetention.periods : policy;
+  const savePeriods = (updates: Partial<RetentionPeriods>) =>
+    workspace ? workspaceRetention.savePeriods(updates) : savePolicy(updates);
+  const canEdit = !workspace || workspace.role === "owner";
+  // A workspace period of null sets no limit, so only the owner's policy applies
+  const forever = workspace ? "Owner's policy" : "Keep forever";
+
+  const handlePurge = async () => {
+    const removed = await purgeNow();
+    if (removed) {
+      toast({
+        title: "Retention policy applied",
+        description: `Removed: ${formatRemoved(removed)}`,
+      });
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-background">
+      <header className="border-b border-border/50 backdrop-blur-glass bg-card/30">
+        <div className="container mx-auto px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Button variant="ghost" size="icon" onClick={() => navigate("/meeting")}>
+              <ArrowLeft className="w-5 h-5" />
+            </Button>
+            <div className="w-10 h-10 rounded-lg bg-gradient-primary flex items-center justify-center shadow-glow">
+              <Archive className="w-6 h-6 text-primary-foreground" />
+            </div>
+            <div>
+              <h1 className="text-xl font-bold">Data Retention</h1>
+              <p className="text-xs text-muted-foreground">How long your meeting data is kept</p>
+            </div>
+          </div>
+
+          <div className="flex items-center gap-3">
+            <ThemeToggle />
+            <UserButton afterSignOutUrl="/" />
+          </div>
+        </div>
+      </header>
+
+      <main className="container mx-auto px-6 py-6 max-w-3xl space-y-6">
+        {(error || workspaceRetention.error) && (
+          <p className="text-sm text-destructive">{error || workspaceRetention.error}</p>
+        )}
+
+        {workspaces.length > 0 && (
+          <div className="flex items-center justify-between gap-4">
+            <p className="text-sm text-muted-foreground">
+              {workspace
+                ? `Applies to every ${workspace.name} meeting; the shorter of this and the owner's policy wins.`
+                : "Your policy, used for the meetings you own."}
+            </p>
+            <Select value={scope} onValueChange={setScope}>
+              <SelectTrigger className="w-[220px]">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="personal">Personal</SelectItem>
+                {workspaces.map((w) => (
+                  <SelectItem key={w.id} value={w.id}>
+                    {w.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+
+        <Card className="p-6 bg-card/50 backdrop-blur-glass border-primary/10">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold">Policy</h2>
+            {!workspace && (
+              <Button variant="ghost" size="sm" disabled={!policy?.custom.length} onClick={() => savePolicy(null)}>
+                Reset to defaults
+              </Button>
+            )}
+          </div>
+
+          {!periods || !policy || !defaults ? (
+            <p className="text-sm text-muted-foreground">
+              {isLoading || workspaceRetention.isLoading ? "Loading policy..." : "No policy loaded."}
+            </p>
+          ) : (
+            <div className="space-y-4">
+              {FIELDS.map(({ field, label, description }) => {
+                const days = periods[field];
+                // Keep a custom period that isn't one of the presets selectable
+                const options = days === null || PRESET_DAYS.includes(days)
+                  ? PRESET_DAYS
+                  : [...PRESET_DAYS, days].sort((a, b) => a - b);
+
+                return (
+                  <div key={field} className="flex items-center justify-between gap-4">
+                    <div>
+                      <p className="font-medium">
+                        {label}
+                        {!workspace && !policy.custom.includes(field) && (
+                          <Badge variant="outline" className="ml-2 border-muted-foreground/30 text-muted-foreground">
+                            Default
+                          </Badge>
+                        )}
+                      </p>
+                      <p className="text-xs text-muted-foreground">{description}</p>
+                    </div>
+                    <Select
+                      value={days === null ? "forever" : String(days)}
+                      onValueChange={(value) => savePeriods({ [field]: value === "forever" ? null : Number(value) })}
+                      disabled={!canEdit}
+                    >
+                      <SelectTrigger className="w-[150px]">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="forever">{formatPeriod(null, forever)}</SelectItem>
+                        {options.map((option) => (
+                          <SelectItem key={option} value={String(option)}>
+                            {formatPeriod(option)}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </Card>
+
+        {!workspace && (
+          <Card className="p-6 bg-card/50 backdrop-blur-glass border-primary/10">
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h2 className="text-lg font-semibold">Purge history</h2>
+                <p className="text-xs text-muted-foreground">The policy is applied automatically in the background.</p>
+              </div>
+              <Button variant="outline" size="sm" disabled={isPurging} onClick={handlePurge}>
+                <Trash2 className="w-4 h-4 mr-2" />
+                {isPurging ? "Purging..." : "Apply now"}
+              </Button>
+            </div>
+
+            {reports.length === 0 ? (
+              <p className="text-sm text-muted-foreground">Nothing has been purged yet.</p>
+            ) : (
+              <div className="space-y-2">
+                {reports.map((report) => (
+                  <div
+                    key={report.id}
+                    className="p-3 rounded-lg bg-primary/5 border border-primary/20 flex items-center justify-between gap-4 text-sm"
+                  >
+                    <span>{report.removed ? formatRemoved(report.removed) : "Nothing"}</span>
+                    <span className="text-xs text-muted-foreground flex-shrink-0">
+                      {new Date(report.startedAt).toLocaleString()} · {report.trigger === "manual" ? "Manual" : "Scheduled"}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </Card>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default Retention;
@@ -0,0 +1,190 @@
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { ArrowLeft, Search as SearchIcon, Clock, FileText } from "lucide-react";
+import { useState, type FormEvent } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { UserButton } from "@clerk/clerk-react";
+import { ThemeToggle } from "@/components/ui/theme-toggle";
+import { useSearch, type Highlight, type SearchFilters } from "@/hooks/useSearch";
+
+const FIELD_LABELS = {
+  summary: "Summary",
+  keyPoints: "Key point",
+  decisions: "Decision",
+};
+
+// Render a snippet with its matched ranges wrapped in <mark>
+const HighlightedText = ({ text, highlights }: { text: string; highlights: Highlight[] }) => {
+  const parts = [];
+  let position = 0;
+
+  highlights.forEach(([start, end], i) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(
+      <mark key={i} className="bg-primary/20 text-foreground rounded px-0.5">
+        {text.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  });
+  parts.push(text.slice(position));
+
+  return <>{parts}</>;
+};
+
+const Search = () => {
+  const navigate = useNavigate();
+  const [query, setQuery] = useState("");
+  const [filters, setFilters] = useState<SearchFilters>({ type: "all" });
+  const [hasSearched, setHasSearched] = useState(false);
+  const { transcripts, summaries, isLoading, error, search } = useSearch();
+
+  const runSearch = (nextFilters: SearchFilters = filters) => {
+    if (!query.trim()) return;
+    setHasSearched(true);
+    search(query, {
+      ...nextFilters,
+      // Date inputs give whole days; include all of the "to" day
+      to: nextFilters.to ? `${nextFilters.to}T23:59:59.999` : undefined,
+    });
+  };
+
+  const handleSubmit = (event: FormEvent) => {
+    event.preventDefault();
+    runSearch();
+  };
+
+  const results = filters.type === "summaries" ? [] : transcripts;
+  const summaryResults = filters.type === "transcripts" ? [] : summaries;
+
+  return (
+    <div className="min-h-screen bg-background">
+      <header className="border-b border-border/50 backdrop-blur-glass bg-card/30">
+        <div className="container mx-auto px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Button variant="ghost" size="icon" onClick={() => navigate("/meeting")}>
+              <ArrowLeft className="w-5 h-5" />
+            </Button>
+            <div className="w-10 h-10 rounded-lg bg-gradient-primary flex items-center justify-center shadow-glow">
+              <SearchIcon className="w-6 h-6 text-primary-foreground" />
+            </div>
+            <div>
+              <h1 className="text-xl font-bold">Search</h1>
+              <p className="text-xs text-muted-foreground">Transcripts and summaries of your meetings</p>
+            </div>
+          </div>
+
+          <div className="flex items-center gap-3">
+            <ThemeToggle />
+            <UserButton afterSignOutUrl="/" />
+          </div>
+        </div>
+      </header>
+
+      <main className="container mx-auto px-6 py-6 max-w-4xl">
+        <form onSubmit={handleSubmit} className="space-y-3 mb-6">
+          <div className="flex gap-2">
+            <Input
+              value={query}
+              onChange={(event) => setQuery(event.target.value)}
+              placeholder='Search... use "quotes" for exact phrases, -word to exclude'
+            />
+            <Button type="submit" disabled={isLoading || !query.trim()}>
+              <SearchIcon className="w-4 h-4 mr-2" />
+              Search
+            </Button>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <Input
+              className="w-48"
+              value={filters.speaker || ""}
+              onChange={(event) => setFilters({ ...filters, speaker: event.target.value })}
+              placeholder="Speaker"
+            />
+            <Input
+              className="w-44"
+              type="date"
+              value={filters.from || ""}
+              onChange={(event) => setFilters({ ...filters, from: event.target.value })}
+            />
+            <Input
+              className="w-44"
+              type="date"
+              value={filters.to || ""}
+              onChange={(event) => setFilters({ ...filters, to: event.target.value })}
+            />
+          </div>
+        </form>
+
+        <Tabs
+          value={filters.type}
+          onValueChange={(value) => {
+            const nextFilters = { ...filters, type: value as SearchFilters["type"] };
+            setFilters(nextFilters);
+            runSearch(nextFilters);
+          }}
+        >
+          <TabsList className="mb-6">
+            <TabsTrigger value="all">All</TabsTrigger>
+            <TabsTrigger value="transcripts">Transcripts</TabsTrigger>
+            <TabsTrigger value="summaries">Summaries</TabsTrigger>
+          </TabsList>
+        </Tabs>
+
+        {error && <p className="text-sm text-destructive mb-4">{error}</p>}
+        {isLoading && <p className="text-sm text-muted-foreground mb-4">Searching...</p>}
+
+        {hasSearched && !isLoading && results.length === 0 && summaryResults.length === 0 && (
+          <Card className="p-8 text-center bg-card/50 backdrop-blur-glass border-primary/10">
+            <p className="text-muted-foreground">No matches found.</p>
+          </Card>
+        )}
+
+        <div className="space-y-3">
+          {summaryResults.map((match, i) => (
+            <Link key={`${match.meetingId}-${i}`} to={`/meetings/${match.meetingId}`} className="block">
+              <Card className="p-4 bg-card/50 backdrop-blur-glass border-primary/10 hover:border-primary/30 transition-colors">
+                <div className="flex items-center gap-2 mb-2 text-xs text-muted-foreground">
+                  <FileText className="w-3 h-3" />
+                  <span className="font-medium text-foreground">{match.meetingTitle}</span>
+                  {match.meetingStartTime && <span>{new Date(match.meetingStartTime).toLocaleDateString()}</span>}
+                  <Badge variant="outline" className="border-primary/30 text-primary">
+                    {FIELD_LABELS[match.field]}
+                  </Badge>
+                </div>
+                <p className="text-sm">
+                  <HighlightedText text={match.snippet} highlights={match.highlights} />
+                </p>
+              </Card>
+            </Link>
+          ))}
+
+          {results.map((match) => (
+            <Link
+              key={match.segmentId}
+              to={`/meetings/${match.meetingId}?segment=${match.segmentId}`}
+              className="block"
+            >
+              <Card className="p-4 bg-card/50 backdrop-blur-glass border-primary/10 hover:border-primary/30 transition-colors">
+                <div className="flex items-center gap-2 mb-2 text-xs text-muted-foreground">
+                  <Clock className="w-3 h-3" />
+                  <span className="font-medium text-foreground">{match.meetingTitle}</span>
+                  <span>{new Date(match.timestamp).toLocaleString()}</span>
+                  <span>· {match.speaker}</span>
+                </div>
+                <p className="text-sm">
+                  <HighlightedText text={match.snippet} highlights={match.highlights} />
+                </p>
+              </Card>
+            </Link>
+          ))}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default Search;
@@ -0,0 +1,114 @@
+import { Card } from "@/components/ui/card";
+import { FileText } from "lucide-react";
+import { useParams } from "react-router-dom";
+import { ThemeToggle } from "@/components/ui/theme-toggle";
+import { useSharedMeeting } from "@/hooks/useSharedMeeting";
+
+// Read-only meeting summary opened from a public share link
+const SharedMeeting = () => {
+  const { token } = useParams();
+  const { meeting, isLoading, error } = useSharedMeeting(token);
+
+  return (
+    <div className="min-h-screen bg-background">
+      <header className="border-b border-border/50 backdrop-blur-glass bg-card/30">
+        <div className="container mx-auto px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-lg bg-gradient-primary flex items-center justify-center shadow-glow">
+              <FileText className="w-6 h-6 text-primary-foreground" />
+            </div>
+            <div>
+              <h1 className="text-xl font-bold">{meeting?.title || "Shared meeting"}</h1>
+              {meeting && (
+                <p className="text-xs text-muted-foreground">
+                  {new Date(meeting.startTime).toLocaleString()} · link expires{" "}
+                  {new Date(meeting.expiresAt).toLocaleDateString()}
+                </p>
+              )}
+            </div>
+          </div>
+
+          <ThemeToggle />
+        </div>
+      </header>
+
+      <main className="container mx-auto px-6 py-6 max-w-3xl space-y-6">
+        {error && <p className="text-sm text-destructive">{error}</p>}
+        {isLoading && !meeting && <p className="text-sm text-muted-foreground">Loading meeting...</p>}
+
+        {meeting && (
+          <>
+            {(meeting.summary !== undefined || meeting.keyPoints || meeting.decisions || meeting.actionItems) && (
+              <Card className="p-6 bg-card/50 backdrop-blur-glass border-primary/10 space-y-4 text-sm">
+                <h2 className="text-lg font-semibold">Summary</h2>
+
+                {meeting.summary !== undefined && (
+                  <p className="text-muted-foreground">{meeting.summary || "No summary yet."}</p>
+                )}
+
+                {meeting.keyPoints && meeting.keyPoints.length > 0 && (
+                  <div>
+                    <h3 className="font-medium mb-2 text-muted-foreground">Key Points</h3>
+                    <ul className="list-disc pl-4 space-y-1">
+                      {meeting.keyPoints.map((point, i) => <li key={i}>{point}</li>)}
+                    </ul>
+                  </div>
+                )}
+
+                {meeting.decisions && meeting.decisions.length > 0 && (
+                  <div>
+                    <h3 className="font-medium mb-2 text-muted-foreground">Decisions</h3>
+                    <ul className="list-disc pl-4 space-y-1">
+                      {meeting.decisions.map((decision, i) => <li key={i}>{decision}</li>)}
+                    </ul>
+                  </div>
+                )}
+
+                {meeting.actionItems && meeting.actionItems.length > 0 && (
+                  <div>
+                    <h3 className="font-medium mb-2 text-muted-foreground">Action Items</h3>
+                    <div className="space-y-2">
+                      {meeting.actionItems.map((item, i) => (
+                        <div key={i} className="p-3 rounded-lg bg-primary/5 border border-primary/20">
+                          <p>{item.text}</p>
+                          {(item.assignee || item.dueDate) && (
+                            <p className="text-xs text-muted-foreground mt-1">
+                              {[item.assignee, item.dueDate && `Due: ${item.dueDate}`].filter(Boolean).join(" · ")}
+                            </p>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </Card>
+            )}
+
+            {meeting.transcript && (
+              <Card className="p-6 bg-card/50 backdrop-blur-glass border-primary/10">
+                <h2 className="text-lg font-semibold mb-4">Transcript</h2>
+                {meeting.transcript.length === 0 ? (
+                  <p className="text-sm text-muted-foreground">No transcript stored for this meeting.</p>
+                ) : (
+                  <div className="space-y-3">
+                    {meeting.transcript.map((segment, i) => (
+                      <div key={i} className="p-3">
+                        <div className="flex items-center gap-2 text-xs text-muted-foreground mb-1">
+                          <span className="font-medium text-foreground">{segment.speaker}</span>
+                          <span>{new Date(segment.timestamp).toLocaleTimeString()}</span>
+                        </div>
+                        <p className="text-sm">{segment.text}</p>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </Card>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default SharedMeeting;
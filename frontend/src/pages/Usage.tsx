@@ -0,0 +1,230 @@
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Progress } from "@/components/ui/progress";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { ArrowLeft, Gauge, RotateCcw, Save } from "lucide-react";
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { UserButton } from "@clerk/clerk-react";
+import { ThemeToggle } from "@/components/ui/theme-toggle";
+import { useUsage, currentPeriod, type QuotaMetric, type UsageQuotas, type UserUsage } from "@/hooks/useUsage";
+
+const METRICS: { key: QuotaMetric; label: string; unit: string }[] = [
+  { key: "botMinutes", label: "Bot minutes", unit: "minutes" },
+  { key: "ttsCharacters", label: "Text-to-speech", unit: "characters" },
+];
+
+const formatNumber = (value: number) => value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+// "" is unlimited
+const parseQuota = (value: string) => (value.trim() === "" ? null : Number(value));
+
+const QuotaEditor = ({
+  entry,
+  onSave,
+  onReset,
+}: {
+  entry: UserUsage;
+  onSave: (userId: string, quotas: UsageQuotas) => void;
+  onReset: (userId: string) => void;
+}) => {
+  const [botMinutes, setBotMinutes] = useState(entry.quotas.botMinutes?.toString() ?? "");
+  const [ttsCharacters, setTtsCharacters] = useState(entry.quotas.ttsCharacters?.toString() ?? "");
+
+  return (
+    <div className="flex items-center gap-2">
+      <Input
+        className="w-24 h-8"
+        type="number"
+        min={0}
+        placeholder="∞ min"
+        value={botMinutes}
+        onChange={(event) => setBotMinutes(event.target.value)}
+      />
+      <Input
+        className="w-28 h-8"
+        type="number"
+        min={0}
+        placeholder="∞ chars"
+        value={ttsCharacters}
+        onChange={(event) => setTtsCharacters(event.target.value)}
+      />
+      <Button
+        size="icon"
+        variant="ghost"
+        className="h-8 w-8"
+        onClick={() => onSave(entry.userId, { botMinutes: parseQuota(botMinutes), ttsCharacters: parseQuota(ttsCharacters) })}
+      >
+        <Save className="w-4 h-4" />
+      </Button>
+      <Button size="icon" variant="ghost" className="h-8 w-8" onClick={() => onReset(entry.userId)}>
+        <RotateCcw className="w-4 h-4" />
+      </Button>
+    </div>
+  );
+};
+
+const Usage = () => {
+  const navigate = useNavigate();
+  const { period, status, users, elevenlabs, isLoading, error, setPeriod, setQuotas, resetQuotas } = useUsage();
+
+  return (
+    <div className="min-h-screen bg-background">
+      <header className="border-b border-border/50 backdrop-blur-glass bg-card/30">
+        <div className="container mx-auto px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Button variant="ghost" size="icon" onClick={() => navigate("/meeting")}>
+              <ArrowLeft className="w-5 h-5" />
+            </Button>
+            <div className="w-10 h-10 rounded-lg bg-gradient-primary flex items-center justify-center shadow-glow">
+              <Gauge className="w-6 h-6 text-primary-foreground" />
+            </div>
+            <div>
+              <h1 className="text-xl font-bold">Usage</h1>
+              <p className="text-xs text-muted-foreground">Bots, AI and voice used this month</p>
+            </div>
+          </div>
+
+          <div className="flex items-center gap-3">
+            <Input
+              type="month"
+              className="w-[160px]"
+              value={period}
+              max={currentPeriod()}
+              onChange={(event) => event.target.value && setPeriod(event.target.value)}
+            />
+            <ThemeToggle />
+            <UserButton afterSignOutUrl="/" />
+          </div>
+        </div>
+      </header>
+
+      <main className="container mx-auto px-6 py-6 max-w-5xl space-y-6">
+        {error && <p className="text-sm text-destructive">{error}</p>}
+
+        {isLoading && !status ? (
+          <p className="text-sm text-muted-foreground">Loading usage...</p>
+        ) : status && (
+          <div className="grid gap-4 md:grid-cols-3">
+            {METRICS.map(({ key, label, unit }) => {
+              const used = status.usage[key];
+              const quota = status.quotas[key];
+              return (
+                <Card key={key} className="p-6 bg-card/50 backdrop-blur-glass border-primary/10 space-y-3">
+                  <div className="flex items-center justify-between">
+                    <h2 className="text-sm font-semibold">{label}</h2>
+                    {status.exceeded.includes(key) && (
+                      <Badge variant="outline" className="border-destructive/50 text-destructive">
+                        quota reached
+                      </Badge>
+                    )}
+                  </div>
+                  <p className="text-2xl font-bold">{formatNumber(used)}</p>
+                  {quota === null ? (
+                    <p className="text-xs text-muted-foreground">{unit}, no monthly limit</p>
+                  ) : (
+                    <>
+                      <Progress value={quota === 0 ? 100 : Math.min(100, (used / quota) * 100)} className="h-2" />
+                      <p className="text-xs text-muted-foreground">
+                        of {formatNumber(quota)} {unit} this month
+                      </p>
+                    </>
+                  )}
+                </Card>
+              );
+            })}
+
+            <Card className="p-6 bg-card/50 backdrop-blur-glass border-primary/10 space-y-3">
+              <h2 className="text-sm font-semibold">AI tokens</h2>
+              <p className="text-2xl font-bold">
+                {formatNumber(status.usage.llmInputTokens + status.usage.llmOutputTokens)}
+              </p>
+              <p className="text-xs text-muted-foreground">
+                {formatNumber(status.usage.llmCalls)} calls · {formatNumber(status.usage.llmInputTokens)} in ·{" "}
+                {formatNumber(status.usage.llmOutputTokens)} out
+              </p>
+            </Card>
+          </div>
+        )}
+
+        {status?.isAdmin && (
+          <Card className="p-6 bg-card/50 backdrop-blur-glass border-primary/10 space-y-4">
+            <div className="flex items-start justify-between gap-4">
+              <div>
+                <h2 className="text-lg font-semibold">All users</h2>
+                <p className="text-xs text-muted-foreground">
+                  Heaviest bot users first. Leave a quota empty for unlimited.
+                </p>
+              </div>
+              {elevenlabs && (
+                <div className="text-right">
+                  <p className="text-xs text-muted-foreground">ElevenLabs ({elevenlabs.tier})</p>
+                  <p className="text-sm font-medium">
+                    {formatNumber(elevenlabs.characterCount)} / {formatNumber(elevenlabs.characterLimit)} characters
+                  </p>
+                  {elevenlabs.resetsAt && (
+                    <p className="text-xs text-muted-foreground">
+                      Resets {new Date(elevenlabs.resetsAt).toLocaleDateString()}
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {users.length === 0 ? (
+              <p className="text-sm text-muted-foreground">No usage recorded for {period}.</p>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>User</TableHead>
+                    <TableHead className="text-right">Bots</TableHead>
+                    <TableHead className="text-right">Bot minutes</TableHead>
+                    <TableHead className="text-right">AI tokens</TableHead>
+                    <TableHead className="text-right">TTS characters</TableHead>
+                    <TableHead>Quotas (minutes, characters)</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {users.map((entry) => (
+                    <TableRow key={entry.userId}>
+                      <TableCell>
+                        <p className="text-sm font-medium">{entry.name || entry.email || entry.userId}</p>
+                        {entry.name && entry.email && <p className="text-xs text-muted-foreground">{entry.email}</p>}
+                      </TableCell>
+                      <TableCell className="text-right">{formatNumber(entry.bots)}</TableCell>
+                      <TableCell className="text-right">{formatNumber(entry.botMinutes)}</TableCell>
+                      <TableCell className="text-right">
+                        {formatNumber(entry.llmInputTokens + entry.llmOutputTokens)}
+                      </TableCell>
+                      <TableCell className="text-right">{formatNumber(entry.ttsCharacters)}</TableCell>
+                      <TableCell>
+                        <QuotaEditor
+                          key={`${entry.quotas.botMinutes}-${entry.quotas.ttsCharacters}`}
+                          entry={entry}
+                          onSave={setQuotas}
+                          onReset={resetQuotas}
+                        />
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </Card>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default Usage;
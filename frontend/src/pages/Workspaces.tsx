@@ -0,0 +1,277 @@
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { ArrowLeft, LogOut, Plus, Trash2, Users } from "lucide-react";
+import { useCallback, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { UserButton, useUser } from "@clerk/clerk-react";
+import { ThemeToggle } from "@/components/ui/theme-toggle";
+import { useWorkspaces, type Workspace, type WorkspaceRole } from "@/hooks/useWorkspaces";
+
+const ROLES: Record<WorkspaceRole, string> = {
+  owner: "Owner",
+  editor: "Editor",
+  viewer: "Viewer",
+};
+
+const Workspaces = () => {
+  const navigate = useNavigate();
+  const { user } = useUser();
+  const {
+    workspaces,
+    isLoading,
+    error,
+    fetchWorkspace,
+    createWorkspace,
+    renameWorkspace,
+    deleteWorkspace,
+    setMember,
+    removeMember,
+  } = useWorkspaces();
+  const [newName, setNewName] = useState("");
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [selected, setSelected] = useState<Workspace | null>(null);
+  const [name, setName] = useState("");
+  const [invite, setInvite] = useState<{ email: string; role: WorkspaceRole }>({ email: "", role: "viewer" });
+
+  const loadSelected = useCallback(async () => {
+    if (!selectedId) {
+      setSelected(null);
+      return;
+    }
+    const workspace = await fetchWorkspace(selectedId);
+    setSelected(workspace);
+    setName(workspace?.name ?? "");
+  }, [selectedId, fetchWorkspace]);
+
+  useEffect(() => {
+    loadSelected();
+  }, [loadSelected]);
+
+  const isOwner = selected?.role === "owner";
+
+  const handleCreate = async () => {
+    if (!newName.trim()) return;
+    const workspace = await createWorkspace(newName.trim());
+    if (workspace && workspace !== true) {
+      setNewName("");
+      setSelectedId(workspace.id);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selected || !window.confirm(`Delete ${selected.name}? Its meetings go back to the people who recorded them.`)) return;
+    if (await deleteWorkspace(selected.id)) {
+      setSelectedId(null);
+    }
+  };
+
+  const handleInvite = async () => {
+    if (!selected || !invite.email.trim()) return;
+    if (await setMember(selected.id, { email: invite.email.trim() }, invite.role)) {
+      setInvite({ email: "", role: "viewer" });
+      loadSelected();
+    }
+  };
+
+  const handleRoleChange = async (userId: string, role: WorkspaceRole) => {
+    if (!selected) return;
+    if (await setMember(selected.id, { userId }, role)) {
+      loadSelected();
+    }
+  };
+
+  const handleRemove = async (userId: string) => {
+    if (!selected) return;
+    if (await removeMember(selected.id, userId)) {
+      if (userId === user?.id) {
+        setSelectedId(null);
+      } else {
+        loadSelected();
+      }
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-background">
+      <header className="border-b border-border/50 backdrop-blur-glass bg-card/30">
+        <div className="container mx-auto px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Button variant="ghost" size="icon" onClick={() => navigate("/meeting")}>
+              <ArrowLeft className="w-5 h-5" />
+            </Button>
+            <div className="w-10 h-10 rounded-lg bg-gradient-primary flex items-center justify-center shadow-glow">
+              <Users className="w-6 h-6 text-primary-foreground" />
+            </div>
+            <div>
+              <h1 className="text-xl font-bold">Workspaces</h1>
+              <p className="text-xs text-muted-foreground">Share meetings, action items and voices with your team</p>
+            </div>
+          </div>
+
+          <div className="flex items-center gap-3">
+            <ThemeToggle />
+            <UserButton afterSignOutUrl="/" />
+          </div>
+        </div>
+      </header>
+
+      <main className="container mx-auto px-6 py-6 grid gap-6 lg:grid-cols-3">
+        {error && <p className="text-sm text-destructive lg:col-span-3">{error}</p>}
+
+        <Card className="p-6 bg-card/50 backdrop-blur-glass border-primary/10 h-fit space-y-3">
+          <h2 className="text-lg font-semibold">Your workspaces</h2>
+          {isLoading && workspaces.length === 0 ? (
+            <p className="text-sm text-muted-foreground">Loading workspaces...</p>
+          ) : workspaces.length === 0 ? (
+            <p className="text-sm text-muted-foreground">You are not in any workspace yet.</p>
+          ) : (
+            workspaces.map((workspace) => (
+              <button
+                key={workspace.id}
+                onClick={() => setSelectedId(workspace.id)}
+                className={`w-full text-left p-3 rounded-lg border ${
+                  workspace.id === selectedId ? "bg-primary/10 border-primary/30" : "bg-primary/5 border-primary/20"
+                }`}
+              >
+                <p className="text-sm font-medium">{workspace.name}</p>
+                <p className="text-xs text-muted-foreground">
+                  {ROLES[workspace.role]} · {workspace.memberCount} member{workspace.memberCount === 1 ? "" : "s"}
+                </p>
+              </button>
+            ))
+          )}
+          <div className="flex items-center gap-2">
+            <Input placeholder="New workspace" value={newName} onChange={(event) => setNewName(event.target.value)} />
+            <Button size="icon" variant="outline" disabled={!newName.trim()} onClick={handleCreate}>
+              <Plus className="w-4 h-4" />
+            </Button>
+          </div>
+        </Card>
+
+        <Card className="p-6 bg-card/50 backdrop-blur-glass border-primary/10 lg:col-span-2 space-y-4">
+          {!selected ? (
+            <p className="text-sm text-muted-foreground">Select a workspace to see its members.</p>
+          ) : (
+            <>
+              <div className="flex items-center justify-between gap-3">
+                {isOwner ? (
+                  <div className="flex items-center gap-2 flex-1">
+                    <Input value={name} onChange={(event) => setName(event.target.value)} />
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      disabled={!name.trim() || name === selected.name}
+                      onClick={async () => (await renameWorkspace(selected.id, name.trim())) && loadSelected()}
+                    >
+                      Rename
+                    </Button>
+                  </div>
+                ) : (
+                  <h2 className="text-lg font-semibold">{selected.name}</h2>
+                )}
+                {isOwner ? (
+                  <Button variant="ghost" size="sm" onClick={handleDelete}>
+                    <Trash2 className="w-4 h-4 mr-2" />
+                    Delete
+                  </Button>
+                ) : (
+                  <Button variant="ghost" size="sm" onClick={() => user && handleRemove(user.id)}>
+                    <LogOut className="w-4 h-4 mr-2" />
+                    Leave
+                  </Button>
+                )}
+              </div>
+
+              <div className="space-y-2">
+                {selected.members?.map((member) => (
+                  <div
+                    key={member.userId}
+                    className="flex items-center justify-between gap-3 p-3 rounded-lg bg-primary/5 border border-primary/20"
+                  >
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium truncate">
+                        {member.name || member.email || member.userId}
+                        {member.userId === user?.id && " (you)"}
+                      </p>
+                      {member.email && member.name && (
+                        <p className="text-xs text-muted-foreground truncate">{member.email}</p>
+                      )}
+                    </div>
+                    {isOwner ? (
+                      <div className="flex items-center gap-1">
+                        <Select
+                          value={member.role}
+                          onValueChange={(value) => handleRoleChange(member.userId, value as WorkspaceRole)}
+                        >
+                          <SelectTrigger className="w-[110px] h-8 text-xs">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {Object.entries(ROLES).map(([value, label]) => (
+                              <SelectItem key={value} value={value}>
+                                {label}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                        <Button variant="ghost" size="icon" onClick={() => handleRemove(member.userId)}>
+                          <Trash2 className="w-4 h-4" />
+                        </Button>
+                      </div>
+                    ) : (
+                      <Badge variant="outline" className="border-primary/30 text-primary">
+                        {ROLES[member.role]}
+                      </Badge>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              {isOwner && (
+                <div className="flex flex-wrap items-center gap-2">
+                  <Input
+                    className="flex-1 min-w-[200px]"
+                    type="email"
+                    placeholder="Teammate's email"
+                    value={invite.email}
+                    onChange={(event) => setInvite({ ...invite, email: event.target.value })}
+                  />
+                  <Select
+                    value={invite.role}
+                    onValueChange={(value) => setInvite({ ...invite, role: value as WorkspaceRole })}
+                  >
+                    <SelectTrigger className="w-[120px]">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(ROLES).map(([value, label]) => (
+                        <SelectItem key={value} value={value}>
+                          {label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Button size="sm" variant="outline" disabled={!invite.email.trim()} onClick={handleInvite}>
+                    <Plus className="w-4 h-4 mr-2" />
+                    Add
+                  </Button>
+                </div>
+              )}
+            </>
+          )}
+        </Card>
+      </main>
+    </div>
+  );
+};
+
+export default Workspaces;
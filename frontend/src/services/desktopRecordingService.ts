@@ -8,6 +8,10 @@
 
 const API_BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001';
 
+// Clerk session token (from getToken()), sent as a bearer token
+const authHeaders = (token: string | null): Record<string, string> =>
+  token ? { Authorization: `Bearer ${token}` } : {};
+
 export interface UploadToken {
   uploadId: string;
   uploadToken: string;
@@ -16,7 +20,6 @@ export interface UploadToken {
 }
 
 export interface CreateUploadOptions {
-  userId: string;
   meetingTitle?: string;
 }
 
@@ -31,11 +34,12 @@ export interface UploadStatus {
  * Create an SDK upload token
  * The Desktop SDK (Electron app) will use this token to authenticate uploads
  */
-export async function createUploadToken(options: CreateUploadOptions): Promise<UploadToken> {
+export async function createUploadToken(token: string | null, options: CreateUploadOptions = {}): Promise<UploadToken> {
   const response = await fetch(`${API_BASE}/api/recall-desktop/create-upload`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
+      ...authHeaders(token),
     },
     body: JSON.stringify(options),
   });
@@ -52,8 +56,10 @@ export async function createUploadToken(options: CreateUploadOptions): Promise<U
 /**
  * Get SDK upload status
  */
-export async function getUploadStatus(uploadId: string): Promise<UploadStatus> {
-  const response = await fetch(`${API_BASE}/api/recall-desktop/upload-status/${uploadId}`);
+export async function getUploadStatus(token: string | null, uploadId: string): Promise<UploadStatus> {
+  const response = await fetch(`${API_BASE}/api/recall-desktop/upload-status/${uploadId}`, {
+    headers: authHeaders(token),
+  });
 
   if (!response.ok) {
     const error = await response.json();
@@ -65,15 +71,16 @@ export async function getUploadStatus(uploadId: string): Promise<UploadStatus> {
 }
 
 /**
- * Cancel SDK upload
+ * Cancel SDK upload (defaults to the user's active upload)
  */
-export async function cancelUpload(uploadIdOrUserId: { uploadId?: string; userId?: string }): Promise<void> {
+export async function cancelUpload(token: string | null, uploadId?: string): Promise<void> {
   const response = await fetch(`${API_BASE}/api/recall-desktop/cancel-upload`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
+      ...authHeaders(token),
     },
-    body: JSON.stringify(uploadIdOrUserId),
+    body: JSON.stringify({ uploadId }),
   });
 
   if (!response.ok) {
@@ -85,8 +92,10 @@ export async function cancelUpload(uploadIdOrUserId: { uploadId?: string; userId
 /**
  * Get user's active upload
  */
-export async function getUserActiveUpload(userId: string): Promise<UploadStatus | null> {
-  const response = await fetch(`${API_BASE}/api/recall-desktop/my-upload/${userId}`);
+export async function getUserActiveUpload(token: string | null): Promise<UploadStatus | null> {
+  const response = await fetch(`${API_BASE}/api/recall-desktop/my-upload`, {
+    headers: authHeaders(token),
+  });
 
   if (response.status === 404) {
     return null; // No active upload
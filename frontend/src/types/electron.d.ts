@@ -41,6 +41,10 @@ export interface SdkStatus {
   ready: boolean;
 }
 
+export interface AuthSession {
+  userId: string;
+}
+
 export interface DetectedMeeting {
   windowId: string;
   platform: string;
@@ -61,12 +65,14 @@ declare global {
       onRecordingError: (callback: (error: ErrorEvent) => void) => void;
       onUploadError: (callback: (error: ErrorEvent) => void) => void;
       onSdkError: (callback: (error: ErrorEvent) => void) => void;
+      onAuthTokenRequest: (getToken: () => Promise<string | null>) => void;
 
       // IPC invocations
       getDetectedMeetings: () => Promise<DetectedMeeting[]>;
       startRecording: (windowId: string) => Promise<{ success: boolean }>;
       stopRecording: (windowId: string) => Promise<{ success: boolean }>;
       getSdkStatus: () => Promise<SdkStatus>;
+      setAuthSession: (session: AuthSession | null) => void;
 
       // Utilities
       isElectron: boolean;